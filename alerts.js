@@ -0,0 +1,85 @@
+// alerts.js — Reglas de aviso de vencimiento (cálculo puro, sin DB)
+// - Una regla tiene umbrales en días antes del vencimiento (ej. 60,30,15,7,0)
+//   y, opcionalmente, recordatorios cada N días una vez vencido
+// - Cada día se toma solo el umbral más cercano ya alcanzado: si el servidor
+//   estuvo caído varios días, se manda ese y no todos los anteriores
+// - Los umbrales de vencido se guardan como negativos (-7, -14, ...)
+
+import { parseDestino } from './notify.js';
+
+/** "60, 30,15 ,0" → [60, 30, 15, 0] (sin repetidos, de mayor a menor). */
+export function parseUmbrales(v) {
+  const arr = Array.isArray(v) ? v : String(v || '').split(/[,;\s]+/);
+  const nums = arr.map(x => parseInt(x, 10)).filter(n => Number.isInteger(n) && n >= 0 && n <= 3650);
+  return [...new Set(nums)].sort((a, b) => b - a);
+}
+
+/**
+ * Umbral que corresponde hoy a un documento que vence en `dias` (negativo = vencido), o null.
+ * rule: { umbrales: number[], vencidos_cada: number|null }
+ */
+export function umbralVigente(dias, rule) {
+  if (dias == null || isNaN(dias)) return null;
+  if (dias >= 0 || !rule.vencidos_cada) {
+    const alcanzados = rule.umbrales.filter(u => dias <= u);
+    return alcanzados.length ? Math.min(...alcanzados) : null;
+  }
+  const n = Math.floor(-dias / rule.vencidos_cada);
+  if (n >= 1) return -n * rule.vencidos_cada;
+  // vencido hace menos de N días: sigue valiendo el umbral 0 si la regla lo tiene
+  return rule.umbrales.includes(0) ? 0 : null;
+}
+
+/** Texto para el correo / la bitácora. */
+export function umbralLabel(u) {
+  if (u > 0) return `${u} días antes`;
+  if (u === 0) return 'día del vencimiento';
+  return `vencido hace ${-u} días`;
+}
+
+/** La regla aplica a la categoría (sin categoría = todas; no distingue mayúsculas ni tildes). */
+export function ruleMatches(rule, categoria) {
+  if (!rule.categoria) return true;
+  const norm = s => String(s || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toUpperCase();
+  return norm(rule.categoria) === norm(categoria);
+}
+
+/**
+ * Destinatarios en texto libre, uno por línea (ver parseDestino en notify.js):
+ *   jefe@empresa.com, whatsapp:+50688887777      → para todos los CEDIS
+ *   NORTE: ana@x.com, sms:+50677776666           → solo documentos de camiones del CEDIS NORTE
+ * Devuelve [{ cedis: '' | 'NORTE', destino }].
+ */
+export function parseDestinatarios(text) {
+  const out = [];
+  for (const line of String(text || '').split(/\r?\n/)) {
+    const m = line.match(/^\s*([^:@/]+):(.*)$/);
+    const conCedis = m && !ESQUEMAS.has(m[1].trim().toLowerCase());
+    const cedis = conCedis ? m[1].trim().toUpperCase() : '';
+    for (const item of (conCedis ? m[2] : line).split(/[,;]/)) {
+      const d = parseDestino(item);
+      if (!d) continue;
+      const destino = d.canal === 'email' || d.canal === 'webhook' ? d.to : `${d.canal}:${d.to}`;
+      if (!out.some(r => r.cedis === cedis && r.destino === destino)) out.push({ cedis, destino });
+    }
+  }
+  return out;
+}
+const ESQUEMAS = new Set(['whatsapp', 'sms', 'http', 'https']);
+
+/** Inverso de parseDestinatarios (para el formulario). */
+export function formatDestinatarios(rows) {
+  const generales = rows.filter(r => !r.cedis).map(r => r.destino);
+  const porCedis = {};
+  for (const r of rows.filter(r => r.cedis)) (porCedis[r.cedis] ||= []).push(r.destino);
+  return [
+    ...generales,
+    ...Object.entries(porCedis).map(([c, destinos]) => `${c}: ${destinos.join(', ')}`)
+  ].join('\n');
+}
+
+/** Destinos de la regla para un camión del CEDIS dado. */
+export function recipientsFor(rule, cedis) {
+  const c = String(cedis || '').trim().toUpperCase();
+  return [...new Set(rule.destinatarios.filter(r => !r.cedis || r.cedis === c).map(r => r.destino))];
+}
@@ -0,0 +1,116 @@
+// antispam.js — Protección del formulario público de reportes (puro, sin DB)
+// - Límite de envíos por ventana de tiempo (por IP, por placa) en memoria
+// - Reto firmado con prueba de trabajo (SHA-256 con N bits en cero) que resuelve el navegador
+// - Puntaje de spam: enlaces, texto repetido, palabras típicas, gritos, envío sin prueba de trabajo
+import crypto from 'crypto';
+
+/**
+ * Ventana deslizante: intentar(clave) devuelve false si la clave ya hizo `max` envíos
+ * en los últimos `ventanaMs`; si no, registra el envío y devuelve true.
+ */
+export function createRateLimiter({ max, ventanaMs }) {
+  const hits = new Map(); // clave → [timestamps]
+  return {
+    intentar(clave, ahora = Date.now()) {
+      const recientes = (hits.get(clave) || []).filter(t => ahora - t < ventanaMs);
+      if (recientes.length >= max) { hits.set(clave, recientes); return false; }
+      recientes.push(ahora);
+      hits.set(clave, recientes);
+      if (hits.size > 1000) for (const [k, ts] of hits) if (!ts.some(t => ahora - t < ventanaMs)) hits.delete(k);
+      return true;
+    },
+    reset() { hits.clear(); }
+  };
+}
+
+// ---- Reto (prueba de trabajo) ----
+const firma = (secret, placa, ts, rand) =>
+  crypto.createHmac('sha256', secret).update(`${placa}.${ts}.${rand}`).digest('base64url').slice(0, 22);
+
+/** Reto 'ts.rand.firma' atado a la placa; se entrega con la ficha y vuelve con el formulario. */
+export function crearReto(secret, placa, ahora = Date.now()) {
+  const rand = crypto.randomBytes(9).toString('base64url');
+  return `${ahora}.${rand}.${firma(secret, placa, ahora, rand)}`;
+}
+
+/** Bits en cero al inicio de un buffer. */
+export function bitsEnCero(buf) {
+  let n = 0;
+  for (const b of buf) {
+    if (b === 0) { n += 8; continue; }
+    return n + Math.clz32(b) - 24;
+  }
+  return n;
+}
+
+/** ¿sha256(`${reto}:${nonce}`) empieza con `bits` bits en cero? */
+export function powValido(reto, nonce, bits) {
+  if (!bits) return true;
+  if (!/^\d{1,12}$/.test(String(nonce || ''))) return false;
+  return bitsEnCero(crypto.createHash('sha256').update(`${reto}:${nonce}`).digest()) >= bits;
+}
+
+/**
+ * Valida el reto del formulario. Devuelve null si está bien, o el motivo:
+ * 'invalido' (firma/formato), 'vencido' (más viejo que maxMs), 'rapido' (enviado antes de minMs)
+ * o 'trabajo' (falta la prueba de trabajo: navegador sin crypto.subtle o sin JS; no se rechaza, suma puntos).
+ */
+export function validarReto(secret, placa, { reto, nonce, bits, ahora = Date.now(), minMs = 3000, maxMs = 2 * 60 * 60 * 1000 }) {
+  const [ts, rand, sig, ...resto] = String(reto || '').split('.');
+  if (resto.length || !/^\d+$/.test(ts || '') || !rand || !sig) return 'invalido';
+  const esperada = firma(secret, placa, ts, rand);
+  if (sig.length !== esperada.length || !crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(esperada))) return 'invalido';
+  const edad = ahora - Number(ts);
+  if (edad > maxMs || edad < -60000) return 'vencido';
+  if (edad < minMs) return 'rapido';
+  if (!powValido(reto, nonce, bits)) return 'trabajo';
+  return null;
+}
+
+// ---- Puntaje de spam ----
+export const SPAM_UMBRAL = 3;
+
+/** Minúsculas, sin tildes ni signos, espacios simples: para comparar mensajes repetidos. */
+export function normalizarTexto(s) {
+  return String(s || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9ñ]+/g, ' ').trim();
+}
+
+const ENLACE = /\b(?:https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(?:com|net|org|info|biz|xyz|top|ru|cn|io|ly)\b(?:\/\S*)?/gi;
+const PALABRAS_SPAM = /\b(?:casino|apuestas?|viagra|cialis|bitcoin|cripto|crypto|forex|inversi[oó]n garantizada|pr[eé]stamos?|loans?|seo|backlinks?|porn\w*|sexo|xxx|onlyfans)\b/i;
+
+/**
+ * Puntaje de un reporte: { puntos, motivos: [texto] }. `recientes` son mensajes
+ * normalizados ya recibidos (últimas 24 h) para detectar el mismo texto repetido;
+ * `sinTrabajo` marca un envío que llegó sin prueba de trabajo válida.
+ * Con puntos >= SPAM_UMBRAL el reporte va a cuarentena.
+ */
+export function spamScore({ mensaje = '', nombre = '', email = '', telefono = '' }, { recientes = [], sinTrabajo = false } = {}) {
+  const motivos = [];
+  let puntos = 0;
+  const add = (n, motivo) => { puntos += n; motivos.push(motivo); };
+
+  const todo = [mensaje, nombre, email, telefono].join(' ');
+  const enlaces = (todo.replace(/\S+@\S+/g, ' ').match(ENLACE) || []).length; // un email no es un enlace
+  if (enlaces) add(Math.min(enlaces, 2) * 2, `${enlaces} enlace(s)`);
+
+  const norm = normalizarTexto(mensaje);
+  // el mismo texto puede venir de dos testigos del mismo hecho: solo no alcanza para la cuarentena
+  if (norm.length >= 12 && recientes.includes(norm)) add(2, 'mensaje repetido');
+
+  if (PALABRAS_SPAM.test(todo)) add(2, 'palabras típicas de spam');
+  if (sinTrabajo) add(2, 'sin prueba de trabajo');
+
+  if (/(.)\1{9,}/.test(mensaje)) add(1, 'caracteres repetidos');
+  const palabras = norm.split(' ').filter(p => p.length > 2);
+  if (palabras.length >= 8) {
+    const cuenta = {};
+    for (const p of palabras) cuenta[p] = (cuenta[p] || 0) + 1;
+    if (Math.max(...Object.values(cuenta)) / palabras.length > 0.4) add(1, 'palabras repetidas');
+  }
+  const letras = mensaje.replace(/[^A-Za-zÁÉÍÓÚÑáéíóúñ]/g, '');
+  if (letras.length >= 20 && letras.replace(/[^A-ZÁÉÍÓÚÑ]/g, '').length / letras.length > 0.8) add(1, 'todo en mayúsculas');
+  if (letras.length < 3) add(2, 'sin texto');
+
+  return { puntos, motivos };
+}
@@ -0,0 +1,249 @@
+// bulk.js — Importación/exportación masiva de camiones y documentos
+// - CSV (coma o punto y coma, con BOM para Excel), XLSX (hojas "camiones" y "documentos")
+// - JSON heredado de data/trucks.json (camiones con arreglo "documentos" anidado)
+// - Validación por fila; no toca la DB (server.js hace los upserts)
+
+import path from 'path';
+import ExcelJS from 'exceljs';
+
+export const TRUCK_COLUMNS = ['placa', 'unidad', 'cedis', 'marca', 'modelo', 'anio', 'vin', 'telefono_quejas', 'foto', 'notas'];
+export const DOC_COLUMNS = ['placa', 'id', 'categoria', 'titulo', 'fecha_vencimiento', 'url'];
+
+// largo máximo por columna (igual que en el schema)
+const MAX_LEN = {
+  placa: 32, unidad: 64, cedis: 64, marca: 64, modelo: 64, anio: 16, vin: 64,
+  telefono_quejas: 64, foto: 512, id: 32, categoria: 64, titulo: 128, url: 512
+};
+
+// encabezados alternativos que aparecen en planillas reales
+const HEADER_ALIASES = {
+  ano: 'anio', year: 'anio',
+  telefono: 'telefono_quejas', tel_quejas: 'telefono_quejas',
+  vence: 'fecha_vencimiento', vencimiento: 'fecha_vencimiento', fecha: 'fecha_vencimiento',
+  documento: 'titulo', tipo: 'categoria', imagen: 'url', archivo: 'url'
+};
+
+function normalizeHeader(h) {
+  const key = String(h ?? '').trim().toLowerCase()
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+  return HEADER_ALIASES[key] || key;
+}
+
+// ---------- CSV ----------
+export function parseCsv(text) {
+  text = String(text || '').replace(/^\uFEFF/, '');
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  const delim = (firstLine.split(';').length > firstLine.split(',').length) ? ';' : ',';
+  const rows = [];
+  let row = [], field = '', quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === delim) { row.push(field); field = ''; }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); rows.push(row); row = []; field = '';
+    } else field += c;
+  }
+  if (field !== '' || row.length) { row.push(field); rows.push(row); }
+  return rows.filter(r => r.some(v => String(v).trim() !== ''));
+}
+
+function csvCell(v) {
+  const s = v == null ? '' : String(v);
+  return /[",;\r\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+}
+export function toCsv(objects, columns) {
+  const lines = [columns.join(',')];
+  for (const o of objects) lines.push(columns.map(c => csvCell(o[c])).join(','));
+  return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+function tableToObjects(rows) {
+  if (!rows.length) return [];
+  const headers = rows[0].map(normalizeHeader);
+  return rows.slice(1).map((r, i) => {
+    const o = { _fila: i + 2 };
+    headers.forEach((h, j) => { if (h) o[h] = r[j] instanceof Date ? r[j] : String(r[j] ?? '').trim(); });
+    return o;
+  });
+}
+
+// hoja con "categoria" = documentos; si no, camiones
+function classify(objects) {
+  const isDocs = objects.length && Object.prototype.hasOwnProperty.call(objects[0], 'categoria');
+  return isDocs ? { camiones: [], documentos: objects } : { camiones: objects, documentos: [] };
+}
+
+// ---------- XLSX ----------
+function cellValue(v) {
+  if (v == null) return '';
+  if (v instanceof Date) return v;
+  if (typeof v === 'object') {
+    if (v.text != null) return v.text;             // hipervínculo
+    if (v.result != null) return v.result;         // fórmula
+    if (Array.isArray(v.richText)) return v.richText.map(t => t.text).join('');
+  }
+  return v;
+}
+export async function readXlsx(buffer) {
+  const wb = new ExcelJS.Workbook();
+  await wb.xlsx.load(buffer);
+  const out = { camiones: [], documentos: [] };
+  wb.eachSheet(ws => {
+    const rows = [];
+    ws.eachRow({ includeEmpty: false }, row => {
+      const vals = [];
+      for (let c = 1; c <= ws.columnCount; c++) vals.push(cellValue(row.getCell(c).value));
+      rows.push(vals);
+    });
+    const objects = tableToObjects(rows);
+    const name = normalizeHeader(ws.name);
+    if (name.startsWith('doc')) out.documentos.push(...objects.map(o => ({ ...o, _hoja: ws.name })));
+    else if (name.startsWith('cami') || name.startsWith('truck')) out.camiones.push(...objects.map(o => ({ ...o, _hoja: ws.name })));
+    else {
+      const c = classify(objects);
+      out.camiones.push(...c.camiones.map(o => ({ ...o, _hoja: ws.name })));
+      out.documentos.push(...c.documentos.map(o => ({ ...o, _hoja: ws.name })));
+    }
+  });
+  return out;
+}
+export async function writeXlsx({ camiones, documentos }) {
+  const wb = new ExcelJS.Workbook();
+  for (const [name, columns, rows] of [['camiones', TRUCK_COLUMNS, camiones], ['documentos', DOC_COLUMNS, documentos]]) {
+    const ws = wb.addWorksheet(name);
+    ws.columns = columns.map(c => ({ header: c, key: c, width: Math.min(40, Math.max(12, c.length + 2)) }));
+    ws.getRow(1).font = { bold: true };
+    rows.forEach(r => ws.addRow(columns.reduce((o, c) => { o[c] = r[c] ?? ''; return o; }, {})));
+  }
+  return Buffer.from(await wb.xlsx.writeBuffer());
+}
+
+// ---------- JSON heredado (data/trucks.json) ----------
+export function parseLegacyJson(text) {
+  const data = JSON.parse(String(text || '').replace(/^\uFEFF/, ''));
+  const list = Array.isArray(data) ? data : (Array.isArray(data.trucks) ? data.trucks : []);
+  const camiones = [], documentos = [];
+  list.forEach((t, i) => {
+    const placa = String(t.placa || '').trim();
+    camiones.push({
+      _fila: i + 1,
+      placa,
+      unidad: t.unidad ?? '', cedis: t.cedis ?? '', marca: t.marca ?? '', modelo: t.modelo ?? '',
+      anio: t.anio ?? '', vin: t.vin ?? '', telefono_quejas: t.telefono_quejas ?? '',
+      foto: t.foto ?? '',
+      notas: Array.isArray(t.notas) ? t.notas.join(';') : (t.notas ?? '')
+    });
+    (t.documentos || []).forEach((d, j) => {
+      documentos.push({
+        _fila: `${i + 1}.${j + 1}`,
+        placa, id: d.id ?? '', categoria: d.categoria ?? '', titulo: d.titulo ?? '',
+        fecha_vencimiento: d.fecha_vencimiento ?? '', url: d.url ?? ''
+      });
+    });
+  });
+  return { camiones, documentos };
+}
+
+/**
+ * Lee el archivo subido (multer) y devuelve { formato, camiones, documentos }.
+ * Las filas conservan `_fila` para reportar errores.
+ */
+export async function parseImportFile(file) {
+  const ext = (path.extname(file.originalname || '') || '').toLowerCase();
+  if (ext === '.xlsx') return { formato: 'xlsx', ...(await readXlsx(file.buffer)) };
+  if (ext === '.json') return { formato: 'json', ...parseLegacyJson(file.buffer.toString('utf8')) };
+  if (ext === '.csv' || ext === '.txt') return { formato: 'csv', ...classify(tableToObjects(parseCsv(file.buffer.toString('utf8')))) };
+  throw new Error('Formato no soportado (usa .csv, .xlsx o .json)');
+}
+
+// ---------- Validación ----------
+// Acepta YYYY-MM-DD, DD/MM/YYYY, DD-MM-YYYY, Date (xlsx) y seriales de Excel.
+export function normalizeDate(v) {
+  if (v == null || v === '') return null;
+  if (v instanceof Date) return isNaN(v) ? null : v.toISOString().slice(0, 10);
+  const s = String(v).trim();
+  let y, mo, da, m;
+  if ((m = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/))) [y, mo, da] = [+m[1], +m[2], +m[3]];
+  else if ((m = s.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/))) [y, mo, da] = [+m[3], +m[2], +m[1]];
+  else if (/^\d{5}$/.test(s)) return new Date(Date.UTC(1899, 11, 30) + Number(s) * 86400000).toISOString().slice(0, 10);
+  else return null;
+  const d = new Date(Date.UTC(y, mo - 1, da));
+  if (d.getUTCFullYear() !== y || d.getUTCMonth() !== mo - 1 || d.getUTCDate() !== da) return null; // 31/02 etc.
+  return d.toISOString().slice(0, 10);
+}
+
+function checkLengths(row, errors) {
+  for (const [k, max] of Object.entries(MAX_LEN)) {
+    if (row[k] != null && String(row[k]).length > max) errors.push(`${k} excede ${max} caracteres`);
+  }
+}
+
+/**
+ * Valida y normaliza las filas. ctx:
+ *  - inScope(cedis) → bool (alcance del usuario; para un usuario con CEDIS asignados, '' queda fuera)
+ *  - existing: Map placa → cedis de las unidades ya en la DB
+ * Devuelve { camiones, documentos } con { fila, data, errors, warnings } por fila.
+ */
+export function validateImport({ camiones, documentos }, ctx) {
+  const seenTrucks = new Set();
+  const outTrucks = camiones.map(r => {
+    const errors = [], warnings = [];
+    const data = {};
+    for (const c of TRUCK_COLUMNS) if (r[c] !== undefined) data[c] = String(r[c] ?? '').trim();
+    data.placa = (data.placa || '').toUpperCase();
+    if (!data.placa) errors.push('Falta placa');
+    else if (!/^[A-Z0-9-]+$/.test(data.placa)) errors.push('Placa inválida (solo letras, números y guion)');
+    if (seenTrucks.has(data.placa)) errors.push('Placa repetida en el archivo');
+    seenTrucks.add(data.placa);
+    // una unidad nueva siempre pasa por el alcance: sin columna cedis quedaría en '' (visible para todos los CEDIS)
+    const nueva = !!data.placa && !ctx.existing.has(data.placa);
+    if ((data.cedis !== undefined || nueva) && !ctx.inScope(data.cedis ?? '')) {
+      errors.push(data.cedis ? `CEDIS "${data.cedis}" fuera de tu alcance` : 'Falta CEDIS: solo podés crear unidades de tu alcance');
+    }
+    if (data.notas !== undefined) data.notas = data.notas.split(';').map(s => s.trim()).filter(Boolean);
+    checkLengths(data, errors);
+    if (data.placa && ctx.existing.has(data.placa)) {
+      if (!ctx.inScope(ctx.existing.get(data.placa))) errors.push('La unidad existente es de otro CEDIS');
+      else warnings.push('Actualiza una unidad existente');
+    }
+    return { fila: r._fila, hoja: r._hoja, data, errors, warnings };
+  });
+
+  const validPlacas = new Set([
+    ...[...ctx.existing].filter(([, cedis]) => ctx.inScope(cedis)).map(([placa]) => placa),
+    ...outTrucks.filter(t => !t.errors.length).map(t => t.data.placa)
+  ]);
+  const seenDocs = new Map();
+  const outDocs = documentos.map(r => {
+    const errors = [], warnings = [];
+    const data = {};
+    for (const c of DOC_COLUMNS) data[c] = String(r[c] ?? '').trim();
+    data.placa = data.placa.toUpperCase();
+    data.fecha_vencimiento = normalizeDate(r.fecha_vencimiento);
+    if (!data.placa) errors.push('Falta placa');
+    else if (!validPlacas.has(data.placa)) errors.push('La placa no existe, es de otro CEDIS o tiene errores en el archivo');
+    if (!data.categoria) errors.push('Falta categoría');
+    if (!data.titulo) data.titulo = data.categoria;
+    if (!data.fecha_vencimiento) errors.push(r.fecha_vencimiento ? `Fecha inválida: "${r.fecha_vencimiento}"` : 'Falta fecha de vencimiento');
+    if (data.id && !/^[A-Za-z0-9]+$/.test(data.id)) errors.push('id inválido');
+    checkLengths(data, errors);
+    // mismo documento dos veces (pasa en data/trucks.json): se queda el que tiene archivo
+    const key = [data.placa, data.categoria.toLowerCase(), data.titulo.toLowerCase(), data.fecha_vencimiento].join('|');
+    const prev = seenDocs.get(key);
+    const item = { fila: r._fila, hoja: r._hoja, data, errors, warnings };
+    if (prev && !errors.length) {
+      const [keep, drop] = (!prev.data.url && data.url) ? [item, prev] : [prev, item];
+      drop.errors.push(`Duplicado de la fila ${keep.fila}, se omite`);
+      seenDocs.set(key, keep);
+    } else if (!errors.length) seenDocs.set(key, item);
+    return item;
+  });
+  return { camiones: outTrucks, documentos: outDocs };
+}
@@ -0,0 +1,101 @@
+// dashboard.js — Cálculos del tablero de flota (puro, sin DB)
+// - Rango de fechas del filtro (por defecto los últimos 90 días)
+// - Agrupación por semana (lunes a domingo) de reportes y vencimientos
+// - Porcentajes de cumplimiento y formato de duraciones
+
+const DIA = 24 * 60 * 60 * 1000;
+const ymd = d => d.toISOString().slice(0, 10);
+const isYmd = v => /^\d{4}-\d{2}-\d{2}$/.test(v || '') && !isNaN(new Date(v));
+
+/** Rango del filtro { desde, hasta } ('YYYY-MM-DD', inclusive). Si viene al revés se da vuelta. */
+export function parseRango(q = {}, hoy = new Date()) {
+  const fin = ymd(hoy);
+  let desde = isYmd(q.desde) ? q.desde : ymd(new Date(new Date(fin) - 89 * DIA));
+  let hasta = isYmd(q.hasta) ? q.hasta : fin;
+  if (desde > hasta) [desde, hasta] = [hasta, desde];
+  return { desde, hasta };
+}
+
+/** Atajos del filtro: este mes, mes pasado, últimos 90 días, este año. */
+export function rangosRapidos(hoy = new Date()) {
+  const h = new Date(ymd(hoy));
+  const y = h.getUTCFullYear(), m = h.getUTCMonth();
+  const dia = (yy, mm, dd) => ymd(new Date(Date.UTC(yy, mm, dd)));
+  return [
+    { label: 'Este mes', desde: dia(y, m, 1), hasta: ymd(h) },
+    { label: 'Mes pasado', desde: dia(y, m - 1, 1), hasta: dia(y, m, 0) },
+    { label: 'Últimos 90 días', desde: ymd(new Date(h - 89 * DIA)), hasta: ymd(h) },
+    { label: 'Este año', desde: dia(y, 0, 1), hasta: ymd(h) }
+  ];
+}
+
+/** Lunes de la semana de la fecha ('YYYY-MM-DD' o Date) como 'YYYY-MM-DD'. */
+export function semanaDe(fecha) {
+  const d = new Date(typeof fecha === 'string' ? fecha.slice(0, 10) : ymd(new Date(fecha)));
+  return ymd(new Date(d - ((d.getUTCDay() + 6) % 7) * DIA));
+}
+
+/** Lunes de cada semana entre desde y hasta (ambas inclusive). */
+export function semanas(desde, hasta) {
+  const out = [];
+  for (let t = new Date(semanaDe(desde)); ymd(t) <= hasta; t = new Date(+t + 7 * DIA)) out.push(ymd(t));
+  return out;
+}
+
+/**
+ * Filas { dia, tipo, n } → una serie por semana con el total y el desglose por tipo.
+ * Devuelve { tipos (de más a menos frecuente), series: [{ semana, total, porTipo }], max }.
+ */
+export function reportesPorSemana(rows, desde, hasta) {
+  const series = semanas(desde, hasta).map(semana => ({ semana, total: 0, porTipo: {} }));
+  const idx = new Map(series.map((s, i) => [s.semana, i]));
+  const totales = {};
+  for (const r of rows) {
+    const s = series[idx.get(semanaDe(r.dia))];
+    if (!s) continue;
+    const n = Number(r.n) || 0;
+    s.porTipo[r.tipo] = (s.porTipo[r.tipo] || 0) + n;
+    s.total += n;
+    totales[r.tipo] = (totales[r.tipo] || 0) + n;
+  }
+  const tipos = Object.keys(totales).sort((a, b) => totales[b] - totales[a] || a.localeCompare(b));
+  return { tipos, totales, series, max: Math.max(0, ...series.map(s => s.total)) };
+}
+
+/** Vencimientos { fecha_vencimiento } de los próximos `dias` días agrupados por semana. */
+export function vencimientosPorSemana(rows, hoy = new Date(), dias = 90) {
+  const desde = ymd(hoy), hasta = ymd(new Date(+new Date(desde) + dias * DIA));
+  const series = semanas(desde, hasta).map(semana => ({ semana, total: 0, items: [] }));
+  const idx = new Map(series.map((s, i) => [s.semana, i]));
+  for (const r of rows) {
+    const s = series[idx.get(semanaDe(r.fecha_vencimiento))];
+    if (!s) continue;
+    s.total++;
+    s.items.push(r);
+  }
+  return { desde, hasta, series, max: Math.max(0, ...series.map(s => s.total)) };
+}
+
+/** { vigente, por_vencer, vencido } → mismos campos en % (enteros que suman 100) + total. */
+export function porcentajes(c) {
+  const claves = ['vigente', 'por_vencer', 'vencido'];
+  const total = claves.reduce((a, k) => a + (Number(c[k]) || 0), 0);
+  const out = { total };
+  if (!total) { for (const k of claves) out[k] = 0; return out; }
+  // redondeo de mayor resto para que la barra sume exactamente 100
+  const crudos = claves.map(k => ({ k, v: (Number(c[k]) || 0) * 100 / total }));
+  crudos.forEach(x => { out[x.k] = Math.floor(x.v); });
+  let resto = 100 - claves.reduce((a, k) => a + out[k], 0);
+  for (const x of crudos.sort((a, b) => (b.v % 1) - (a.v % 1))) { if (resto-- <= 0) break; out[x.k]++; }
+  return out;
+}
+
+/** Minutos → "3 d 4 h", "5 h 10 min", "12 min" ('-' si no hay dato). */
+export function formatDuracion(min) {
+  if (min == null || isNaN(min)) return '-';
+  const m = Math.round(Number(min));
+  const d = Math.floor(m / 1440), h = Math.floor((m % 1440) / 60), mm = m % 60;
+  if (d) return `${d} d${h ? ` ${h} h` : ''}`;
+  if (h) return `${h} h${mm ? ` ${mm} min` : ''}`;
+  return `${mm} min`;
+}
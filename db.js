@@ -1,4 +1,5 @@
 // db.js — Pool MySQL (Railway/Render) con DATABASE_URL o variables sueltas
+// Único lugar con la configuración de la conexión: lo usan server.js, migrate.js y storage-migrate.js
 import mysql from 'mysql2/promise';
 import url from 'url';
 
@@ -33,16 +34,15 @@ function assertNonEmpty(name, val) {
   if (!val) throw new Error(`Falta la variable ${name} (o viene vacía)`);
 }
 
+// la contraseña puede ir vacía (MySQL local o de CI)
 if (usingUrl) {
   assertNonEmpty('DATABASE_URL', process.env.DATABASE_URL);
   assertNonEmpty('host en DATABASE_URL', cfg.host);
   assertNonEmpty('user en DATABASE_URL', cfg.user);
-  assertNonEmpty('password en DATABASE_URL', cfg.password);
   assertNonEmpty('database en DATABASE_URL', cfg.database);
 } else {
   assertNonEmpty('MYSQLHOST', cfg.host);
   assertNonEmpty('MYSQLUSER', cfg.user);
-  assertNonEmpty('MYSQLPASSWORD', cfg.password);
   assertNonEmpty('MYSQLDATABASE', cfg.database);
 }
 
@@ -66,5 +66,9 @@ export const pool = mysql.createPool({
   waitForConnections: true,
   connectionLimit: 10,
   queueLimit: 0,
-  ssl
+  ssl,
+  // --- timeouts/keepalive para evitar ETIMEDOUT ---
+  connectTimeout: 20000,       // 20s para conectar
+  enableKeepAlive: true,
+  keepAliveInitialDelay: 10000 // 10s
 });
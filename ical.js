@@ -0,0 +1,86 @@
+// ical.js — Feed iCalendar (RFC 5545) de vencimientos (puro, sin DB)
+// - Un evento de día completo por documento, en su fecha de vencimiento
+// - Una alarma por umbral de aviso (días antes), a las 9:00 como el cron de avisos
+// - Líneas CRLF plegadas a 75 octetos; textos escapados
+
+const HORA_AVISO = 9;
+
+/** Escapa un TEXT de iCalendar: \ ; , y saltos de línea. */
+export function escapeText(s) {
+  return String(s ?? '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+/** Pliega una línea a 75 octetos (UTF-8) sin cortar caracteres multibyte. */
+export function foldLine(line) {
+  const out = [];
+  let cur = '', bytes = 0, limite = 75;
+  for (const ch of line) {
+    const n = Buffer.byteLength(ch);
+    if (bytes + n > limite) { out.push(cur); cur = ' '; bytes = 1; limite = 75; }
+    cur += ch; bytes += n;
+  }
+  out.push(cur);
+  return out.join('\r\n');
+}
+
+const fechaIcs = ymd => ymd.replace(/-/g, '');
+function diaSiguiente(ymd) {
+  const d = new Date(ymd + 'T00:00:00Z');
+  d.setUTCDate(d.getUTCDate() + 1);
+  return d.toISOString().slice(0, 10);
+}
+function stamp(d) { return d.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, ''); }
+
+/**
+ * Disparo de la alarma relativo al inicio del evento (medianoche del día que vence):
+ * umbral 0 → el mismo día a las 9:00; umbral N → N días antes a las 9:00.
+ */
+export function alarmTrigger(umbral) {
+  const minutos = -umbral * 24 * 60 + HORA_AVISO * 60;
+  const abs = Math.abs(minutos), d = Math.floor(abs / 1440), h = Math.floor((abs % 1440) / 60), m = abs % 60;
+  let dur = 'P' + (d ? `${d}D` : '');
+  if (h || m || !d) dur += 'T' + (h ? `${h}H` : '') + (m ? `${m}M` : '') + (!h && !m ? '0M' : '');
+  return (minutos < 0 ? '-' : '') + dur;
+}
+
+/**
+ * eventos: [{ uid, fecha ('YYYY-MM-DD'), titulo, descripcion, url, umbrales: [días] }]
+ * Devuelve el texto del .ics.
+ */
+export function buildCalendar({ nombre, eventos, ahora = new Date() }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//camiones_qr//Vencimientos//ES',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(nombre)}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT6H',
+    'X-PUBLISHED-TTL:PT6H'
+  ];
+  for (const e of eventos) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${e.uid}`,
+      `DTSTAMP:${stamp(ahora)}`,
+      `DTSTART;VALUE=DATE:${fechaIcs(e.fecha)}`,
+      `DTEND;VALUE=DATE:${fechaIcs(diaSiguiente(e.fecha))}`,
+      `SUMMARY:${escapeText(e.titulo)}`,
+      'TRANSP:TRANSPARENT'
+    );
+    if (e.descripcion) lines.push(`DESCRIPTION:${escapeText(e.descripcion)}`);
+    if (e.url) lines.push(`URL:${e.url}`);
+    for (const u of [...new Set(e.umbrales || [])].filter(u => u >= 0).sort((a, b) => b - a)) {
+      lines.push(
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        `DESCRIPTION:${escapeText(`${e.titulo} (${u ? `en ${u} día(s)` : 'hoy'})`)}`,
+        `TRIGGER:${alarmTrigger(u)}`,
+        'END:VALARM'
+      );
+    }
+    lines.push('END:VEVENT');
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,120 @@
+// images.js — Procesamiento de imágenes subidas (sharp)
+// - Rota según EXIF y luego descarta todos los metadatos (incluye GPS)
+// - Limita el tamaño máximo del original
+// - Genera variantes WebP: thumb (galerías) y medium (vista ampliada)
+// - Hash SHA-256 del archivo recibido para detectar duplicados
+// - PDF: cantidad de páginas e imagen de la primera página (pdf.js)
+
+import crypto from 'crypto';
+import path from 'path';
+import { createRequire } from 'module';
+import sharp from 'sharp';
+
+const require = createRequire(import.meta.url);
+
+const MAX_DIM = Number(process.env.IMAGE_MAX_DIM || 2560);
+
+export const VARIANTS = {
+  thumb:  { width: 320,  quality: 70 },
+  medium: { width: 1280, quality: 80 }
+};
+
+const PROCESSABLE = new Set(['image/jpeg', 'image/jpg', 'image/png', 'image/webp', 'image/gif']);
+
+// formatos que sharp debe reconocer en el contenido (metadata().format)
+const FORMATOS = new Set(['jpeg', 'png', 'webp', 'gif']);
+
+export function isProcessableImage(mime) {
+  return PROCESSABLE.has(String(mime || '').toLowerCase());
+}
+
+export function contentHash(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Normaliza el original: auto-rotación, sin EXIF, máx. IMAGE_MAX_DIM px.
+ * Los GIF se guardan tal cual (podrían ser animados). Lanza si el contenido no es una imagen de verdad.
+ * Devuelve { buffer, mime, width, height }.
+ */
+export async function processOriginal(buffer) {
+  // el tipo que declara el cliente no cuenta: vale el formato que sharp lee en el contenido (un SVG llamado .png no pasa)
+  const meta = await sharp(buffer).metadata().catch(() => ({}));
+  if (!FORMATOS.has(meta.format)) throw new Error('El archivo no es una imagen JPG, PNG, WebP o GIF');
+  let mime = 'image/' + meta.format;
+  if (mime === 'image/gif') return { buffer, mime, width: meta.width || null, height: meta.height || null };
+  let img = sharp(buffer, { failOn: 'error' })
+    .rotate()
+    .resize({ width: MAX_DIM, height: MAX_DIM, fit: 'inside', withoutEnlargement: true });
+  // sharp no copia metadatos salvo que se pida withMetadata(): EXIF/GPS quedan fuera
+  if (mime === 'image/png') img = img.png({ compressionLevel: 9 });
+  else if (mime === 'image/webp') img = img.webp({ quality: 85 });
+  else { img = img.jpeg({ quality: 85, mozjpeg: true }); mime = 'image/jpeg'; }
+  const { data, info } = await img.toBuffer({ resolveWithObject: true });
+  return { buffer: data, mime, width: info.width, height: info.height };
+}
+
+/** Variante WebP (thumb | medium) a partir del original ya normalizado. */
+export async function makeVariant(buffer, variant) {
+  const v = VARIANTS[variant];
+  if (!v) throw new Error('Variante desconocida: ' + variant);
+  const { data, info } = await sharp(buffer, { failOn: 'error' })
+    .rotate()
+    .resize({ width: v.width, height: v.width, fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: v.quality })
+    .toBuffer({ resolveWithObject: true });
+  return { buffer: data, mime: 'image/webp', width: info.width, height: info.height };
+}
+
+// ---------- PDF ----------
+const PDF_PREVIEW_PX = 1280;
+
+export function isPdf(mime, buffer) {
+  if (String(mime || '').toLowerCase() !== 'application/pdf') return false;
+  return !buffer || buffer.subarray(0, 5).toString('latin1') === '%PDF-';
+}
+
+// pdf.js se carga recién cuando llega el primer PDF
+let pdfjs = null;
+async function loadPdfjs() {
+  if (!pdfjs) pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+  return pdfjs;
+}
+async function openPdf(buffer) {
+  const { getDocument } = await loadPdfjs();
+  const fonts = path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts') + path.sep;
+  return getDocument({
+    data: new Uint8Array(buffer), isEvalSupported: false, disableFontFace: true,
+    standardFontDataUrl: fonts, verbosity: 0
+  }).promise;
+}
+
+/** Cantidad de páginas (null si el PDF no se puede leer). */
+export async function pdfPageCount(buffer) {
+  let pdf;
+  try {
+    pdf = await openPdf(buffer);
+    return pdf.numPages;
+  } catch {
+    return null;
+  } finally {
+    if (pdf) await pdf.destroy();
+  }
+}
+
+/** Primera página como PNG (lado mayor PDF_PREVIEW_PX), base de las variantes. */
+export async function pdfFirstPage(buffer) {
+  const pdf = await openPdf(buffer);
+  try {
+    const page = await pdf.getPage(1);
+    const base = page.getViewport({ scale: 1 });
+    const viewport = page.getViewport({ scale: PDF_PREVIEW_PX / Math.max(base.width, base.height) });
+    const { canvas, context } = pdf.canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+    context.fillStyle = '#fff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    await page.render({ canvasContext: context, viewport, canvas }).promise;
+    return canvas.toBuffer('image/png');
+  } finally {
+    await pdf.destroy();
+  }
+}
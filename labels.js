@@ -0,0 +1,158 @@
+// labels.js — Etiquetas QR imprimibles
+// - PDF con grilla A4/Carta o etiqueta individual (una por página)
+// - SVG vectorial por placa para rotulado en vinil
+// - El QR se dibuja módulo a módulo (vectorial), no como imagen
+
+import PDFDocument from 'pdfkit';
+import QRCode from 'qrcode';
+
+const MM = 72 / 25.4; // puntos por milímetro
+
+const PAGES = {
+  a4: [210, 297],
+  letter: [215.9, 279.4]
+};
+
+// page: tamaño de hoja (o null = la hoja mide lo que la etiqueta)
+export const LABEL_LAYOUTS = {
+  'a4-2x3':       { label: 'A4 — 2 × 3 (100 × 96 mm)',      page: 'a4', cols: 2, rows: 3 },
+  'a4-3x4':       { label: 'A4 — 3 × 4 (67 × 72 mm)',       page: 'a4', cols: 3, rows: 4 },
+  'a4-4x5':       { label: 'A4 — 4 × 5 (50 × 57 mm)',       page: 'a4', cols: 4, rows: 5 },
+  'letter-2x3':   { label: 'Carta — 2 × 3 (103 × 90 mm)',   page: 'letter', cols: 2, rows: 3 },
+  'letter-3x4':   { label: 'Carta — 3 × 4 (69 × 67 mm)',    page: 'letter', cols: 3, rows: 4 },
+  'etiqueta-50x70':   { label: 'Etiqueta 50 × 70 mm',   page: null, w: 50, h: 70 },
+  'etiqueta-100x100': { label: 'Etiqueta 100 × 100 mm', page: null, w: 100, h: 100 },
+  'etiqueta-100x150': { label: 'Etiqueta 100 × 150 mm (térmica 4×6")', page: null, w: 100, h: 150 }
+};
+
+function qrMatrix(text) {
+  const qr = QRCode.create(text, { errorCorrectionLevel: 'M' });
+  const size = qr.modules.size;
+  return { size, dark: (r, c) => !!qr.modules.get(r, c) };
+}
+
+function labelLines(item) {
+  const lines = [{ text: item.placa, bold: true, scale: 1 }];
+  if (item.unidad && item.unidad !== item.placa) lines.push({ text: 'Unidad ' + item.unidad, scale: 0.55 });
+  if (item.telefono) lines.push({ text: 'Quejas: ' + item.telefono, scale: 0.55 });
+  return lines;
+}
+
+// Dibuja una etiqueta en (x, y) de w × h puntos: logo arriba, QR, y texto debajo.
+function drawLabel(doc, x, y, w, h, item, { logo, bordes }) {
+  const pad = Math.min(w, h) * 0.06;
+  if (bordes) doc.save().lineWidth(0.3).dash(2, { space: 2 }).strokeColor('#999').rect(x, y, w, h).stroke().undash().restore();
+
+  const lines = labelLines(item);
+  const base = Math.min(w * 0.11, h * 0.085);
+  const textH = lines.reduce((acc, l) => acc + base * l.scale * 1.25, 0);
+  const logoH = logo ? h * 0.12 : 0;
+  const qrSize = Math.max(10, Math.min(w - 2 * pad, h - 2 * pad - textH - logoH - (logo ? pad / 2 : 0)));
+
+  let cy = y + pad;
+  if (logo) {
+    try { doc.image(logo, x + pad, cy, { fit: [w - 2 * pad, logoH], align: 'center', valign: 'center' }); } catch { /* logo ilegible: se omite */ }
+    cy += logoH + pad / 2;
+  }
+
+  const m = qrMatrix(item.url);
+  const cell = qrSize / m.size;
+  const qx = x + (w - qrSize) / 2;
+  doc.save().fillColor('#000');
+  for (let r = 0; r < m.size; r++) {
+    for (let c = 0; c < m.size; c++) {
+      if (m.dark(r, c)) doc.rect(qx + c * cell, cy + r * cell, cell + 0.05, cell + 0.05);
+    }
+  }
+  doc.fill().restore();
+  cy += qrSize;
+
+  for (const l of lines) {
+    const size = base * l.scale;
+    doc.font(l.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(size).fillColor('#000')
+      .text(l.text, x + pad / 2, cy + size * 0.15, { width: w - pad, align: 'center', lineBreak: false, ellipsis: true });
+    cy += size * 1.25;
+  }
+}
+
+/**
+ * Genera el PDF de etiquetas.
+ * items: [{ placa, unidad, telefono, url }]
+ * opts: { layout, logo (Buffer|null), bordes (bool) }
+ */
+export function buildLabelsPdf(items, { layout = 'a4-3x4', logo = null, bordes = true } = {}) {
+  const L = LABEL_LAYOUTS[layout] || LABEL_LAYOUTS['a4-3x4'];
+  return new Promise((resolve, reject) => {
+    const single = !L.page;
+    const [pw, ph] = single ? [L.w, L.h] : PAGES[L.page];
+    const doc = new PDFDocument({ size: [pw * MM, ph * MM], margin: 0, autoFirstPage: false, info: { Title: 'Etiquetas QR' } });
+    const chunks = [];
+    doc.on('data', c => chunks.push(c));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    if (single) {
+      for (const item of items) {
+        doc.addPage();
+        drawLabel(doc, 0, 0, pw * MM, ph * MM, item, { logo, bordes: false });
+      }
+    } else {
+      const margin = 5 * MM;
+      const cw = (pw * MM - 2 * margin) / L.cols;
+      const ch = (ph * MM - 2 * margin) / L.rows;
+      const perPage = L.cols * L.rows;
+      items.forEach((item, i) => {
+        if (i % perPage === 0) doc.addPage();
+        const k = i % perPage;
+        drawLabel(doc, margin + (k % L.cols) * cw, margin + Math.floor(k / L.cols) * ch, cw, ch, item, { logo, bordes });
+      });
+    }
+    if (!items.length) doc.addPage();
+    doc.end();
+  });
+}
+
+function xmlEscape(s) {
+  return String(s ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Etiqueta individual en SVG (mismo diseño que el PDF), ancho en mm.
+ * logo: { data: Buffer, mime } o null
+ */
+export function labelSvg(item, { widthMm = 100, logo = null } = {}) {
+  const m = qrMatrix(item.url);
+  const quiet = 2;
+  const W = m.size + quiet * 2;            // unidades = módulos
+  const lines = labelLines(item);
+  const base = W * 0.11;
+  const textH = lines.reduce((acc, l) => acc + base * l.scale * 1.25, 0);
+  const logoH = logo ? W * 0.18 : 0;
+  const H = logoH + W + textH + quiet;
+
+  let path = '';
+  for (let r = 0; r < m.size; r++) {
+    for (let c = 0; c < m.size; c++) {
+      if (m.dark(r, c)) path += `M${c + quiet} ${r + quiet + logoH}h1v1h-1z`;
+    }
+  }
+  let y = logoH + W;
+  const texts = lines.map(l => {
+    const size = base * l.scale;
+    y += size * 1.1;
+    return `<text x="${W / 2}" y="${y.toFixed(2)}" font-family="Helvetica, Arial, sans-serif" font-size="${size.toFixed(2)}"` +
+      `${l.bold ? ' font-weight="bold"' : ''} text-anchor="middle">${xmlEscape(l.text)}</text>`;
+  }).join('\n  ');
+  const logoTag = logo
+    ? `<image x="${quiet}" y="${quiet / 2}" width="${W - quiet * 2}" height="${logoH - quiet / 2}" preserveAspectRatio="xMidYMid meet" href="data:${logo.mime};base64,${logo.data.toString('base64')}"/>`
+    : '';
+  const heightMm = widthMm * H / W;
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${widthMm}mm" height="${heightMm.toFixed(2)}mm" viewBox="0 0 ${W} ${H.toFixed(2)}">
+  <rect width="100%" height="100%" fill="#fff"/>
+  ${logoTag}
+  <path d="${path}" fill="#000" shape-rendering="crispEdges"/>
+  ${texts}
+</svg>
+`;
+}
@@ -0,0 +1,103 @@
+// maintenance.js — Planes de servicio por fecha y/o kilometraje (cálculo puro, sin DB)
+// - Un plan se repite cada N días, cada N km o lo que llegue primero (ej. aceite cada 10.000 km o 180 días)
+// - El ciclo arranca en el último servicio registrado del plan; sin servicios, en desde_fecha / desde_km
+//   (si el servicio no anotó el odómetro, vale la lectura más cercana a su fecha)
+// - "Próximo" = faltan aviso_dias días o aviso_km km o menos; "vencido" = ya se pasó alguno de los dos
+
+export const SERVICE_ESTADOS = {
+  vencido: 'Vencido',
+  proximo: 'Próximo',
+  'al-dia': 'Al día',
+  'sin-datos': 'Sin datos'
+};
+
+const DIA = 24 * 60 * 60 * 1000;
+const ymd = d => d.toISOString().slice(0, 10);
+
+// parte entera y decimales (un . o , final con 1-2 dígitos; los de miles siempre llevan 3)
+function splitKm(v) {
+  const s = String(v ?? '').replace(/km/i, '').replace(/\s/g, '');
+  const m = s.match(/^(.*)[.,](\d{1,2})$/);
+  const miles = m ? m[1] : s;
+  if (!/^(\d+|\d{1,3}([.,]\d{3})+)$/.test(miles)) return null;
+  const entero = miles.replace(/[.,]/g, '');
+  if (entero.length > 9) return null;
+  return { entero, decimales: m ? m[2] : '' };
+}
+
+/** "120.500 km" / "120,500" / 120500 → 120500; "120500.7" → 120501 (se redondea). null si no es un número ≥ 0. */
+export function parseKm(v) {
+  const p = splitKm(v);
+  if (!p) return null;
+  return Math.round(Number(`${p.entero}.${p.decimales || 0}`));
+}
+
+/** "₡45.000,50" / "45000.5" → 45000.5 (null si vacío o inválido). El último . o , con 1-2 decimales es el decimal. */
+export function parseMonto(v) {
+  let s = String(v ?? '').replace(/[^\d.,-]/g, '');
+  if (!s) return null;
+  const m = s.match(/^(.*)[.,](\d{1,2})$/);
+  s = m ? m[1].replace(/[.,]/g, '') + '.' + m[2] : s.replace(/[.,]/g, '');
+  const n = Number(s);
+  return Number.isFinite(n) && n >= 0 ? Math.round(n * 100) / 100 : null;
+}
+
+/** Entero positivo o null (intervalos y márgenes de aviso del formulario); "1.5" no es un intervalo válido. */
+export function parseIntervalo(v) {
+  const p = splitKm(v);
+  if (!p || p.decimales) return null;
+  const n = parseInt(p.entero, 10);
+  return n > 0 ? n : null;
+}
+
+/**
+ * Estado de un plan.
+ * plan: { cada_dias, cada_km, aviso_dias, aviso_km, desde_fecha, desde_km }
+ * ultimo: último servicio del plan { fecha, odometro, odometro_cercano } o null
+ *   (odometro_cercano = lectura del camión más cercana a la fecha del servicio, para cuando no anotó odómetro)
+ * odometro: lectura actual del camión (km) o null
+ * → { base_fecha, base_km, proxima_fecha, dias, proximo_km, km_restantes, estado, motivo }
+ */
+export function planEstado(plan, { ultimo = null, odometro = null, hoy = new Date() } = {}) {
+  const baseFecha = ultimo?.fecha || plan.desde_fecha || null;
+  const baseKm = ultimo ? (ultimo.odometro ?? ultimo.odometro_cercano ?? null) : (plan.desde_km ?? null);
+  const today = new Date(hoy); today.setHours(0, 0, 0, 0);
+
+  let proxima = null, dias = null;
+  if (plan.cada_dias && baseFecha) {
+    const b = new Date(baseFecha);
+    if (!isNaN(b)) {
+      b.setHours(0, 0, 0, 0);
+      proxima = new Date(b.getTime() + plan.cada_dias * DIA);
+      dias = Math.round((proxima - today) / DIA);
+    }
+  }
+  let proximoKm = null, kmRestantes = null;
+  if (plan.cada_km && baseKm != null) {
+    proximoKm = baseKm + plan.cada_km;
+    if (odometro != null) kmRestantes = proximoKm - odometro;
+  }
+
+  const out = {
+    base_fecha: baseFecha ? ymd(new Date(baseFecha)) : null, base_km: baseKm,
+    proxima_fecha: proxima ? ymd(proxima) : null, dias, proximo_km: proximoKm, km_restantes: kmRestantes
+  };
+  if (dias == null && kmRestantes == null) return { ...out, estado: 'sin-datos', motivo: null };
+
+  const porFecha = dias != null && dias < 0, porKm = kmRestantes != null && kmRestantes < 0;
+  if (porFecha || porKm) {
+    return { ...out, estado: 'vencido', motivo: porKm ? `pasado por ${-kmRestantes} km` : `vencido hace ${-dias} días` };
+  }
+  const avisoDias = plan.aviso_dias ?? 15, avisoKm = plan.aviso_km ?? 500;
+  if (kmRestantes != null && kmRestantes <= avisoKm) return { ...out, estado: 'proximo', motivo: `faltan ${kmRestantes} km` };
+  if (dias != null && dias <= avisoDias) return { ...out, estado: 'proximo', motivo: dias ? `faltan ${dias} días` : 'hoy' };
+  return { ...out, estado: 'al-dia', motivo: null };
+}
+
+/** Texto corto del intervalo: "cada 10000 km o 180 días". */
+export function intervaloLabel(plan) {
+  const partes = [];
+  if (plan.cada_km) partes.push(`${plan.cada_km} km`);
+  if (plan.cada_dias) partes.push(`${plan.cada_dias} días`);
+  return partes.length ? 'cada ' + partes.join(' o ') : '-';
+}
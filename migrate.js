@@ -0,0 +1,67 @@
+// migrate.js — Migraciones del esquema desde la consola (ver migrations.js)
+// Uso:
+//   node migrate.js                  (aplica las pendientes; npm run migrate)
+//   node migrate.js --to 0002        (aplica hasta esa versión, incluida)
+//   node migrate.js --status         (qué está aplicado y qué falta; npm run migrate:status)
+//   node migrate.js --down [N]       (revierte las últimas N, por defecto 1)
+//   node migrate.js --down --to 0001 (revierte todo lo posterior a 0001; la 0001 es irreversible)
+//   node migrate.js --create "agregar color a trucks"  (crea migrations/NNNN_agregar_color_a_trucks.js)
+// El servidor aplica las pendientes al arrancar salvo con MIGRATE_ON_START=false.
+
+import 'dotenv/config'; // antes de db.js, que lee las variables al importarse
+import fs from 'fs';
+import path from 'path';
+import { MIGRATIONS_DIR, PLANTILLA, nextMigrationName, migrationStatus, migrateUp, migrateDown } from './migrations.js';
+
+function parseArgs(argv) {
+  const args = { accion: 'up', pasos: 1, hasta: null, nombre: null };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--status') args.accion = 'status';
+    else if (a === '--down') {
+      args.accion = 'down';
+      if (/^\d+$/.test(argv[i + 1] || '')) args.pasos = Number(argv[++i]);
+    }
+    else if (a === '--to') args.hasta = argv[++i];
+    else if (a === '--create') { args.accion = 'create'; args.nombre = argv[++i]; }
+    else throw new Error('Argumento desconocido: ' + a);
+  }
+  if (args.hasta != null && !/^\d{4}$/.test(args.hasta)) throw new Error('--to espera una versión de 4 dígitos (ej. 0002)');
+  return args;
+}
+
+async function status(pool) {
+  const lista = await migrationStatus(pool);
+  for (const m of lista) {
+    const cuando = m.appliedAt ? new Date(m.appliedAt).toISOString().slice(0, 19).replace('T', ' ') : '';
+    console.log(`${m.aplicada ? '✔' : '·'} ${m.version}_${m.nombre}  ${cuando}${m.huerfana ? '  (sin archivo)' : ''}`);
+  }
+  const pendientes = lista.filter(m => !m.aplicada).length;
+  console.log(pendientes ? `${pendientes} pendiente(s)` : 'Al día');
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.accion === 'create') {
+    const archivo = path.join(MIGRATIONS_DIR, nextMigrationName(args.nombre));
+    fs.writeFileSync(archivo, PLANTILLA, { flag: 'wx' });
+    console.log('Creada', path.relative(process.cwd(), archivo));
+    return;
+  }
+
+  const { pool } = await import('./db.js'); // --create no necesita la base
+  try {
+    if (args.accion === 'status') return await status(pool);
+    if (args.accion === 'down') {
+      const hechas = await migrateDown(pool, { pasos: args.pasos, hasta: args.hasta });
+      console.log(hechas.length ? `Revertidas: ${hechas.join(', ')}` : 'Nada que revertir');
+    } else {
+      const hechas = await migrateUp(pool, { hasta: args.hasta });
+      console.log(hechas.length ? `Aplicadas: ${hechas.join(', ')}` : 'Nada pendiente');
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch(e => { console.error(e.message); process.exitCode = 1; });
@@ -0,0 +1,186 @@
+// migrations.js — Migraciones versionadas del esquema MySQL
+// - Un archivo por versión en migrations/: NNNN_nombre.js con up(db) y down(db) (down = null: irreversible)
+// - La tabla schema_migrations guarda qué versiones se aplicaron, cuándo y cuánto tardaron
+// - Se aplican en orden, una por una, con un lock (GET_LOCK) para que dos instancias no migren a la vez
+// - Las de columnas usan los helpers *IfMissing: se pueden correr sobre bases que ya tenían parte del cambio
+// Uso desde consola: ver migrate.js
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+export const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations');
+const ARCHIVO = /^(\d{4})_([a-z0-9_]+)\.js$/;
+const LOCK = 'camiones_qr_migraciones';
+
+// ---- Helpers para escribir migraciones idempotentes ----
+export async function tableExists(db, table) {
+  const [rows] = await db.query(
+    'SELECT 1 FROM information_schema.TABLES WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?',
+    [table]
+  );
+  return rows.length > 0;
+}
+export async function columnExists(db, table, column) {
+  const [rows] = await db.query(
+    `SELECT 1 FROM information_schema.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+    [table, column]
+  );
+  return rows.length > 0;
+}
+// CREATE TABLE IF NOT EXISTS no agrega columnas a tablas existentes
+export async function addColumnIfMissing(db, table, column, ddl) {
+  if (!(await columnExists(db, table, column))) await db.query(`ALTER TABLE \`${table}\` ADD COLUMN \`${column}\` ${ddl}`);
+}
+export async function dropColumnIfExists(db, table, column) {
+  if (await columnExists(db, table, column)) await db.query(`ALTER TABLE \`${table}\` DROP COLUMN \`${column}\``);
+}
+export async function makeColumnNullable(db, table, column, type) {
+  const [rows] = await db.query(
+    `SELECT IS_NULLABLE FROM information_schema.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+    [table, column]
+  );
+  if (rows.length && rows[0].IS_NULLABLE === 'NO') await db.query(`ALTER TABLE \`${table}\` MODIFY \`${column}\` ${type} NULL`);
+}
+export async function createIndexIfMissing(db, table, index, cols) {
+  const [rows] = await db.query(`SHOW INDEX FROM \`${table}\` WHERE Key_name = ?`, [index]);
+  if (!rows.length) await db.query(`CREATE INDEX \`${index}\` ON \`${table}\` (${cols})`);
+}
+
+// ---- Archivos ----
+/** Migraciones del directorio, ordenadas: [{ version, nombre, archivo }]. */
+export function loadMigrations(dir = MIGRATIONS_DIR) {
+  const lista = [];
+  for (const archivo of fs.readdirSync(dir).sort()) {
+    if (!archivo.endsWith('.js')) continue;
+    const m = archivo.match(ARCHIVO);
+    if (!m) throw new Error(`Nombre de migración inválido: ${archivo} (se espera NNNN_nombre.js)`);
+    if (lista.some(x => x.version === m[1])) throw new Error(`Versión de migración repetida: ${m[1]}`);
+    lista.push({ version: m[1], nombre: m[2], archivo: path.join(dir, archivo) });
+  }
+  return lista;
+}
+async function cargar(mig) {
+  const mod = await import(pathToFileURL(mig.archivo).href);
+  if (typeof mod.up !== 'function' || (typeof mod.down !== 'function' && mod.down !== null)) {
+    throw new Error(`La migración ${path.basename(mig.archivo)} debe exportar up(db) y down(db) (o down = null)`);
+  }
+  return mod;
+}
+
+/** Nombre del próximo archivo: 0004_agregar_algo.js */
+export function nextMigrationName(nombre, dir = MIGRATIONS_DIR) {
+  const slug = String(nombre || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+  if (!slug) throw new Error('Falta el nombre de la migración');
+  const ultima = loadMigrations(dir).at(-1);
+  return `${String((ultima ? Number(ultima.version) : 0) + 1).padStart(4, '0')}_${slug}.js`;
+}
+export const PLANTILLA = `// Ver migrations.js: up aplica el cambio, down lo deshace.
+import { addColumnIfMissing, dropColumnIfExists } from '../migrations.js';
+
+export async function up(db) {
+}
+
+export async function down(db) {
+}
+`;
+
+// ---- Estado y ejecución ----
+async function ensureMigrationsTable(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version   VARCHAR(16) PRIMARY KEY,
+      nombre    VARCHAR(128) NOT NULL,
+      appliedAt DATETIME NOT NULL,
+      ms        INT NOT NULL DEFAULT 0
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+}
+async function aplicadas(db) {
+  await ensureMigrationsTable(db);
+  const [rows] = await db.query('SELECT version, nombre, appliedAt, ms FROM schema_migrations ORDER BY version');
+  return rows;
+}
+
+/**
+ * Estado de cada migración: [{ version, nombre, aplicada, appliedAt, ms, huerfana }].
+ * huerfana = figura aplicada en la base pero su archivo ya no está.
+ */
+export async function migrationStatus(db, { dir = MIGRATIONS_DIR } = {}) {
+  const hechas = new Map((await aplicadas(db)).map(r => [r.version, r]));
+  const out = loadMigrations(dir).map(m => {
+    const r = hechas.get(m.version);
+    hechas.delete(m.version);
+    return { version: m.version, nombre: m.nombre, aplicada: !!r, appliedAt: r ? r.appliedAt : null, ms: r ? r.ms : null, huerfana: false };
+  });
+  for (const r of hechas.values()) out.push({ ...r, aplicada: true, huerfana: true });
+  return out.sort((a, b) => a.version.localeCompare(b.version));
+}
+
+// Una sola conexión con el lock tomado; las migraciones corren sobre ella
+async function conLock(pool, fn) {
+  const conn = await pool.getConnection();
+  try {
+    const [[{ ok }]] = await conn.query('SELECT GET_LOCK(?, 60) AS ok', [LOCK]);
+    if (ok !== 1) throw new Error('Otra instancia está migrando (no se obtuvo el lock en 60 s)');
+    try { return await fn(conn); } finally { await conn.query('SELECT RELEASE_LOCK(?)', [LOCK]); }
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * Aplica las pendientes en orden (hasta = última versión a aplicar, incluida).
+ * Devuelve las versiones aplicadas. Si una falla se corta ahí: las anteriores quedan registradas.
+ */
+export async function migrateUp(pool, { hasta = null, dir = MIGRATIONS_DIR, log = console.log } = {}) {
+  return conLock(pool, async db => {
+    const hechas = new Set((await aplicadas(db)).map(r => r.version));
+    const pendientes = loadMigrations(dir).filter(m => !hechas.has(m.version) && (!hasta || m.version <= hasta));
+    const hecho = [];
+    for (const m of pendientes) {
+      const { up } = await cargar(m);
+      const t0 = Date.now();
+      log(`▲ ${m.version}_${m.nombre}`);
+      try { await up(db); }
+      catch (e) { throw new Error(`Migración ${m.version}_${m.nombre} falló: ${e.message}`); }
+      await db.query('INSERT INTO schema_migrations (version, nombre, appliedAt, ms) VALUES (?, ?, ?, ?)',
+        [m.version, m.nombre, new Date(), Date.now() - t0]);
+      hecho.push(m.version);
+    }
+    return hecho;
+  });
+}
+
+/**
+ * Revierte las últimas `pasos` aplicadas, de la más nueva a la más vieja; con `hasta`,
+ * todas las posteriores a esa versión (esa queda aplicada).
+ * Si alguna del tramo es irreversible (down = null) no revierte ninguna.
+ * Devuelve las versiones revertidas.
+ */
+export async function migrateDown(pool, { pasos = 1, hasta = null, dir = MIGRATIONS_DIR, log = console.log } = {}) {
+  return conLock(pool, async db => {
+    const archivos = new Map(loadMigrations(dir).map(m => [m.version, m]));
+    let revertir = (await aplicadas(db)).map(r => r.version).reverse();
+    revertir = hasta != null ? revertir.filter(v => v > hasta) : revertir.slice(0, Math.max(0, pasos));
+    const tramo = [];
+    for (const v of revertir) {
+      const m = archivos.get(v);
+      if (!m) throw new Error(`No está el archivo de la migración ${v}: no se puede revertir`);
+      const { down } = await cargar(m);
+      if (!down) throw new Error(`La migración ${m.version}_${m.nombre} es irreversible: no se revirtió nada`);
+      tramo.push({ m, down });
+    }
+    const hecho = [];
+    for (const { m, down } of tramo) {
+      log(`▼ ${m.version}_${m.nombre}`);
+      try { await down(db); }
+      catch (e) { throw new Error(`Reversión de ${m.version}_${m.nombre} falló: ${e.message}`); }
+      await db.query('DELETE FROM schema_migrations WHERE version = ?', [m.version]);
+      hecho.push(m.version);
+    }
+    return hecho;
+  });
+}
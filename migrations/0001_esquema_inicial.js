@@ -0,0 +1,552 @@
+// Esquema hasta la llegada de las migraciones (lo que hacía ensureSchema al arrancar).
+// Todo es idempotente: en una base creada con la versión anterior solo completa lo que falte,
+// incluidos los pasos de datos (tokens públicos, historial de versiones, regla de avisos inicial).
+import crypto from 'crypto';
+import { tableExists, columnExists, addColumnIfMissing, makeColumnNullable, createIndexIfMissing } from '../migrations.js';
+import { parseDestinatarios } from '../alerts.js';
+import { parseDestino } from '../notify.js';
+
+function newId() { return Date.now().toString(36) + Math.random().toString(36).slice(2, 6); }
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS trucks (
+      placa VARCHAR(32) PRIMARY KEY,
+      unidad VARCHAR(64) NULL,
+      cedis  VARCHAR(64) NULL,
+      marca  VARCHAR(64) NULL,
+      modelo VARCHAR(64) NULL,
+      anio   VARCHAR(16) NULL,
+      vin    VARCHAR(64) NULL,
+      telefono_quejas VARCHAR(64) NULL,
+      foto   VARCHAR(512) NULL, -- aquí guardamos /file/:id
+      notas  TEXT NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+
+  await addColumnIfMissing(db, 'trucks', 'public_token', 'VARCHAR(64) NULL UNIQUE');
+  await addColumnIfMissing(db, 'trucks', 'token_rotatedAt', 'DATETIME NULL');
+  const [sinToken] = await db.query('SELECT placa FROM trucks WHERE public_token IS NULL');
+  for (const t of sinToken) {
+    await db.query('UPDATE trucks SET public_token = ? WHERE placa = ?', [crypto.randomBytes(16).toString('base64url'), t.placa]);
+  }
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS documents (
+      id VARCHAR(32) PRIMARY KEY,
+      placa VARCHAR(32) NOT NULL,
+      categoria VARCHAR(64) NOT NULL,
+      titulo VARCHAR(128) NOT NULL,
+      fecha_vencimiento DATE NULL,
+      url VARCHAR(512) NULL,    -- /file/:id si tiene imagen
+      alert22Sent TINYINT(1) NOT NULL DEFAULT 0,
+      CONSTRAINT fk_documents_truck FOREIGN KEY (placa)
+        REFERENCES trucks(placa) ON DELETE CASCADE ON UPDATE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+  // versiones: una renovación es otra fila; la anterior queda como historial apuntando a la nueva
+  const habiaVersiones = await columnExists(db, 'documents', 'reemplazado_por');
+  await addColumnIfMissing(db, 'documents', 'reemplazado_por', 'VARCHAR(32) NULL');
+  await addColumnIfMissing(db, 'documents', 'reemplazadoAt', 'DATETIME NULL');
+  await createIndexIfMissing(db, 'documents', 'idx_documents_version', 'placa, categoria, reemplazado_por');
+  if (!habiaVersiones) {
+    // antes se renovaba agregando otra fila igual: la de fecha más nueva queda vigente, el resto pasa a historial
+    const [grupos] = await db.query('SELECT placa, categoria, titulo FROM documents GROUP BY placa, categoria, titulo HAVING COUNT(*) > 1');
+    for (const g of grupos) {
+      const [rows] = await db.query(
+        `SELECT id FROM documents WHERE placa = ? AND categoria = ? AND titulo = ?
+          ORDER BY fecha_vencimiento IS NULL, fecha_vencimiento DESC, id DESC`,
+        [g.placa, g.categoria, g.titulo]
+      );
+      if (rows.length < 2) continue;
+      await db.query('UPDATE documents SET reemplazado_por = ?, reemplazadoAt = ? WHERE id IN (?)',
+        [rows[0].id, new Date(), rows.slice(1).map(x => x.id)]);
+    }
+  }
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS reports (
+      id VARCHAR(32) PRIMARY KEY,
+      placa VARCHAR(32) NOT NULL,
+      tipo VARCHAR(32) NOT NULL,
+      nombre VARCHAR(128) NULL,
+      telefono VARCHAR(64) NULL,
+      email VARCHAR(128) NULL,
+      mensaje TEXT NOT NULL,
+      createdAt DATETIME NOT NULL,
+      INDEX idx_reports_placa_created (placa, createdAt)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+  // ciclo de vida del reporte
+  await addColumnIfMissing(db, 'reports', 'estado', "VARCHAR(32) NOT NULL DEFAULT 'nuevo'");
+  await addColumnIfMissing(db, 'reports', 'assigned_to', 'VARCHAR(32) NULL');
+  await addColumnIfMissing(db, 'reports', 'resolucion', 'TEXT NULL');
+  await addColumnIfMissing(db, 'reports', 'resolvedAt', 'DATETIME NULL');
+  await addColumnIfMissing(db, 'reports', 'resolvedBy', 'VARCHAR(64) NULL');
+  // anti-spam del formulario público: los sospechosos quedan en cuarentena
+  await addColumnIfMissing(db, 'reports', 'cuarentena', 'TINYINT(1) NOT NULL DEFAULT 0');
+  await addColumnIfMissing(db, 'reports', 'spam_puntos', 'INT NULL');
+  await addColumnIfMissing(db, 'reports', 'spam_motivos', 'VARCHAR(255) NULL');
+  // evidencia del reporte público: cuándo pasó y dónde (las fotos van en report_photos)
+  await addColumnIfMissing(db, 'reports', 'ocurridoAt', 'DATETIME NULL');
+  await addColumnIfMissing(db, 'reports', 'lat', 'DECIMAL(9,6) NULL');
+  await addColumnIfMissing(db, 'reports', 'lng', 'DECIMAL(9,6) NULL');
+  await addColumnIfMissing(db, 'reports', 'precision_m', 'INT NULL');
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS report_comments (
+      id        VARCHAR(32) PRIMARY KEY,
+      report_id VARCHAR(32) NOT NULL,
+      user_id   VARCHAR(32) NULL,
+      username  VARCHAR(64) NULL,
+      texto     TEXT NOT NULL,
+      createdAt DATETIME NOT NULL,
+      INDEX idx_report_comments (report_id, createdAt),
+      CONSTRAINT fk_comments_report FOREIGN KEY (report_id)
+        REFERENCES reports(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS photos (
+      id        VARCHAR(32) PRIMARY KEY,
+      placa     VARCHAR(32) NOT NULL,
+      filename  VARCHAR(255) NOT NULL,
+      mime      VARCHAR(100) NOT NULL,
+      data      LONGBLOB NULL,
+      createdAt DATETIME NOT NULL,
+      INDEX idx_photos_placa (placa),
+      CONSTRAINT fk_photos_truck FOREIGN KEY (placa)
+        REFERENCES trucks(placa) ON DELETE CASCADE ON UPDATE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+
+  await addColumnIfMissing(db, 'photos', 'sha256', 'CHAR(64) NULL');
+  await addColumnIfMissing(db, 'photos', 'width', 'INT NULL');
+  await addColumnIfMissing(db, 'photos', 'height', 'INT NULL');
+  await addColumnIfMissing(db, 'photos', 'bytes', 'INT NULL');
+  await createIndexIfMissing(db, 'photos', 'idx_photos_hash', 'placa, sha256');
+
+  // variantes WebP (thumb/medium); las fotos viejas se generan al primer pedido
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS photo_variants (
+      photo_id VARCHAR(32) NOT NULL,
+      variant  VARCHAR(16) NOT NULL,
+      mime     VARCHAR(100) NOT NULL,
+      width    INT NULL,
+      height   INT NULL,
+      data     MEDIUMBLOB NULL,
+      PRIMARY KEY (photo_id, variant),
+      CONSTRAINT fk_variants_photo FOREIGN KEY (photo_id)
+        REFERENCES photos(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+
+  // storage: en qué driver está el binario (data queda NULL fuera de 'db')
+  await makeColumnNullable(db, 'photos', 'data', 'LONGBLOB');
+  await makeColumnNullable(db, 'photo_variants', 'data', 'MEDIUMBLOB');
+  await addColumnIfMissing(db, 'photos', 'storage', "VARCHAR(16) NOT NULL DEFAULT 'db'");
+  await addColumnIfMissing(db, 'photo_variants', 'storage', "VARCHAR(16) NOT NULL DEFAULT 'db'");
+  await addColumnIfMissing(db, 'photos', 'pages', 'INT NULL'); // solo PDF
+
+  // adjuntos de cada documento (frente/dorso, PDF de varias páginas...); documents.url = el primero
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS document_files (
+      document_id VARCHAR(32) NOT NULL,
+      photo_id    VARCHAR(32) NOT NULL,
+      pos         INT NOT NULL DEFAULT 0,
+      etiqueta    VARCHAR(64) NULL,
+      createdAt   DATETIME NOT NULL,
+      PRIMARY KEY (document_id, photo_id),
+      INDEX idx_document_files_photo (photo_id),
+      CONSTRAINT fk_docfiles_doc FOREIGN KEY (document_id)
+        REFERENCES documents(id) ON DELETE CASCADE,
+      CONSTRAINT fk_docfiles_photo FOREIGN KEY (photo_id)
+        REFERENCES photos(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+  // documentos previos con /file/:id pasan a tener ese archivo como adjunto
+  await db.query(`
+    INSERT IGNORE INTO document_files (document_id, photo_id, pos, createdAt)
+    SELECT d.id, p.id, 0, p.createdAt
+      FROM documents d JOIN photos p ON d.url = CONCAT('/file/', p.id)
+     WHERE NOT EXISTS (SELECT 1 FROM document_files f WHERE f.document_id = d.id)
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS users (
+      id        VARCHAR(32) PRIMARY KEY,
+      username  VARCHAR(64) NOT NULL UNIQUE,
+      nombre    VARCHAR(128) NULL,
+      pass_hash VARCHAR(255) NOT NULL,
+      role      VARCHAR(32) NOT NULL,
+      cedis     TEXT NULL,  -- lista separada por ; (vacío = todos)
+      activo    TINYINT(1) NOT NULL DEFAULT 1,
+      createdAt DATETIME NOT NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id        BIGINT AUTO_INCREMENT PRIMARY KEY,
+      createdAt DATETIME NOT NULL,
+      user_id   VARCHAR(32) NULL,
+      username  VARCHAR(64) NULL,
+      ip        VARCHAR(64) NULL,
+      placa     VARCHAR(32) NULL,
+      action    VARCHAR(64) NOT NULL,
+      entity    VARCHAR(32) NOT NULL, -- truck | document | photo | user
+      entity_id VARCHAR(32) NULL,
+      before_data MEDIUMTEXT NULL,    -- JSON de la fila antes del cambio
+      after_data  MEDIUMTEXT NULL,    -- JSON de la fila después del cambio
+      INDEX idx_audit_placa (placa, createdAt),
+      INDEX idx_audit_user (username, createdAt),
+      INDEX idx_audit_created (createdAt)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+
+  // Reglas de aviso de vencimiento (reemplazan el aviso fijo de 22 días)
+  const hayReglas = await tableExists(db, 'alert_rules');
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS alert_rules (
+      id            VARCHAR(32) PRIMARY KEY,
+      nombre        VARCHAR(128) NOT NULL,
+      categoria     VARCHAR(64) NULL,      -- NULL = todas
+      umbrales      VARCHAR(255) NOT NULL, -- días antes, ej. 60,30,15,7,0
+      vencidos_cada INT NULL,              -- recordatorio cada N días ya vencido (NULL = no)
+      activo        TINYINT(1) NOT NULL DEFAULT 1,
+      createdAt     DATETIME NOT NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS alert_rule_recipients (
+      rule_id VARCHAR(32) NOT NULL,
+      cedis   VARCHAR(64) NOT NULL DEFAULT '', -- '' = todos los CEDIS
+      destino VARCHAR(255) NOT NULL,           -- correo, URL de webhook, whatsapp:+506..., sms:+506...
+      PRIMARY KEY (rule_id, cedis, destino),
+      CONSTRAINT fk_recipients_rule FOREIGN KEY (rule_id)
+        REFERENCES alert_rules(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+  if (await columnExists(db, 'alert_rule_recipients', 'email')) await db.query('ALTER TABLE alert_rule_recipients CHANGE email destino VARCHAR(255) NOT NULL');
+  // un aviso por documento + regla + umbral + fecha (si se renueva el documento, los umbrales vuelven a correr)
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS alert_log (
+      id                BIGINT AUTO_INCREMENT PRIMARY KEY,
+      document_id       VARCHAR(32) NOT NULL,
+      rule_id           VARCHAR(32) NULL,
+      umbral            INT NOT NULL,          -- negativo = recordatorio de vencido
+      fecha_vencimiento DATE NOT NULL,
+      estado            VARCHAR(24) NOT NULL,  -- enviado | encolado | sin-destinatarios
+      destinatarios     TEXT NULL,
+      sentAt            DATETIME NOT NULL,
+      UNIQUE KEY uq_alert_log (document_id, rule_id, umbral, fecha_vencimiento),
+      INDEX idx_alert_log_sent (sentAt),
+      CONSTRAINT fk_alert_log_doc FOREIGN KEY (document_id)
+        REFERENCES documents(id) ON DELETE CASCADE,
+      CONSTRAINT fk_alert_log_rule FOREIGN KEY (rule_id)
+        REFERENCES alert_rules(id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+  if (!hayReglas) {
+    // regla inicial equivalente a lo anterior, con los destinatarios de ALERT_EMAIL_TO
+    const ruleId = newId();
+    await db.query(
+      `INSERT INTO alert_rules (id, nombre, categoria, umbrales, vencidos_cada, activo, createdAt)
+       VALUES (?, 'General', NULL, '60,30,22,15,7,0', 7, 1, ?)`,
+      [ruleId, new Date()]
+    );
+    for (const d of parseDestinatarios(process.env.ALERT_EMAIL_TO || '')) {
+      await db.query('INSERT INTO alert_rule_recipients (rule_id, cedis, destino) VALUES (?, ?, ?)', [ruleId, d.cedis, d.destino]);
+    }
+  }
+
+  // Notificaciones: a quién avisar por evento (reportes) y cola de reintentos
+  const hayDestinos = await tableExists(db, 'notification_targets');
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS notification_targets (
+      id        VARCHAR(32) PRIMARY KEY,
+      evento    VARCHAR(32) NOT NULL,           -- report.new | report.resolved
+      destino   VARCHAR(255) NOT NULL,
+      cedis     VARCHAR(64) NOT NULL DEFAULT '', -- '' = todos los CEDIS
+      activo    TINYINT(1) NOT NULL DEFAULT 1,
+      createdAt DATETIME NOT NULL,
+      INDEX idx_targets_evento (evento)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS notification_queue (
+      id              BIGINT AUTO_INCREMENT PRIMARY KEY,
+      evento          VARCHAR(32) NOT NULL,
+      canal           VARCHAR(16) NOT NULL,
+      destino         VARCHAR(255) NOT NULL,
+      mensaje         MEDIUMTEXT NOT NULL,   -- JSON ya armado con la plantilla
+      intentos        INT NOT NULL DEFAULT 0,
+      estado          VARCHAR(16) NOT NULL,  -- pendiente | enviando | enviado | fallido | descartado
+      last_error      TEXT NULL,
+      next_attempt_at DATETIME NOT NULL,
+      createdAt       DATETIME NOT NULL,
+      sentAt          DATETIME NULL,
+      INDEX idx_queue_estado (estado, next_attempt_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+  if (!hayDestinos && process.env.ALERT_EMAIL_TO) {
+    // antes los reportes nuevos iban a ALERT_EMAIL_TO
+    for (const destino of process.env.ALERT_EMAIL_TO.split(/[,;]/).map(x => x.trim()).filter(Boolean)) {
+      const d = parseDestino(destino);
+      if (!d) continue;
+      await db.query(
+        "INSERT INTO notification_targets (id, evento, destino, cedis, activo, createdAt) VALUES (?, 'report.new', ?, '', 1, ?)",
+        [newId(), d.canal === 'email' || d.canal === 'webhook' ? d.to : `${d.canal}:${d.to}`, new Date()]
+      );
+    }
+  }
+
+  // Claves de /api/v1: se guarda el sha256 de la clave, nunca la clave
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id         VARCHAR(32) PRIMARY KEY,
+      nombre     VARCHAR(64) NOT NULL,
+      prefix     VARCHAR(16) NOT NULL,       -- primeros caracteres, para reconocerla en el panel
+      key_hash   CHAR(64) NOT NULL,
+      scopes     VARCHAR(255) NOT NULL,      -- fleet:read,fleet:write,...
+      cedis      VARCHAR(255) NOT NULL DEFAULT '', -- separados por ; ('' = todos)
+      activo     TINYINT(1) NOT NULL DEFAULT 1,
+      createdBy  VARCHAR(64) NULL,
+      createdAt  DATETIME NOT NULL,
+      lastUsedAt DATETIME NULL,
+      UNIQUE KEY uq_api_keys_hash (key_hash)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+  // Feeds .ics privados: el token va en la URL y solo se guarda su sha256
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS calendar_feeds (
+      id         VARCHAR(32) PRIMARY KEY,
+      user_id    VARCHAR(32) NOT NULL,        -- dueño: el feed ve lo mismo que este usuario
+      nombre     VARCHAR(64) NOT NULL,
+      cedis      VARCHAR(64) NOT NULL DEFAULT '', -- '' = todos los CEDIS del usuario
+      prefix     VARCHAR(16) NOT NULL,
+      token_hash CHAR(64) NOT NULL,
+      activo     TINYINT(1) NOT NULL DEFAULT 1,
+      createdAt  DATETIME NOT NULL,
+      lastUsedAt DATETIME NULL,
+      UNIQUE KEY uq_calendar_feeds_token (token_hash),
+      CONSTRAINT fk_calendar_feeds_user FOREIGN KEY (user_id)
+        REFERENCES users(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+
+  // Mantenimiento: planes por fecha/km, bitácora de servicios (con facturas) y lecturas de odómetro
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS service_plans (
+      id          VARCHAR(32) PRIMARY KEY,
+      placa       VARCHAR(32) NOT NULL,
+      tipo        VARCHAR(64) NOT NULL,          -- ej. Cambio de aceite
+      cada_dias   INT NULL,
+      cada_km     INT NULL,
+      aviso_dias  INT NOT NULL DEFAULT 15,       -- "próximo" desde N días antes
+      aviso_km    INT NOT NULL DEFAULT 500,      -- o desde N km antes
+      desde_fecha DATE NULL,                     -- inicio del ciclo si aún no hay servicios
+      desde_km    INT NULL,
+      activo      TINYINT(1) NOT NULL DEFAULT 1,
+      createdAt   DATETIME NOT NULL,
+      INDEX idx_service_plans_placa (placa),
+      CONSTRAINT fk_service_plans_truck FOREIGN KEY (placa)
+        REFERENCES trucks(placa) ON DELETE CASCADE ON UPDATE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS service_records (
+      id        VARCHAR(32) PRIMARY KEY,
+      placa     VARCHAR(32) NOT NULL,
+      plan_id   VARCHAR(32) NULL,              -- servicio que reinicia ese plan
+      fecha     DATE NOT NULL,
+      odometro  INT NULL,
+      tipo      VARCHAR(64) NOT NULL,
+      taller    VARCHAR(128) NULL,
+      costo     DECIMAL(12,2) NULL,
+      notas     TEXT NULL,
+      createdBy VARCHAR(64) NULL,
+      createdAt DATETIME NOT NULL,
+      INDEX idx_service_records_placa (placa, fecha),
+      INDEX idx_service_records_plan (plan_id, fecha),
+      CONSTRAINT fk_service_records_truck FOREIGN KEY (placa)
+        REFERENCES trucks(placa) ON DELETE CASCADE ON UPDATE CASCADE,
+      CONSTRAINT fk_service_records_plan FOREIGN KEY (plan_id)
+        REFERENCES service_plans(id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS service_record_files (
+      record_id VARCHAR(32) NOT NULL,
+      photo_id  VARCHAR(32) NOT NULL,
+      pos       INT NOT NULL DEFAULT 0,
+      PRIMARY KEY (record_id, photo_id),
+      INDEX idx_service_files_photo (photo_id),
+      CONSTRAINT fk_service_files_record FOREIGN KEY (record_id)
+        REFERENCES service_records(id) ON DELETE CASCADE,
+      CONSTRAINT fk_service_files_photo FOREIGN KEY (photo_id)
+        REFERENCES photos(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS odometer_readings (
+      id        BIGINT AUTO_INCREMENT PRIMARY KEY,
+      placa     VARCHAR(32) NOT NULL,
+      km        INT NOT NULL,
+      fecha     DATETIME NOT NULL,
+      fuente    VARCHAR(16) NOT NULL,          -- admin | servicio | inspeccion
+      username  VARCHAR(64) NULL,
+      INDEX idx_odometer_placa (placa, fecha),
+      CONSTRAINT fk_odometer_truck FOREIGN KEY (placa)
+        REFERENCES trucks(placa) ON DELETE CASCADE ON UPDATE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+  // un aviso por plan + ciclo (último servicio) + nivel (próximo / vencido)
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS service_alert_log (
+      plan_id       VARCHAR(32) NOT NULL,
+      ciclo         VARCHAR(32) NOT NULL,      -- id del último servicio o 'inicio'
+      nivel         VARCHAR(16) NOT NULL,      -- proximo | vencido
+      estado        VARCHAR(24) NOT NULL,      -- enviado | encolado | sin-destinatarios
+      destinatarios TEXT NULL,
+      sentAt        DATETIME NOT NULL,
+      PRIMARY KEY (plan_id, ciclo, nivel),
+      CONSTRAINT fk_service_alert_plan FOREIGN KEY (plan_id)
+        REFERENCES service_plans(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+
+  // Conductores (PIN para el modo conductor de la ficha) e inspecciones pre-viaje
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS drivers (
+      id        VARCHAR(32) PRIMARY KEY,
+      nombre    VARCHAR(128) NOT NULL,
+      cedis     VARCHAR(64) NOT NULL DEFAULT '', -- '' = puede inspeccionar cualquier camión
+      cedula    VARCHAR(32) NULL,                -- con el PIN identifica al conductor al entrar
+      pin_hash  VARCHAR(255) NOT NULL,           -- scrypt con sal, como las contraseñas (ver hashPin)
+      activo    TINYINT(1) NOT NULL DEFAULT 1,
+      createdAt DATETIME NOT NULL,
+      INDEX idx_drivers_cedula (cedula)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+  await addColumnIfMissing(db, 'drivers', 'telefono', 'VARCHAR(64) NULL');
+  await addColumnIfMissing(db, 'drivers', 'licencia_categoria', 'VARCHAR(16) NULL');
+  await addColumnIfMissing(db, 'drivers', 'licencia_vence', 'DATE NULL');
+  // quién manejaba qué camión y cuándo (hasta NULL = asignación vigente)
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS driver_assignments (
+      id        VARCHAR(32) PRIMARY KEY,
+      driver_id VARCHAR(32) NOT NULL,
+      placa     VARCHAR(32) NOT NULL,
+      desde     DATETIME NOT NULL,
+      hasta     DATETIME NULL,
+      createdBy VARCHAR(64) NULL,
+      createdAt DATETIME NOT NULL,
+      INDEX idx_assignments_placa (placa, desde),
+      INDEX idx_assignments_driver (driver_id, desde),
+      CONSTRAINT fk_assignments_truck FOREIGN KEY (placa)
+        REFERENCES trucks(placa) ON DELETE CASCADE ON UPDATE CASCADE,
+      CONSTRAINT fk_assignments_driver FOREIGN KEY (driver_id)
+        REFERENCES drivers(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+  await addColumnIfMissing(db, 'reports', 'driver_id', 'VARCHAR(32) NULL'); // conductor asignado al momento del reporte
+  // avisos de vencimiento de licencias: mismas reglas que los documentos
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS license_alert_log (
+      id                BIGINT AUTO_INCREMENT PRIMARY KEY,
+      driver_id         VARCHAR(32) NOT NULL,
+      rule_id           VARCHAR(32) NULL,
+      umbral            INT NOT NULL,
+      fecha_vencimiento DATE NOT NULL,
+      estado            VARCHAR(24) NOT NULL,  -- enviado | encolado | sin-destinatarios
+      destinatarios     TEXT NULL,
+      sentAt            DATETIME NOT NULL,
+      UNIQUE KEY uq_license_alert_log (driver_id, rule_id, umbral, fecha_vencimiento),
+      INDEX idx_license_alert_log_sent (sentAt),
+      CONSTRAINT fk_license_alert_driver FOREIGN KEY (driver_id)
+        REFERENCES drivers(id) ON DELETE CASCADE,
+      CONSTRAINT fk_license_alert_rule FOREIGN KEY (rule_id)
+        REFERENCES alert_rules(id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+  const hayChecklist = await tableExists(db, 'checklist_items');
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS checklist_items (
+      id        VARCHAR(32) PRIMARY KEY,
+      texto     VARCHAR(128) NOT NULL,
+      orden     INT NOT NULL DEFAULT 0,
+      activo    TINYINT(1) NOT NULL DEFAULT 1,
+      createdAt DATETIME NOT NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+  if (!hayChecklist) {
+    const base = ['Llantas (presión y desgaste)', 'Luces y direccionales', 'Frenos', 'Documentos a bordo', 'Espejos y parabrisas', 'Niveles (aceite, agua, líquido de frenos)', 'Extintor y triángulos'];
+    for (const [i, texto] of base.entries()) {
+      await db.query('INSERT INTO checklist_items (id, texto, orden, activo, createdAt) VALUES (?, ?, ?, 1, ?)', [newId(), texto, (i + 1) * 10, new Date()]);
+    }
+  }
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS inspections (
+      id            VARCHAR(32) PRIMARY KEY,
+      placa         VARCHAR(32) NOT NULL,
+      driver_id     VARCHAR(32) NULL,
+      driver_nombre VARCHAR(128) NOT NULL,     -- copia, por si el conductor se elimina
+      odometro      INT NULL,
+      fallas        INT NOT NULL DEFAULT 0,
+      report_id     VARCHAR(32) NULL,          -- reporte creado por las fallas
+      notas         TEXT NULL,
+      createdAt     DATETIME NOT NULL,
+      INDEX idx_inspections_placa (placa, createdAt),
+      INDEX idx_inspections_driver (driver_id, createdAt),
+      CONSTRAINT fk_inspections_truck FOREIGN KEY (placa)
+        REFERENCES trucks(placa) ON DELETE CASCADE ON UPDATE CASCADE,
+      CONSTRAINT fk_inspections_driver FOREIGN KEY (driver_id)
+        REFERENCES drivers(id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS inspection_items (
+      inspection_id VARCHAR(32) NOT NULL,
+      item_id       VARCHAR(32) NOT NULL,
+      texto         VARCHAR(128) NOT NULL,     -- copia del texto al momento de inspeccionar
+      ok            TINYINT(1) NOT NULL,
+      comentario    VARCHAR(255) NULL,
+      pos           INT NOT NULL DEFAULT 0,
+      PRIMARY KEY (inspection_id, item_id),
+      CONSTRAINT fk_inspection_items FOREIGN KEY (inspection_id)
+        REFERENCES inspections(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS inspection_photos (
+      inspection_id VARCHAR(32) NOT NULL,
+      photo_id      VARCHAR(32) NOT NULL,
+      item_id       VARCHAR(32) NULL,          -- NULL = foto general
+      PRIMARY KEY (inspection_id, photo_id),
+      INDEX idx_inspection_photos_photo (photo_id),
+      CONSTRAINT fk_inspection_photos FOREIGN KEY (inspection_id)
+        REFERENCES inspections(id) ON DELETE CASCADE,
+      CONSTRAINT fk_inspection_photos_photo FOREIGN KEY (photo_id)
+        REFERENCES photos(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS report_photos (
+      report_id VARCHAR(32) NOT NULL,
+      photo_id  VARCHAR(32) NOT NULL,
+      pos       INT NOT NULL DEFAULT 0,
+      PRIMARY KEY (report_id, photo_id),
+      INDEX idx_report_photos_photo (photo_id),
+      CONSTRAINT fk_report_photos FOREIGN KEY (report_id)
+        REFERENCES reports(id) ON DELETE CASCADE,
+      CONSTRAINT fk_report_photos_photo FOREIGN KEY (photo_id)
+        REFERENCES photos(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+}
+
+// La base no se revierte: su down borraría todas las tablas con sus datos. Para volver a cero,
+// borrar la base (o restaurar un respaldo) y correr las migraciones de nuevo.
+export const down = null;
@@ -0,0 +1,18 @@
+// Qué ve quien escanea el QR: visibilidad por documento y por foto, y VIN/notas ocultables.
+import { addColumnIfMissing, dropColumnIfExists } from '../migrations.js';
+
+export async function up(db) {
+  await addColumnIfMissing(db, 'trucks', 'ocultar_vin', 'TINYINT(1) NOT NULL DEFAULT 0');
+  await addColumnIfMissing(db, 'trucks', 'ocultar_notas', 'TINYINT(1) NOT NULL DEFAULT 0');
+  // publico | estado (nombre y vigencia, sin archivos) | interno
+  await addColumnIfMissing(db, 'documents', 'visibilidad', "VARCHAR(16) NOT NULL DEFAULT 'publico'");
+  // galería: publico | interno
+  await addColumnIfMissing(db, 'photos', 'visibilidad', "VARCHAR(16) NOT NULL DEFAULT 'publico'");
+}
+
+export async function down(db) {
+  await dropColumnIfExists(db, 'photos', 'visibilidad');
+  await dropColumnIfExists(db, 'documents', 'visibilidad');
+  await dropColumnIfExists(db, 'trucks', 'ocultar_notas');
+  await dropColumnIfExists(db, 'trucks', 'ocultar_vin');
+}
@@ -0,0 +1,22 @@
+// Escaneos de la ficha pública: sin IP ni user-agent completo (ver scans.js).
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS scan_events (
+      id        BIGINT AUTO_INCREMENT PRIMARY KEY,
+      placa     VARCHAR(32) NOT NULL,
+      createdAt DATETIME NOT NULL,
+      origen    VARCHAR(16) NOT NULL,    -- qr | buscar
+      agente    VARCHAR(16) NOT NULL,    -- android | ios | movil | escritorio | otro
+      referer   VARCHAR(128) NULL,       -- solo el dominio
+      INDEX idx_scan_events_placa (placa, createdAt),
+      INDEX idx_scan_events_fecha (createdAt),
+      CONSTRAINT fk_scan_events_truck FOREIGN KEY (placa)
+        REFERENCES trucks(placa) ON DELETE CASCADE ON UPDATE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+}
+
+export async function down(db) {
+  await db.query('DROP TABLE IF EXISTS scan_events');
+}
@@ -0,0 +1,319 @@
+// notify.js — Despachador de notificaciones
+// - Canales: email (nodemailer), webhook HTTP firmado (HMAC-SHA256), WhatsApp y SMS
+// - WhatsApp/SMS van por un proveedor: 'twilio' (API REST; TWILIO_API_BASE permite
+//   apuntar a un mock local) o 'mock' (en memoria, para pruebas y desarrollo)
+// - Un destino es un texto: correo@x.com | https://hook | whatsapp:+50688887777 | sms:+50688887777
+// - Plantillas por evento: report.new, report.resolved, doc.expiring, service.due
+// - Lo que falla queda en notification_queue y se reintenta con espera creciente
+
+import crypto from 'crypto';
+
+export const EVENTOS = {
+  'report.new': 'Nuevo reporte',
+  'report.resolved': 'Reporte resuelto',
+  'doc.expiring': 'Documentos por vencer',
+  'service.due': 'Servicios de mantenimiento'
+};
+export const CANALES = ['email', 'webhook', 'whatsapp', 'sms'];
+
+// espera antes de cada reintento (minutos); después del último queda 'fallido'
+const BACKOFF_MIN = [1, 5, 30, 120, 720, 1440];
+// cuánto dura el reclamo de una fila mientras se envía (un envío tarda a lo sumo 15 s)
+const ENVIANDO_MIN = 10;
+
+function esc(s) {
+  return String(s ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+const fecha = v => (v ? new Date(v).toISOString().slice(0, 10) : '-');
+
+/** 'whatsapp:+506 8888-7777' → { canal: 'whatsapp', to: '+50688887777' } (null si no se reconoce) */
+export function parseDestino(destino) {
+  const d = String(destino || '').trim();
+  let m;
+  if ((m = d.match(/^(whatsapp|sms):\s*(\+?[\d\s()-]{6,})$/i))) return { canal: m[1].toLowerCase(), to: m[2].replace(/[^\d+]/g, '') };
+  if (/^https?:\/\/\S+$/i.test(d)) return { canal: 'webhook', to: d };
+  if (/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(d)) return { canal: 'email', to: d.toLowerCase() };
+  return null;
+}
+
+// ---------- Registro de avisos (alert_log, service_alert_log) ----------
+/**
+ * Estado para el registro a partir del resultado de send().
+ * entregados = enviados o en la cola; pendientes = omitidos (ej. webhook sin WEBHOOK_SECRET), que la próxima
+ * corrida vuelve a intentar. estado: enviado | encolado | parcial, o null si no salió por ningún destino.
+ */
+export function resultadoEnvio({ enviados, encolados, omitidos }) {
+  const entregados = [...enviados, ...encolados];
+  const pendientes = omitidos.map(o => o.destino);
+  const estado = !entregados.length ? null : pendientes.length ? 'parcial' : enviados.length ? 'enviado' : 'encolado';
+  return { estado, entregados, pendientes };
+}
+
+/** Destinos a los que todavía falta mandar un aviso ya registrado (log = { estado, destinatarios } o null). */
+export function destinosFaltantes(para, log) {
+  if (!log) return para;
+  if (log.estado !== 'parcial') return [];
+  const hechos = new Set(String(log.destinatarios || '').split(', '));
+  return para.filter(d => !hechos.has(d));
+}
+
+// ---------- Plantillas ----------
+// Cada evento arma: subject + html (email), text (WhatsApp/SMS) y data (cuerpo del webhook)
+export const TEMPLATES = {
+  'report.new': r => ({
+    subject: `Nuevo reporte (${r.tipo}) — ${r.placa}`,
+    html: `
+      <p><b>Placa:</b> ${esc(r.placa)}${r.cedis ? ` (${esc(r.cedis)})` : ''}</p>
+      <p><b>Tipo:</b> ${esc(r.tipo)}</p>
+      <p><b>Nombre:</b> ${esc(r.nombre || '-')}</p>
+      <p><b>Teléfono:</b> ${esc(r.telefono || '-')}</p>
+      <p><b>Email:</b> ${esc(r.email || '-')}</p>
+      <p><b>Mensaje:</b><br>${esc(r.mensaje)}</p>
+      ${r.conductor ? `<p><b>Conductor asignado:</b> ${esc(r.conductor)}</p>` : ''}
+      ${r.ocurridoAt ? `<p><b>Cuándo pasó:</b> ${new Date(r.ocurridoAt).toLocaleString()}</p>` : ''}
+      ${r.mapa ? `<p><b>Ubicación:</b> <a href="${esc(r.mapa)}">ver en el mapa</a></p>` : ''}
+      ${r.fotos?.length ? `<p><b>Fotos:</b> ${r.fotos.map((u, i) => `<a href="${esc(u)}">${i + 1}</a>`).join(' ')}</p>` : ''}
+      ${r.link ? `<p><a href="${esc(r.link)}">Abrir en el panel</a></p>` : ''}
+      <p style="color:#888">Enviado: ${new Date(r.createdAt).toLocaleString()}</p>`,
+    text: `🚚 Nuevo reporte (${r.tipo}) — ${r.placa}${r.cedis ? ` / ${r.cedis}` : ''}\n${r.mensaje}` +
+      `${r.nombre || r.telefono ? `\nDe: ${[r.nombre, r.telefono].filter(Boolean).join(' ')}` : ''}` +
+      `${r.conductor ? `\nConductor: ${r.conductor}` : ''}${r.fotos?.length ? `\n📷 ${r.fotos.length} foto(s)` : ''}` +
+      `${r.mapa ? `\n📍 ${r.mapa}` : ''}${r.link ? `\n${r.link}` : ''}`
+  }),
+  // reportante = true: el correo va al ciudadano que hizo el reporte
+  'report.resolved': r => ({
+    subject: r.reportante ? `Tu reporte sobre la placa ${r.placa} fue resuelto` : `Reporte resuelto (${r.tipo}) — ${r.placa}`,
+    html: r.reportante ? `
+      <p>Hola${r.nombre ? ' ' + esc(r.nombre) : ''},</p>
+      <p>Tu reporte (${esc(r.tipo)}) del ${new Date(r.createdAt).toLocaleDateString()} sobre la placa <b>${esc(r.placa)}</b> fue marcado como resuelto.</p>
+      <p><b>Resolución:</b><br>${esc(r.resolucion || '')}</p>
+      <p style="color:#888">Gracias por ayudarnos a mejorar.</p>` : `
+      <p>El reporte (${esc(r.tipo)}) del ${new Date(r.createdAt).toLocaleDateString()} sobre la placa <b>${esc(r.placa)}</b> fue resuelto por ${esc(r.resolvedBy || '-')}.</p>
+      <p><b>Resolución:</b><br>${esc(r.resolucion || '')}</p>`,
+    text: `✅ Reporte resuelto — ${r.placa} (${r.tipo})\n${r.resolucion || ''}`
+  }),
+  // items: [{ placa (o conductor, en licencias), cedis, categoria, titulo, fecha_vencimiento, dias, aviso, regla, link }]
+  'doc.expiring': ({ items }) => {
+    const vencidos = items.filter(i => i.dias < 0).length;
+    return {
+      subject: `Avisos de vencimiento — ${items.length} documento(s)${vencidos ? `, ${vencidos} vencido(s)` : ''} — ${new Date().toLocaleDateString()}`,
+      html: `<p>Documentos que requieren atención:</p>
+        <table border="1" cellpadding="4" cellspacing="0">
+          <tr><th>Placa / conductor</th><th>CEDIS</th><th>Documento</th><th>Vence</th><th>Aviso</th><th>Regla</th></tr>
+          ${items.map(i =>
+            `<tr><td>${i.link ? `<a href="${esc(i.link)}"><b>${esc(i.placa || i.conductor)}</b></a>` : `<b>${esc(i.placa || i.conductor)}</b>`}</td>` +
+            `<td>${esc(i.cedis || '')}</td><td>${esc(i.categoria)}: ${esc(i.titulo)}</td>` +
+            `<td><b>${fecha(i.fecha_vencimiento)}</b></td><td>${esc(i.aviso)}</td><td>${esc(i.regla)}</td></tr>`).join('')}
+        </table>`,
+      text: `⚠️ ${items.length} documento(s) por vencer${vencidos ? ` (${vencidos} vencido/s)` : ''}:\n` +
+        items.map(i => `• ${i.placa || i.conductor} — ${i.categoria}: vence ${fecha(i.fecha_vencimiento)} (${i.aviso})`).join('\n')
+    };
+  },
+  // items: [{ placa, cedis, tipo, estado, motivo, proxima_fecha, proximo_km, odometro, link }]
+  'service.due': ({ items }) => {
+    const vencidos = items.filter(i => i.estado === 'vencido').length;
+    const cuando = i => [i.proximo_km != null ? `${i.proximo_km} km` : null, i.proxima_fecha ? fecha(i.proxima_fecha) : null].filter(Boolean).join(' / ') || '-';
+    return {
+      subject: `Mantenimiento — ${items.length} servicio(s)${vencidos ? `, ${vencidos} vencido(s)` : ''} — ${new Date().toLocaleDateString()}`,
+      html: `<p>Servicios que requieren atención:</p>
+        <table border="1" cellpadding="4" cellspacing="0">
+          <tr><th>Placa</th><th>CEDIS</th><th>Servicio</th><th>Toca</th><th>Odómetro</th><th>Estado</th></tr>
+          ${items.map(i =>
+            `<tr><td>${i.link ? `<a href="${esc(i.link)}"><b>${esc(i.placa)}</b></a>` : `<b>${esc(i.placa)}</b>`}</td>` +
+            `<td>${esc(i.cedis || '')}</td><td>${esc(i.tipo)}</td><td><b>${esc(cuando(i))}</b></td>` +
+            `<td>${i.odometro != null ? esc(i.odometro) + ' km' : '-'}</td><td>${esc(i.motivo || i.estado)}</td></tr>`).join('')}
+        </table>`,
+      text: `🔧 ${items.length} servicio(s) de mantenimiento${vencidos ? ` (${vencidos} vencido/s)` : ''}:\n` +
+        items.map(i => `• ${i.placa} — ${i.tipo}: ${cuando(i)} (${i.motivo || i.estado})`).join('\n')
+    };
+  },
+  test: () => ({
+    subject: 'Prueba de notificación — Camiones QR',
+    html: '<p>Si recibiste esto, el canal está bien configurado.</p>',
+    text: 'Prueba de notificación — Camiones QR: el canal está bien configurado.'
+  })
+};
+
+// ---------- Proveedores WhatsApp / SMS ----------
+// Mock en memoria: outbox guarda lo "enviado"; failNext > 0 hace fallar los próximos envíos
+export const mockProvider = {
+  outbox: [],
+  failNext: 0,
+  async send({ canal, to, text }) {
+    if (this.failNext > 0) { this.failNext--; throw new Error('mock: fallo simulado'); }
+    this.outbox.push({ canal, to, text, at: new Date() });
+  }
+};
+
+function twilioProvider(env) {
+  const sid = env.TWILIO_ACCOUNT_SID, token = env.TWILIO_AUTH_TOKEN;
+  if (!sid || !token) return null;
+  const base = (env.TWILIO_API_BASE || 'https://api.twilio.com').replace(/\/+$/, '');
+  return {
+    async send({ canal, to, text }) {
+      const from = canal === 'whatsapp' ? env.TWILIO_WHATSAPP_FROM : env.TWILIO_SMS_FROM;
+      if (!from) throw new Error(`Falta TWILIO_${canal === 'whatsapp' ? 'WHATSAPP' : 'SMS'}_FROM`);
+      const pre = canal === 'whatsapp' ? 'whatsapp:' : '';
+      const r = await fetch(`${base}/2010-04-01/Accounts/${encodeURIComponent(sid)}/Messages.json`, {
+        method: 'POST',
+        headers: {
+          Authorization: 'Basic ' + Buffer.from(`${sid}:${token}`).toString('base64'),
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: new URLSearchParams({ To: pre + to, From: pre + from.replace(/^whatsapp:/, ''), Body: text }),
+        signal: AbortSignal.timeout(15000)
+      });
+      if (!r.ok) throw new Error(`twilio ${r.status}: ${(await r.text()).slice(0, 200)}`);
+    }
+  };
+}
+
+function messagingProvider(env) {
+  const name = String(env.MESSAGING_PROVIDER || '').toLowerCase();
+  if (name === 'mock') return mockProvider;
+  if (name === 'twilio') return twilioProvider(env);
+  return null;
+}
+
+// ---------- Webhooks ----------
+/** Firma: hex(HMAC-SHA256(secret, `${timestamp}.${body}`)) — el receptor la recalcula igual. */
+export function signWebhook(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+async function postWebhook(url, body, evento, secret) {
+  const ts = Math.floor(Date.now() / 1000).toString();
+  const headers = { 'Content-Type': 'application/json', 'X-Camiones-Event': evento, 'X-Camiones-Timestamp': ts };
+  headers['X-Camiones-Signature'] = 'sha256=' + signWebhook(secret, ts, body);
+  const r = await fetch(url, { method: 'POST', headers, body, signal: AbortSignal.timeout(10000) });
+  if (!r.ok) throw new Error(`webhook ${r.status}`);
+}
+
+/**
+ * Crea el despachador.
+ * deps: { pool, transporter (o null), env }
+ * Devuelve { send, processQueue, canalesActivos, retry, discard, listQueue }.
+ */
+export function createNotifier({ pool, transporter = null, env = process.env }) {
+  const provider = messagingProvider(env);
+  const from = env.SMTP_FROM || env.SMTP_USER;
+
+  // sin WEBHOOK_SECRET no se manda nada sin firmar: los destinos webhook quedan omitidos
+  if (!env.WEBHOOK_SECRET) console.warn('WEBHOOK_SECRET no definida: los webhooks quedan desactivados');
+  const canalesActivos = {
+    email: !!transporter,
+    webhook: !!env.WEBHOOK_SECRET,
+    whatsapp: !!provider,
+    sms: !!provider
+  };
+
+  // Envía un mensaje ya armado por un canal; lanza si falla
+  async function deliver(canal, to, msg, evento) {
+    if (canal === 'email') return transporter.sendMail({ from, to, subject: msg.subject, html: msg.html });
+    if (canal === 'webhook') return postWebhook(to, msg.body, evento, env.WEBHOOK_SECRET);
+    return provider.send({ canal, to, text: msg.text });
+  }
+
+  async function enqueue(evento, canal, to, msg, error) {
+    await pool.query(
+      `INSERT INTO notification_queue (evento, canal, destino, mensaje, intentos, estado, last_error, next_attempt_at, createdAt)
+       VALUES (?, ?, ?, ?, 1, 'pendiente', ?, ?, ?)`,
+      [evento, canal, to, JSON.stringify(msg), String(error).slice(0, 500), new Date(Date.now() + BACKOFF_MIN[0] * 60000), new Date()]
+    );
+  }
+
+  /**
+   * Manda el evento a cada destino por su canal.
+   * Devuelve { enviados: [destino], encolados: [destino], omitidos: [{ destino, motivo }] }.
+   */
+  async function send(evento, data, destinos) {
+    const tpl = TEMPLATES[evento];
+    if (!tpl) throw new Error('Evento desconocido: ' + evento);
+    const base = tpl(data);
+    const out = { enviados: [], encolados: [], omitidos: [] };
+    for (const destino of [...new Set(destinos)]) {
+      const d = parseDestino(destino);
+      if (!d) { out.omitidos.push({ destino, motivo: 'destino inválido' }); continue; }
+      if (!canalesActivos[d.canal]) { out.omitidos.push({ destino, motivo: `${d.canal} no configurado` }); continue; }
+      const msg = d.canal === 'webhook'
+        ? { body: JSON.stringify({ event: evento, createdAt: new Date().toISOString(), data }) }
+        : base;
+      try {
+        await deliver(d.canal, d.to, msg, evento);
+        out.enviados.push(destino);
+      } catch (e) {
+        console.error(`notificación ${evento} → ${destino}:`, e.message);
+        try {
+          await enqueue(evento, d.canal, d.to, msg, e.message);
+          out.encolados.push(destino);
+        } catch (qe) {
+          console.error('notification_queue:', qe.message);
+          out.omitidos.push({ destino, motivo: e.message });
+        }
+      }
+    }
+    return out;
+  }
+
+  /**
+   * Reintenta lo pendiente cuyo turno ya llegó. Devuelve { enviados, fallidos, reintentar }.
+   * Cada fila se reclama antes de enviarla (estado 'enviando' por ENVIANDO_MIN minutos): otra corrida u otra
+   * instancia que leyó la misma fila no la manda de nuevo. Si el proceso muere a mitad, vuelve a tomarse al vencer.
+   */
+  async function processQueue(limit = 50) {
+    const [rows] = await pool.query(
+      `SELECT * FROM notification_queue
+        WHERE estado IN ('pendiente', 'enviando') AND next_attempt_at <= ?
+        ORDER BY next_attempt_at LIMIT ${Number(limit) || 50}`,
+      [new Date()]
+    );
+    const out = { enviados: 0, fallidos: 0, reintentar: 0 };
+    for (const q of rows) {
+      const [claim] = await pool.query(
+        `UPDATE notification_queue SET estado = 'enviando', next_attempt_at = ? WHERE id = ? AND estado = ? AND next_attempt_at = ?`,
+        [new Date(Date.now() + ENVIANDO_MIN * 60000), q.id, q.estado, q.next_attempt_at]
+      );
+      if (!claim.affectedRows) continue; // la tomó otro
+      try {
+        if (!canalesActivos[q.canal]) throw new Error(`${q.canal} no configurado`);
+        await deliver(q.canal, q.destino, JSON.parse(q.mensaje), q.evento);
+        await pool.query(`UPDATE notification_queue SET estado = 'enviado', sentAt = ?, intentos = intentos + 1 WHERE id = ?`, [new Date(), q.id]);
+        out.enviados++;
+      } catch (e) {
+        const intentos = q.intentos + 1;
+        const espera = BACKOFF_MIN[intentos - 1];
+        await pool.query(
+          `UPDATE notification_queue SET intentos = ?, last_error = ?, estado = ?, next_attempt_at = ? WHERE id = ?`,
+          [intentos, String(e.message).slice(0, 500), espera ? 'pendiente' : 'fallido',
+           espera ? new Date(Date.now() + espera * 60000) : q.next_attempt_at, q.id]
+        );
+        if (espera) out.reintentar++; else out.fallidos++;
+      }
+    }
+    return out;
+  }
+
+  // Volver a poner en cola ya (desde el panel)
+  async function retry(id) {
+    const [r] = await pool.query(
+      `UPDATE notification_queue SET estado = 'pendiente', next_attempt_at = ? WHERE id = ? AND estado NOT IN ('enviado', 'enviando')`,
+      [new Date(), id]
+    );
+    return r.affectedRows > 0;
+  }
+  async function discard(id) {
+    const [r] = await pool.query(`UPDATE notification_queue SET estado = 'descartado' WHERE id = ? AND estado NOT IN ('enviado', 'enviando')`, [id]);
+    return r.affectedRows > 0;
+  }
+  async function listQueue({ estado = null, limit = 100 } = {}) {
+    const [rows] = await pool.query(
+      `SELECT id, evento, canal, destino, intentos, estado, last_error, next_attempt_at, createdAt, sentAt
+         FROM notification_queue ${estado ? 'WHERE estado = ?' : ''}
+        ORDER BY createdAt DESC LIMIT ${Number(limit) || 100}`,
+      estado ? [estado] : []
+    );
+    return rows;
+  }
+
+  return { send, processQueue, canalesActivos, retry, discard, listQueue };
+}
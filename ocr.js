@@ -0,0 +1,114 @@
+// ocr.js — OCR local de documentos (tesseract.js + spa.traineddata del repo)
+// - Un solo worker, creado al primer uso y reutilizado (los trabajos se encolan)
+// - Sugiere categoría, placa y fecha de vencimiento a partir del texto
+// - Nada sale del servidor: el modelo se lee de OCR_LANG_PATH (por defecto, la raíz del repo)
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import sharp from 'sharp';
+import { createWorker } from 'tesseract.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const LANG_PATH = process.env.OCR_LANG_PATH || __dirname;
+export const OCR_ENABLED = String(process.env.OCR_ENABLED || 'true') === 'true';
+
+let workerPromise = null;
+function getWorker() {
+  if (!workerPromise) {
+    workerPromise = createWorker('spa', 1, { langPath: LANG_PATH, gzip: false, cacheMethod: 'none' })
+      .catch(e => { workerPromise = null; throw e; });
+  }
+  return workerPromise;
+}
+
+/** Texto reconocido en la imagen (escala de grises, máx. 2000 px para que no tarde). */
+export async function recognize(buffer) {
+  const img = await sharp(buffer)
+    .rotate()
+    .resize({ width: 2000, height: 2000, fit: 'inside', withoutEnlargement: true })
+    .grayscale()
+    .normalize()
+    .png()
+    .toBuffer();
+  const worker = await getWorker();
+  const { data } = await worker.recognize(img);
+  return data.text || '';
+}
+
+// ---------- Sugerencias ----------
+const CATEGORIAS = [
+  { categoria: 'Dekra', re: /\bdekra\b|revisi[oó]n\s+t[eé]cnica|\brtv\b|inspecci[oó]n\s+vehicular/i },
+  { categoria: 'Marchamo', re: /marchamo|derecho\s+de\s+circulaci[oó]n|\bsoa\b|seguro\s+obligatorio/i },
+  { categoria: 'Póliza', re: /p[oó]liza|aseguradora|asegurado|cobertura|prima\b/i },
+  { categoria: 'Permiso', re: /permiso|\bmopt\b|\bcosevi\b|\bctp\b|autorizaci[oó]n|licencia/i }
+];
+
+const MESES = {
+  ene: 1, enero: 1, feb: 2, febrero: 2, mar: 3, marzo: 3, abr: 4, abril: 4, may: 5, mayo: 5,
+  jun: 6, junio: 6, jul: 7, julio: 7, ago: 8, agosto: 8, set: 9, sep: 9, sept: 9, setiembre: 9, septiembre: 9,
+  oct: 10, octubre: 10, nov: 11, noviembre: 11, dic: 12, diciembre: 12
+};
+const VENCE_RE = /venc|vence|vigen|v[aá]lid|hasta|expira|caduca/i;
+
+function normPlaca(s) {
+  return String(s || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+function isoDate(y, m, d) {
+  if (y < 100) y += 2000;
+  const dt = new Date(Date.UTC(y, m - 1, d));
+  if (dt.getUTCFullYear() !== y || dt.getUTCMonth() !== m - 1 || dt.getUTCDate() !== d) return null;
+  if (y < 2000 || y > 2100) return null;
+  return dt.toISOString().slice(0, 10);
+}
+
+// Fechas del texto con su posición: dd/mm/aaaa, aaaa-mm-dd, "15 de marzo de 2027", "15 MAR 2027"
+function findDates(text) {
+  const out = [];
+  const push = (iso, index) => { if (iso) out.push({ fecha: iso, index }); };
+  // los OCR suelen confundir O/o con 0 dentro de números
+  const t = text.replace(/(?<=\d)[Oo]|[Oo](?=\d)/g, '0');
+  for (const m of t.matchAll(/\b(\d{1,2})\s*[/.\-]\s*(\d{1,2})\s*[/.\-]\s*(\d{4}|\d{2})\b/g)) push(isoDate(+m[3], +m[2], +m[1]), m.index);
+  for (const m of t.matchAll(/\b(\d{4})\s*[/.\-]\s*(\d{1,2})\s*[/.\-]\s*(\d{1,2})\b/g)) push(isoDate(+m[1], +m[2], +m[3]), m.index);
+  for (const m of t.matchAll(/\b(\d{1,2})\s*(?:de\s+)?([a-záé]{3,10})\.?\s*(?:de\s+|del\s+)?(\d{4})\b/gi)) {
+    const mes = MESES[m[2].toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '')];
+    if (mes) push(isoDate(+m[3], mes, +m[1]), m.index);
+  }
+  return out;
+}
+
+function findPlacas(text) {
+  const found = new Set();
+  // carga (C-123456), carga liviana (CL-123456), particulares (ABC-123 / 123456 junto a "placa")
+  for (const m of text.toUpperCase().matchAll(/\b(CL|C)\s*[-\s]?\s*(\d{5,6})\b/g)) found.add(m[1] + m[2]);
+  for (const m of text.toUpperCase().matchAll(/\b([A-Z]{3})\s*[-\s]\s*(\d{3})\b/g)) found.add(m[1] + m[2]);
+  for (const m of text.matchAll(/placa\s*(?:n[°ºo.]*)?\s*[:#]?\s*([A-Z0-9][A-Z0-9 -]{2,9}[0-9])/gi)) found.add(normPlaca(m[1]));
+  return [...found];
+}
+
+/**
+ * Sugerencias a partir del texto OCR.
+ * placa: la placa del camión que se está editando (para avisar si no coincide).
+ * Devuelve { categoria, fecha, fechas, placas, placaCoincide, aviso }.
+ */
+export function extractSuggestions(text, { placa = '', hoy = new Date() } = {}) {
+  const categoria = (CATEGORIAS.find(c => c.re.test(text)) || {}).categoria || null;
+
+  // la fecha de vencimiento suele estar cerca de "vence/vigencia/hasta"; si no, la más lejana en el futuro
+  const today = hoy.toISOString().slice(0, 10);
+  const fechas = findDates(text).map(f => {
+    const before = text.slice(Math.max(0, f.index - 40), f.index);
+    return { ...f, score: (VENCE_RE.test(before) ? 10 : 0) + (f.fecha >= today ? 2 : 0) };
+  });
+  fechas.sort((a, b) => b.score - a.score || b.fecha.localeCompare(a.fecha));
+  const unicas = [...new Set(fechas.map(f => f.fecha))];
+
+  const placas = findPlacas(text);
+  const objetivo = normPlaca(placa);
+  const placaCoincide = !placas.length || !objetivo ? null : placas.includes(objetivo);
+  const aviso = placaCoincide === false
+    ? `La placa del documento (${placas.join(', ')}) no coincide con ${String(placa).toUpperCase()}`
+    : null;
+
+  return { categoria, fecha: unicas[0] || null, fechas: unicas, placas, placaCoincide, aviso };
+}
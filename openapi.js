@@ -0,0 +1,325 @@
+// openapi.js — Descripción OpenAPI 3.0 de /api/v1 (se sirve en /api/v1/openapi.json)
+// Mantener en sincronía con la sección "API v1" de server.js.
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const json = schema => ({ content: { 'application/json': { schema } } });
+const ok = (schema, description = 'OK') => ({ description, ...json(schema) });
+const page = item => ({
+  type: 'object',
+  properties: { data: { type: 'array', items: item }, meta: ref('PageMeta') }
+});
+const one = item => ({ type: 'object', properties: { data: item } });
+// warnings: el documento quedó como historial porque ya hay una versión vigente con vencimiento posterior
+const conAvisos = item => ({ type: 'object', properties: { data: item, warnings: { type: 'array', items: { type: 'string' } } } });
+const err = description => ({ description, ...json(ref('Error')) });
+const errores = (...codes) => Object.fromEntries(codes.map(c => [c, { $ref: `#/components/responses/E${c}` }]));
+
+const pageParams = [
+  { name: 'page', in: 'query', schema: { type: 'integer', minimum: 1, default: 1 } },
+  { name: 'perPage', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 200, default: 50 } }
+];
+const placaParam = { name: 'placa', in: 'path', required: true, schema: { type: 'string' } };
+const idParam = { name: 'id', in: 'path', required: true, schema: { type: 'string' } };
+const multipart = {
+  required: true,
+  content: {
+    'multipart/form-data': {
+      schema: { type: 'object', properties: { archivos: { type: 'array', items: { type: 'string', format: 'binary' } } } }
+    }
+  }
+};
+const scope = s => ({ 'x-scope': s, security: [{ bearer: [] }, { apiKey: [] }] });
+
+export const openapi = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Camiones QR — API',
+    version: '1.0.0',
+    description:
+      'API JSON para sincronizar flota, documentos, fotos, reportes y vencimientos.\n\n' +
+      'Autenticación: `Authorization: Bearer <api key>` (o `X-API-Key`). Las claves se crean en /admin/api-keys ' +
+      'con permisos (scopes) y, opcionalmente, limitadas a algunos CEDIS.\n\n' +
+      'Listados paginados con `page` y `perPage` (máx. 200). Los errores siempre tienen la forma ' +
+      '`{ "error": { "code", "message", "details"? } }`.'
+  },
+  servers: [{ url: '/api/v1' }],
+  components: {
+    securitySchemes: {
+      bearer: { type: 'http', scheme: 'bearer' },
+      apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+    },
+    schemas: {
+      Error: {
+        type: 'object',
+        required: ['error'],
+        properties: {
+          error: {
+            type: 'object',
+            required: ['code', 'message'],
+            properties: {
+              code: { type: 'string', enum: ['unauthorized', 'forbidden', 'not_found', 'validation_error', 'conflict', 'invalid_json', 'invalid_upload', 'internal'] },
+              message: { type: 'string' },
+              details: { type: 'array', items: { type: 'object', properties: { field: { type: 'string' }, message: { type: 'string' } } } }
+            }
+          }
+        }
+      },
+      PageMeta: {
+        type: 'object',
+        properties: { page: { type: 'integer' }, perPage: { type: 'integer' }, total: { type: 'integer' }, pages: { type: 'integer' } }
+      },
+      Truck: {
+        type: 'object',
+        properties: {
+          placa: { type: 'string' }, unidad: { type: 'string' }, cedis: { type: 'string' },
+          marca: { type: 'string' }, modelo: { type: 'string' }, anio: { type: 'string' }, vin: { type: 'string' },
+          telefono_quejas: { type: 'string' }, foto: { type: 'string', nullable: true },
+          notas: { type: 'array', items: { type: 'string' } },
+          ficha_url: { type: 'string', description: 'URL pública de la ficha (la del QR)' },
+          ocultar_vin: { type: 'boolean', description: 'El VIN no se muestra en la ficha pública' },
+          ocultar_notas: { type: 'boolean', description: 'Las notas no se muestran en la ficha pública' }
+        }
+      },
+      TruckSummary: {
+        type: 'object',
+        properties: {
+          placa: { type: 'string' }, unidad: { type: 'string' }, cedis: { type: 'string' },
+          marca: { type: 'string' }, modelo: { type: 'string' }, anio: { type: 'string' }, vin: { type: 'string' },
+          foto: { type: 'string', nullable: true },
+          vencidos: { type: 'integer' }, por_vencer: { type: 'integer' }, vigentes: { type: 'integer' },
+          reportes_abiertos: { type: 'integer' }
+        }
+      },
+      TruckInput: {
+        type: 'object',
+        properties: {
+          placa: { type: 'string', description: 'Solo al crear' }, unidad: { type: 'string' }, cedis: { type: 'string' },
+          marca: { type: 'string' }, modelo: { type: 'string' }, anio: { type: 'string' }, vin: { type: 'string' },
+          telefono_quejas: { type: 'string' },
+          notas: { oneOf: [{ type: 'array', items: { type: 'string' } }, { type: 'string', description: 'Separadas por ;' }] },
+          ocultar_vin: { type: 'boolean', description: 'Solo en PATCH' }, ocultar_notas: { type: 'boolean', description: 'Solo en PATCH' }
+        }
+      },
+      File: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' }, placa: { type: 'string' }, filename: { type: 'string' }, mime: { type: 'string' },
+          width: { type: 'integer', nullable: true }, height: { type: 'integer', nullable: true },
+          bytes: { type: 'integer', nullable: true }, pages: { type: 'integer', nullable: true },
+          createdAt: { type: 'string', format: 'date-time' },
+          visibilidad: { type: 'string', enum: ['publico', 'interno'], description: 'En la galería de la ficha pública' },
+          url: { type: 'string' }, thumb_url: { type: 'string', nullable: true }
+        }
+      },
+      Document: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' }, placa: { type: 'string' }, categoria: { type: 'string' }, titulo: { type: 'string' },
+          fecha_vencimiento: { type: 'string', format: 'date', nullable: true },
+          estado: { type: 'string', enum: ['vigente', 'por-vencer', 'vencido', 'sin-fecha'] },
+          dias: { type: 'integer', nullable: true, description: 'Días para el vencimiento (negativo = vencido)' },
+          url: { type: 'string', nullable: true },
+          visibilidad: { type: 'string', enum: ['publico', 'estado', 'interno'], description: 'En la ficha pública: con archivos, solo nombre y vigencia, u oculto' },
+          reemplazado_por: { type: 'string', nullable: true, description: 'id de la versión que la renovó (null = vigente)' },
+          reemplazadoAt: { type: 'string', format: 'date-time', nullable: true },
+          adjuntos: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                id: { type: 'string', nullable: true }, url: { type: 'string' }, filename: { type: 'string', nullable: true },
+                mime: { type: 'string', nullable: true }, pages: { type: 'integer', nullable: true }, etiqueta: { type: 'string', nullable: true }
+              }
+            }
+          }
+        }
+      },
+      DocumentInput: {
+        type: 'object',
+        properties: {
+          categoria: { type: 'string' }, titulo: { type: 'string' },
+          fecha_vencimiento: { type: 'string', format: 'date' },
+          url: { type: 'string', nullable: true, description: 'Enlace externo opcional' },
+          visibilidad: { type: 'string', enum: ['publico', 'estado', 'interno'], description: 'Por defecto, la de la categoría; en PATCH se aplica a todas sus versiones' }
+        }
+      },
+      Report: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' }, placa: { type: 'string' }, cedis: { type: 'string', nullable: true },
+          tipo: { type: 'string' }, nombre: { type: 'string' }, telefono: { type: 'string' }, email: { type: 'string' },
+          mensaje: { type: 'string' },
+          estado: { type: 'string', enum: ['nuevo', 'en-revision', 'resuelto', 'descartado'] },
+          assigned_to: { type: 'string', nullable: true }, asignado: { type: 'string', nullable: true },
+          resolucion: { type: 'string', nullable: true },
+          resolvedAt: { type: 'string', format: 'date-time', nullable: true }, resolvedBy: { type: 'string', nullable: true },
+          createdAt: { type: 'string', format: 'date-time' },
+          driver_id: { type: 'string', nullable: true, description: 'Conductor asignado al camión al momento del reporte' },
+          conductor: { type: 'string', nullable: true }, conductor_telefono: { type: 'string', nullable: true },
+          cuarentena: { type: 'integer', enum: [0, 1], description: '1 = sospechoso de spam: no aparece en los listados salvo con cuarentena=1' },
+          spam_puntos: { type: 'integer', nullable: true }, spam_motivos: { type: 'string', nullable: true },
+          ocurridoAt: { type: 'string', format: 'date-time', nullable: true, description: 'Cuándo pasó, según quien reporta' },
+          lat: { type: 'number', nullable: true }, lng: { type: 'number', nullable: true },
+          precision_m: { type: 'integer', nullable: true, description: 'Precisión de la ubicación en metros' },
+          fotos: { type: 'array', items: { type: 'string' }, description: 'URLs /file/{id}. Solo en GET /reports/{id}' },
+          n_fotos: { type: 'integer', description: 'Cantidad de fotos. Solo en GET /reports' },
+          comentarios: { type: 'array', items: ref('Comment'), description: 'Solo en GET /reports/{id}' }
+        }
+      },
+      ReportPatch: {
+        type: 'object',
+        properties: {
+          estado: { type: 'string', enum: ['nuevo', 'en-revision', 'resuelto', 'descartado'] },
+          resolucion: { type: 'string', description: 'Obligatoria al pasar a resuelto' },
+          assigned_to: { type: 'string', nullable: true, description: 'id de usuario; null quita la asignación' }
+        }
+      },
+      Comment: {
+        type: 'object',
+        properties: { id: { type: 'string' }, username: { type: 'string' }, texto: { type: 'string' }, createdAt: { type: 'string', format: 'date-time' } }
+      },
+      Alert: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' }, placa: { type: 'string' }, categoria: { type: 'string' }, titulo: { type: 'string' },
+          fecha_vencimiento: { type: 'string', format: 'date' }, url: { type: 'string', nullable: true },
+          estado: { type: 'string', enum: ['vencido', 'por-vencer'] }, dias: { type: 'integer' }
+        }
+      }
+    },
+    responses: {
+      E400: err('Cuerpo o archivo inválido'),
+      E401: err('Falta la API key o no es válida'),
+      E403: err('La clave no tiene el permiso o el CEDIS no está en su alcance'),
+      E404: err('No encontrado'),
+      E409: err('Ya existe'),
+      E422: err('Datos inválidos (ver details)')
+    }
+  },
+  paths: {
+    '/trucks': {
+      get: {
+        summary: 'Listar camiones', tags: ['Flota'], ...scope('fleet:read'),
+        parameters: [
+          { name: 'q', in: 'query', schema: { type: 'string' }, description: 'Busca en placa, unidad y VIN' },
+          { name: 'cedis', in: 'query', schema: { type: 'string' } },
+          { name: 'docs', in: 'query', schema: { type: 'string', enum: ['vencido', 'por-vencer', 'vigente', 'sin-docs'] } },
+          { name: 'sort', in: 'query', schema: { type: 'string', enum: ['placa', 'unidad', 'cedis', 'anio', 'vencidos', 'reportes'] } },
+          { name: 'dir', in: 'query', schema: { type: 'string', enum: ['asc', 'desc'] } },
+          ...pageParams
+        ],
+        responses: { 200: ok(page(ref('TruckSummary'))), ...errores(401, 403) }
+      },
+      post: {
+        summary: 'Crear camión', tags: ['Flota'], ...scope('fleet:write'),
+        requestBody: { required: true, ...json(ref('TruckInput')) },
+        responses: { 201: ok(one(ref('Truck')), 'Creado'), ...errores(400, 401, 403, 409, 422) }
+      }
+    },
+    '/trucks/{placa}': {
+      parameters: [placaParam],
+      get: { summary: 'Ver camión', tags: ['Flota'], ...scope('fleet:read'), responses: { 200: ok(one(ref('Truck'))), ...errores(401, 403, 404) } },
+      patch: {
+        summary: 'Actualizar camión (solo los campos enviados)', tags: ['Flota'], ...scope('fleet:write'),
+        requestBody: { required: true, ...json(ref('TruckInput')) },
+        responses: { 200: ok(one(ref('Truck'))), ...errores(400, 401, 403, 404, 422) }
+      },
+      delete: {
+        summary: 'Eliminar camión con sus documentos y fotos', tags: ['Flota'], ...scope('fleet:write'),
+        responses: { 204: { description: 'Eliminado' }, ...errores(401, 403, 404) }
+      }
+    },
+    '/trucks/{placa}/documents': {
+      parameters: [placaParam],
+      get: {
+        summary: 'Documentos vigentes del camión', tags: ['Documentos'], ...scope('fleet:read'),
+        parameters: [{ name: 'historial', in: 'query', schema: { type: 'string', enum: ['1'] }, description: 'Incluir versiones reemplazadas' }],
+        responses: { 200: ok({ type: 'object', properties: { data: { type: 'array', items: ref('Document') } } }), ...errores(401, 403, 404) } },
+      post: {
+        summary: 'Crear documento', tags: ['Documentos'], ...scope('fleet:write'),
+        requestBody: { required: true, ...json(ref('DocumentInput')) },
+        responses: { 201: ok(conAvisos(ref('Document')), 'Creado'), ...errores(400, 401, 403, 404, 422) }
+      }
+    },
+    '/documents/{id}': {
+      parameters: [idParam],
+      get: { summary: 'Ver documento', tags: ['Documentos'], ...scope('fleet:read'), responses: { 200: ok(one(ref('Document'))), ...errores(401, 403, 404) } },
+      patch: {
+        summary: 'Actualizar documento (renovar = cambiar fecha_vencimiento)', tags: ['Documentos'], ...scope('fleet:write'),
+        requestBody: { required: true, ...json(ref('DocumentInput')) },
+        responses: { 200: ok(conAvisos(ref('Document'))), ...errores(400, 401, 403, 404, 422) }
+      },
+      delete: { summary: 'Eliminar documento', tags: ['Documentos'], ...scope('fleet:write'), responses: { 204: { description: 'Eliminado' }, ...errores(401, 403, 404) } }
+    },
+    '/documents/{id}/files': {
+      parameters: [idParam],
+      post: {
+        summary: 'Adjuntar imágenes o PDF al documento', tags: ['Documentos'], ...scope('fleet:write'),
+        requestBody: multipart,
+        responses: { 201: ok(one(ref('Document')), 'Adjuntado'), ...errores(400, 401, 403, 404, 422) }
+      }
+    },
+    '/documents/{id}/files/{fileId}': {
+      parameters: [idParam, { name: 'fileId', in: 'path', required: true, schema: { type: 'string' } }],
+      delete: { summary: 'Quitar un adjunto', tags: ['Documentos'], ...scope('fleet:write'), responses: { 204: { description: 'Quitado' }, ...errores(401, 403, 404) } }
+    },
+    '/trucks/{placa}/photos': {
+      parameters: [placaParam],
+      get: { summary: 'Fotos de la galería', tags: ['Fotos'], ...scope('fleet:read'), parameters: pageParams, responses: { 200: ok(page(ref('File'))), ...errores(401, 403, 404) } },
+      post: {
+        summary: 'Subir fotos (las repetidas se devuelven con duplicate=true)', tags: ['Fotos'], ...scope('fleet:write'),
+        requestBody: multipart,
+        responses: { 201: ok({ type: 'object', properties: { data: { type: 'array', items: ref('File') }, errores: { type: 'array', items: { type: 'string' } } } }, 'Subidas'), ...errores(400, 401, 403, 404, 422) }
+      }
+    },
+    '/photos/{id}': {
+      parameters: [idParam],
+      get: { summary: 'Metadatos de una foto o archivo (el binario está en url)', tags: ['Fotos'], ...scope('fleet:read'), responses: { 200: ok(one(ref('File'))), ...errores(401, 403, 404) } },
+      delete: { summary: 'Eliminar foto', tags: ['Fotos'], ...scope('fleet:write'), responses: { 204: { description: 'Eliminada' }, 409: err('Es la portada o un adjunto de documento'), ...errores(401, 403, 404) } }
+    },
+    '/reports': {
+      get: {
+        summary: 'Listar reportes', tags: ['Reportes'], ...scope('reports:read'),
+        parameters: [
+          { name: 'placa', in: 'query', schema: { type: 'string' } },
+          { name: 'estado', in: 'query', schema: { type: 'string', enum: ['nuevo', 'en-revision', 'resuelto', 'descartado'] } },
+          { name: 'tipo', in: 'query', schema: { type: 'string' } },
+          { name: 'asignado', in: 'query', schema: { type: 'string' }, description: 'id de usuario, o - para sin asignar' },
+          { name: 'conductor', in: 'query', schema: { type: 'string' }, description: 'id de conductor' },
+          { name: 'desde', in: 'query', schema: { type: 'string', format: 'date' } },
+          { name: 'hasta', in: 'query', schema: { type: 'string', format: 'date' } },
+          { name: 'cuarentena', in: 'query', schema: { type: 'string', enum: ['1'] }, description: '1 = solo los reportes en cuarentena (spam)' },
+          ...pageParams
+        ],
+        responses: { 200: ok(page(ref('Report'))), ...errores(401, 403) }
+      }
+    },
+    '/reports/{id}': {
+      parameters: [idParam],
+      get: { summary: 'Ver reporte con comentarios', tags: ['Reportes'], ...scope('reports:read'), responses: { 200: ok(one(ref('Report'))), ...errores(401, 403, 404) } },
+      patch: {
+        summary: 'Cambiar estado y/o asignación', tags: ['Reportes'], ...scope('reports:write'),
+        requestBody: { required: true, ...json(ref('ReportPatch')) },
+        responses: { 200: ok(one(ref('Report'))), ...errores(400, 401, 403, 404, 422) }
+      }
+    },
+    '/reports/{id}/comments': {
+      parameters: [idParam],
+      post: {
+        summary: 'Agregar comentario interno', tags: ['Reportes'], ...scope('reports:write'),
+        requestBody: { required: true, ...json({ type: 'object', required: ['texto'], properties: { texto: { type: 'string' } } }) },
+        responses: { 201: ok(one(ref('Comment')), 'Creado'), ...errores(400, 401, 403, 404, 422) }
+      }
+    },
+    '/alerts': {
+      get: {
+        summary: 'Documentos vencidos o por vencer (30 días)', tags: ['Vencimientos'], ...scope('alerts:read'),
+        parameters: [
+          { name: 'estado', in: 'query', schema: { type: 'string', enum: ['vencido', 'por-vencer'] } },
+          ...pageParams
+        ],
+        responses: { 200: ok(page(ref('Alert'))), ...errores(401, 403) }
+      }
+    }
+  }
+};
@@ -0,0 +1,47 @@
+// scans.js — Escaneos de las fichas públicas (puro, sin DB)
+// - Solo datos gruesos: tipo de navegador (nunca el user-agent ni la IP) y el dominio del referrer
+// - Origen de la visita: el QR de la etiqueta o el buscador por placa del inicio
+// - Conversión escaneo → reporte y camiones sin escaneos (etiqueta dañada o sin pegar)
+
+const DIA = 24 * 60 * 60 * 1000;
+
+export const ORIGENES = { qr: 'QR', buscar: 'Búsqueda por placa' };
+export const AGENTES = { android: 'Android', ios: 'iPhone / iPad', movil: 'Otro móvil', escritorio: 'Computadora', otro: 'Otro' };
+
+/** Clase gruesa del navegador; 'bot' para rastreadores y previsualizaciones de enlaces (no se registran). */
+export function claseAgente(ua) {
+  const s = String(ua || '');
+  if (!s || /bot|crawl|spider|slurp|preview|facebookexternalhit|whatsapp|telegram|curl|wget|python|java\/|go-http|headless|lighthouse/i.test(s)) return 'bot';
+  if (/android/i.test(s)) return 'android';
+  if (/iphone|ipad|ipod/i.test(s)) return 'ios';
+  if (/mobile|opera mini|iemobile|kaios/i.test(s)) return 'movil';
+  if (/windows|macintosh|x11|linux|cros/i.test(s)) return 'escritorio';
+  return 'otro';
+}
+
+/** Solo el dominio del referrer (sin ruta ni parámetros); 'propio' si viene del mismo sitio, null si no hay. */
+export function refererDominio(referer, propioHost) {
+  let host;
+  try { host = new URL(String(referer || '')).hostname.toLowerCase(); } catch { return null; }
+  if (!host) return null;
+  if (propioHost && host === String(propioHost).toLowerCase().split(':')[0]) return 'propio';
+  return host.replace(/^www\./, '').slice(0, 128);
+}
+
+/** Reportes / escaneos en % con un decimal; null si no hubo escaneos. */
+export function tasaConversion(reportes, escaneos) {
+  const e = Number(escaneos) || 0;
+  return e ? Math.round((Number(reportes) || 0) * 1000 / e) / 10 : null;
+}
+
+/**
+ * Filas { placa, ultimo } (último escaneo o null) → las que no tienen escaneos en los últimos `dias`,
+ * con diasSinEscaneo (null = nunca), de la más abandonada a la menos.
+ */
+export function sinEscaneos(rows, dias, hoy = new Date()) {
+  const limite = +hoy - dias * DIA;
+  return rows
+    .map(r => ({ ...r, diasSinEscaneo: r.ultimo ? Math.floor((+hoy - new Date(r.ultimo)) / DIA) : null }))
+    .filter(r => !r.ultimo || +new Date(r.ultimo) < limite)
+    .sort((a, b) => (b.diasSinEscaneo ?? Infinity) - (a.diasSinEscaneo ?? Infinity) || a.placa.localeCompare(b.placa));
+}
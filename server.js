@@ -1,9 +1,12 @@
 // server.js — Camiones QR (Express/EJS/Multer/MySQL BLOB)
-// - Fotos (galería y portada) guardadas en MySQL (tabla photos) como BLOB
+// - Fotos (galería y portada) en la tabla photos; el binario va al storage configurado (DB BLOB, disco o S3)
 // - Documentos con fecha de vencimiento; imagen del documento también a BLOB
-// - QR anti-localhost, admin con sesión, reportes públicos y panel
-// - Health/debug y cron de avisos 22 días (opcional)
+// - QR anti-localhost, admin multiusuario (roles + alcance por CEDIS), reportes públicos y panel
+// - Health/debug y cron de avisos de vencimiento por reglas (umbrales por categoría, destinatarios por CEDIS)
+// - Mantenimiento: bitácora de servicios, planes por fecha/km y odómetro (entran en el cron diario)
+// - API JSON /api/v1 con API keys por permisos (ver openapi.js)
 
+import 'dotenv/config'; // antes de db.js, que lee las variables al importarse
 import express from 'express';
 import session from 'express-session';
 import path from 'path';
@@ -11,13 +14,25 @@ import fs from 'fs';
 import { fileURLToPath } from 'url';
 import multer from 'multer';
 import QRCode from 'qrcode';
-import dotenv from 'dotenv';
 import nodemailer from 'nodemailer';
 import cron from 'node-cron';
-import mysql from 'mysql2/promise';
 import url from 'url';
-
-dotenv.config();
+import crypto from 'crypto';
+import { pool } from './db.js';
+import { migrateUp, migrationStatus } from './migrations.js';
+import { TRUCK_COLUMNS, DOC_COLUMNS, parseImportFile, validateImport, toCsv, writeXlsx } from './bulk.js';
+import { LABEL_LAYOUTS, buildLabelsPdf, labelSvg } from './labels.js';
+import { VARIANTS, isProcessableImage, contentHash, processOriginal, makeVariant, isPdf, pdfPageCount, pdfFirstPage } from './images.js';
+import { createStorage, photoKey, variantKey } from './storage.js';
+import { OCR_ENABLED, recognize, extractSuggestions } from './ocr.js';
+import { EVENTOS, createNotifier, parseDestino, resultadoEnvio, destinosFaltantes } from './notify.js';
+import { openapi } from './openapi.js';
+import { SERVICE_ESTADOS, parseKm, parseMonto, parseIntervalo, planEstado, intervaloLabel } from './maintenance.js';
+import { buildCalendar } from './ical.js';
+import { createRateLimiter, crearReto, validarReto, spamScore, normalizarTexto, SPAM_UMBRAL } from './antispam.js';
+import { parseRango, rangosRapidos, reportesPorSemana, vencimientosPorSemana, porcentajes, formatDuracion } from './dashboard.js';
+import { ORIGENES, AGENTES, claseAgente, refererDominio, tasaConversion, sinEscaneos } from './scans.js';
+import { parseUmbrales, umbralVigente, umbralLabel, ruleMatches, parseDestinatarios, formatDestinatarios, recipientsFor } from './alerts.js';
 
 // ---------- Paths / Express base ----------
 const __filename = fileURLToPath(import.meta.url);
@@ -38,51 +53,29 @@ app.use(session({
 // estáticos (CSS, logos, etc.)
 app.use(express.static(path.join(__dirname, 'public')));
 
-// ---------- DB (Railway) ----------
-// ---------- DB (Railway) ----------
-function fromUrl(dbUrl) {
-  const u = new URL(dbUrl);
-  return {
-    host: u.hostname,
-    port: Number(u.port || 3306),
-    user: decodeURIComponent(u.username || ''),
-    password: decodeURIComponent(u.password || ''),
-    database: (u.pathname || '').replace(/^\//, '')
-  };
-}
-
-let cfg;
-if (process.env.DATABASE_URL) cfg = fromUrl(process.env.DATABASE_URL);
-else cfg = {
-  host: process.env.MYSQLHOST,
-  port: Number(process.env.MYSQLPORT || 3306),
-  user: process.env.MYSQLUSER,
-  password: process.env.MYSQLPASSWORD,
-  database: process.env.MYSQLDATABASE
-};
-
-// SSL para Railway público
-const ssl =
-  String(process.env.MYSQL_SSL || 'false') === 'true'
-    ? { rejectUnauthorized: false }
-    : undefined;
+// variante liviana de una imagen servida por /file/:id (otras URLs quedan igual)
+app.locals.sized = (u, size) => (/^\/file\/[^/?]+$/.test(u || '') ? `${u}?size=${size}` : u);
 
-export const pool = mysql.createPool({
-  ...cfg,
-  waitForConnections: true,
-  connectionLimit: 10,
-  queueLimit: 0,
-  ssl,
-  // --- timeouts/keepalive para evitar ETIMEDOUT ---
-  connectTimeout: 20000,       // 20s para conectar
-  acquireTimeout: 20000,       // 20s para sacar conexión del pool
-  enableKeepAlive: true,
-  keepAliveInitialDelay: 10000 // 10s
+// usuario de la sesión (se recarga en cada request para respetar cambios de rol/baja)
+app.use(async (req, res, next) => {
+  req.user = null;
+  res.locals.user = null;
+  res.locals.can = perm => can(req.user, perm);
+  if (!req.session || !req.session.userId) return next();
+  try {
+    const u = await getUserById(req.session.userId);
+    if (u && u.activo) { req.user = u; res.locals.user = u; }
+    else req.session.userId = null;
+  } catch (e) { console.error('loadUser:', e.message); }
+  next();
 });
 
+// ---------- DB (Railway) ----------
+// El pool está en db.js (lo comparten migrate.js y storage-migrate.js); el esquema, en migrations/
+const MIGRATE_ON_START = String(process.env.MIGRATE_ON_START || 'true') === 'true';
 
 // ---------- Mail (opcional) ----------
-let transporter = null;
+export let transporter = null; // exportado para que las pruebas comprueben que no hay SMTP
 if (process.env.SMTP_HOST) {
   transporter = nodemailer.createTransport({
     host: process.env.SMTP_HOST,
@@ -92,8 +85,17 @@ if (process.env.SMTP_HOST) {
   });
 }
 
+// ---------- Notificaciones (email, webhooks, WhatsApp/SMS) ----------
+const notifier = createNotifier({ pool, transporter });
+// base absoluta para enlaces en notificaciones (no hay req en el cron)
+function mailBase() {
+  return (process.env.BASE_URL || process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+}
+
 // ---------- Helpers ----------
 const ADMIN_PASS = process.env.ADMIN_PASS || 'admin-1234';
+// Compatibilidad con QR viejos que apuntan a /c/:placa (false = solo /t/:token)
+const PLATE_URLS_COMPAT = String(process.env.PLATE_URLS_COMPAT || 'true') === 'true';
 const upload = multer({ storage: multer.memoryStorage() });
 
 function absoluteBase(req) {
@@ -102,11 +104,83 @@ function absoluteBase(req) {
   return `${proto}://${host}`;
 }
 
+// URL pública que va en el QR (nunca localhost: el sticker se imprime para siempre)
+function qrTargetUrl(req, truck) {
+  let base = process.env.BASE_URL || absoluteBase(req);
+  if (/localhost|127\.0\.0\.1/i.test(base)) base = process.env.PUBLIC_BASE_URL || 'https://camiones-qr.onrender.com';
+  return `${base}/t/${encodeURIComponent(truck.public_token)}`;
+}
+// token opaco de la ficha pública (no se deriva de la placa)
+function newPublicToken() { return crypto.randomBytes(16).toString('base64url'); }
+
 function setToast(req, type, msg) { req.session.toast = { type, msg }; }
 function popToast(req) { const t = req.session.toast; req.session.toast = null; return t; }
-function requireAdmin(req, res, next) { if (req.session && req.session.admin) return next(); return res.redirect('/admin/login'); }
+function newId() { return Date.now().toString(36) + Math.random().toString(36).slice(2, 6); }
+
+// ---------- Usuarios / roles ----------
+// Permisos por rol. superadmin ('*') puede todo, incluido administrar usuarios.
+const ROLES = {
+  superadmin: { label: 'Superadmin',          perms: ['*'] },
+  editor:     { label: 'Editor de flota',     perms: ['fleet:read', 'fleet:write', 'reports:read'] },
+  revisor:    { label: 'Revisor de reportes', perms: ['fleet:read', 'reports:read', 'reports:write'] },
+  lectura:    { label: 'Solo lectura',        perms: ['fleet:read', 'reports:read'] }
+};
+
+function hashPassword(pass) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(String(pass), salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+function verifyPassword(pass, stored) {
+  const [algo, salt, hash] = String(stored || '').split('$');
+  if (algo !== 'scrypt' || !salt || !hash) return false;
+  const a = Buffer.from(hash, 'hex');
+  const b = crypto.scryptSync(String(pass), salt, a.length);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function can(user, perm) {
+  if (!user) return false;
+  if (user.scopes) return user.scopes.includes(perm); // API key: solo sus permisos
+  const perms = (ROLES[user.role] || {}).perms || [];
+  return perms.includes('*') || perms.includes(perm);
+}
+// null = sin restricción (todos los CEDIS)
+function userCedis(user) {
+  if (!user || !user.cedis || !user.cedis.length) return null;
+  return user.cedis;
+}
+function inScope(user, cedis) {
+  const list = userCedis(user);
+  if (!list) return true;
+  return list.includes(String(cedis || '').trim().toUpperCase());
+}
+
+function requirePerm(perm) {
+  return (req, res, next) => {
+    if (!req.user) return res.redirect('/admin/login');
+    if (can(req.user, perm)) return next();
+    if (req.path.startsWith('/api/')) return res.status(403).json({ error: 'Permiso denegado' });
+    setToast(req, 'err', 'No tenés permiso para esta acción');
+    return res.redirect('/admin/editar');
+  };
+}
+// Bloquea acciones sobre camiones de un CEDIS fuera del alcance del usuario.
+// Va después de multer para que req.body.placa ya esté disponible.
+async function requirePlacaScope(req, res, next) {
+  try {
+    if (!userCedis(req.user)) return next();
+    const placa = String(req.params.placa || req.body.placa || req.query.placa || '').trim().toUpperCase();
+    if (!placa) return next();
+    const truck = await getTruck(placa);
+    if (!truck || inScope(req.user, truck.cedis)) return next();
+    setToast(req, 'err', 'Esa placa pertenece a otro CEDIS');
+    return res.redirect('/admin/editar');
+  } catch (e) { next(e); }
+}
 
 const ALLOWED_EXTS = new Set(['.jpg', '.jpeg', '.png', '.webp', '.gif']);
+const DOC_EXTS = new Set([...ALLOWED_EXTS, '.pdf']); // adjuntos de documentos
 function sanitizeName(name) {
   const ext = (path.extname(name) || '').toLowerCase();
   const base = path.basename(name, ext).replace(/[^a-zA-Z0-9._-]+/g, '_') || 'img';
@@ -116,6 +190,9 @@ function getIdFromUrlOrName(name) {
   const m = String(name || '').match(/\/file\/([A-Za-z0-9]+)/);
   return m ? m[1] : null;
 }
+function escapeHtml(s) {
+  return String(s ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
 function fotosSinPortada(fotos, portadaUrl){
   if (!portadaUrl) return fotos;
   const cover = (portadaUrl || '').toLowerCase();
@@ -123,65 +200,12 @@ function fotosSinPortada(fotos, portadaUrl){
 }
 
 // ---------- Queries / modelos ----------
-async function ensureSchema() {
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS trucks (
-      placa VARCHAR(32) PRIMARY KEY,
-      unidad VARCHAR(64) NULL,
-      cedis  VARCHAR(64) NULL,
-      marca  VARCHAR(64) NULL,
-      modelo VARCHAR(64) NULL,
-      anio   VARCHAR(16) NULL,
-      vin    VARCHAR(64) NULL,
-      telefono_quejas VARCHAR(64) NULL,
-      foto   VARCHAR(512) NULL, -- aquí guardamos /file/:id
-      notas  TEXT NULL
-    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
-  `);
-
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS documents (
-      id VARCHAR(32) PRIMARY KEY,
-      placa VARCHAR(32) NOT NULL,
-      categoria VARCHAR(64) NOT NULL,
-      titulo VARCHAR(128) NOT NULL,
-      fecha_vencimiento DATE NULL,
-      url VARCHAR(512) NULL,    -- /file/:id si tiene imagen
-      alert22Sent TINYINT(1) NOT NULL DEFAULT 0,
-      CONSTRAINT fk_documents_truck FOREIGN KEY (placa)
-        REFERENCES trucks(placa) ON DELETE CASCADE ON UPDATE CASCADE
-    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
-  `);
-
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS reports (
-      id VARCHAR(32) PRIMARY KEY,
-      placa VARCHAR(32) NOT NULL,
-      tipo VARCHAR(32) NOT NULL,
-      nombre VARCHAR(128) NULL,
-      telefono VARCHAR(64) NULL,
-      email VARCHAR(128) NULL,
-      mensaje TEXT NOT NULL,
-      createdAt DATETIME NOT NULL,
-      INDEX idx_reports_placa_created (placa, createdAt)
-    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
-  `);
-
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS photos (
-      id        VARCHAR(32) PRIMARY KEY,
-      placa     VARCHAR(32) NOT NULL,
-      filename  VARCHAR(255) NOT NULL,
-      mime      VARCHAR(100) NOT NULL,
-      data      LONGBLOB NOT NULL,
-      createdAt DATETIME NOT NULL,
-      INDEX idx_photos_placa (placa),
-      CONSTRAINT fk_photos_truck FOREIGN KEY (placa)
-        REFERENCES trucks(placa) ON DELETE CASCADE ON UPDATE CASCADE
-    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
-  `);
-
-  console.log('Schema OK');
+// Primer arranque: crea el superadmin con la contraseña compartida de antes
+async function ensureAdminUser() {
+  const [[{ n }]] = await pool.query('SELECT COUNT(*) AS n FROM users');
+  if (n) return;
+  await createUser({ username: 'admin', nombre: 'Administrador', pass: ADMIN_PASS, role: 'superadmin', cedis: [] });
+  console.log('Usuario inicial "admin" creado (contraseña = ADMIN_PASS)');
 }
 
 async function getTruck(placa) {
@@ -194,56 +218,634 @@ async function getTruck(placa) {
 async function upsertTruck(data) {
   const notasText = Array.isArray(data.notas) ? data.notas.join(';') : (data.notas || '');
   await pool.query(
-    `INSERT INTO trucks (placa, unidad, cedis, marca, modelo, anio, vin, telefono_quejas, foto, notas)
-     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `INSERT INTO trucks (placa, unidad, cedis, marca, modelo, anio, vin, telefono_quejas, foto, notas, public_token)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
      ON DUPLICATE KEY UPDATE
        unidad=VALUES(unidad), cedis=VALUES(cedis), marca=VALUES(marca), modelo=VALUES(modelo),
        anio=VALUES(anio), vin=VALUES(vin), telefono_quejas=VALUES(telefono_quejas),
        foto=VALUES(foto), notas=VALUES(notas)`,
     [
       data.placa, data.unidad || '', data.cedis || '', data.marca || '', data.modelo || '',
-      data.anio || '', data.vin || '', data.telefono_quejas || '', data.foto || '', notasText
+      data.anio || '', data.vin || '', data.telefono_quejas || '', data.foto || '', notasText,
+      newPublicToken() // solo se usa al crear; el token existente no se toca
     ]
   );
 }
+// Borra el camión; documentos y fotos caen por CASCADE, los binarios fuera de la DB se borran antes
+async function deleteTruck(placa) {
+  placa = String(placa).toUpperCase();
+  const [fotos] = await pool.query('SELECT id FROM photos WHERE placa = ?', [placa]);
+  for (const f of fotos) await deletePhotoDbById(f.id, placa);
+  const [r] = await pool.query('DELETE FROM trucks WHERE placa = ?', [placa]);
+  return r.affectedRows > 0;
+}
+async function getTruckByToken(token) {
+  const [rows] = await pool.query('SELECT placa FROM trucks WHERE public_token = ?', [String(token || '')]);
+  return rows[0] ? getTruck(rows[0].placa) : null;
+}
+async function rotateTruckToken(placa) {
+  const [r] = await pool.query(
+    'UPDATE trucks SET public_token = ?, token_rotatedAt = ? WHERE placa = ?',
+    [newPublicToken(), new Date(), String(placa).toUpperCase()]
+  );
+  return r.affectedRows > 0;
+}
+// VIN y notas se pueden ocultar en la ficha pública; no pasa por upsertTruck para que la importación no lo pise
+async function setTruckPrivacidad(placa, { ocultar_vin, ocultar_notas }) {
+  await pool.query(
+    'UPDATE trucks SET ocultar_vin = ?, ocultar_notas = ? WHERE placa = ?',
+    [ocultar_vin ? 1 : 0, ocultar_notas ? 1 : 0, String(placa).toUpperCase()]
+  );
+}
+// Solo la versión vigente de cada documento (las reemplazadas son historial)
 async function getDocsByPlaca(placa) {
   const [rows] = await pool.query(
-    'SELECT * FROM documents WHERE placa = ? ORDER BY fecha_vencimiento IS NULL, fecha_vencimiento',
+    'SELECT * FROM documents WHERE placa = ? AND reemplazado_por IS NULL ORDER BY fecha_vencimiento IS NULL, fecha_vencimiento',
     [String(placa).toUpperCase()]
   );
   return rows;
 }
+// Todas las versiones de una categoría, de la más nueva a la más vieja
+async function getDocTimeline(placa, categoria) {
+  const [rows] = await pool.query(
+    `SELECT * FROM documents WHERE placa = ? AND categoria = ?
+      ORDER BY reemplazado_por IS NULL DESC, fecha_vencimiento IS NULL, fecha_vencimiento DESC, id DESC`,
+    [String(placa).toUpperCase(), categoria]
+  );
+  return rows;
+}
+// { categoria: n } versiones anteriores por categoría
+async function countDocHistory(placa) {
+  const [rows] = await pool.query(
+    'SELECT categoria, COUNT(*) AS n FROM documents WHERE placa = ? AND reemplazado_por IS NOT NULL GROUP BY categoria',
+    [String(placa).toUpperCase()]
+  );
+  return Object.fromEntries(rows.map(r => [r.categoria, Number(r.n)]));
+}
+// Entre las vigentes con la misma categoría y título queda la de vencimiento más lejano; el resto pasa a historial.
+// Se llama después de crear un documento (a mano, OCR, importación o API). Devuelve el id que quedó vigente:
+// si no es el recién creado, hay que avisar (solo Renovar reemplaza una versión con vencimiento posterior).
+async function supersedeOlderVersions(placa, categoria, titulo) {
+  const [rows] = await pool.query(
+    `SELECT id FROM documents WHERE placa = ? AND categoria = ? AND titulo = ? AND reemplazado_por IS NULL
+      ORDER BY fecha_vencimiento IS NULL, fecha_vencimiento DESC, id DESC`,
+    [String(placa).toUpperCase(), categoria, titulo]
+  );
+  if (rows.length < 2) return rows[0]?.id || null;
+  await pool.query(
+    'UPDATE documents SET reemplazado_por = ?, reemplazadoAt = ? WHERE id IN (?)',
+    [rows[0].id, new Date(), rows.slice(1).map(x => x.id)]
+  );
+  return rows[0].id;
+}
+// Versión vigente con los mismos datos (filas importadas sin id: reimportar la misma planilla no duplica)
+async function findCurrentDoc(placa, { categoria, titulo, fecha_vencimiento }) {
+  const [rows] = await pool.query(
+    `SELECT * FROM documents WHERE placa = ? AND categoria = ? AND titulo = ? AND fecha_vencimiento <=> ? AND reemplazado_por IS NULL
+      ORDER BY id LIMIT 1`,
+    [String(placa).toUpperCase(), categoria, titulo, fecha_vencimiento || null]
+  );
+  return rows[0] || null;
+}
+const AVISO_HISTORIAL = 'quedó como historial porque ya hay una versión vigente con vencimiento posterior (usá Renovar para reemplazarla)';
+// Renovar: la nueva versión pasa a vigente aunque su fecha sea menor (corrige una fecha mal cargada)
+async function renewDoc(placa, prev, { titulo, fecha_vencimiento }, photoIds) {
+  const doc = { id: newId(), categoria: prev.categoria, titulo: titulo || prev.titulo, fecha_vencimiento, url: null, alert22Sent: false };
+  await upsertDoc(placa, doc);
+  if (photoIds.length) await addDocFiles(doc.id, photoIds);
+  await pool.query('UPDATE documents SET reemplazado_por = ?, reemplazadoAt = ? WHERE id = ?', [doc.id, new Date(), prev.id]);
+  return doc;
+}
+// La visibilidad solo se fija al crear: si no viene, se hereda de la categoría (una póliza renovada sigue interna)
 async function upsertDoc(placa, doc) {
   const fecha = doc.fecha_vencimiento ? new Date(doc.fecha_vencimiento) : null;
+  const visibilidad = VISIBILIDADES[doc.visibilidad] ? doc.visibilidad : await categoriaVisibilidad(placa, doc.categoria);
   await pool.query(
-    `INSERT INTO documents (id, placa, categoria, titulo, fecha_vencimiento, url, alert22Sent)
-     VALUES (?, ?, ?, ?, ?, ?, ?)
+    `INSERT INTO documents (id, placa, categoria, titulo, fecha_vencimiento, url, alert22Sent, visibilidad)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)
      ON DUPLICATE KEY UPDATE
        categoria=VALUES(categoria), titulo=VALUES(titulo),
        fecha_vencimiento=VALUES(fecha_vencimiento), url=VALUES(url), alert22Sent=VALUES(alert22Sent)`,
-    [doc.id, String(placa).toUpperCase(), doc.categoria, doc.titulo, fecha, doc.url || null, doc.alert22Sent ? 1 : 0]
+    [doc.id, String(placa).toUpperCase(), doc.categoria, doc.titulo, fecha, doc.url || null, doc.alert22Sent ? 1 : 0, visibilidad]
   );
   return true;
 }
+// ---- Visibilidad pública ----
+const VISIBILIDADES = { publico: 'Público', estado: 'Solo estado', interno: 'Interno' };
+async function categoriaVisibilidad(placa, categoria) {
+  const [rows] = await pool.query(
+    'SELECT visibilidad FROM documents WHERE placa = ? AND categoria = ? ORDER BY reemplazado_por IS NULL DESC, fecha_vencimiento DESC LIMIT 1',
+    [String(placa).toUpperCase(), categoria]
+  );
+  return rows[0]?.visibilidad || 'publico';
+}
+// Se aplica a todas las versiones de la categoría: los archivos del historial tampoco quedan a la vista
+async function setDocVisibilidad(doc, visibilidad) {
+  const [r] = await pool.query('UPDATE documents SET visibilidad = ? WHERE placa = ? AND categoria = ?', [visibilidad, doc.placa, doc.categoria]);
+  return r.affectedRows > 0;
+}
+async function getDocById(id) {
+  const [rows] = await pool.query('SELECT * FROM documents WHERE id = ?', [id]);
+  return rows[0] || null;
+}
 async function deleteDoc(placa, id) {
+  const files = await listDocFiles([id]);
+  // sacar una versión de la cadena: si era la vigente vuelve a serlo la anterior más nueva
+  const doc = await getDocById(id);
+  if (doc && doc.placa === String(placa).toUpperCase()) {
+    let sucesor = doc.reemplazado_por;
+    if (!sucesor) {
+      const [prev] = await pool.query('SELECT id FROM documents WHERE reemplazado_por = ? ORDER BY fecha_vencimiento DESC, id DESC LIMIT 1', [id]);
+      if (prev.length) {
+        sucesor = prev[0].id;
+        await pool.query('UPDATE documents SET reemplazado_por = NULL, reemplazadoAt = NULL WHERE id = ?', [sucesor]);
+      }
+    }
+    if (sucesor) await pool.query('UPDATE documents SET reemplazado_por = ? WHERE reemplazado_por = ?', [sucesor, id]);
+  }
   const [res] = await pool.query('DELETE FROM documents WHERE id = ? AND placa = ?', [id, String(placa).toUpperCase()]);
+  if (res.affectedRows) await dropOrphanFiles(placa, files.map(f => f.photo_id));
   return res.affectedRows > 0;
 }
+
+// ---- Adjuntos de documentos ----
+async function listDocFiles(docIds) {
+  if (!docIds.length) return [];
+  const [rows] = await pool.query(
+    `SELECT f.document_id, f.photo_id, f.pos, f.etiqueta, p.filename, p.mime, p.pages, p.bytes
+       FROM document_files f JOIN photos p ON p.id = f.photo_id
+      WHERE f.document_id IN (?)
+      ORDER BY f.pos, f.createdAt`,
+    [docIds]
+  );
+  return rows;
+}
+// Agrega d.adjuntos = [{ id, url, filename, mime, pdf, pages, etiqueta }]; d.url externo se suma al final
+async function withAdjuntos(docs) {
+  const files = await listDocFiles(docs.map(d => d.id));
+  return docs.map(d => {
+    const own = files.filter(f => f.document_id === d.id).map(f => ({
+      id: f.photo_id, url: `/file/${f.photo_id}`, filename: f.filename, mime: f.mime,
+      pdf: f.mime === 'application/pdf', pages: f.pages, etiqueta: f.etiqueta
+    }));
+    if (d.url && !own.some(a => a.url === d.url)) own.push({ id: getIdFromUrlOrName(d.url), url: d.url, filename: null, mime: null, pdf: /\.pdf(\?|$)/i.test(d.url), pages: null, etiqueta: null });
+    return { ...d, adjuntos: own };
+  });
+}
+// Vigencia de un documento: por vencer = 30 días o menos (mismo criterio en ficha, flota y API)
+function docEstado(fecha_vencimiento) {
+  const v = fecha_vencimiento ? new Date(fecha_vencimiento) : null;
+  if (!v || isNaN(v)) return { fecha_vencimiento: null, estado: 'sin-fecha', dias: null };
+  const today = new Date(); today.setHours(0,0,0,0);
+  const dias = Math.floor((v - today)/(1000*60*60*24));
+  return { fecha_vencimiento: v.toISOString().slice(0,10), estado: dias < 0 ? 'vencido' : (dias <= 30 ? 'por-vencer' : 'vigente'), dias };
+}
+// documents.url apunta al primer adjunto (lo usan export, alertas y enlaces viejos); un enlace externo no se pisa
+async function syncDocUrl(docId) {
+  const [rows] = await pool.query('SELECT photo_id FROM document_files WHERE document_id = ? ORDER BY pos, createdAt LIMIT 1', [docId]);
+  await pool.query(
+    "UPDATE documents SET url = ? WHERE id = ? AND (url IS NULL OR url LIKE '/file/%')",
+    [rows.length ? `/file/${rows[0].photo_id}` : null, docId]
+  );
+}
+async function addDocFiles(docId, photoIds, etiqueta = null) {
+  const [[{ next }]] = await pool.query('SELECT COALESCE(MAX(pos) + 1, 0) AS next FROM document_files WHERE document_id = ?', [docId]);
+  let pos = next;
+  for (const photoId of photoIds) {
+    await pool.query(
+      'INSERT IGNORE INTO document_files (document_id, photo_id, pos, etiqueta, createdAt) VALUES (?, ?, ?, ?, ?)',
+      [docId, photoId, pos++, etiqueta || null, new Date()]
+    );
+  }
+  await syncDocUrl(docId);
+}
+async function removeDocFile(placa, docId, photoId) {
+  const [r] = await pool.query('DELETE FROM document_files WHERE document_id = ? AND photo_id = ?', [docId, photoId]);
+  if (!r.affectedRows) return false;
+  await syncDocUrl(docId);
+  await dropOrphanFiles(placa, [photoId]);
+  return true;
+}
+// Los PDF que ya no usa ningún documento se borran; las imágenes quedan en la galería
+async function dropOrphanFiles(placa, photoIds) {
+  for (const id of photoIds) {
+    const meta = await getPhotoMeta(id);
+    if (!meta || meta.mime.startsWith('image/')) continue;
+    if (!(await photoRefCount(id))) await deletePhotoDbById(id, placa);
+  }
+}
+// Cuántos registros usan el archivo (documentos, portada, servicios, inspecciones, reportes):
+// antes de borrar uno compartido por el dedupe de savePhotoDb
+async function photoRefCount(id) {
+  const url = `/file/${id}`;
+  const [[{ n }]] = await pool.query(
+    `SELECT (SELECT COUNT(*) FROM document_files WHERE photo_id = ?) + (SELECT COUNT(*) FROM documents WHERE url = ?)
+          + (SELECT COUNT(*) FROM trucks WHERE foto = ?) + (SELECT COUNT(*) FROM service_record_files WHERE photo_id = ?)
+          + (SELECT COUNT(*) FROM inspection_photos WHERE photo_id = ?) + (SELECT COUNT(*) FROM report_photos WHERE photo_id = ?) AS n`,
+    [id, url, url, id, id, id]
+  );
+  return Number(n);
+}
 async function addReport(rep) {
   await pool.query(
-    `INSERT INTO reports (id, placa, tipo, nombre, telefono, email, mensaje, createdAt)
-     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-    [rep.id, rep.placa, rep.tipo, rep.nombre, rep.telefono, rep.email, rep.mensaje, rep.createdAt]
+    `INSERT INTO reports (id, placa, tipo, nombre, telefono, email, mensaje, createdAt, driver_id, cuarentena, spam_puntos, spam_motivos,
+                          ocurridoAt, lat, lng, precision_m)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [rep.id, rep.placa, rep.tipo, rep.nombre, rep.telefono, rep.email, rep.mensaje, rep.createdAt, rep.driver_id || null,
+     rep.cuarentena ? 1 : 0, rep.spam_puntos ?? null, rep.spam_motivos || null,
+     rep.ocurridoAt || null, rep.lat ?? null, rep.lng ?? null, rep.precision_m ?? null]
+  );
+  let pos = 0;
+  for (const photoId of rep.fotos || []) {
+    await pool.query('INSERT IGNORE INTO report_photos (report_id, photo_id, pos) VALUES (?, ?, ?)', [rep.id, photoId, pos++]);
+  }
+}
+async function listReportPhotos(reportId) {
+  const [rows] = await pool.query('SELECT photo_id FROM report_photos WHERE report_id = ? ORDER BY pos', [reportId]);
+  return rows.map(r => `/file/${r.photo_id}`);
+}
+// mensajes de las últimas 24 h, normalizados, para detectar el mismo texto enviado varias veces
+async function recentReportTexts() {
+  const [rows] = await pool.query(
+    'SELECT mensaje FROM reports WHERE createdAt >= ? ORDER BY createdAt DESC LIMIT 500',
+    [new Date(Date.now() - 24 * 60 * 60 * 1000)]
+  );
+  return rows.map(r => normalizarTexto(r.mensaje));
+}
+async function releaseReport(id) {
+  await pool.query('UPDATE reports SET cuarentena = 0 WHERE id = ?', [id]);
+}
+// las fotos del reporte se borran con él (si no, quedarían sueltas en la galería del camión),
+// salvo las que otro reporte o inspección también enlaza
+async function deleteReport(id) {
+  const [[rep]] = await pool.query('SELECT placa FROM reports WHERE id = ?', [id]);
+  const [fotos] = await pool.query('SELECT photo_id FROM report_photos WHERE report_id = ?', [id]);
+  await pool.query('DELETE FROM reports WHERE id = ?', [id]);
+  if (rep) for (const f of fotos) if (!(await photoRefCount(f.photo_id))) await deletePhotoDbById(f.photo_id, rep.placa);
+}
+// ---- Flota (índice con búsqueda) ----
+const FLEET_SORTS = {
+  placa: 't.placa',
+  unidad: 't.unidad',
+  cedis: 't.cedis',
+  anio: 't.anio',
+  vencidos: 'vencidos',
+  reportes: 'reportes_abiertos'
+};
+async function listFleet(user, f, { page = 1, perPage = 50 } = {}) {
+  const where = [], params = [];
+  if (f.q) {
+    where.push('(t.placa LIKE ? OR t.unidad LIKE ? OR t.vin LIKE ?)');
+    const like = '%' + f.q.replace(/[\\%_]/g, '\\$&') + '%'; // % y _ escritos se buscan tal cual
+    params.push(like, like, like);
+  }
+  if (f.cedis) { where.push('UPPER(t.cedis) = ?'); params.push(f.cedis); }
+  const scope = userCedis(user);
+  if (scope) { where.push('UPPER(t.cedis) IN (?)'); params.push(scope); }
+  if (f.docs === 'vencido') where.push('COALESCE(ds.vencidos, 0) > 0');
+  else if (f.docs === 'por-vencer') where.push('COALESCE(ds.por_vencer, 0) > 0');
+  else if (f.docs === 'vigente') where.push('COALESCE(ds.vencidos, 0) = 0 AND COALESCE(ds.por_vencer, 0) = 0 AND COALESCE(ds.vigentes, 0) > 0');
+  else if (f.docs === 'sin-docs') where.push('ds.placa IS NULL');
+  const whereSql = where.length ? ' WHERE ' + where.join(' AND ') : '';
+
+  const from = `
+     FROM trucks t
+     LEFT JOIN (
+       SELECT placa,
+         SUM(fecha_vencimiento < CURDATE()) AS vencidos,
+         SUM(fecha_vencimiento >= CURDATE() AND DATEDIFF(fecha_vencimiento, CURDATE()) <= 30) AS por_vencer,
+         SUM(DATEDIFF(fecha_vencimiento, CURDATE()) > 30) AS vigentes
+       FROM documents WHERE fecha_vencimiento IS NOT NULL AND reemplazado_por IS NULL GROUP BY placa
+     ) ds ON ds.placa = t.placa
+     LEFT JOIN (
+       SELECT placa, COUNT(*) AS abiertos FROM reports
+       WHERE estado IN ('nuevo', 'en-revision') AND cuarentena = 0 GROUP BY placa
+     ) rs ON rs.placa = t.placa`;
+  const [[{ total }]] = await pool.query('SELECT COUNT(*) AS total' + from + whereSql, params);
+  const sortCol = FLEET_SORTS[f.sort] || FLEET_SORTS.placa;
+  const dir = f.dir === 'desc' ? 'DESC' : 'ASC';
+  const [rows] = await pool.query(
+    `SELECT t.placa, t.unidad, t.cedis, t.marca, t.modelo, t.anio, t.vin, t.foto,
+            COALESCE(ds.vencidos, 0) AS vencidos, COALESCE(ds.por_vencer, 0) AS por_vencer,
+            COALESCE(ds.vigentes, 0) AS vigentes, COALESCE(rs.abiertos, 0) AS reportes_abiertos` +
+    from + whereSql + ` ORDER BY ${sortCol} ${dir}, t.placa ASC LIMIT ? OFFSET ?`,
+    [...params, perPage, (page - 1) * perPage]
+  );
+  const items = rows.map(r => ({
+    ...r, vencidos: Number(r.vencidos), por_vencer: Number(r.por_vencer),
+    vigentes: Number(r.vigentes), reportes_abiertos: Number(r.reportes_abiertos)
+  }));
+  return { items, total, page, pages: Math.max(1, Math.ceil(total / perPage)) };
+}
+async function listCedis(user) {
+  const [rows] = await pool.query(
+    "SELECT DISTINCT UPPER(cedis) AS cedis FROM trucks WHERE cedis IS NOT NULL AND cedis <> '' ORDER BY cedis"
+  );
+  return rows.map(r => r.cedis).filter(c => inScope(user, c));
+}
+
+// ---- Tablero (cumplimiento y reportes) ----
+// Documentos: estado al día de hoy (el rango de fechas no aplica). Reportes: creados en el rango.
+// Las inspecciones con fallas no cuentan como quejas en el ranking de camiones.
+async function dashboardData(user, f) {
+  const where = [], params = [];
+  if (f.cedis) { where.push('UPPER(t.cedis) = ?'); params.push(f.cedis); }
+  const scope = userCedis(user);
+  if (scope) { where.push('UPPER(t.cedis) IN (?)'); params.push(scope); }
+  const docWhere = where.map(w => ' AND ' + w).join('');
+
+  const [cumplimiento] = await pool.query(
+    `SELECT UPPER(COALESCE(t.cedis, '')) AS cedis, COUNT(DISTINCT t.placa) AS camiones,
+            SUM(DATEDIFF(d.fecha_vencimiento, CURDATE()) > 30) AS vigente,
+            SUM(DATEDIFF(d.fecha_vencimiento, CURDATE()) BETWEEN 0 AND 30) AS por_vencer,
+            SUM(d.fecha_vencimiento < CURDATE()) AS vencido
+       FROM documents d JOIN trucks t ON t.placa = d.placa
+      WHERE d.reemplazado_por IS NULL AND d.fecha_vencimiento IS NOT NULL${docWhere}
+      GROUP BY UPPER(COALESCE(t.cedis, '')) ORDER BY cedis`,
+    params
+  );
+  const [vencen] = await pool.query(
+    `SELECT d.id, d.placa, d.categoria, d.titulo, DATE_FORMAT(d.fecha_vencimiento, '%Y-%m-%d') AS fecha_vencimiento
+       FROM documents d JOIN trucks t ON t.placa = d.placa
+      WHERE d.reemplazado_por IS NULL
+        AND d.fecha_vencimiento BETWEEN CURDATE() AND CURDATE() + INTERVAL 90 DAY${docWhere}
+      ORDER BY d.fecha_vencimiento, d.placa`,
+    params
+  );
+
+  const w = reportsWhere(user, { desde: f.desde, hasta: f.hasta, cedis: f.cedis });
+  const from = ' FROM reports r LEFT JOIN trucks t ON t.placa = r.placa';
+  const [porDia] = await pool.query(
+    `SELECT DATE_FORMAT(r.createdAt, '%Y-%m-%d') AS dia, r.tipo, COUNT(*) AS n${from}${w.sql} GROUP BY dia, r.tipo`,
+    w.params
+  );
+  const [porEstado] = await pool.query(`SELECT r.estado, COUNT(*) AS n${from}${w.sql} GROUP BY r.estado`, w.params);
+  const [top] = await pool.query(
+    `SELECT r.placa, UPPER(t.cedis) AS cedis, COUNT(*) AS n, SUM(r.estado IN ('nuevo', 'en-revision')) AS abiertos${from}${w.sql}
+        AND r.id NOT IN (SELECT report_id FROM inspections WHERE report_id IS NOT NULL)
+      GROUP BY r.placa, UPPER(t.cedis) ORDER BY n DESC, r.placa LIMIT 10`,
+    w.params
+  );
+  const [resolucion] = await pool.query(
+    `SELECT r.tipo, COUNT(*) AS n, AVG(TIMESTAMPDIFF(MINUTE, r.createdAt, r.resolvedAt)) AS promedio${from}${w.sql}
+        AND r.estado = 'resuelto' AND r.resolvedAt IS NOT NULL
+      GROUP BY r.tipo ORDER BY n DESC`,
+    w.params
+  );
+
+  const estados = Object.fromEntries(Object.keys(REPORT_ESTADOS).map(k => [k, 0]));
+  for (const e of porEstado) estados[e.estado] = Number(e.n);
+  const resueltos = resolucion.reduce((a, r) => a + Number(r.n), 0);
+  const promedio = resueltos ? resolucion.reduce((a, r) => a + Number(r.promedio) * Number(r.n), 0) / resueltos : null;
+  const totalCumplimiento = { vigente: 0, por_vencer: 0, vencido: 0 };
+  const cedisRows = cumplimiento.map(c => {
+    const n = { vigente: Number(c.vigente), por_vencer: Number(c.por_vencer), vencido: Number(c.vencido) };
+    for (const k in n) totalCumplimiento[k] += n[k];
+    return { cedis: c.cedis, camiones: Number(c.camiones), ...n, pct: porcentajes(n) };
+  });
+  return {
+    filtros: f,
+    cumplimiento: { porCedis: cedisRows, total: { ...totalCumplimiento, pct: porcentajes(totalCumplimiento) } },
+    vencimientos: vencimientosPorSemana(vencen),
+    reportes: {
+      total: Object.values(estados).reduce((a, n) => a + n, 0),
+      estados,
+      porSemana: reportesPorSemana(porDia, f.desde, f.hasta),
+      topCamiones: top.map(t => ({ placa: t.placa, cedis: t.cedis, reportes: Number(t.n), abiertos: Number(t.abiertos) })),
+      resolucion: {
+        resueltos, promedioMin: promedio, promedio: formatDuracion(promedio),
+        porTipo: resolucion.map(r => ({ tipo: r.tipo, resueltos: Number(r.n), promedioMin: Number(r.promedio), promedio: formatDuracion(r.promedio) }))
+      }
+    }
+  };
+}
+
+// ---- Escaneos de la ficha pública ----
+async function addScanEvent({ placa, origen, agente, referer }) {
+  await pool.query(
+    'INSERT INTO scan_events (placa, createdAt, origen, agente, referer) VALUES (?, ?, ?, ?, ?)',
+    [placa, new Date(), origen, agente, referer || null]
+  );
+}
+function scansWhere(user, f) {
+  const where = ['s.createdAt BETWEEN ? AND ?'], params = [f.desde + ' 00:00:00', f.hasta + ' 23:59:59'];
+  if (f.placa) { where.push('s.placa = ?'); params.push(f.placa); }
+  if (f.cedis) { where.push('UPPER(t.cedis) = ?'); params.push(f.cedis); }
+  const scope = userCedis(user);
+  if (scope) { where.push('UPPER(t.cedis) IN (?)'); params.push(scope); }
+  return { sql: ' FROM scan_events s JOIN trucks t ON t.placa = s.placa WHERE ' + where.join(' AND '), params };
+}
+// Escaneos del período por semana (por CEDIS, o por origen si se filtra un camión), por camión y
+// por CEDIS con la conversión a reportes públicos (sin los que generan las inspecciones)
+async function scanData(user, f) {
+  const w = scansWhere(user, f);
+  const grupo = f.placa ? 's.origen' : "UPPER(COALESCE(t.cedis, ''))";
+  const [porDia] = await pool.query(
+    `SELECT DATE_FORMAT(s.createdAt, '%Y-%m-%d') AS dia, ${grupo} AS tipo, COUNT(*) AS n${w.sql} GROUP BY dia, tipo`,
+    w.params
+  );
+  const contar = async col => {
+    const [rows] = await pool.query(`SELECT ${col} AS clave, COUNT(*) AS n${w.sql} GROUP BY clave ORDER BY n DESC`, w.params);
+    return rows.map(r => ({ clave: r.clave, n: Number(r.n) }));
+  };
+  const porOrigen = await contar('s.origen');
+  const porAgente = await contar('s.agente');
+  const porReferer = (await contar("COALESCE(s.referer, '')")).slice(0, 10);
+  const [camiones] = await pool.query(
+    `SELECT s.placa, t.unidad, UPPER(COALESCE(t.cedis, '')) AS cedis, COUNT(*) AS n,
+            SUM(s.origen = 'qr') AS qr, MAX(s.createdAt) AS ultimo${w.sql}
+      GROUP BY s.placa, t.unidad, UPPER(COALESCE(t.cedis, '')) ORDER BY n DESC, s.placa`,
+    w.params
+  );
+  const rw = reportsWhere(user, { desde: f.desde, hasta: f.hasta, cedis: f.cedis, placa: f.placa });
+  const [reportes] = await pool.query(
+    `SELECT r.placa, UPPER(COALESCE(t.cedis, '')) AS cedis, COUNT(*) AS n
+       FROM reports r LEFT JOIN trucks t ON t.placa = r.placa${rw.sql}
+        AND r.id NOT IN (SELECT report_id FROM inspections WHERE report_id IS NOT NULL)
+      GROUP BY r.placa, UPPER(COALESCE(t.cedis, ''))`,
+    rw.params
+  );
+  const [[{ primero }]] = await pool.query('SELECT MIN(createdAt) AS primero FROM scan_events');
+
+  const repPorPlaca = new Map(reportes.map(r => [r.placa, Number(r.n)]));
+  const porCamion = camiones.map(c => {
+    const n = Number(c.n), rep = repPorPlaca.get(c.placa) || 0;
+    return { placa: c.placa, unidad: c.unidad, cedis: c.cedis, escaneos: n, qr: Number(c.qr), ultimo: c.ultimo, reportes: rep, conversion: tasaConversion(rep, n) };
+  });
+  const cedis = new Map();
+  const fila = k => cedis.get(k) || cedis.set(k, { cedis: k, camiones: 0, escaneos: 0, reportes: 0 }).get(k);
+  for (const c of porCamion) { const x = fila(c.cedis); x.camiones++; x.escaneos += c.escaneos; }
+  for (const r of reportes) fila(r.cedis).reportes += Number(r.n);
+  const porCedis = [...cedis.values()].sort((a, b) => a.cedis.localeCompare(b.cedis))
+    .map(x => ({ ...x, conversion: tasaConversion(x.reportes, x.escaneos) }));
+  const total = porCamion.reduce((a, c) => a + c.escaneos, 0);
+  const totalReportes = reportes.reduce((a, r) => a + Number(r.n), 0);
+  return {
+    filtros: f,
+    desdeRegistro: primero || null,
+    total, reportes: totalReportes, conversion: tasaConversion(totalReportes, total),
+    porSemana: reportesPorSemana(porDia, f.desde, f.hasta),
+    porOrigen, porAgente, porReferer, porCedis, porCamion
+  };
+}
+// Camiones del alcance sin escaneos en los últimos `dias` (etiqueta que falta o no se puede leer)
+async function trucksWithoutScans(user, { cedis, dias }) {
+  const where = [], params = [];
+  if (cedis) { where.push('UPPER(t.cedis) = ?'); params.push(cedis); }
+  const scope = userCedis(user);
+  if (scope) { where.push('UPPER(t.cedis) IN (?)'); params.push(scope); }
+  const [rows] = await pool.query(
+    `SELECT t.placa, t.unidad, UPPER(COALESCE(t.cedis, '')) AS cedis,
+            (SELECT MAX(s.createdAt) FROM scan_events s WHERE s.placa = t.placa) AS ultimo
+       FROM trucks t${where.length ? ' WHERE ' + where.join(' AND ') : ''} ORDER BY t.placa`,
+    params
+  );
+  return sinEscaneos(rows, dias);
+}
+// Resumen para el editor: escaneos de los últimos 30 días y el último
+async function truckScanSummary(placa) {
+  const [[r]] = await pool.query(
+    'SELECT SUM(createdAt >= ?) AS ultimos30, MAX(createdAt) AS ultimo FROM scan_events WHERE placa = ?',
+    [new Date(Date.now() - 30 * 24 * 60 * 60 * 1000), String(placa).toUpperCase()]
+  );
+  return { ultimos30: Number(r?.ultimos30) || 0, ultimo: r?.ultimo || null };
+}
+
+// ---- Reportes: estado, asignación, comentarios ----
+const REPORT_ESTADOS = {
+  'nuevo': 'Nuevo',
+  'en-revision': 'En revisión',
+  'resuelto': 'Resuelto',
+  'descartado': 'Descartado'
+};
+// reportes visibles para el usuario (filtra por CEDIS vía trucks); los de cuarentena solo con f.cuarentena
+function reportsWhere(user, f = {}) {
+  const where = [f.cuarentena ? 'r.cuarentena = 1' : 'r.cuarentena = 0'], params = [];
+  if (f.placa) { where.push('r.placa = ?'); params.push(f.placa); }
+  if (f.estado) { where.push('r.estado = ?'); params.push(f.estado); }
+  if (f.tipo) { where.push('r.tipo = ?'); params.push(f.tipo); }
+  if (f.cedis) { where.push('UPPER(t.cedis) = ?'); params.push(f.cedis); }
+  if (f.asignado === '-') where.push('r.assigned_to IS NULL');
+  else if (f.asignado) { where.push('r.assigned_to = ?'); params.push(f.asignado); }
+  if (f.conductor) { where.push('r.driver_id = ?'); params.push(f.conductor); }
+  if (f.desde) { where.push('r.createdAt >= ?'); params.push(f.desde + ' 00:00:00'); }
+  if (f.hasta) { where.push('r.createdAt <= ?'); params.push(f.hasta + ' 23:59:59'); }
+  const scope = userCedis(user);
+  if (scope) { where.push('UPPER(t.cedis) IN (?)'); params.push(scope); }
+  return { sql: ' WHERE ' + where.join(' AND '), params };
+}
+async function countQuarantinedReports(user) {
+  const w = reportsWhere(user, { cuarentena: '1' });
+  const [[{ n }]] = await pool.query('SELECT COUNT(*) AS n FROM reports r LEFT JOIN trucks t ON t.placa = r.placa' + w.sql, w.params);
+  return Number(n);
+}
+async function listReports(user, f, { page = 1, perPage = 50 } = {}) {
+  const w = reportsWhere(user, f);
+  const from = ' FROM reports r LEFT JOIN trucks t ON t.placa = r.placa LEFT JOIN users u ON u.id = r.assigned_to' +
+    ' LEFT JOIN drivers dr ON dr.id = r.driver_id';
+  const [[{ total }]] = await pool.query('SELECT COUNT(*) AS total' + from + w.sql, w.params);
+  const [rows] = await pool.query(
+    'SELECT r.*, t.cedis, u.username AS asignado, dr.nombre AS conductor, dr.telefono AS conductor_telefono,' +
+    ' (SELECT COUNT(*) FROM report_photos rp WHERE rp.report_id = r.id) AS n_fotos' + from + w.sql + ' ORDER BY r.createdAt DESC LIMIT ? OFFSET ?',
+    [...w.params, perPage, (page - 1) * perPage]
+  );
+  return { items: rows, total, page, pages: Math.max(1, Math.ceil(total / perPage)) };
+}
+async function listReportTipos() {
+  const [rows] = await pool.query('SELECT DISTINCT tipo FROM reports ORDER BY tipo');
+  return rows.map(r => r.tipo);
+}
+async function getReport(id) {
+  const [rows] = await pool.query(
+    `SELECT r.*, t.cedis, u.username AS asignado, dr.nombre AS conductor, dr.telefono AS conductor_telefono
+     FROM reports r
+     LEFT JOIN trucks t ON t.placa = r.placa
+     LEFT JOIN users u ON u.id = r.assigned_to
+     LEFT JOIN drivers dr ON dr.id = r.driver_id
+     WHERE r.id = ?`,
+    [id]
+  );
+  return rows[0] || null;
+}
+// columnas propias del reporte (sin joins) para auditoría
+function reportAuditRow(rep) {
+  if (!rep) return null;
+  const { cedis, asignado, conductor, conductor_telefono, ...row } = rep;
+  return row;
+}
+async function setReportEstado(id, estado, resolucion, user) {
+  const cierra = estado === 'resuelto' || estado === 'descartado';
+  await pool.query(
+    `UPDATE reports SET estado = ?, resolucion = ?, resolvedAt = ?, resolvedBy = ? WHERE id = ?`,
+    [estado, cierra ? (resolucion || null) : null, cierra ? new Date() : null, cierra ? user.username : null, id]
+  );
+}
+async function assignReport(id, userId) {
+  await pool.query('UPDATE reports SET assigned_to = ? WHERE id = ?', [userId, id]);
+}
+async function listReportComments(reportId) {
+  const [rows] = await pool.query('SELECT * FROM report_comments WHERE report_id = ? ORDER BY createdAt', [reportId]);
+  return rows;
+}
+async function addReportComment(reportId, user, texto) {
+  const id = newId();
+  await pool.query(
+    `INSERT INTO report_comments (id, report_id, user_id, username, texto, createdAt) VALUES (?, ?, ?, ?, ?, ?)`,
+    [id, reportId, user.id, user.username, texto, new Date()]
+  );
+  return id;
+}
+// aviso al ciudadano que dejó email y a los destinos de report.resolved
+async function notifyReporterResolved(rep) {
+  try {
+    if (rep.email && parseDestino(rep.email)?.canal === 'email') {
+      await notifier.send('report.resolved', { ...rep, reportante: true }, [rep.email]);
+    }
+    const destinos = await notificationTargetsFor('report.resolved', rep.cedis);
+    if (destinos.length) await notifier.send('report.resolved', rep, destinos);
+  } catch (e) { console.error('Notificación resolución:', e.message); }
+}
+
+// ---- Destinos de notificación por evento ----
+async function listNotificationTargets() {
+  const [rows] = await pool.query('SELECT * FROM notification_targets ORDER BY evento, cedis, destino');
+  return rows.map(r => ({ ...r, activo: !!r.activo }));
+}
+async function saveNotificationTarget({ id = null, evento, destino, cedis = '', activo = true }) {
+  const d = parseDestino(destino);
+  if (!EVENTOS[evento] || !d) return null;
+  const norm = d.canal === 'email' || d.canal === 'webhook' ? d.to : `${d.canal}:${d.to}`;
+  const targetId = id || newId();
+  await pool.query(
+    `INSERT INTO notification_targets (id, evento, destino, cedis, activo, createdAt) VALUES (?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE evento=VALUES(evento), destino=VALUES(destino), cedis=VALUES(cedis), activo=VALUES(activo)`,
+    [targetId, evento, norm, String(cedis || '').trim().toUpperCase(), activo ? 1 : 0, new Date()]
   );
+  return targetId;
+}
+async function deleteNotificationTarget(id) {
+  const [r] = await pool.query('DELETE FROM notification_targets WHERE id = ?', [id]);
+  return r.affectedRows > 0;
 }
-async function listAlerts() {
+async function notificationTargetsFor(evento, cedis) {
   const [rows] = await pool.query(
+    `SELECT destino FROM notification_targets WHERE evento = ? AND activo = 1 AND (cedis = '' OR cedis = ?)`,
+    [evento, String(cedis || '').trim().toUpperCase()]
+  );
+  return rows.map(r => r.destino);
+}
+
+async function listAlerts(cedisScope = null) {
+  let sql =
     `SELECT d.*, t.placa, DATEDIFF(d.fecha_vencimiento, CURDATE()) AS dias
      FROM documents d
      JOIN trucks t ON t.placa = d.placa
      WHERE d.fecha_vencimiento IS NOT NULL
-       AND DATEDIFF(d.fecha_vencimiento, CURDATE()) <= 30`
-  );
+       AND d.reemplazado_por IS NULL
+       AND DATEDIFF(d.fecha_vencimiento, CURDATE()) <= 30`;
+  const params = [];
+  if (cedisScope) { sql += ' AND UPPER(t.cedis) IN (?)'; params.push(cedisScope); }
+  const [rows] = await pool.query(sql, params);
   const out = rows.map(r => ({
     placa: r.placa,
     id: r.id,
@@ -262,142 +864,1508 @@ async function listAlerts() {
   return out;
 }
 
-// ---- Fotos en DB (BLOB) ----
-async function savePhotoDb(placa, file) {
-  const id = Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
-  const mime = file.mimetype || 'application/octet-stream';
-  const filename = sanitizeName(file.originalname || 'img');
-  await pool.query(
-    `INSERT INTO photos (id, placa, filename, mime, data, createdAt)
-     VALUES (?, ?, ?, ?, ?, ?)`,
-    [id, String(placa).toUpperCase(), filename, mime, file.buffer, new Date()]
-  );
-  return { id, url: `/file/${id}`, filename, mime };
+// ---- Reglas de aviso de vencimiento ----
+async function listAlertRules({ soloActivas = false } = {}) {
+  const [rows] = await pool.query(`SELECT * FROM alert_rules ${soloActivas ? 'WHERE activo = 1' : ''} ORDER BY nombre`);
+  if (!rows.length) return [];
+  const [dest] = await pool.query('SELECT * FROM alert_rule_recipients WHERE rule_id IN (?) ORDER BY cedis, destino', [rows.map(r => r.id)]);
+  return rows.map(r => ({
+    ...r,
+    activo: !!r.activo,
+    umbrales: parseUmbrales(r.umbrales),
+    destinatarios: dest.filter(d => d.rule_id === r.id).map(d => ({ cedis: d.cedis, destino: d.destino }))
+  }));
 }
-async function listPhotosFromDb(placa) {
-  const [rows] = await pool.query(
-    'SELECT id FROM photos WHERE placa = ? ORDER BY createdAt DESC',
-    [String(placa).toUpperCase()]
+async function getAlertRule(id) {
+  return (await listAlertRules()).find(r => r.id === id) || null;
+}
+// data.destinatarios: texto del formulario (ver parseDestinatarios)
+async function saveAlertRule(id, data) {
+  const ruleId = id || newId();
+  const umbrales = parseUmbrales(data.umbrales);
+  const cada = parseInt(data.vencidos_cada, 10);
+  await pool.query(
+    `INSERT INTO alert_rules (id, nombre, categoria, umbrales, vencidos_cada, activo, createdAt)
+     VALUES (?, ?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE nombre=VALUES(nombre), categoria=VALUES(categoria), umbrales=VALUES(umbrales),
+       vencidos_cada=VALUES(vencidos_cada), activo=VALUES(activo)`,
+    [ruleId, String(data.nombre || '').trim() || 'Regla', String(data.categoria || '').trim() || null,
+     umbrales.join(','), cada > 0 ? cada : null, data.activo ? 1 : 0, new Date()]
   );
-  return rows.map(r => `/file/${r.id}`);
+  await pool.query('DELETE FROM alert_rule_recipients WHERE rule_id = ?', [ruleId]);
+  for (const d of parseDestinatarios(data.destinatarios)) {
+    await pool.query('INSERT INTO alert_rule_recipients (rule_id, cedis, destino) VALUES (?, ?, ?)', [ruleId, d.cedis, d.destino]);
+  }
+  return ruleId;
 }
-async function deletePhotoDbById(id, placa) {
-  const [r] = await pool.query('DELETE FROM photos WHERE id = ? AND placa = ?', [id, String(placa).toUpperCase()]);
+async function deleteAlertRule(id) {
+  const [r] = await pool.query('DELETE FROM alert_rules WHERE id = ?', [id]);
   return r.affectedRows > 0;
 }
-async function replacePhotoDbById(id, placa, file) {
-  const mime = file.mimetype || 'application/octet-stream';
-  const filename = sanitizeName(file.originalname || 'img');
-  const [r] = await pool.query(
-    'UPDATE photos SET filename=?, mime=?, data=? WHERE id=? AND placa=?',
-    [filename, mime, file.buffer, id, String(placa).toUpperCase()]
+// Sin documentIds incluye también los avisos de licencias (driver_id en vez de placa)
+async function listAlertLog({ documentIds = null, limit = 100 } = {}) {
+  if (documentIds && !documentIds.length) return [];
+  const cols = 'l.id, l.rule_id, l.umbral, l.fecha_vencimiento, l.estado, l.destinatarios, l.sentAt, r.nombre AS regla';
+  const licencias = `
+     UNION ALL
+     SELECT ${cols}, NULL AS document_id, dr.id AS driver_id, NULL AS placa, 'Licencia' AS categoria, dr.nombre AS titulo
+       FROM license_alert_log l
+       LEFT JOIN alert_rules r ON r.id = l.rule_id
+       JOIN drivers dr ON dr.id = l.driver_id`;
+  const [rows] = await pool.query(
+    `SELECT ${cols}, l.document_id, NULL AS driver_id, d.placa, d.categoria, d.titulo
+       FROM alert_log l
+       LEFT JOIN alert_rules r ON r.id = l.rule_id
+       JOIN documents d ON d.id = l.document_id
+      ${documentIds ? 'WHERE l.document_id IN (?)' : licencias}
+      ORDER BY sentAt DESC, id DESC
+      LIMIT ${Number(limit) || 100}`,
+    documentIds ? [documentIds] : []
   );
-  return r.affectedRows > 0;
+  return rows.map(r => ({ ...r, umbralLabel: umbralLabel(r.umbral) }));
 }
 
-// ---------- Rutas públicas ----------
-app.get('/', (req, res) => {
-  res.render('index', { toast: popToast(req) });
-});
+/**
+ * Revisa todos los documentos (y las licencias de los conductores activos, como categoría
+ * 'Licencia') contra las reglas activas y manda lo pendiente.
+ * Por cada documento y regla se manda solo el umbral más cercano ya alcanzado que
+ * no esté en alert_log / license_alert_log, así un día sin correr no pierde el aviso.
+ * Un correo por grupo de destinatarios. Si el envío falla no se registra (se reintenta mañana); si salió
+ * solo para algunos destinos queda 'parcial' y la próxima corrida manda a los que faltaron.
+ */
+async function runExpiryAlerts() {
+  const rules = await listAlertRules({ soloActivas: true });
+  const out = { avisos: 0, correos: 0, errores: 0, sinDestinatarios: 0 };
+  if (!rules.length) return out;
+  const maxUmbral = Math.max(0, ...rules.flatMap(r => r.umbrales));
+  const [docs] = await pool.query(
+    `SELECT d.id, d.placa, d.categoria, d.titulo, d.fecha_vencimiento, t.cedis,
+            DATEDIFF(d.fecha_vencimiento, CURDATE()) AS dias
+       FROM documents d
+       JOIN trucks t ON t.placa = d.placa
+      WHERE d.fecha_vencimiento IS NOT NULL
+        AND d.reemplazado_por IS NULL
+        AND DATEDIFF(d.fecha_vencimiento, CURDATE()) <= ?`,
+    [maxUmbral]
+  );
+  const [licencias] = await pool.query(
+    `SELECT id, nombre, cedis, licencia_categoria, licencia_vence AS fecha_vencimiento,
+            DATEDIFF(licencia_vence, CURDATE()) AS dias
+       FROM drivers
+      WHERE activo = 1 AND licencia_vence IS NOT NULL AND DATEDIFF(licencia_vence, CURDATE()) <= ?`,
+    [maxUmbral]
+  );
+  if (!docs.length && !licencias.length) return out;
+  const [sent] = docs.length ? await pool.query(
+    'SELECT document_id, rule_id, umbral, fecha_vencimiento, estado, destinatarios FROM alert_log WHERE document_id IN (?)',
+    [docs.map(d => d.id)]
+  ) : [[]];
+  const [sentLic] = licencias.length ? await pool.query(
+    'SELECT driver_id, rule_id, umbral, fecha_vencimiento, estado, destinatarios FROM license_alert_log WHERE driver_id IN (?)',
+    [licencias.map(d => d.id)]
+  ) : [[]];
+  const ymd = v => new Date(v).toISOString().slice(0, 10);
+  // clave → fila del registro (las 'parcial' se completan con los destinos que faltaron)
+  const yaEnviado = new Map([
+    ...sent.map(l => [`doc:${l.document_id}|${l.rule_id}|${l.umbral}|${ymd(l.fecha_vencimiento)}`, l]),
+    ...sentLic.map(l => [`lic:${l.driver_id}|${l.rule_id}|${l.umbral}|${ymd(l.fecha_vencimiento)}`, l])
+  ]);
 
-// ficha pública
-app.get('/c/:placa', async (req, res) => {
-  try {
-    const placa = req.params.placa;
-    const truck = await getTruck(placa);
-    let fotos = truck ? await listPhotosFromDb(truck.placa) : [];
-    fotos = fotosSinPortada(fotos, truck?.foto);
-
-    let docs = [];
-    let avisos = [];
-    if (truck) {
-      const dbDocs = await getDocsByPlaca(placa);
-      docs = dbDocs.map(d => {
-        const v = d.fecha_vencimiento ? new Date(d.fecha_vencimiento) : null;
-        const today = new Date(); today.setHours(0,0,0,0);
-        let estado = 'sin-fecha', dias = null;
-        if (v && !isNaN(v)) {
-          dias = Math.floor((v - today)/(1000*60*60*24));
-          estado = dias < 0 ? 'vencido' : (dias <= 30 ? 'por-vencer' : 'vigente');
-        }
-        return { ...d, fecha_vencimiento: v ? v.toISOString().slice(0,10) : null, estado, dias };
-      });
-      avisos = docs.filter(d => d.estado === 'vencido' || d.estado === 'por-vencer');
+  const items = [
+    ...docs.map(d => ({ ...d, clave: 'doc:' + d.id })),
+    ...licencias.map(d => ({
+      id: d.id, driver_id: d.id, placa: null, conductor: d.nombre, cedis: d.cedis, categoria: 'Licencia',
+      titulo: `${d.nombre}${d.licencia_categoria ? ` (${d.licencia_categoria})` : ''}`,
+      fecha_vencimiento: d.fecha_vencimiento, dias: d.dias, clave: 'lic:' + d.id
+    }))
+  ];
+  const pendientes = [];
+  for (const d of items) {
+    const fecha = ymd(d.fecha_vencimiento);
+    for (const rule of rules) {
+      if (!ruleMatches(rule, d.categoria)) continue;
+      const umbral = umbralVigente(d.dias, rule);
+      if (umbral == null) continue;
+      const log = yaEnviado.get(`${d.clave}|${rule.id}|${umbral}|${fecha}`);
+      const para = destinosFaltantes(recipientsFor(rule, d.cedis), log);
+      if (log && !para.length) continue;
+      pendientes.push({ doc: { ...d, fecha_vencimiento: fecha }, rule, umbral, para });
     }
-
-    const enviado = req.query.enviado === '1';
-    const error = req.query.error === '1';
-    res.render('ficha', { truck, fotos, docs, avisos, enviado, error });
-  } catch (e) {
-    console.error('GET /c/:placa error:', e);
-    res.status(500).send('Error interno al cargar la ficha.');
   }
-});
+  out.avisos = pendientes.length;
 
-// servir imagen desde MySQL
-app.get('/file/:id', async (req, res) => {
-  try {
-    const id = req.params.id;
-    const [rows] = await pool.query('SELECT mime, data FROM photos WHERE id=?', [id]);
-    if (!rows.length) return res.status(404).send('No encontrado');
-    res.setHeader('Content-Type', rows[0].mime || 'application/octet-stream');
-    res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
-    res.end(rows[0].data);
-  } catch (e) {
-    res.status(500).send('Error archivo');
-  }
-});
+  // destinatarios = a quiénes salió; completar un 'parcial' suma los nuevos a la misma fila
+  const registrar = (p, estado, destinos = []) => pool.query(
+    `INSERT INTO ${p.doc.driver_id ? 'license_alert_log (driver_id' : 'alert_log (document_id'}, rule_id, umbral, fecha_vencimiento, estado, destinatarios, sentAt)
+     VALUES (?, ?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE estado = VALUES(estado), destinatarios = CONCAT_WS(', ', destinatarios, VALUES(destinatarios)), sentAt = VALUES(sentAt)`,
+    [p.doc.id, p.rule.id, p.umbral, p.doc.fecha_vencimiento, estado, destinos.join(', ') || null, new Date()]
+  );
 
-// QR anti-localhost
-app.get('/qrimg/:placa.png', async (req, res) => {
-  try {
-    const placa = req.params.placa;
-    let base = process.env.BASE_URL || absoluteBase(req);
-    if (/localhost|127\.0\.0\.1/i.test(base)) base = process.env.PUBLIC_BASE_URL || 'https://camiones-qr.onrender.com';
-    const url = `${base}/c/${encodeURIComponent(placa)}`;
-    const buf = await QRCode.toBuffer(url, { type: 'png', width: 320, margin: 1 });
-    res.setHeader('Content-Type', 'image/png');
-    res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate, max-age=0');
-    res.setHeader('Pragma', 'no-cache');
-    res.setHeader('Expires', '0');
-    res.send(buf);
-  } catch {
-    res.status(500).send('QR error');
+  // un mensaje por grupo de destinatarios (resumen con todos sus documentos)
+  const grupos = new Map();
+  for (const p of pendientes) {
+    if (!p.para.length) { out.sinDestinatarios++; await registrar(p, 'sin-destinatarios'); continue; }
+    const k = p.para.slice().sort().join(',');
+    if (!grupos.has(k)) grupos.set(k, []);
+    grupos.get(k).push(p);
   }
-});
-app.get('/qr/:placa.png', (req, res) => res.redirect(302, `/qrimg/${encodeURIComponent(req.params.placa)}.png`));
 
-// debug
-app.get('/healthz', (req, res) => res.status(200).send('OK'));
-app.get('/debug/base', (req, res) => {
-  const auto = absoluteBase(req);
-  res.json({ BASE_URL_env: process.env.BASE_URL || null, absoluteBase: auto, finalBase: process.env.BASE_URL || auto });
-});
-app.get('/debug/db', async (req, res) => {
-  try {
-    const [r1] = await pool.query('SELECT 1 AS ok');
-    const [tables] = await pool.query('SHOW TABLES');
-    res.json({ ok: r1?.[0]?.ok === 1, tables });
-  } catch (e) {
-    res.status(500).json({ error: String(e.message || e) });
+  const base = mailBase();
+  for (const [, items] of grupos) {
+    items.sort((a, b) => a.doc.dias - b.doc.dias);
+    const data = {
+      items: items.map(p => ({
+        placa: p.doc.placa, conductor: p.doc.conductor || null, cedis: p.doc.cedis, categoria: p.doc.categoria, titulo: p.doc.titulo,
+        fecha_vencimiento: p.doc.fecha_vencimiento, dias: p.doc.dias, aviso: umbralLabel(p.umbral), regla: p.rule.nombre,
+        link: !base ? null : p.doc.driver_id
+          ? `${base}/admin/conductores/${encodeURIComponent(p.doc.driver_id)}`
+          : `${base}/admin/editar?placa=${encodeURIComponent(p.doc.placa)}`
+      }))
+    };
+    const { estado, entregados } = resultadoEnvio(await notifier.send('doc.expiring', data, items[0].para));
+    // sin ningún canal disponible queda pendiente para la próxima corrida; 'parcial' se completa con los omitidos
+    if (!estado) { out.errores++; continue; }
+    out.correos++;
+    for (const p of items) await registrar(p, estado, entregados);
   }
-});
+  return out;
+}
 
-// ---------- Admin: login/logout ----------
-app.get('/admin/login', (req, res) => res.render('admin/login', { toast: popToast(req) }));
-app.post('/admin/login', (req, res) => {
-  const pass = (req.body.pass || '').trim();
-  if (pass !== ADMIN_PASS) { setToast(req, 'err', 'Contraseña incorrecta'); return res.redirect('/admin/login'); }
-  req.session.admin = true; return res.redirect('/admin/editar');
-});
-app.get('/admin/logout', (req, res) => { req.session.destroy(() => res.redirect('/')); });
+// ---- Mantenimiento ----
+async function getOdometro(placa) {
+  const [rows] = await pool.query('SELECT km, fecha FROM odometer_readings WHERE placa = ? ORDER BY fecha DESC, id DESC LIMIT 1', [placa]);
+  return rows[0] || null;
+}
+// Lecturas alrededor de un día ('YYYY-MM-DD'): la última hasta ese día (incluido) y la primera de días posteriores.
+// Una lectura con fecha (servicio cargado después) tiene que quedar entre las dos.
+async function odometroEntorno(placa, dia) {
+  const [[antes]] = await pool.query(
+    'SELECT km FROM odometer_readings WHERE placa = ? AND DATE(fecha) <= ? ORDER BY fecha DESC, id DESC LIMIT 1', [placa, dia]);
+  const [[despues]] = await pool.query(
+    'SELECT km FROM odometer_readings WHERE placa = ? AND DATE(fecha) > ? ORDER BY fecha, id LIMIT 1', [placa, dia]);
+  return { antes: antes?.km ?? null, despues: despues?.km ?? null };
+}
+async function listOdometer(placa, limit = 20) {
+  const [rows] = await pool.query(`SELECT * FROM odometer_readings WHERE placa = ? ORDER BY fecha DESC, id DESC LIMIT ${Number(limit) || 20}`, [placa]);
+  return rows;
+}
+async function addOdometer(placa, km, { fuente = 'admin', username = null, fecha = new Date() } = {}) {
+  const [r] = await pool.query(
+    'INSERT INTO odometer_readings (placa, km, fecha, fuente, username) VALUES (?, ?, ?, ?, ?)',
+    [placa, km, fecha, fuente, username]
+  );
+  return r.insertId;
+}
+async function deleteOdometer(placa, id) {
+  const [r] = await pool.query('DELETE FROM odometer_readings WHERE id = ? AND placa = ?', [id, placa]);
+  return r.affectedRows > 0;
+}
 
-// ---------- Admin: editor ----------
-app.get('/admin/editar', requireAdmin, async (req, res) => {
-  const placa = (req.query.placa || '').toString().trim().toUpperCase();
-  let truck = null, fotos = [], docs = [], avisos = [];
+async function getServicePlan(id) {
+  const [rows] = await pool.query('SELECT * FROM service_plans WHERE id = ?', [id]);
+  return rows[0] || null;
+}
+async function saveServicePlan(id, placa, data) {
+  const planId = id || newId();
+  const desdeFecha = data.desde_fecha instanceof Date ? data.desde_fecha.toISOString().slice(0, 10) : String(data.desde_fecha || '');
+  const desde = /^\d{4}-\d{2}-\d{2}$/.test(desdeFecha) ? desdeFecha : null;
+  await pool.query(
+    `INSERT INTO service_plans (id, placa, tipo, cada_dias, cada_km, aviso_dias, aviso_km, desde_fecha, desde_km, activo, createdAt)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE tipo=VALUES(tipo), cada_dias=VALUES(cada_dias), cada_km=VALUES(cada_km), aviso_dias=VALUES(aviso_dias),
+       aviso_km=VALUES(aviso_km), desde_fecha=VALUES(desde_fecha), desde_km=VALUES(desde_km), activo=VALUES(activo)`,
+    [planId, placa, String(data.tipo || '').trim().slice(0, 64), parseIntervalo(data.cada_dias), parseIntervalo(data.cada_km),
+     parseKm(data.aviso_dias) ?? 15, parseKm(data.aviso_km) ?? 500, desde, parseKm(data.desde_km), data.activo ? 1 : 0, new Date()]
+  );
+  return planId;
+}
+async function deleteServicePlan(placa, id) {
+  const [r] = await pool.query('DELETE FROM service_plans WHERE id = ? AND placa = ?', [id, placa]);
+  return r.affectedRows > 0;
+}
+
+/**
+ * Planes con su estado calculado (ver planEstado en maintenance.js), de lo más urgente a lo menos.
+ * Sin placa: todos los camiones (opcionalmente solo los CEDIS de cedisScope).
+ */
+async function serviceStatus({ placa = null, cedisScope = null, soloActivos = true } = {}) {
+  const where = [], params = [];
+  if (soloActivos) where.push('p.activo = 1');
+  if (placa) { where.push('p.placa = ?'); params.push(placa); }
+  if (cedisScope) { where.push('UPPER(t.cedis) IN (?)'); params.push(cedisScope); }
+  const [rows] = await pool.query(
+    `SELECT p.*, t.cedis,
+            (SELECT o.km FROM odometer_readings o WHERE o.placa = p.placa ORDER BY o.fecha DESC, o.id DESC LIMIT 1) AS odometro,
+            r.id AS ultimo_id, r.fecha AS ultimo_fecha, r.odometro AS ultimo_km,
+            -- servicio sin odómetro: la lectura más cercana a su fecha (hasta 30 días antes o después)
+            (SELECT o.km FROM odometer_readings o WHERE o.placa = p.placa AND ABS(DATEDIFF(o.fecha, r.fecha)) <= 30
+              ORDER BY ABS(TIMESTAMPDIFF(SECOND, o.fecha, r.fecha)), o.id DESC LIMIT 1) AS ultimo_km_cercano
+       FROM service_plans p
+       JOIN trucks t ON t.placa = p.placa
+       LEFT JOIN service_records r ON r.id = (
+         SELECT r2.id FROM service_records r2 WHERE r2.plan_id = p.id ORDER BY r2.fecha DESC, r2.createdAt DESC LIMIT 1)
+      ${where.length ? 'WHERE ' + where.join(' AND ') : ''}`,
+    params
+  );
+  const orden = { vencido: 0, proximo: 1, 'sin-datos': 2, 'al-dia': 3 };
+  return rows.map(p => ({
+    ...p,
+    activo: !!p.activo,
+    intervalo: intervaloLabel(p),
+    ...planEstado(p, {
+      ultimo: p.ultimo_id ? { fecha: p.ultimo_fecha, odometro: p.ultimo_km, odometro_cercano: p.ultimo_km_cercano } : null,
+      odometro: p.odometro
+    })
+  })).sort((a, b) => (orden[a.estado] - orden[b.estado]) || a.placa.localeCompare(b.placa) || a.tipo.localeCompare(b.tipo));
+}
+
+async function listServiceRecords(placa) {
+  const [rows] = await pool.query(
+    `SELECT r.*, p.tipo AS plan_tipo FROM service_records r LEFT JOIN service_plans p ON p.id = r.plan_id
+      WHERE r.placa = ? ORDER BY r.fecha DESC, r.createdAt DESC`,
+    [placa]
+  );
+  if (!rows.length) return [];
+  const [files] = await pool.query(
+    `SELECT f.record_id, f.photo_id, p.filename, p.mime, p.pages
+       FROM service_record_files f JOIN photos p ON p.id = f.photo_id
+      WHERE f.record_id IN (?) ORDER BY f.pos`,
+    [rows.map(r => r.id)]
+  );
+  return rows.map(r => ({
+    ...r,
+    facturas: files.filter(f => f.record_id === r.id).map(f => ({
+      id: f.photo_id, url: `/file/${f.photo_id}`, filename: f.filename, pdf: f.mime === 'application/pdf', pages: f.pages
+    }))
+  }));
+}
+async function getServiceRecord(id) {
+  const [rows] = await pool.query('SELECT * FROM service_records WHERE id = ?', [id]);
+  return rows[0] || null;
+}
+// Registra el servicio; si trae odómetro también queda como lectura (fuente 'servicio')
+async function addServiceRecord(placa, data, photoIds, user) {
+  const id = newId();
+  await pool.query(
+    `INSERT INTO service_records (id, placa, plan_id, fecha, odometro, tipo, taller, costo, notas, createdBy, createdAt)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [id, placa, data.plan_id || null, data.fecha, data.odometro, data.tipo, data.taller || null, data.costo,
+     data.notas || null, user?.username || null, new Date()]
+  );
+  let pos = 0;
+  for (const photoId of photoIds) {
+    await pool.query('INSERT IGNORE INTO service_record_files (record_id, photo_id, pos) VALUES (?, ?, ?)', [id, photoId, pos++]);
+  }
+  if (data.odometro != null) {
+    await addOdometer(placa, data.odometro, { fuente: 'servicio', username: user?.username || null, fecha: new Date(data.fecha + 'T12:00:00') });
+  }
+  return id;
+}
+async function deleteServiceRecord(placa, id) {
+  const [files] = await pool.query('SELECT photo_id FROM service_record_files WHERE record_id = ?', [id]);
+  const [r] = await pool.query('DELETE FROM service_records WHERE id = ? AND placa = ?', [id, placa]);
+  if (!r.affectedRows) return false;
+  await dropOrphanFiles(placa, files.map(f => f.photo_id));
+  return true;
+}
+
+/**
+ * Avisa los servicios próximos o vencidos a los destinos del evento service.due (por CEDIS).
+ * Un aviso por plan, ciclo y nivel: al registrar el servicio arranca otro ciclo.
+ * Como en runExpiryAlerts, si no se pudo mandar por ningún canal no se registra y se reintenta mañana.
+ */
+async function runServiceAlerts() {
+  const out = { avisos: 0, mensajes: 0, errores: 0, sinDestinatarios: 0 };
+  const planes = (await serviceStatus()).filter(p => p.estado === 'vencido' || p.estado === 'proximo');
+  if (!planes.length) return out;
+  const [sent] = await pool.query('SELECT plan_id, ciclo, nivel, estado, destinatarios FROM service_alert_log WHERE plan_id IN (?)', [planes.map(p => p.id)]);
+  const yaEnviado = new Map(sent.map(l => [`${l.plan_id}|${l.ciclo}|${l.nivel}`, l]));
+
+  const pendientes = [];
+  for (const p of planes) {
+    const ciclo = p.ultimo_id || 'inicio';
+    const log = yaEnviado.get(`${p.id}|${ciclo}|${p.estado}`);
+    const para = destinosFaltantes(await notificationTargetsFor('service.due', p.cedis), log);
+    if (log && !para.length) continue;
+    pendientes.push({ plan: p, ciclo, para });
+  }
+  out.avisos = pendientes.length;
+
+  const registrar = (x, estado, destinos = []) => pool.query(
+    `INSERT INTO service_alert_log (plan_id, ciclo, nivel, estado, destinatarios, sentAt) VALUES (?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE estado = VALUES(estado), destinatarios = CONCAT_WS(', ', destinatarios, VALUES(destinatarios)), sentAt = VALUES(sentAt)`,
+    [x.plan.id, x.ciclo, x.plan.estado, estado, destinos.join(', ') || null, new Date()]
+  );
+
+  const grupos = new Map();
+  for (const x of pendientes) {
+    if (!x.para.length) { out.sinDestinatarios++; await registrar(x, 'sin-destinatarios'); continue; }
+    const k = x.para.slice().sort().join(',');
+    if (!grupos.has(k)) grupos.set(k, []);
+    grupos.get(k).push(x);
+  }
+
+  const base = mailBase();
+  for (const [, items] of grupos) {
+    const data = {
+      items: items.map(({ plan: p }) => ({
+        placa: p.placa, cedis: p.cedis, tipo: p.tipo, estado: p.estado, motivo: p.motivo,
+        proxima_fecha: p.proxima_fecha, proximo_km: p.proximo_km, odometro: p.odometro,
+        link: base ? `${base}/admin/mantenimiento?placa=${encodeURIComponent(p.placa)}` : null
+      }))
+    };
+    const { estado, entregados } = resultadoEnvio(await notifier.send('service.due', data, items[0].para));
+    if (!estado) { out.errores++; continue; }
+    out.mensajes++;
+    for (const x of items) await registrar(x, estado, entregados);
+  }
+  return out;
+}
+
+// ---- Conductores e inspecciones pre-viaje ----
+// El conductor se identifica con su cédula y el PIN se verifica contra el hash scrypt (con sal) de ese
+// conductor, como las contraseñas del panel.
+const PIN_DUMMY_HASH = hashPassword(crypto.randomBytes(8).toString('hex')); // mismo costo cuando la cédula no existe
+function hashPin(pin) { return hashPassword(String(pin)); }
+function validPin(pin) { return /^\d{4,8}$/.test(String(pin || '')); }
+// la cédula se compara sin espacios ni guiones y en mayúsculas (1-2345-6789 = 123456789)
+function normCedula(c) { return String(c || '').replace(/[\s-]+/g, '').toUpperCase(); }
+const CEDULA_SQL = "UPPER(REPLACE(REPLACE(cedula, '-', ''), ' ', ''))";
+function newPin() { return String(crypto.randomInt(0, 1000000)).padStart(6, '0'); }
+
+function driverFromRow(row) {
+  if (!row) return null;
+  const { pin_hash, ...d } = row;
+  const licencia_vence = d.licencia_vence ? new Date(d.licencia_vence).toISOString().slice(0, 10) : null;
+  return { ...d, activo: !!d.activo, licencia_vence, licencia: docEstado(licencia_vence) };
+}
+async function listDrivers(cedisScope = null) {
+  const [rows] = await pool.query(
+    `SELECT d.*, COUNT(i.id) AS inspecciones, MAX(i.createdAt) AS ultimaInspeccion,
+            (SELECT a.placa FROM driver_assignments a
+              WHERE a.driver_id = d.id AND a.desde <= NOW() AND (a.hasta IS NULL OR a.hasta > NOW())
+              ORDER BY a.desde DESC LIMIT 1) AS placa_actual
+       FROM drivers d LEFT JOIN inspections i ON i.driver_id = d.id
+      ${cedisScope ? 'WHERE d.cedis IN (?)' : ''}
+      GROUP BY d.id ORDER BY d.activo DESC, d.nombre`,
+    cedisScope ? [cedisScope] : []
+  );
+  return rows.map(driverFromRow);
+}
+async function getDriverById(id) {
+  const [rows] = await pool.query('SELECT * FROM drivers WHERE id = ?', [id]);
+  return driverFromRow(rows[0]);
+}
+// conductor activo con esa cédula y ese PIN, o null (mismo trabajo si la cédula no existe)
+async function getDriverByLogin(cedula, pin) {
+  const [rows] = await pool.query(`SELECT * FROM drivers WHERE ${CEDULA_SQL} = ? AND activo = 1`, [normCedula(cedula)]);
+  if (!rows.length) { verifyPassword(pin, PIN_DUMMY_HASH); return null; }
+  return driverFromRow(rows.find(r => verifyPassword(String(pin), r.pin_hash)));
+}
+// otro conductor activo que ya usa la cédula (la cédula identifica al conductor al entrar)
+async function cedulaEnUso(cedula, exceptId = null) {
+  const [rows] = await pool.query(
+    `SELECT nombre FROM drivers WHERE ${CEDULA_SQL} = ? AND activo = 1 AND id <> ?`, [normCedula(cedula), exceptId || '']
+  );
+  return rows[0]?.nombre || null;
+}
+// datos de ficha del conductor desde el formulario (cédula, teléfono, licencia)
+function driverFields(b) {
+  const txt = (v, n) => String(v || '').trim().slice(0, n) || null;
+  return {
+    cedula: txt(b.cedula, 32),
+    telefono: txt(b.telefono, 64),
+    licencia_categoria: txt(b.licencia_categoria, 16)?.toUpperCase() || null,
+    licencia_vence: /^\d{4}-\d{2}-\d{2}$/.test(b.licencia_vence || '') ? b.licencia_vence : null
+  };
+}
+async function createDriver({ nombre, cedis, pin, ...datos }) {
+  const id = newId();
+  const f = driverFields(datos);
+  await pool.query(
+    `INSERT INTO drivers (id, nombre, cedis, pin_hash, activo, createdAt, cedula, telefono, licencia_categoria, licencia_vence)
+     VALUES (?, ?, ?, ?, 1, ?, ?, ?, ?, ?)`,
+    [id, String(nombre).trim().slice(0, 128), String(cedis || '').trim().toUpperCase(), hashPin(pin), new Date(),
+     f.cedula, f.telefono, f.licencia_categoria, f.licencia_vence]
+  );
+  return id;
+}
+async function updateDriver(id, { activo, pin, datos }) {
+  if (activo !== undefined) await pool.query('UPDATE drivers SET activo = ? WHERE id = ?', [activo ? 1 : 0, id]);
+  if (pin !== undefined) await pool.query('UPDATE drivers SET pin_hash = ? WHERE id = ?', [hashPin(pin), id]);
+  if (datos) {
+    const f = driverFields(datos);
+    await pool.query(
+      `UPDATE drivers SET nombre = ?, cedis = ?, cedula = ?, telefono = ?, licencia_categoria = ?, licencia_vence = ? WHERE id = ?`,
+      [String(datos.nombre).trim().slice(0, 128), String(datos.cedis || '').trim().toUpperCase(),
+       f.cedula, f.telefono, f.licencia_categoria, f.licencia_vence, id]
+    );
+  }
+}
+
+// ---- Asignaciones conductor ↔ camión ----
+// Un camión tiene a lo sumo un conductor a la vez y un conductor maneja un camión a la vez.
+async function driverAt(placa, fecha) {
+  const [rows] = await pool.query(
+    `SELECT driver_id FROM driver_assignments
+      WHERE placa = ? AND desde <= ? AND (hasta IS NULL OR hasta > ?)
+      ORDER BY desde DESC LIMIT 1`,
+    [placa, fecha, fecha]
+  );
+  return rows[0]?.driver_id || null;
+}
+async function listAssignments({ placa = null, driverId = null, limit = 100 } = {}) {
+  const where = [], params = [];
+  if (placa) { where.push('a.placa = ?'); params.push(placa); }
+  if (driverId) { where.push('a.driver_id = ?'); params.push(driverId); }
+  const [rows] = await pool.query(
+    `SELECT a.*, d.nombre AS conductor, d.telefono, d.licencia_vence,
+            (a.desde <= NOW() AND (a.hasta IS NULL OR a.hasta > NOW())) AS vigente,
+            (SELECT COUNT(*) FROM reports r WHERE r.driver_id = a.driver_id AND r.placa = a.placa AND r.cuarentena = 0
+               AND r.createdAt >= a.desde AND (a.hasta IS NULL OR r.createdAt < a.hasta)) AS reportes
+       FROM driver_assignments a JOIN drivers d ON d.id = a.driver_id
+      ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+      ORDER BY a.desde DESC LIMIT ${Number(limit) || 100}`,
+    params
+  );
+  return rows.map(r => ({
+    ...r, vigente: !!r.vigente, reportes: Number(r.reportes),
+    licencia: docEstado(r.licencia_vence ? new Date(r.licencia_vence).toISOString().slice(0, 10) : null)
+  }));
+}
+async function getAssignment(id) {
+  const [rows] = await pool.query('SELECT * FROM driver_assignments WHERE id = ?', [id]);
+  return rows[0] || null;
+}
+// Reportes sin conductor dentro de la ventana de la asignación (para asignaciones cargadas tarde)
+async function linkAssignmentReports(a) {
+  await pool.query(
+    `UPDATE reports SET driver_id = ?
+      WHERE placa = ? AND driver_id IS NULL AND createdAt >= ? ${a.hasta ? 'AND createdAt < ?' : ''}`,
+    [a.driver_id, a.placa, a.desde, ...(a.hasta ? [a.hasta] : [])]
+  );
+}
+// Desliga los reportes de la ventana [desde, hasta) salvo los de inspecciones (esos son del inspector)
+async function unlinkAssignmentReports(a, desde, hasta) {
+  await pool.query(
+    `UPDATE reports SET driver_id = NULL
+      WHERE placa = ? AND driver_id = ? AND createdAt >= ? ${hasta ? 'AND createdAt < ?' : ''}
+        AND id NOT IN (SELECT report_id FROM inspections WHERE report_id IS NOT NULL)`,
+    [a.placa, a.driver_id, desde, ...(hasta ? [hasta] : [])]
+  );
+}
+/**
+ * Nueva asignación. La asignación abierta del camión (o del conductor) que empezó antes se
+ * cierra en `desde`; cualquier otro cruce de fechas se rechaza.
+ * Devuelve { id, cerradas } o { error }.
+ */
+async function addAssignment({ driverId, placa, desde, hasta = null, username = null }) {
+  if (hasta && hasta <= desde) return { error: 'La fecha de fin debe ser posterior al inicio' };
+  const [abiertas] = await pool.query(
+    'SELECT * FROM driver_assignments WHERE (placa = ? OR driver_id = ?) AND hasta IS NULL AND desde < ?',
+    [placa, driverId, desde]
+  );
+  const [cruces] = await pool.query(
+    `SELECT a.*, d.nombre AS conductor FROM driver_assignments a JOIN drivers d ON d.id = a.driver_id
+      WHERE (a.placa = ? OR a.driver_id = ?) AND (a.hasta IS NULL OR a.hasta > ?) ${hasta ? 'AND a.desde < ?' : ''}`,
+    [placa, driverId, desde, ...(hasta ? [hasta] : [])]
+  );
+  const choca = cruces.find(c => !abiertas.some(a => a.id === c.id));
+  if (choca) {
+    const rango = `${new Date(choca.desde).toLocaleString()} – ${choca.hasta ? new Date(choca.hasta).toLocaleString() : 'vigente'}`;
+    return { error: `Se cruza con la asignación de ${choca.conductor} en ${choca.placa} (${rango})` };
+  }
+  for (const a of abiertas) await endAssignment(a, desde);
+  const id = newId();
+  await pool.query(
+    'INSERT INTO driver_assignments (id, driver_id, placa, desde, hasta, createdBy, createdAt) VALUES (?, ?, ?, ?, ?, ?, ?)',
+    [id, driverId, placa, desde, hasta, username, new Date()]
+  );
+  await linkAssignmentReports({ driver_id: driverId, placa, desde, hasta });
+  return { id, cerradas: abiertas };
+}
+async function endAssignment(a, hasta) {
+  await pool.query('UPDATE driver_assignments SET hasta = ? WHERE id = ?', [hasta, a.id]);
+  await unlinkAssignmentReports(a, hasta, a.hasta);
+}
+async function deleteAssignment(a) {
+  await pool.query('DELETE FROM driver_assignments WHERE id = ?', [a.id]);
+  await unlinkAssignmentReports(a, a.desde, a.hasta);
+}
+
+async function listChecklistItems({ soloActivos = false } = {}) {
+  const [rows] = await pool.query(`SELECT * FROM checklist_items ${soloActivos ? 'WHERE activo = 1' : ''} ORDER BY orden, texto`);
+  return rows.map(r => ({ ...r, activo: !!r.activo }));
+}
+async function saveChecklistItem(id, { texto, orden, activo }) {
+  const itemId = id || newId();
+  await pool.query(
+    `INSERT INTO checklist_items (id, texto, orden, activo, createdAt) VALUES (?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE texto=VALUES(texto), orden=VALUES(orden), activo=VALUES(activo)`,
+    [itemId, String(texto || '').trim().slice(0, 128), parseInt(orden, 10) || 0, activo ? 1 : 0, new Date()]
+  );
+  return itemId;
+}
+async function deleteChecklistItem(id) {
+  const [r] = await pool.query('DELETE FROM checklist_items WHERE id = ?', [id]);
+  return r.affectedRows > 0;
+}
+
+// resultados: [{ item: { id, texto }, ok, comentario }]; fotos: [{ photoId, itemId }]
+async function createInspection({ placa, driver, odometro, notas, resultados, fotos }) {
+  const id = newId();
+  const fallas = resultados.filter(r => !r.ok).length;
+  await pool.query(
+    `INSERT INTO inspections (id, placa, driver_id, driver_nombre, odometro, fallas, notas, createdAt)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [id, placa, driver.id, driver.nombre, odometro, fallas, notas || null, new Date()]
+  );
+  for (const [pos, r] of resultados.entries()) {
+    await pool.query(
+      'INSERT INTO inspection_items (inspection_id, item_id, texto, ok, comentario, pos) VALUES (?, ?, ?, ?, ?, ?)',
+      [id, r.item.id, r.item.texto, r.ok ? 1 : 0, r.comentario || null, pos]
+    );
+  }
+  for (const f of fotos) {
+    await pool.query('INSERT IGNORE INTO inspection_photos (inspection_id, photo_id, item_id) VALUES (?, ?, ?)', [id, f.photoId, f.itemId]);
+  }
+  return id;
+}
+async function listInspections({ placa = null, driverId = null, soloFallas = false, cedisScope = null, page = 1, perPage = 50 } = {}) {
+  const where = [], params = [];
+  if (placa) { where.push('i.placa = ?'); params.push(placa); }
+  if (driverId) { where.push('i.driver_id = ?'); params.push(driverId); }
+  if (soloFallas) where.push('i.fallas > 0');
+  if (cedisScope) { where.push('UPPER(t.cedis) IN (?)'); params.push(cedisScope); }
+  const sqlWhere = where.length ? 'WHERE ' + where.join(' AND ') : '';
+  const [[{ total }]] = await pool.query(`SELECT COUNT(*) AS total FROM inspections i JOIN trucks t ON t.placa = i.placa ${sqlWhere}`, params);
+  const [rows] = await pool.query(
+    `SELECT i.*, t.cedis, r.estado AS report_estado
+       FROM inspections i JOIN trucks t ON t.placa = i.placa
+       LEFT JOIN reports r ON r.id = i.report_id
+      ${sqlWhere} ORDER BY i.createdAt DESC LIMIT ? OFFSET ?`,
+    [...params, perPage, (page - 1) * perPage]
+  );
+  return { items: rows, total, page, pages: Math.max(1, Math.ceil(total / perPage)) };
+}
+async function getInspection(id) {
+  const [[insp]] = await pool.query('SELECT i.*, t.cedis FROM inspections i JOIN trucks t ON t.placa = i.placa WHERE i.id = ?', [id]);
+  if (!insp) return null;
+  const [items] = await pool.query('SELECT * FROM inspection_items WHERE inspection_id = ? ORDER BY pos', [id]);
+  const [fotos] = await pool.query('SELECT photo_id, item_id FROM inspection_photos WHERE inspection_id = ?', [id]);
+  return {
+    ...insp,
+    items: items.map(it => ({ ...it, ok: !!it.ok, fotos: fotos.filter(f => f.item_id === it.item_id).map(f => `/file/${f.photo_id}`) })),
+    fotos: fotos.filter(f => !f.item_id).map(f => `/file/${f.photo_id}`)
+  };
+}
+async function getInspectionIdByReport(reportId) {
+  const [rows] = await pool.query('SELECT id FROM inspections WHERE report_id = ?', [reportId]);
+  return rows[0]?.id || null;
+}
+
+// ---- Usuarios ----
+function parseCedisList(v) {
+  const arr = Array.isArray(v) ? v : String(v || '').split(';');
+  return [...new Set(arr.map(s => String(s).trim().toUpperCase()).filter(Boolean))];
+}
+function userFromRow(row) {
+  if (!row) return null;
+  return { ...row, activo: !!row.activo, cedis: parseCedisList(row.cedis) };
+}
+// sin pass_hash, para auditoría
+function publicUser(u) {
+  if (!u) return null;
+  const { pass_hash, ...rest } = u;
+  return rest;
+}
+async function getUserById(id) {
+  const [rows] = await pool.query('SELECT * FROM users WHERE id = ?', [id]);
+  return userFromRow(rows[0]);
+}
+async function getUserByUsername(username) {
+  const [rows] = await pool.query('SELECT * FROM users WHERE username = ?', [String(username).trim().toLowerCase()]);
+  return userFromRow(rows[0]);
+}
+async function listUsers() {
+  const [rows] = await pool.query('SELECT * FROM users ORDER BY username');
+  return rows.map(userFromRow);
+}
+async function createUser(u) {
+  const id = newId();
+  await pool.query(
+    `INSERT INTO users (id, username, nombre, pass_hash, role, cedis, activo, createdAt)
+     VALUES (?, ?, ?, ?, ?, ?, 1, ?)`,
+    [id, String(u.username).trim().toLowerCase(), u.nombre || '', hashPassword(u.pass), u.role,
+     parseCedisList(u.cedis).join(';'), new Date()]
+  );
+  return id;
+}
+async function updateUser(id, u) {
+  const sets = ['nombre=?', 'role=?', 'cedis=?', 'activo=?'];
+  const params = [u.nombre || '', u.role, parseCedisList(u.cedis).join(';'), u.activo ? 1 : 0];
+  if (u.pass) { sets.push('pass_hash=?'); params.push(hashPassword(u.pass)); }
+  params.push(id);
+  const [r] = await pool.query(`UPDATE users SET ${sets.join(', ')} WHERE id = ?`, params);
+  return r.affectedRows > 0;
+}
+
+// ---- API keys (/api/v1) ----
+// Permisos que puede tener una clave (mismos nombres que los de los roles)
+const API_SCOPES = {
+  'fleet:read': 'Leer camiones, documentos y fotos',
+  'fleet:write': 'Crear, editar y borrar camiones, documentos y fotos',
+  'reports:read': 'Leer reportes',
+  'reports:write': 'Cambiar estado, asignar y comentar reportes',
+  'alerts:read': 'Leer vencimientos'
+};
+function hashApiKey(key) { return crypto.createHash('sha256').update(String(key)).digest('hex'); }
+function apiKeyFromRow(row) {
+  if (!row) return null;
+  const { key_hash, ...rest } = row;
+  return { ...rest, activo: !!row.activo, scopes: row.scopes.split(',').filter(s => API_SCOPES[s]), cedis: parseCedisList(row.cedis) };
+}
+async function listApiKeys() {
+  const [rows] = await pool.query('SELECT * FROM api_keys ORDER BY activo DESC, createdAt DESC');
+  return rows.map(apiKeyFromRow);
+}
+async function getApiKeyById(id) {
+  const [rows] = await pool.query('SELECT * FROM api_keys WHERE id = ?', [id]);
+  return apiKeyFromRow(rows[0]);
+}
+// Devuelve { id, key }: la clave completa solo existe en este momento
+async function createApiKey({ nombre, scopes, cedis }, user) {
+  const id = newId();
+  const key = 'cqr_' + crypto.randomBytes(24).toString('base64url');
+  await pool.query(
+    `INSERT INTO api_keys (id, nombre, prefix, key_hash, scopes, cedis, activo, createdBy, createdAt)
+     VALUES (?, ?, ?, ?, ?, ?, 1, ?, ?)`,
+    [id, nombre, key.slice(0, 10), hashApiKey(key), scopes.join(','), parseCedisList(cedis).join(';'), user?.username || null, new Date()]
+  );
+  return { id, key };
+}
+async function setApiKeyActivo(id, activo) {
+  const [r] = await pool.query('UPDATE api_keys SET activo = ? WHERE id = ?', [activo ? 1 : 0, id]);
+  return r.affectedRows > 0;
+}
+async function getApiKeyBySecret(key) {
+  const [rows] = await pool.query('SELECT * FROM api_keys WHERE key_hash = ? AND activo = 1', [hashApiKey(key)]);
+  return apiKeyFromRow(rows[0]);
+}
+
+// ---- Calendario de vencimientos (.ics) ----
+function calendarFeedFromRow(row) {
+  if (!row) return null;
+  const { token_hash, ...rest } = row;
+  return { ...rest, activo: !!row.activo };
+}
+// userId null = todos (para quien administra usuarios)
+async function listCalendarFeeds(userId = null) {
+  const [rows] = await pool.query(
+    `SELECT f.*, u.username FROM calendar_feeds f JOIN users u ON u.id = f.user_id
+      ${userId ? 'WHERE f.user_id = ?' : ''} ORDER BY f.activo DESC, f.createdAt DESC`,
+    userId ? [userId] : []
+  );
+  return rows.map(calendarFeedFromRow);
+}
+async function getCalendarFeed(id) {
+  const [rows] = await pool.query('SELECT * FROM calendar_feeds WHERE id = ?', [id]);
+  return calendarFeedFromRow(rows[0]);
+}
+// Devuelve { id, token }: el token completo solo existe en este momento
+async function createCalendarFeed({ nombre, cedis }, user) {
+  const id = newId();
+  const token = 'cal_' + crypto.randomBytes(24).toString('base64url');
+  await pool.query(
+    `INSERT INTO calendar_feeds (id, user_id, nombre, cedis, prefix, token_hash, activo, createdAt)
+     VALUES (?, ?, ?, ?, ?, ?, 1, ?)`,
+    [id, user.id, nombre, cedis, token.slice(0, 10), hashApiKey(token), new Date()]
+  );
+  return { id, token };
+}
+async function setCalendarFeedActivo(id, activo) {
+  const [r] = await pool.query('UPDATE calendar_feeds SET activo = ? WHERE id = ?', [activo ? 1 : 0, id]);
+  return r.affectedRows > 0;
+}
+async function getCalendarFeedByToken(token) {
+  const [rows] = await pool.query('SELECT * FROM calendar_feeds WHERE token_hash = ? AND activo = 1', [hashApiKey(token)]);
+  return calendarFeedFromRow(rows[0]);
+}
+// Documentos vigentes con fecha que ve el dueño del feed (y del CEDIS del feed, si tiene)
+async function listCalendarDocs(owner, cedis) {
+  const where = ['d.fecha_vencimiento IS NOT NULL', 'd.reemplazado_por IS NULL'], params = [];
+  if (cedis) { where.push('UPPER(t.cedis) = ?'); params.push(cedis); }
+  const scope = userCedis(owner);
+  if (scope) { where.push('UPPER(t.cedis) IN (?)'); params.push(scope); }
+  const [rows] = await pool.query(
+    `SELECT d.id, d.placa, d.categoria, d.titulo, DATE_FORMAT(d.fecha_vencimiento, '%Y-%m-%d') AS fecha_vencimiento,
+            t.unidad, UPPER(t.cedis) AS cedis
+       FROM documents d JOIN trucks t ON t.placa = d.placa
+      WHERE ${where.join(' AND ')}
+      ORDER BY d.fecha_vencimiento`,
+    params
+  );
+  return rows;
+}
+
+// ---- Auditoría ----
+// Nunca rompe la acción auditada: si falla el insert solo se loguea.
+async function audit(req, { placa = null, action, entity, entityId = null, before = null, after = null }) {
   try {
-    try { avisos = await listAlerts(); } catch (e) { console.error('listAlerts:', e.message); avisos = []; }
+    await pool.query(
+      `INSERT INTO audit_log (createdAt, user_id, username, ip, placa, action, entity, entity_id, before_data, after_data)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        new Date(), req.user?.id || null, req.user?.username || null, req.ip || null,
+        placa ? String(placa).toUpperCase() : null, action, entity, entityId,
+        before ? JSON.stringify(before) : null, after ? JSON.stringify(after) : null
+      ]
+    );
+  } catch (e) { console.error('audit:', e.message); }
+}
+// Campos que cambiaron entre dos filas: [{ campo, antes, despues }]
+function diffRows(before, after) {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const out = [];
+  for (const k of keys) {
+    const a = before ? before[k] : undefined;
+    const b = after ? after[k] : undefined;
+    if (JSON.stringify(a) !== JSON.stringify(b)) out.push({ campo: k, antes: a, despues: b });
+  }
+  return out;
+}
+async function listAudit({ placa, username, action, desde, hasta, page = 1, perPage = 100 }) {
+  const where = [], params = [];
+  if (placa) { where.push('placa = ?'); params.push(placa); }
+  if (username) { where.push('username = ?'); params.push(username); }
+  if (action) { where.push('action = ?'); params.push(action); }
+  if (desde) { where.push('createdAt >= ?'); params.push(desde + ' 00:00:00'); }
+  if (hasta) { where.push('createdAt <= ?'); params.push(hasta + ' 23:59:59'); }
+  const whereSql = where.length ? ' WHERE ' + where.join(' AND ') : '';
+  const [[{ total }]] = await pool.query('SELECT COUNT(*) AS total FROM audit_log' + whereSql, params);
+  const [rows] = await pool.query(
+    'SELECT * FROM audit_log' + whereSql + ' ORDER BY createdAt DESC, id DESC LIMIT ? OFFSET ?',
+    [...params, perPage, (page - 1) * perPage]
+  );
+  const parse = t => { try { return t ? JSON.parse(t) : null; } catch { return null; } };
+  const items = rows.map(r => {
+    const before = parse(r.before_data), after = parse(r.after_data);
+    return { ...r, before, after, cambios: diffRows(before, after) };
+  });
+  return { items, total, page, pages: Math.max(1, Math.ceil(total / perPage)) };
+}
+
+// ---- Fotos (metadatos en photos, binario en el storage) ----
+// STORAGE_DRIVER elige dónde van los archivos nuevos; cada fila guarda su driver
+const storage = createStorage(pool);
+
+// Imagen lista para guardar: rotada, sin EXIF y con tamaño máximo (ver images.js)
+// soloImagen: rechaza todo lo que no sea una imagen que sharp pueda decodificar y volver a codificar
+async function prepareUpload(file, { soloImagen = false } = {}) {
+  const mimeIn = (file.mimetype || 'application/octet-stream').toLowerCase();
+  let filename = sanitizeName(file.originalname || 'img');
+  if (soloImagen && !isProcessableImage(mimeIn)) throw new Error('Solo se aceptan imágenes JPG, PNG, WebP o GIF');
+  if (isPdf(mimeIn, file.buffer)) return { buffer: file.buffer, mime: mimeIn, width: null, height: null, pages: await pdfPageCount(file.buffer), filename };
+  if (mimeIn === 'application/pdf') throw new Error('El archivo no es un PDF válido');
+  if (!isProcessableImage(mimeIn)) return { buffer: file.buffer, mime: mimeIn, width: null, height: null, filename };
+  const img = await processOriginal(file.buffer);
+  if (img.mime !== mimeIn) filename = filename.replace(/\.[^.]*$/, '') + '.' + (img.mime === 'image/jpeg' ? 'jpg' : img.mime.slice(6));
+  return { ...img, filename };
+}
+async function storeVariant(id, variant, v) {
+  await pool.query(
+    `REPLACE INTO photo_variants (photo_id, variant, mime, width, height, data, storage) VALUES (?, ?, ?, ?, ?, NULL, ?)`,
+    [id, variant, v.mime, v.width, v.height, storage.active]
+  );
+  await storage.put(storage.active, variantKey(id, variant), v.buffer, v.mime);
+}
+// Imagen base de las variantes: la foto misma o la 1ª página del PDF (null = sin vista previa)
+async function previewSource(mime, buffer) {
+  if (isProcessableImage(mime)) return buffer;
+  if (isPdf(mime)) return pdfFirstPage(buffer);
+  return null;
+}
+async function savePhotoVariants(id, mime, buffer) {
+  let src;
+  try { src = await previewSource(mime, buffer); }
+  catch (e) { console.error('preview:', e.message); return; } // PDF ilegible: se sirve sin vista previa
+  if (!src) return;
+  for (const variant of Object.keys(VARIANTS)) {
+    await storeVariant(id, variant, await makeVariant(src, variant));
+  }
+}
+// Borra los binarios de variantes (la fila se borra aparte o por CASCADE)
+async function dropPhotoVariantBlobs(id) {
+  const [rows] = await pool.query('SELECT variant, storage FROM photo_variants WHERE photo_id = ?', [id]);
+  for (const r of rows) {
+    if (r.storage === 'db') continue;
+    try { await storage.del(r.storage, variantKey(id, r.variant)); }
+    catch (e) { console.error('storage del:', e.message); }
+  }
+}
+
+// Si la misma imagen (mismo hash) ya existe para la placa, devuelve esa con duplicate=true.
+// No se reutiliza entre propósitos: con interna (reportes, inspecciones, servicios) solo entre
+// archivos internos, y sin ella solo entre los de la galería y los documentos.
+async function savePhotoDb(placa, file, { interna = false, soloImagen = false } = {}) {
+  placa = String(placa).toUpperCase();
+  if (soloImagen && !isProcessableImage(file.mimetype)) throw new Error('Solo se aceptan imágenes JPG, PNG, WebP o GIF');
+  const sha256 = contentHash(file.buffer);
+  const [dup] = await pool.query(
+    `SELECT id, filename, mime FROM photos WHERE placa = ? AND sha256 = ? AND ${interna ? `NOT (${INTERNAL_PHOTOS})` : INTERNAL_PHOTOS} LIMIT 1`,
+    [placa, sha256]
+  );
+  if (dup.length) return { id: dup[0].id, url: `/file/${dup[0].id}`, filename: dup[0].filename, mime: dup[0].mime, duplicate: true };
+
+  const id = Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+  const img = await prepareUpload(file, { soloImagen });
+  await pool.query(
+    `INSERT INTO photos (id, placa, filename, mime, data, createdAt, sha256, width, height, bytes, pages, storage)
+     VALUES (?, ?, ?, ?, NULL, ?, ?, ?, ?, ?, ?, ?)`,
+    [id, placa, img.filename, img.mime, new Date(), sha256, img.width, img.height, img.buffer.length, img.pages || null, storage.active]
+  );
+  try {
+    await storage.put(storage.active, photoKey(id), img.buffer, img.mime);
+  } catch (e) {
+    await pool.query('DELETE FROM photos WHERE id = ?', [id]);
+    throw e;
+  }
+  await savePhotoVariants(id, img.mime, img.buffer);
+  return { id, url: `/file/${id}`, filename: img.filename, mime: img.mime, duplicate: false };
+}
+// facturas de servicios y fotos de inspecciones y reportes son internas: no van a la galería
+const INTERNAL_PHOTOS = `id NOT IN (SELECT photo_id FROM service_record_files)
+  AND id NOT IN (SELECT photo_id FROM inspection_photos)
+  AND id NOT IN (SELECT photo_id FROM report_photos)`;
+// lo que no se muestra a quien no inició sesión: fotos internas, archivos de documentos no públicos
+// y las fotos de reportes, inspecciones y servicios
+const PRIVATE_PHOTOS = `visibilidad = 'interno'
+  OR id IN (SELECT photo_id FROM report_photos)
+  OR id IN (SELECT photo_id FROM inspection_photos)
+  OR id IN (SELECT photo_id FROM service_record_files)
+  OR id IN (SELECT f.photo_id FROM document_files f JOIN documents d ON d.id = f.document_id WHERE d.visibilidad <> 'publico')
+  OR CONCAT('/file/', id) IN (SELECT url FROM documents WHERE visibilidad <> 'publico' AND url IS NOT NULL)`;
+async function listPhotosFromDb(placa, { soloPublicas = false } = {}) {
+  const [rows] = await pool.query(
+    `SELECT id FROM photos WHERE placa = ? AND mime LIKE 'image/%' AND ${INTERNAL_PHOTOS}
+      ${soloPublicas ? `AND NOT (${PRIVATE_PHOTOS})` : ''} ORDER BY createdAt DESC`,
+    [String(placa).toUpperCase()]
+  );
+  return rows.map(r => `/file/${r.id}`);
+}
+// Fotos de la galería con metadatos, paginadas (API)
+async function listPhotoMeta(placa, { page = 1, perPage = 50 } = {}) {
+  placa = String(placa).toUpperCase();
+  const where = `FROM photos WHERE placa = ? AND mime LIKE 'image/%' AND ${INTERNAL_PHOTOS}`;
+  const [[{ total }]] = await pool.query(`SELECT COUNT(*) AS total ${where}`, [placa]);
+  const [rows] = await pool.query(
+    `SELECT id, placa, filename, mime, createdAt, sha256, width, height, bytes, pages, storage, visibilidad ${where} ORDER BY createdAt DESC LIMIT ? OFFSET ?`,
+    [placa, perPage, (page - 1) * perPage]
+  );
+  return { items: rows, total, page, perPage };
+}
+async function getPhotoMeta(id) {
+  const [rows] = await pool.query('SELECT id, placa, filename, mime, createdAt, sha256, width, height, bytes, pages, storage, visibilidad FROM photos WHERE id = ?', [id]);
+  return rows[0] || null;
+}
+async function setPhotoVisibilidad(id, placa, visibilidad) {
+  const [r] = await pool.query('UPDATE photos SET visibilidad = ? WHERE id = ? AND placa = ?', [visibilidad, id, String(placa).toUpperCase()]);
+  return r.affectedRows > 0;
+}
+// /file/:id sin sesión: solo si no cae en PRIVATE_PHOTOS
+async function isPublicFile(id) {
+  const [rows] = await pool.query(`SELECT 1 FROM photos WHERE id = ? AND (${PRIVATE_PHOTOS})`, [id]);
+  return !rows.length;
+}
+async function deletePhotoDbById(id, placa) {
+  const meta = await getPhotoMeta(id);
+  if (!meta || meta.placa !== String(placa).toUpperCase()) return false;
+  await dropPhotoVariantBlobs(id);
+  const [r] = await pool.query('DELETE FROM photos WHERE id = ? AND placa = ?', [id, meta.placa]);
+  if (r.affectedRows && meta.storage !== 'db') {
+    try { await storage.del(meta.storage, photoKey(id)); }
+    catch (e) { console.error('storage del:', e.message); }
+  }
+  return r.affectedRows > 0;
+}
+async function replacePhotoDbById(id, placa, file, { soloImagen = false } = {}) {
+  const meta = await getPhotoMeta(id);
+  if (!meta || meta.placa !== String(placa).toUpperCase()) return false;
+  const img = await prepareUpload(file, { soloImagen });
+  await storage.put(storage.active, photoKey(id), img.buffer, img.mime);
+  await pool.query(
+    'UPDATE photos SET filename=?, mime=?, sha256=?, width=?, height=?, bytes=?, pages=?, storage=? WHERE id=?',
+    [img.filename, img.mime, contentHash(file.buffer), img.width, img.height, img.buffer.length, img.pages || null, storage.active, id]
+  );
+  if (meta.storage !== storage.active) {
+    try { await storage.del(meta.storage, photoKey(id)); }
+    catch (e) { console.error('storage del:', e.message); }
+  }
+  await dropPhotoVariantBlobs(id);
+  await pool.query('DELETE FROM photo_variants WHERE photo_id = ?', [id]);
+  await savePhotoVariants(id, img.mime, img.buffer);
+  return true;
+}
+// Original desde su driver: { mime, data } o null
+async function readPhoto(id) {
+  const [rows] = await pool.query('SELECT mime, filename, storage FROM photos WHERE id = ?', [id]);
+  if (!rows.length) return null;
+  const data = await storage.get(rows[0].storage, photoKey(id));
+  return data ? { mime: rows[0].mime, filename: rows[0].filename, data } : null;
+}
+// Variante pedida por /file/:id?size=; si no existe (foto vieja) se genera y guarda
+async function getPhotoVariant(id, variant) {
+  const [rows] = await pool.query('SELECT mime, storage FROM photo_variants WHERE photo_id = ? AND variant = ?', [id, variant]);
+  if (rows.length) {
+    const data = await storage.get(rows[0].storage, variantKey(id, variant));
+    if (data) return { mime: rows[0].mime, data };
+  }
+  const orig = await readPhoto(id);
+  if (!orig) return null;
+  const src = await previewSource(orig.mime, orig.data);
+  if (!src) return orig;
+  const v = await makeVariant(src, variant);
+  await storeVariant(id, variant, v);
+  return { mime: v.mime, data: v.buffer };
+}
+
+// ---------- Rutas públicas ----------
+app.get('/', (req, res) => {
+  res.render('index', { toast: popToast(req), buscarPorPlaca: PLATE_URLS_COMPAT });
+});
+
+// Lo que ve quien escanea el QR: sin documentos internos, sin archivos de los "solo estado",
+// sin fotos internas y sin VIN / notas si el camión los oculta. La vista previa del admin usa lo mismo.
+async function fichaPublica(truck) {
+  const fotos = fotosSinPortada(await listPhotosFromDb(truck.placa, { soloPublicas: true }), truck.foto);
+  const docs = (await withAdjuntos(await getDocsByPlaca(truck.placa)))
+    .filter(d => d.visibilidad !== 'interno')
+    .map(d => ({ ...d, ...docEstado(d.fecha_vencimiento), adjuntos: d.visibilidad === 'estado' ? [] : d.adjuntos }));
+  const avisos = docs.filter(d => d.estado === 'vencido' || d.estado === 'por-vencer');
+  const portadaId = getIdFromUrlOrName(truck.foto);
+  const publico = {
+    ...truck,
+    vin: truck.ocultar_vin ? null : truck.vin,
+    notas: truck.ocultar_notas ? [] : truck.notas,
+    foto: portadaId && !(await isPublicFile(portadaId)) ? null : truck.foto
+  };
+  return { truck: publico, fotos, docs, avisos };
+}
+
+// Cuenta la visita a la ficha: no las del equipo (con sesión), ni bots, ni la recarga después de enviar un reporte
+function trackScan(req, placa, origen) {
+  if (req.method !== 'GET' || req.user || req.query.enviado || req.query.error) return;
+  const agente = claseAgente(req.get('user-agent'));
+  if (agente === 'bot') return;
+  addScanEvent({ placa, origen, agente, referer: refererDominio(req.get('referer'), req.hostname) })
+    .catch(e => console.error('scan:', e.message));
+}
+
+// ficha pública: /t/:token es la URL del QR; /c/:placa queda por compatibilidad
+async function renderFicha(req, res, truck, origen = 'qr') {
+  try {
+    if (truck) trackScan(req, truck.placa, origen);
+    const ficha = truck ? await fichaPublica(truck) : { truck: null, fotos: [], docs: [], avisos: [] };
+
+    const enviado = req.query.enviado === '1';
+    const error = ['1', 'verificacion', 'limite', 'fotos'].includes(req.query.error) ? req.query.error : '';
+    const basePath = truck ? `/t/${encodeURIComponent(truck.public_token)}` : null;
+    const reto = truck ? crearReto(REPORT_SECRET, truck.placa) : null;
+    res.render('ficha', { ...ficha, enviado, error, basePath, reto, powBits: REPORT_POW_BITS, vistaPrevia: false });
+  } catch (e) {
+    console.error('ficha error:', e);
+    res.status(500).send('Error interno al cargar la ficha.');
+  }
+}
+
+app.get('/t/:token', async (req, res) => {
+  let truck = null;
+  try { truck = await getTruckByToken(req.params.token); }
+  catch (e) { console.error('getTruckByToken:', e.message); return res.status(500).send('Error interno al cargar la ficha.'); }
+  if (!truck) res.status(404);
+  return renderFicha(req, res, truck);
+});
+
+// placas en la URL: solo en modo compatibilidad (o para usuarios logueados)
+// las etiquetas viejas apuntan acá: cuenta como QR salvo que venga del buscador del inicio (?via=buscar)
+app.get('/c/:placa', async (req, res) => {
+  if (!PLATE_URLS_COMPAT && !req.user) return res.status(404).render('ficha', { truck: null, fotos: [], docs: [], avisos: [], enviado: false, error: '', basePath: null, reto: null, powBits: 0, vistaPrevia: false });
+  let truck = null;
+  try { truck = await getTruck(req.params.placa); }
+  catch (e) { console.error('getTruck:', e.message); return res.status(500).send('Error interno al cargar la ficha.'); }
+  return renderFicha(req, res, truck, req.query.via === 'buscar' ? 'buscar' : 'qr');
+});
+
+// Content-Disposition con nombre ASCII de respaldo + filename* UTF-8
+function contentDisposition(type, filename) {
+  const ascii = String(filename).normalize('NFD').replace(/[^\x20-\x7e]/g, '').replace(/["\\]/g, '_') || 'archivo';
+  return `${type}; filename="${ascii}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+}
+// Responde el buffer completo o el rango pedido (Range: bytes=...), para que los PDF grandes carguen por partes
+function sendRange(req, res, data) {
+  res.setHeader('Accept-Ranges', 'bytes');
+  const ranges = req.headers.range ? req.range(data.length, { combine: true }) : null;
+  if (ranges === -1) {
+    res.setHeader('Content-Range', `bytes */${data.length}`);
+    return res.status(416).end();
+  }
+  if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+    const { start, end } = ranges[0];
+    res.status(206);
+    res.setHeader('Content-Range', `bytes ${start}-${end}/${data.length}`);
+    res.setHeader('Content-Length', end - start + 1);
+    return res.end(data.subarray(start, end + 1));
+  }
+  res.setHeader('Content-Length', data.length);
+  res.end(data);
+}
+
+// servir archivo desde su storage (?size=thumb|medium para variantes WebP livianas)
+app.get('/file/:id', async (req, res) => {
+  try {
+    const id = req.params.id;
+    const size = String(req.query.size || '');
+    // los archivos no públicos solo con sesión y del CEDIS del usuario, y sin caché compartida
+    const publico = await isPublicFile(id);
+    if (!publico) {
+      const meta = req.user ? await getPhotoMeta(id) : null;
+      if (!meta || !inScope(req.user, (await getTruck(meta.placa))?.cedis)) return res.status(404).send('No encontrado');
+    }
+    const file = VARIANTS[size] ? await getPhotoVariant(id, size) : await readPhoto(id);
+    if (!file) return res.status(404).send('No encontrado');
+    res.setHeader('Content-Type', file.mime || 'application/octet-stream');
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    // caché pública corta: un archivo puede pasar a interno después y la URL no cambia
+    res.setHeader('Cache-Control', publico ? 'public, max-age=300' : 'private, no-cache');
+    // inline solo imágenes que sharp procesa y PDF: lo demás (SVG, HTML…) se descarga y nunca corre en el sitio
+    const inline = isProcessableImage(file.mime) || isPdf(file.mime);
+    if (!inline || file.filename) {
+      res.setHeader('Content-Disposition', contentDisposition(inline && req.query.descargar !== '1' ? 'inline' : 'attachment', file.filename || 'archivo'));
+    }
+    sendRange(req, res, file.data);
+  } catch (e) {
+    res.status(500).send('Error archivo');
+  }
+});
+
+// QR anti-localhost (siempre codifica /t/:token)
+// ?size= en px, por defecto 320. Las rutas públicas llegan hasta 1024 (cada PNG grande cuesta CPU);
+// el de alta resolución para vinil (4096) sale de /admin/etiquetas/:placa.png
+const QR_PUBLICO_MAX = 1024, QR_ADMIN_MAX = 4096;
+async function sendQrPng(req, res, truck, { maxSize = QR_PUBLICO_MAX, size = 320 } = {}) {
+  try {
+    if (!truck) return res.status(404).send('No encontrado');
+    const url = qrTargetUrl(req, truck);
+    const width = Math.min(maxSize, Math.max(64, parseInt(req.query.size, 10) || size));
+    const buf = await QRCode.toBuffer(url, { type: 'png', width, margin: 1 });
+    res.setHeader('Content-Type', 'image/png');
+    res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate, max-age=0');
+    res.setHeader('Pragma', 'no-cache');
+    res.setHeader('Expires', '0');
+    res.send(buf);
+  } catch {
+    res.status(500).send('QR error');
+  }
+}
+app.get('/qrimg/t/:token.png', async (req, res) => {
+  let truck = null;
+  try { truck = await getTruckByToken(req.params.token); } catch { return res.status(500).send('QR error'); }
+  return sendQrPng(req, res, truck);
+});
+// por placa revelaría el token: solo admin, o público en modo compatibilidad
+app.get('/qrimg/:placa.png', async (req, res) => {
+  if (!PLATE_URLS_COMPAT && !can(req.user, 'fleet:read')) return res.status(404).send('No encontrado');
+  let truck = null;
+  try { truck = await getTruck(req.params.placa); } catch { return res.status(500).send('QR error'); }
+  if (truck && req.user && !inScope(req.user, truck.cedis)) return res.status(404).send('No encontrado');
+  return sendQrPng(req, res, truck);
+});
+app.get('/qr/:placa.png', (req, res) => res.redirect(302, `/qrimg/${encodeURIComponent(req.params.placa)}.png`));
+
+// debug
+app.get('/healthz', (req, res) => res.status(200).send('OK'));
+app.get('/debug/base', (req, res) => {
+  const auto = absoluteBase(req);
+  res.json({ BASE_URL_env: process.env.BASE_URL || null, absoluteBase: auto, finalBase: process.env.BASE_URL || auto });
+});
+app.get('/debug/db', async (req, res) => {
+  try {
+    const [r1] = await pool.query('SELECT 1 AS ok');
+    const [tables] = await pool.query('SHOW TABLES');
+    res.json({ ok: r1?.[0]?.ok === 1, tables });
+  } catch (e) {
+    res.status(500).json({ error: String(e.message || e) });
+  }
+});
+
+// ---------- Admin: login/logout ----------
+app.get('/admin/login', (req, res) => res.render('admin/login', { toast: popToast(req) }));
+app.post('/admin/login', async (req, res) => {
+  const username = (req.body.usuario || '').trim();
+  const pass = (req.body.pass || '').trim();
+  let u = null;
+  try { u = username ? await getUserByUsername(username) : null; }
+  catch (e) { console.error('login:', e.message); }
+  if (!u || !u.activo || !verifyPassword(pass, u.pass_hash)) {
+    setToast(req, 'err', 'Usuario o contraseña incorrectos'); return res.redirect('/admin/login');
+  }
+  // sesión nueva al entrar y al salir: un id de sesión fijado de antemano no hereda el usuario
+  req.session.regenerate(err => {
+    if (err) { console.error('login:', err.message); return res.redirect('/admin/login'); }
+    req.session.userId = u.id;
+    res.redirect('/admin/flota');
+  });
+});
+app.get('/admin/logout', (req, res) => { req.session.regenerate(() => res.redirect('/')); });
+
+// ---------- Admin: flota ----------
+app.get('/admin/flota', requirePerm('fleet:read'), async (req, res) => {
+  const f = {
+    q: String(req.query.q || '').trim(),
+    cedis: String(req.query.cedis || '').trim().toUpperCase(),
+    docs: ['vencido', 'por-vencer', 'vigente', 'sin-docs'].includes(req.query.docs) ? req.query.docs : '',
+    sort: FLEET_SORTS[req.query.sort] ? req.query.sort : 'placa',
+    dir: req.query.dir === 'desc' ? 'desc' : 'asc'
+  };
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  let result = { items: [], total: 0, page: 1, pages: 1 }, cedisList = [];
+  try {
+    result = await listFleet(req.user, f, { page, perPage: 50 });
+    cedisList = await listCedis(req.user);
+  } catch (e) {
+    console.error('admin/flota:', e.message);
+    setToast(req, 'err', 'Error cargando la flota');
+  }
+  res.render('admin/flota', { f, ...result, cedisList, toast: popToast(req) });
+});
+
+// ?formato=json devuelve los mismos números (para el informe mensual)
+app.get('/admin/tablero', requirePerm('reports:read'), async (req, res) => {
+  const f = { ...parseRango(req.query), cedis: String(req.query.cedis || '').trim().toUpperCase() };
+  let data = null, cedisList = [];
+  try {
+    data = await dashboardData(req.user, f);
+    cedisList = await listCedis(req.user);
+  } catch (e) {
+    console.error('admin/tablero:', e.message);
+    if (req.query.formato === 'json') return res.status(500).json({ error: e.message });
+    setToast(req, 'err', 'Error cargando el tablero');
+  }
+  if (req.query.formato === 'json') return res.json(data);
+  res.render('admin/tablero', { f, data, cedisList, rangos: rangosRapidos(), estados: REPORT_ESTADOS, toast: popToast(req) });
+});
+
+// Escaneos de las etiquetas; ?formato=json con todo, ?formato=csv con los camiones sin escaneos
+const DIAS_SIN_ESCANEO = [30, 60, 90, 180, 365];
+app.get('/admin/escaneos', requirePerm('fleet:read'), async (req, res) => {
+  const dias = Number(req.query.dias);
+  const f = {
+    ...parseRango(req.query),
+    cedis: String(req.query.cedis || '').trim().toUpperCase(),
+    placa: String(req.query.placa || '').trim().toUpperCase(),
+    dias: DIAS_SIN_ESCANEO.includes(dias) ? dias : 90
+  };
+  let data = null, sin = [], cedisList = [];
+  try {
+    data = await scanData(req.user, f);
+    sin = await trucksWithoutScans(req.user, f);
+    cedisList = await listCedis(req.user);
+  } catch (e) {
+    console.error('admin/escaneos:', e.message);
+    if (req.query.formato === 'json') return res.status(500).json({ error: e.message });
+    setToast(req, 'err', 'Error cargando los escaneos');
+  }
+  if (req.query.formato === 'json') return res.json({ ...data, sinEscaneos: sin });
+  if (req.query.formato === 'csv') {
+    const filas = sin.map(t => ({ ...t, ultimo: t.ultimo ? new Date(t.ultimo).toISOString().slice(0, 10) : '' }));
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="sin-escaneos-${f.dias}d.csv"`);
+    return res.send(toCsv(filas, ['placa', 'unidad', 'cedis', 'ultimo', 'diasSinEscaneo']));
+  }
+  res.render('admin/escaneos', {
+    f, data, sin, cedisList, rangos: rangosRapidos(), origenes: ORIGENES, agentes: AGENTES,
+    diasOpciones: DIAS_SIN_ESCANEO, toast: popToast(req)
+  });
+});
+
+// ---------- Admin: importación / exportación ----------
+// Fotos heredadas (/uploads/PLACA/archivo.jpg) de la versión con disco local
+const LEGACY_UPLOADS_DIR = process.env.LEGACY_UPLOADS_DIR || path.join(__dirname, 'uploads');
+const MIME_BY_EXT = { '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png', '.webp': 'image/webp', '.gif': 'image/gif' };
+
+function legacyFilePath(u) {
+  if (!/^\/uploads\//.test(u || '')) return null;
+  const rel = decodeURIComponent(u.replace(/^\/uploads\//, '').split('?')[0]);
+  const abs = path.resolve(LEGACY_UPLOADS_DIR, rel);
+  if (!abs.startsWith(path.resolve(LEGACY_UPLOADS_DIR) + path.sep)) return null;
+  return fs.existsSync(abs) ? abs : null;
+}
+// Sube el archivo heredado a photos y devuelve /file/:id (null si no está)
+async function importLegacyFile(placa, u) {
+  const abs = legacyFilePath(u);
+  if (!abs) return null;
+  const ext = path.extname(abs).toLowerCase();
+  const saved = await savePhotoDb(placa, {
+    buffer: await fs.promises.readFile(abs),
+    originalname: path.basename(abs),
+    mimetype: MIME_BY_EXT[ext] || 'application/octet-stream'
+  });
+  return saved.url;
+}
+function legacyWarnings(rows, field) {
+  for (const r of rows) {
+    const u = r.data[field];
+    if (!/^\/uploads\//.test(u || '')) continue;
+    if (legacyFilePath(u)) r.warnings.push(`Se migrará ${field} desde ${u}`);
+    else r.warnings.push(`Archivo heredado no encontrado (${u}); se omite`);
+  }
+}
+
+async function existingTruckCedis() {
+  const [rows] = await pool.query('SELECT placa, cedis FROM trucks');
+  return new Map(rows.map(r => [r.placa, r.cedis]));
+}
+
+app.get('/admin/importar', requirePerm('fleet:write'), (req, res) => {
+  res.render('admin/importar', { preview: null, toast: popToast(req) });
+});
+
+// Paso 1: validar y mostrar vista previa (no escribe nada)
+app.post('/admin/importar', requirePerm('fleet:write'), upload.single('archivo'), async (req, res) => {
+  if (!req.file) { setToast(req, 'err', 'Adjuntá un archivo .csv, .xlsx o .json'); return res.redirect('/admin/importar'); }
+  try {
+    const parsed = await parseImportFile(req.file);
+    const preview = validateImport(parsed, { inScope: c => inScope(req.user, c), existing: await existingTruckCedis() });
+    legacyWarnings(preview.camiones, 'foto');
+    legacyWarnings(preview.documentos, 'url');
+    preview.archivo = req.file.originalname;
+    preview.formato = parsed.formato;
+    req.session.importPlan = {
+      archivo: preview.archivo,
+      camiones: preview.camiones.filter(r => !r.errors.length).map(r => r.data),
+      documentos: preview.documentos.filter(r => !r.errors.length).map(r => r.data)
+    };
+    res.render('admin/importar', { preview, toast: null });
+  } catch (e) {
+    console.error('importar:', e.message);
+    setToast(req, 'err', 'No se pudo leer el archivo: ' + e.message);
+    res.redirect('/admin/importar');
+  }
+});
+
+// Paso 2: aplicar las filas válidas de la vista previa
+app.post('/admin/importar/confirmar', requirePerm('fleet:write'), async (req, res) => {
+  const plan = req.session.importPlan;
+  req.session.importPlan = null;
+  if (!plan) { setToast(req, 'err', 'No hay importación pendiente'); return res.redirect('/admin/importar'); }
+
+  let ok = 0, fail = 0, historial = 0;
+  const existing = await existingTruckCedis();
+  for (const data of plan.camiones) {
+    try {
+      // revalida alcance por si cambió algo entre la vista previa y la confirmación
+      if (existing.has(data.placa) && !inScope(req.user, existing.get(data.placa))) { fail++; continue; }
+      const before = await getTruck(data.placa);
+      const truck = { ...(before || { placa: data.placa, notas: [] }), ...data };
+      if (!data.foto || /^\/uploads\//.test(data.foto)) truck.foto = before?.foto || '';
+      await upsertTruck(truck);
+      if (legacyFilePath(data.foto)) {
+        truck.foto = await importLegacyFile(data.placa, data.foto);
+        await upsertTruck(truck);
+      }
+      await audit(req, { placa: data.placa, action: 'import.truck', entity: 'truck', entityId: data.placa, before, after: await getTruck(data.placa) });
+      ok++;
+    } catch (e) { console.error('import truck', data.placa, e.message); fail++; }
+  }
+
+  for (const data of plan.documentos) {
+    try {
+      const prev = data.id ? await getDocById(data.id) : await findCurrentDoc(data.placa, data);
+      const sameDoc = prev && prev.placa === data.placa;
+      let urlDoc = data.url || null;
+      if (/^\/uploads\//.test(urlDoc || '')) urlDoc = await importLegacyFile(data.placa, urlDoc);
+      const fechaPrev = sameDoc && prev.fecha_vencimiento ? new Date(prev.fecha_vencimiento).toISOString().slice(0, 10) : null;
+      const doc = {
+        id: sameDoc ? prev.id : (data.id && !prev ? data.id : newId()),
+        categoria: data.categoria, titulo: data.titulo, fecha_vencimiento: data.fecha_vencimiento,
+        url: urlDoc || (sameDoc ? prev.url : null),
+        alert22Sent: sameDoc && fechaPrev === data.fecha_vencimiento ? !!prev.alert22Sent : false
+      };
+      await upsertDoc(data.placa, doc);
+      if ((await supersedeOlderVersions(data.placa, doc.categoria, doc.titulo)) !== doc.id) historial++;
+      await audit(req, { placa: data.placa, action: 'import.doc', entity: 'document', entityId: doc.id, before: sameDoc ? prev : null, after: await getDocById(doc.id) });
+      ok++;
+    } catch (e) { console.error('import doc', data.placa, e.message); fail++; }
+  }
+
+  setToast(req, fail || historial ? 'err' : 'ok', `Importación de ${plan.archivo}: ${ok} fila(s) aplicadas` + (fail ? `, ${fail} fallida(s)` : '') +
+    (historial ? `; ${historial} documento(s) ${AVISO_HISTORIAL.replace('quedó', 'quedaron')}` : ''));
+  res.redirect('/admin/flota');
+});
+
+app.post('/admin/importar/cancelar', requirePerm('fleet:write'), (req, res) => {
+  req.session.importPlan = null;
+  setToast(req, 'ok', 'Importación cancelada');
+  res.redirect('/admin/importar');
+});
+
+// Exporta toda la flota o el subconjunto filtrado de /admin/flota
+app.get('/admin/exportar', requirePerm('fleet:read'), async (req, res) => {
+  try {
+    const formato = ['csv', 'xlsx', 'json'].includes(req.query.formato) ? req.query.formato : 'xlsx';
+    const f = {
+      q: String(req.query.q || '').trim(),
+      cedis: String(req.query.cedis || '').trim().toUpperCase(),
+      docs: String(req.query.docs || '').trim()
+    };
+    const { items } = await listFleet(req.user, f, { page: 1, perPage: 1000000 });
+    const placas = items.map(t => t.placa);
+    let trucks = [], docs = [];
+    if (placas.length) {
+      [trucks] = await pool.query('SELECT * FROM trucks WHERE placa IN (?) ORDER BY placa', [placas]);
+      [docs] = await pool.query('SELECT * FROM documents WHERE placa IN (?) AND reemplazado_por IS NULL ORDER BY placa, fecha_vencimiento', [placas]);
+    }
+    const fecha = d => d ? new Date(d).toISOString().slice(0, 10) : '';
+    const camiones = trucks.map(t => ({ ...t, notas: t.notas || '' }));
+    const documentos = docs.map(d => ({ ...d, fecha_vencimiento: fecha(d.fecha_vencimiento) }));
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    if (formato === 'json') {
+      // mismo formato que data/trucks.json (documentos anidados)
+      const out = camiones.map(t => ({
+        ...TRUCK_COLUMNS.reduce((o, c) => { o[c] = t[c] ?? ''; return o; }, {}),
+        notas: String(t.notas || '').split(';').map(s => s.trim()).filter(Boolean),
+        documentos: documentos.filter(d => d.placa === t.placa).map(d => ({
+          id: d.id, categoria: d.categoria, titulo: d.titulo, fecha_vencimiento: d.fecha_vencimiento,
+          url: d.url || '', alert22Sent: !!d.alert22Sent
+        }))
+      }));
+      res.setHeader('Content-Disposition', `attachment; filename="flota-${stamp}.json"`);
+      return res.json(out);
+    }
+    if (formato === 'csv') {
+      const tipo = req.query.tipo === 'documentos' ? 'documentos' : 'camiones';
+      const csv = tipo === 'documentos' ? toCsv(documentos, DOC_COLUMNS) : toCsv(camiones, TRUCK_COLUMNS);
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${tipo}-${stamp}.csv"`);
+      return res.send(csv);
+    }
+    const buf = await writeXlsx({ camiones, documentos });
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="flota-${stamp}.xlsx"`);
+    res.send(buf);
+  } catch (e) {
+    console.error('exportar:', e.message);
+    setToast(req, 'err', 'Error al exportar');
+    res.redirect('/admin/flota');
+  }
+});
+
+// ---------- Admin: token público ----------
+// Rotar invalida el QR impreso anterior (sticker robado, cambio de placa, etc.)
+app.post('/admin/token/rotar', requirePerm('fleet:write'), requirePlacaScope, async (req, res) => {
+  const placa = String(req.body.placa || '').trim().toUpperCase();
+  const before = await getTruck(placa);
+  if (!before) { setToast(req, 'err', 'No se encontró la placa'); return res.redirect('/admin/editar'); }
+  await rotateTruckToken(placa);
+  await audit(req, { placa, action: 'truck.token', entity: 'truck', entityId: placa, before, after: await getTruck(placa) });
+  setToast(req, 'ok', 'Enlace público rotado: reimprimí el QR, el anterior ya no funciona');
+  res.redirect('/admin/editar?placa=' + encodeURIComponent(placa));
+});
+
+// ---------- Admin: etiquetas QR ----------
+let logoCache;
+function loadLogo() {
+  if (logoCache !== undefined) return logoCache;
+  const candidates = [process.env.LOGO_PATH, path.join(__dirname, 'public', 'logo.png'), path.join(__dirname, 'public', 'logo.jpg')].filter(Boolean);
+  const file = candidates.find(f => fs.existsSync(f));
+  logoCache = file
+    ? { data: fs.readFileSync(file), mime: /\.png$/i.test(file) ? 'image/png' : 'image/jpeg' }
+    : null;
+  return logoCache;
+}
+
+function labelItem(req, t) {
+  return { placa: t.placa, unidad: t.unidad || '', telefono: t.telefono_quejas || process.env.TELEFONO_QUEJAS || '', url: qrTargetUrl(req, t) };
+}
+
+app.get('/admin/etiquetas', requirePerm('fleet:read'), async (req, res) => {
+  let cedisList = [];
+  try { cedisList = await listCedis(req.user); } catch (e) { console.error('listCedis:', e.message); }
+  res.render('admin/etiquetas', {
+    layouts: LABEL_LAYOUTS, cedisList, hasLogo: !!loadLogo(),
+    f: { cedis: String(req.query.cedis || '').toUpperCase(), placas: String(req.query.placas || '') },
+    toast: popToast(req)
+  });
+});
+
+app.get('/admin/etiquetas.pdf', requirePerm('fleet:read'), async (req, res) => {
+  try {
+    const cedis = String(req.query.cedis || '').trim().toUpperCase();
+    const placas = String(req.query.placas || '').split(/[\s,;]+/).map(p => p.trim().toUpperCase()).filter(Boolean);
+    if (!cedis && !placas.length) { setToast(req, 'err', 'Elegí un CEDIS o escribí placas'); return res.redirect('/admin/etiquetas'); }
+
+    let sql = 'SELECT placa, unidad, cedis, telefono_quejas, public_token FROM trucks';
+    const where = [], params = [];
+    if (placas.length) { where.push('placa IN (?)'); params.push(placas); }
+    else { where.push('UPPER(cedis) = ?'); params.push(cedis); }
+    const scope = userCedis(req.user);
+    if (scope) { where.push('UPPER(cedis) IN (?)'); params.push(scope); }
+    sql += ' WHERE ' + where.join(' AND ') + ' ORDER BY placa';
+    const [rows] = await pool.query(sql, params);
+    if (!rows.length) { setToast(req, 'err', 'No hay unidades para esa selección'); return res.redirect('/admin/etiquetas'); }
+
+    // respeta el orden en que se escribieron las placas
+    if (placas.length) rows.sort((a, b) => placas.indexOf(a.placa) - placas.indexOf(b.placa));
+    const logo = req.query.logo === '0' ? null : loadLogo()?.data;
+    const pdf = await buildLabelsPdf(rows.map(t => labelItem(req, t)), {
+      layout: LABEL_LAYOUTS[req.query.layout] ? req.query.layout : 'a4-3x4',
+      logo, bordes: req.query.bordes !== '0'
+    });
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="etiquetas-qr-${cedis || 'seleccion'}.pdf"`);
+    res.send(pdf);
+  } catch (e) {
+    console.error('etiquetas.pdf:', e.message);
+    setToast(req, 'err', 'Error generando el PDF');
+    res.redirect('/admin/etiquetas');
+  }
+});
+
+// QR en PNG de alta resolución para rotulado en vinil (por defecto 4096 px)
+app.get('/admin/etiquetas/:placa.png', requirePerm('fleet:read'), requirePlacaScope, async (req, res) => {
+  let truck = null;
+  try { truck = await getTruck(req.params.placa); } catch { return res.status(500).send('QR error'); }
+  return sendQrPng(req, res, truck, { maxSize: QR_ADMIN_MAX, size: QR_ADMIN_MAX });
+});
+
+// Etiqueta vectorial para rotulado en vinil
+app.get('/admin/etiquetas/:placa.svg', requirePerm('fleet:read'), requirePlacaScope, async (req, res) => {
+  try {
+    const truck = await getTruck(req.params.placa);
+    if (!truck) return res.status(404).send('No encontrado');
+    const widthMm = Math.min(1000, Math.max(20, parseInt(req.query.mm, 10) || 100));
+    const svg = labelSvg(labelItem(req, truck), { widthMm, logo: req.query.logo === '0' ? null : loadLogo() });
+    res.setHeader('Content-Type', 'image/svg+xml; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="qr-${truck.placa}.svg"`);
+    res.send(svg);
+  } catch (e) {
+    console.error('etiqueta svg:', e.message);
+    res.status(500).send('Error SVG');
+  }
+});
+
+// ---------- Admin: editor ----------
+app.get('/admin/editar', requirePerm('fleet:read'), requirePlacaScope, async (req, res) => {
+  const placa = (req.query.placa || '').toString().trim().toUpperCase();
+  let truck = null, fotos = [], fotosInternas = [], docs = [], avisos = [], serviciosPendientes = [], servicios = [], odometro = null;
+  let asignaciones = [], conductores = [], escaneos = null;
+  try {
+    try { avisos = await listAlerts(userCedis(req.user)); } catch (e) { console.error('listAlerts:', e.message); avisos = []; }
+    try {
+      serviciosPendientes = (await serviceStatus({ cedisScope: userCedis(req.user) })).filter(p => p.estado === 'vencido' || p.estado === 'proximo');
+    } catch (e) { console.error('serviceStatus:', e.message); serviciosPendientes = []; }
 
     if (placa) {
       try {
@@ -407,32 +2375,62 @@ app.get('/admin/editar', requireAdmin, async (req, res) => {
       try {
         fotos = await listPhotosFromDb(placa);
         fotos = fotosSinPortada(fotos, truck?.foto);
+        const publicas = await listPhotosFromDb(placa, { soloPublicas: true });
+        fotosInternas = fotos.filter(u => !publicas.includes(u));
       } catch (e) { console.error('listPhotosFromDb:', e.message); fotos = []; }
 
       try {
-        const dbDocs = await getDocsByPlaca(placa);
-        docs = (dbDocs || []).map(d => {
-          const v = d.fecha_vencimiento ? new Date(d.fecha_vencimiento) : null;
-          const today = new Date(); today.setHours(0,0,0,0);
-          let estado = 'sin-fecha', dias = null;
-          if (v && !isNaN(v)) {
-            dias = Math.floor((v - today)/(1000*60*60*24));
-            estado = dias < 0 ? 'vencido' : (dias <= 30 ? 'por-vencer' : 'vigente');
-          }
-          return { ...d, fecha_vencimiento: v ? v.toISOString().slice(0,10) : null, estado, dias };
-        });
+        const dbDocs = await withAdjuntos(await getDocsByPlaca(placa));
+        const avisosLog = await listAlertLog({ documentIds: dbDocs.map(d => d.id), limit: 500 });
+        const historial = await countDocHistory(placa);
+        docs = (dbDocs || []).map(d => ({
+          ...d, ...docEstado(d.fecha_vencimiento),
+          avisosLog: avisosLog.filter(l => l.document_id === d.id),
+          versiones: historial[d.categoria] || 0
+        }));
       } catch (e) { console.error('getDocsByPlaca:', e.message); docs = []; }
+
+      try {
+        servicios = await serviceStatus({ placa });
+        odometro = await getOdometro(placa);
+      } catch (e) { console.error('mantenimiento:', e.message); servicios = []; }
+
+      try {
+        asignaciones = await listAssignments({ placa, limit: 20 });
+        conductores = (await listDrivers(userCedis(req.user))).filter(d => d.activo && driverPuede(d, truck));
+      } catch (e) { console.error('asignaciones:', e.message); asignaciones = []; }
+
+      try { escaneos = await truckScanSummary(placa); }
+      catch (e) { console.error('escaneos:', e.message); }
     }
   } catch (e) { console.error('admin/editar fatal:', e); }
 
-  res.render('admin/editar', { placa, truck, fotos, docs, avisos, toast: popToast(req) });
+  res.render('admin/editar', {
+    placa, truck, fotos, fotosInternas, docs, avisos, serviciosPendientes, servicios, odometro, estadosServicio: SERVICE_ESTADOS,
+    asignaciones, conductores, visibilidades: VISIBILIDADES, escaneos,
+    ocr: OCR_ENABLED, toast: popToast(req)
+  });
+});
+
+// "Así lo ve el público": la misma ficha que /t/:token, sin el formulario de reporte
+app.get('/admin/editar/vista-publica', requirePerm('fleet:read'), requirePlacaScope, async (req, res) => {
+  const placa = String(req.query.placa || '').trim().toUpperCase();
+  const truck = placa ? await getTruck(placa) : null;
+  if (!truck) { setToast(req, 'err', 'No se encontró la placa'); return res.redirect('/admin/editar'); }
+  const ficha = await fichaPublica(truck);
+  res.render('ficha', { ...ficha, enviado: false, error: '', basePath: null, reto: null, powBits: 0, vistaPrevia: true });
 });
 
-app.post('/admin/editar', requireAdmin, async (req, res) => {
+app.post('/admin/editar', requirePerm('fleet:write'), requirePlacaScope, async (req, res) => {
   const b = req.body;
   const placa = String(b.placa || '').trim().toUpperCase();
   if (!placa) { setToast(req, 'err', 'La placa es obligatoria'); return res.redirect('/admin/editar'); }
-  const existing = (await getTruck(placa)) || {};
+  if (!inScope(req.user, b.cedis)) {
+    setToast(req, 'err', 'Solo podés asignar CEDIS de tu alcance: ' + userCedis(req.user).join(', '));
+    return res.redirect('/admin/editar?placa=' + encodeURIComponent(placa));
+  }
+  const before = await getTruck(placa);
+  const existing = before || {};
   const notas = String(b.notas || '').split(';').map(s => s.trim()).filter(Boolean);
 
   const truck = {
@@ -448,12 +2446,14 @@ app.post('/admin/editar', requireAdmin, async (req, res) => {
     notas
   };
   await upsertTruck(truck);
+  await setTruckPrivacidad(placa, { ocultar_vin: b.ocultar_vin === '1', ocultar_notas: b.ocultar_notas === '1' });
+  await audit(req, { placa, action: before ? 'truck.update' : 'truck.create', entity: 'truck', entityId: placa, before, after: await getTruck(placa) });
   setToast(req, 'ok', 'Guardado');
   res.redirect('/admin/editar?placa=' + encodeURIComponent(placa));
 });
 
 // ---------- Galería (BLOB en MySQL) ----------
-app.post('/admin/upload', requireAdmin, upload.array('archivos', 50), async (req, res) => {
+app.post('/admin/upload', requirePerm('fleet:write'), upload.array('archivos', 50), requirePlacaScope, async (req, res) => {
   try {
     const placa = String(req.body.placa || '').trim().toUpperCase();
     if (!placa) { setToast(req, 'err', 'Falta placa'); return res.redirect('/admin/editar'); }
@@ -461,16 +2461,18 @@ app.post('/admin/upload', requireAdmin, upload.array('archivos', 50), async (req
       setToast(req, 'err', 'No se seleccionaron imágenes');
       return res.redirect('/admin/editar?placa=' + encodeURIComponent(placa));
     }
-    let ok = 0, fail = 0;
+    let ok = 0, fail = 0, dup = 0;
     for (const f of req.files) {
       try {
         const ext = (path.extname(f.originalname) || '.jpg').toLowerCase();
         if (!ALLOWED_EXTS.has(ext)) { fail++; continue; }
-        await savePhotoDb(placa, f);
+        const saved = await savePhotoDb(placa, f, { soloImagen: true });
+        if (saved.duplicate) { dup++; continue; }
+        await audit(req, { placa, action: 'photo.upload', entity: 'photo', entityId: saved.id, after: await getPhotoMeta(saved.id) });
         ok++;
-      } catch { fail++; }
+      } catch (e) { console.error('upload:', e.message); fail++; }
     }
-    setToast(req, ok ? 'ok' : 'err', `${ok} subida(s)` + (fail ? `, ${fail} fallida(s)` : ''));
+    setToast(req, ok ? 'ok' : 'err', `${ok} subida(s)` + (dup ? `, ${dup} duplicada(s) omitida(s)` : '') + (fail ? `, ${fail} fallida(s)` : ''));
     res.redirect('/admin/editar?placa=' + encodeURIComponent(placa));
   } catch (e) {
     setToast(req, 'err', 'Error al subir: ' + e.message);
@@ -478,54 +2480,92 @@ app.post('/admin/upload', requireAdmin, upload.array('archivos', 50), async (req
   }
 });
 
-app.post('/admin/photo/delete', requireAdmin, async (req, res) => {
+app.post('/admin/photo/delete', requirePerm('fleet:write'), requirePlacaScope, async (req, res) => {
   const placa = String(req.body.placa || '').trim().toUpperCase();
   const name  = String(req.body.name  || '').trim(); // puede ser /file/:id
   const id = getIdFromUrlOrName(name);
   if (!placa || !id) { setToast(req, 'err', 'Falta placa o id'); return res.redirect('/admin/editar'); }
+  const before = await getPhotoMeta(id);
+  if (await photoRefCount(id)) {
+    setToast(req, 'err', 'La imagen es la portada o un adjunto de documento: quitala de ahí antes de eliminarla');
+    return res.redirect('/admin/editar?placa=' + encodeURIComponent(placa));
+  }
   const ok = await deletePhotoDbById(id, placa);
+  if (ok) await audit(req, { placa, action: 'photo.delete', entity: 'photo', entityId: id, before });
   setToast(req, ok ? 'ok' : 'err', ok ? 'Imagen eliminada' : 'No encontrada');
   return res.redirect('/admin/editar?placa=' + encodeURIComponent(placa));
 });
 
-app.post('/admin/photo/replace', requireAdmin, upload.single('nuevo'), async (req, res) => {
+app.post('/admin/photo/replace', requirePerm('fleet:write'), upload.single('nuevo'), requirePlacaScope, async (req, res) => {
   const placa = String(req.body.placa || '').trim().toUpperCase();
   const name  = String(req.body.name  || '').trim();
   const id = getIdFromUrlOrName(name);
   if (!placa || !id) { setToast(req, 'err', 'Falta placa o id'); return res.redirect('/admin/editar'); }
   if (!req.file) { setToast(req, 'err', 'No se adjuntó imagen'); return res.redirect('/admin/editar?placa=' + encodeURIComponent(placa)); }
-  const ok = await replacePhotoDbById(id, placa, req.file);
+  const before = await getPhotoMeta(id);
+  // compartida con la portada o un documento (dedupe): la nueva va aparte y la original queda como está
+  if (before?.placa === placa && (await photoRefCount(id))) {
+    let saved;
+    try { saved = await savePhotoDb(placa, req.file, { soloImagen: true }); }
+    catch (e) { setToast(req, 'err', e.message); return res.redirect('/admin/editar?placa=' + encodeURIComponent(placa)); }
+    if (!saved.duplicate) await audit(req, { placa, action: 'photo.upload', entity: 'photo', entityId: saved.id, after: await getPhotoMeta(saved.id) });
+    setToast(req, 'err', 'La imagen original es la portada o un adjunto de documento: se agregó la nueva y se conservó la anterior');
+    return res.redirect('/admin/editar?placa=' + encodeURIComponent(placa));
+  }
+  let ok;
+  try { ok = await replacePhotoDbById(id, placa, req.file, { soloImagen: true }); }
+  catch (e) { setToast(req, 'err', e.message); return res.redirect('/admin/editar?placa=' + encodeURIComponent(placa)); }
+  if (ok) await audit(req, { placa, action: 'photo.replace', entity: 'photo', entityId: id, before, after: await getPhotoMeta(id) });
   setToast(req, ok ? 'ok' : 'err', ok ? 'Imagen reemplazada' : 'No se pudo reemplazar');
   return res.redirect('/admin/editar?placa=' + encodeURIComponent(placa));
 });
 
-app.post('/admin/photo/cover', requireAdmin, async (req, res) => {
+app.post('/admin/photo/cover', requirePerm('fleet:write'), requirePlacaScope, async (req, res) => {
   const placa = String(req.body.placa || '').trim().toUpperCase();
   const name  = String(req.body.name  || '').trim();
   const id = getIdFromUrlOrName(name);
   if (!placa || !id) { setToast(req, 'err', 'Falta placa o id'); return res.redirect('/admin/editar'); }
   const truck = (await getTruck(placa));
   if (!truck) { setToast(req, 'err', 'No se encontró la placa'); return res.redirect('/admin/editar'); }
+  const before = { ...truck };
   truck.foto = `/file/${id}`;
   await upsertTruck(truck);
+  await audit(req, { placa, action: 'truck.cover', entity: 'truck', entityId: placa, before, after: await getTruck(placa) });
   setToast(req, 'ok', 'Establecida como portada');
   return res.redirect('/admin/editar?placa=' + encodeURIComponent(placa));
 });
 
-app.post('/admin/cover/upload', requireAdmin, upload.single('portada'), async (req,res)=>{
+app.post('/admin/photo/visibilidad', requirePerm('fleet:write'), requirePlacaScope, async (req, res) => {
+  const placa = String(req.body.placa || '').trim().toUpperCase();
+  const id = getIdFromUrlOrName(String(req.body.name || '').trim());
+  const visibilidad = req.body.visibilidad === 'interno' ? 'interno' : 'publico';
+  if (!placa || !id) { setToast(req, 'err', 'Falta placa o id'); return res.redirect('/admin/editar'); }
+  const before = await getPhotoMeta(id);
+  const ok = await setPhotoVisibilidad(id, placa, visibilidad);
+  if (ok) await audit(req, { placa, action: 'photo.visibilidad', entity: 'photo', entityId: id, before, after: await getPhotoMeta(id) });
+  setToast(req, ok ? 'ok' : 'err', ok ? (visibilidad === 'interno' ? 'Imagen oculta en la ficha pública' : 'Imagen visible en la ficha pública') : 'No encontrada');
+  return res.redirect('/admin/editar?placa=' + encodeURIComponent(placa));
+});
+
+app.post('/admin/cover/upload', requirePerm('fleet:write'), upload.single('portada'), requirePlacaScope, async (req,res)=>{
   const placa = String(req.body.placa||'').trim().toUpperCase();
   if (!placa){ setToast(req,'err','Falta placa'); return res.redirect('/admin/editar'); }
   if (!req.file){ setToast(req,'err','Adjunta una imagen'); return res.redirect('/admin/editar?placa='+encodeURIComponent(placa)); }
-  const saved = await savePhotoDb(placa, req.file);
-  const truck = (await getTruck(placa)) || { placa, notas: [] };
+  let saved;
+  try { saved = await savePhotoDb(placa, req.file, { soloImagen: true }); }
+  catch (e) { setToast(req, 'err', e.message); return res.redirect('/admin/editar?placa=' + encodeURIComponent(placa)); }
+  const before = await getTruck(placa);
+  const truck = before ? { ...before } : { placa, notas: [] };
   truck.foto = saved.url; // /file/:id
   await upsertTruck(truck);
+  if (!saved.duplicate) await audit(req, { placa, action: 'photo.upload', entity: 'photo', entityId: saved.id, after: await getPhotoMeta(saved.id) });
+  await audit(req, { placa, action: 'truck.cover', entity: 'truck', entityId: placa, before, after: await getTruck(placa) });
   setToast(req,'ok','Portada actualizada');
   return res.redirect('/admin/editar?placa='+encodeURIComponent(placa));
 });
 
 // ---------- Documentos ----------
-app.post('/admin/doc/add', requireAdmin, async (req, res) => {
+app.post('/admin/doc/add', requirePerm('fleet:write'), requirePlacaScope, async (req, res) => {
   const b = req.body;
   const placa = String(b.placa || '').trim().toUpperCase();
   if (!placa) { setToast(req, 'err', 'Falta placa'); return res.redirect('/admin/editar'); }
@@ -539,43 +2579,585 @@ app.post('/admin/doc/add', requireAdmin, async (req, res) => {
   }
   const doc = { id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6), categoria, titulo, fecha_vencimiento, url: urlDoc || null, alert22Sent: false };
   await upsertDoc(placa, doc);
-  setToast(req, 'ok', 'Documento agregado');
+  const fileId = getIdFromUrlOrName(doc.url);
+  if (fileId && (await getPhotoMeta(fileId))?.placa === placa) await addDocFiles(doc.id, [fileId]);
+  const vigente = await supersedeOlderVersions(placa, categoria, titulo);
+  await audit(req, { placa, action: 'doc.add', entity: 'document', entityId: doc.id, after: await getDocById(doc.id) });
+  if (vigente !== doc.id) setToast(req, 'err', 'Documento agregado, pero ' + AVISO_HISTORIAL);
+  else setToast(req, 'ok', 'Documento agregado');
+  res.redirect('/admin/editar?placa=' + encodeURIComponent(placa));
+});
+
+// Guarda los adjuntos de un documento (imágenes o PDF); devuelve ids guardados, los recién creados y errores
+async function saveDocFiles(placa, files, opts = {}) {
+  const ids = [], nuevos = [], errores = [];
+  for (const f of files) {
+    const ext = (path.extname(f.originalname) || '').toLowerCase();
+    if (!DOC_EXTS.has(ext)) { errores.push(`${f.originalname}: extensión no permitida`); continue; }
+    try {
+      const saved = await savePhotoDb(placa, ext === '.pdf' ? { ...f, mimetype: 'application/pdf' } : f, opts);
+      if (!ids.includes(saved.id)) ids.push(saved.id);
+      if (!saved.duplicate) nuevos.push(saved.id);
+    } catch (e) { errores.push(`${f.originalname}: ${e.message}`); }
+  }
+  return { ids, nuevos, errores };
+}
+
+// OCR de los adjuntos (máx. 3; los PDF por su primera página) y sugerencias para el formulario
+async function ocrDocFiles(placa, ids) {
+  const textos = [];
+  for (const id of ids.slice(0, 3)) {
+    const f = await readPhoto(id);
+    const src = f ? await previewSource(f.mime, f.data) : null; // imagen o 1ª página del PDF
+    if (src) textos.push(await recognize(src));
+  }
+  return { ...extractSuggestions(textos.join('\n'), { placa }), leidos: textos.length };
+}
+
+async function createDocWithFiles(placa, { categoria, titulo, fecha_vencimiento }, ids) {
+  const doc = { id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6), categoria, titulo, fecha_vencimiento, url: `/file/${ids[0]}`, alert22Sent: false };
+  await upsertDoc(placa, doc);
+  await addDocFiles(doc.id, ids);
+  doc.historial = (await supersedeOlderVersions(placa, categoria, titulo)) !== doc.id;
+  return doc;
+}
+
+// Subir archivos (imágenes o PDF) y crear documento; con OCR activo pasa antes por /admin/doc/confirmar
+app.post('/admin/doc/upload', requirePerm('fleet:write'), upload.array('archivos', 10), requirePlacaScope, async (req, res) => {
+  const placa = String(req.body.placa || '').trim().toUpperCase();
+  const campos = {
+    categoria: (req.body.categoria || '').trim(),
+    titulo: (req.body.titulo || '').trim(),
+    fecha_vencimiento: (req.body.fecha_vencimiento || '').trim()
+  };
+  const back = '/admin/editar?placa=' + encodeURIComponent(placa);
+  if (!placa) { setToast(req, 'err', 'Falta placa'); return res.redirect('/admin/editar'); }
+  if (!req.files?.length) { setToast(req, 'err', 'Sube una imagen o PDF'); return res.redirect(back); }
+  if (!OCR_ENABLED && !campos.fecha_vencimiento) { setToast(req, 'err', 'Ingresá la fecha de vencimiento'); return res.redirect(back); }
+
+  const { ids, nuevos, errores } = await saveDocFiles(placa, req.files);
+  if (!ids.length) { setToast(req, 'err', errores.join('; ')); return res.redirect(back); }
+
+  if (OCR_ENABLED) {
+    let ocr;
+    try { ocr = await ocrDocFiles(placa, ids); }
+    catch (e) { console.error('ocr:', e.message); ocr = { error: 'No se pudo leer el documento: ' + e.message }; }
+    req.session.docPendiente = { placa, ids, nuevos, campos, ocr, errores };
+    return res.redirect('/admin/doc/confirmar');
+  }
+
+  const doc = await createDocWithFiles(placa, { ...campos, categoria: campos.categoria || 'DOC', titulo: campos.titulo || 'Documento' }, ids);
+  await audit(req, { placa, action: 'doc.upload', entity: 'document', entityId: doc.id, after: { ...(await getDocById(doc.id)), adjuntos: ids } });
+  setToast(req, errores.length || doc.historial ? 'err' : 'ok', `Documento creado con ${ids.length} adjunto(s)` +
+    (doc.historial ? `, pero ${AVISO_HISTORIAL}` : '') + (errores.length ? ` — ${errores.join('; ')}` : ''));
+  return res.redirect(back);
+});
+
+// Paso 2 (OCR): el admin confirma o corrige categoría, título y fecha sugeridos
+app.get('/admin/doc/confirmar', requirePerm('fleet:write'), async (req, res) => {
+  const p = req.session.docPendiente;
+  if (!p) { setToast(req, 'err', 'No hay documento pendiente'); return res.redirect('/admin/editar'); }
+  const adjuntos = [];
+  for (const id of p.ids) {
+    const meta = await getPhotoMeta(id);
+    if (meta) adjuntos.push({ id, url: `/file/${id}`, filename: meta.filename, pdf: meta.mime === 'application/pdf', pages: meta.pages });
+  }
+  const valores = {
+    categoria: p.campos.categoria || p.ocr.categoria || '',
+    titulo: p.campos.titulo || (p.ocr.categoria ? `${p.ocr.categoria} ${p.placa}` : ''),
+    fecha_vencimiento: p.campos.fecha_vencimiento || p.ocr.fecha || ''
+  };
+  res.render('admin/confirmar-documento', { p, adjuntos, valores, toast: popToast(req) });
+});
+
+app.post('/admin/doc/confirmar', requirePerm('fleet:write'), async (req, res) => {
+  const p = req.session.docPendiente;
+  if (!p) { setToast(req, 'err', 'No hay documento pendiente'); return res.redirect('/admin/editar'); }
+  if (!inScope(req.user, (await getTruck(p.placa))?.cedis)) { setToast(req, 'err', 'Esa placa pertenece a otro CEDIS'); return res.redirect('/admin/editar'); }
+  const campos = {
+    categoria: (req.body.categoria || '').trim() || 'DOC',
+    titulo: (req.body.titulo || '').trim() || 'Documento',
+    fecha_vencimiento: (req.body.fecha_vencimiento || '').trim()
+  };
+  if (!campos.fecha_vencimiento) { setToast(req, 'err', 'Ingresá la fecha de vencimiento'); return res.redirect('/admin/doc/confirmar'); }
+  req.session.docPendiente = null;
+
+  const doc = await createDocWithFiles(p.placa, campos, p.ids);
+  const ocr = p.ocr.error ? null : { categoria: p.ocr.categoria, fecha: p.ocr.fecha, placas: p.ocr.placas };
+  await audit(req, { placa: p.placa, action: 'doc.upload', entity: 'document', entityId: doc.id, after: { ...(await getDocById(doc.id)), adjuntos: p.ids, ocr } });
+  setToast(req, doc.historial ? 'err' : 'ok', `Documento creado con ${p.ids.length} adjunto(s)` + (doc.historial ? `, pero ${AVISO_HISTORIAL}` : ''));
+  res.redirect('/admin/editar?placa=' + encodeURIComponent(p.placa));
+});
+
+// Descarta los archivos subidos en el paso 1 (solo los nuevos y si nadie más los usa)
+app.post('/admin/doc/cancelar', requirePerm('fleet:write'), async (req, res) => {
+  const p = req.session.docPendiente;
+  req.session.docPendiente = null;
+  if (!p) return res.redirect('/admin/editar');
+  for (const id of p.nuevos) {
+    if (!(await photoRefCount(id))) await deletePhotoDbById(id, p.placa);
+  }
+  setToast(req, 'ok', 'Carga descartada');
+  res.redirect('/admin/editar?placa=' + encodeURIComponent(p.placa));
+});
+
+// Agregar adjuntos a un documento existente (ej. dorso del permiso)
+app.post('/admin/doc/adjuntar', requirePerm('fleet:write'), upload.array('archivos', 10), requirePlacaScope, async (req, res) => {
+  const placa = String(req.body.placa || '').trim().toUpperCase();
+  const id = (req.body.id || '').trim();
+  const back = '/admin/editar?placa=' + encodeURIComponent(placa);
+  const doc = id ? await getDocById(id) : null;
+  if (!doc || doc.placa !== placa) { setToast(req, 'err', 'Documento no encontrado'); return res.redirect(back); }
+  if (!req.files?.length) { setToast(req, 'err', 'Sube una imagen o PDF'); return res.redirect(back); }
+
+  const { ids, errores } = await saveDocFiles(placa, req.files);
+  if (ids.length) {
+    await addDocFiles(id, ids, (req.body.etiqueta || '').trim().slice(0, 64));
+    await audit(req, { placa, action: 'doc.attach', entity: 'document', entityId: id, before: doc, after: { ...(await getDocById(id)), adjuntos: ids } });
+  }
+  setToast(req, ids.length && !errores.length ? 'ok' : 'err', `${ids.length} adjunto(s) agregado(s)` + (errores.length ? ` — ${errores.join('; ')}` : ''));
+  res.redirect(back);
+});
+
+app.post('/admin/doc/adjunto/delete', requirePerm('fleet:write'), requirePlacaScope, async (req, res) => {
+  const placa = String(req.body.placa || '').trim().toUpperCase();
+  const id = (req.body.id || '').trim();
+  const fileId = (req.body.fileId || '').trim();
+  const back = '/admin/editar?placa=' + encodeURIComponent(placa);
+  const doc = id ? await getDocById(id) : null;
+  if (!doc || doc.placa !== placa) { setToast(req, 'err', 'Documento no encontrado'); return res.redirect(back); }
+  const ok = await removeDocFile(placa, id, fileId);
+  if (ok) await audit(req, { placa, action: 'doc.detach', entity: 'document', entityId: id, before: { ...doc, adjunto: fileId }, after: await getDocById(id) });
+  setToast(req, ok ? 'ok' : 'err', ok ? 'Adjunto quitado' : 'Adjunto no encontrado');
+  res.redirect(back);
+});
+
+// Renovar: nueva versión con su fecha y archivos; la anterior queda en el historial
+app.post('/admin/doc/renovar', requirePerm('fleet:write'), upload.array('archivos', 10), requirePlacaScope, async (req, res) => {
+  const placa = String(req.body.placa || '').trim().toUpperCase();
+  const id = (req.body.id || '').trim();
+  const back = '/admin/editar?placa=' + encodeURIComponent(placa);
+  const prev = id ? await getDocById(id) : null;
+  if (!prev || prev.placa !== placa || prev.reemplazado_por) { setToast(req, 'err', 'Documento no encontrado o ya renovado'); return res.redirect(back); }
+  const fecha_vencimiento = (req.body.fecha_vencimiento || '').trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(fecha_vencimiento)) { setToast(req, 'err', 'Ingresá la nueva fecha de vencimiento'); return res.redirect(back); }
+
+  const { ids, errores } = req.files?.length ? await saveDocFiles(placa, req.files) : { ids: [], errores: [] };
+  if (req.files?.length && !ids.length) { setToast(req, 'err', 'No se pudo subir: ' + errores.join('; ')); return res.redirect(back); }
+  const doc = await renewDoc(placa, prev, { titulo: (req.body.titulo || '').trim(), fecha_vencimiento }, ids);
+  await audit(req, { placa, action: 'doc.renew', entity: 'document', entityId: doc.id, before: prev, after: { ...(await getDocById(doc.id)), adjuntos: ids } });
+  setToast(req, errores.length ? 'err' : 'ok', `${prev.categoria} renovado hasta ${fecha_vencimiento}` + (errores.length ? ` — no se subieron: ${errores.join('; ')}` : ''));
+  res.redirect(back);
+});
+
+// Todas las versiones de una categoría (vigente + historial) con sus archivos
+app.get('/admin/doc/historial', requirePerm('fleet:read'), requirePlacaScope, async (req, res) => {
+  const placa = String(req.query.placa || '').trim().toUpperCase();
+  const categoria = String(req.query.categoria || '').trim();
+  const back = '/admin/editar?placa=' + encodeURIComponent(placa);
+  if (!placa || !categoria) return res.redirect(back);
+  const versiones = (await withAdjuntos(await getDocTimeline(placa, categoria))).map(d => ({ ...d, ...docEstado(d.fecha_vencimiento) }));
+  if (!versiones.length) { setToast(req, 'err', 'No hay documentos de esa categoría'); return res.redirect(back); }
+  res.render('admin/historial-documento', { placa, categoria, versiones, toast: popToast(req) });
+});
+
+app.post('/admin/doc/delete', requirePerm('fleet:write'), requirePlacaScope, async (req, res) => {
+  const placa = String(req.body.placa || '').trim().toUpperCase();
+  const id = (req.body.id || '').trim();
+  if (!placa || !id) { setToast(req, 'err', 'Falta placa o id'); return res.redirect('/admin/editar'); }
+  const before = await getDocById(id);
+  const ok = await deleteDoc(placa, id);
+  if (ok) await audit(req, { placa, action: 'doc.delete', entity: 'document', entityId: id, before });
+  setToast(req, ok ? 'ok' : 'err', ok ? 'Documento eliminado' : 'No encontrado');
+  res.redirect('/admin/editar?placa=' + encodeURIComponent(placa));
+});
+
+app.post('/admin/doc/visibilidad', requirePerm('fleet:write'), requirePlacaScope, async (req, res) => {
+  const placa = String(req.body.placa || '').trim().toUpperCase();
+  const id = (req.body.id || '').trim();
+  const visibilidad = String(req.body.visibilidad || '');
+  if (!placa || !id || !VISIBILIDADES[visibilidad]) { setToast(req, 'err', 'Datos inválidos'); return res.redirect('/admin/editar?placa=' + encodeURIComponent(placa)); }
+  const before = await getDocById(id);
+  if (!before || before.placa !== placa) { setToast(req, 'err', 'No encontrado'); return res.redirect('/admin/editar?placa=' + encodeURIComponent(placa)); }
+  await setDocVisibilidad(before, visibilidad);
+  await audit(req, { placa, action: 'doc.visibilidad', entity: 'document', entityId: id, before, after: await getDocById(id) });
+  setToast(req, 'ok', `${before.categoria}: ${VISIBILIDADES[visibilidad].toLowerCase()} en la ficha pública`);
   res.redirect('/admin/editar?placa=' + encodeURIComponent(placa));
 });
 
-// Subir imagen y crear documento (imagen a BLOB)
-app.post('/admin/doc/upload', requireAdmin, upload.single('archivo'), async (req, res) => {
+// ---------- Mantenimiento ----------
+const mantenimientoUrl = placa => '/admin/mantenimiento?placa=' + encodeURIComponent(placa);
+// los formularios de lectura de odómetro están en el editor y en la bitácora
+const volverA = (req, placa) => (req.body.volver === 'editar' ? '/admin/editar?placa=' + encodeURIComponent(placa) : mantenimientoUrl(placa));
+
+app.get('/admin/mantenimiento', requirePerm('fleet:read'), requirePlacaScope, async (req, res) => {
+  const placa = String(req.query.placa || '').trim().toUpperCase();
+  if (!placa) return res.redirect('/admin/editar');
+  const truck = await getTruck(placa);
+  if (!truck) { setToast(req, 'err', 'Placa no encontrada'); return res.redirect('/admin/editar'); }
+  let planes = [], registros = [], lecturas = [];
+  try {
+    planes = await serviceStatus({ placa, soloActivos: false });
+    registros = await listServiceRecords(placa);
+    lecturas = await listOdometer(placa, 30);
+  } catch (e) { console.error('mantenimiento:', e.message); setToast(req, 'err', 'Error cargando mantenimiento'); }
+  const total = registros.reduce((sum, r) => sum + (Number(r.costo) || 0), 0);
+  res.render('admin/mantenimiento', {
+    placa, truck, planes, registros, lecturas, odometro: lecturas[0] || null, total,
+    estados: SERVICE_ESTADOS, hoy: new Date().toISOString().slice(0, 10), toast: popToast(req)
+  });
+});
+
+app.post('/admin/odometro', requirePerm('fleet:write'), requirePlacaScope, async (req, res) => {
+  const placa = String(req.body.placa || '').trim().toUpperCase();
+  const back = volverA(req, placa);
+  const km = parseKm(req.body.km);
+  if (!placa || km == null) { setToast(req, 'err', 'Ingresá el kilometraje (solo números)'); return res.redirect(back); }
+  if (!(await getTruck(placa))) { setToast(req, 'err', 'Placa no encontrada'); return res.redirect(back); }
+  const actual = await getOdometro(placa);
+  if (actual && km < actual.km) {
+    setToast(req, 'err', `La lectura es menor que la última (${actual.km} km). Si esa fue un error, eliminala en la bitácora.`);
+    return res.redirect(back);
+  }
+  const id = await addOdometer(placa, km, { username: req.user.username });
+  await audit(req, { placa, action: 'odometer.create', entity: 'odometer', entityId: String(id), after: { km } });
+  setToast(req, 'ok', `Odómetro: ${km} km`);
+  res.redirect(back);
+});
+
+app.post('/admin/odometro/delete', requirePerm('fleet:write'), requirePlacaScope, async (req, res) => {
+  const placa = String(req.body.placa || '').trim().toUpperCase();
+  const [[before]] = await pool.query('SELECT * FROM odometer_readings WHERE id = ? AND placa = ?', [req.body.id, placa]);
+  const ok = before ? await deleteOdometer(placa, before.id) : false;
+  if (ok) await audit(req, { placa, action: 'odometer.delete', entity: 'odometer', entityId: String(before.id), before });
+  setToast(req, ok ? 'ok' : 'err', ok ? 'Lectura eliminada' : 'No encontrada');
+  res.redirect(mantenimientoUrl(placa));
+});
+
+app.post('/admin/mantenimiento/plan', requirePerm('fleet:write'), requirePlacaScope, async (req, res) => {
+  const placa = String(req.body.placa || '').trim().toUpperCase();
+  const b = req.body;
+  if (!String(b.tipo || '').trim()) { setToast(req, 'err', 'Indicá el tipo de servicio'); return res.redirect(mantenimientoUrl(placa)); }
+  if (!parseIntervalo(b.cada_km) && !parseIntervalo(b.cada_dias)) {
+    setToast(req, 'err', 'Indicá cada cuántos km y/o cada cuántos días');
+    return res.redirect(mantenimientoUrl(placa));
+  }
+  if (!(await getTruck(placa))) { setToast(req, 'err', 'Placa no encontrada'); return res.redirect('/admin/editar'); }
+  // sin inicio indicado, el ciclo arranca hoy y con el odómetro actual
+  const actual = await getOdometro(placa);
+  const id = await saveServicePlan(null, placa, {
+    ...b, activo: true,
+    desde_fecha: b.desde_fecha || new Date().toISOString().slice(0, 10),
+    desde_km: String(b.desde_km || '').trim() ? b.desde_km : actual?.km
+  });
+  await audit(req, { placa, action: 'service_plan.create', entity: 'service_plan', entityId: id, after: await getServicePlan(id) });
+  setToast(req, 'ok', 'Plan creado');
+  res.redirect(mantenimientoUrl(placa));
+});
+
+app.post('/admin/mantenimiento/plan/:id', requirePerm('fleet:write'), requirePlacaScope, async (req, res) => {
+  const placa = String(req.body.placa || '').trim().toUpperCase();
+  const before = await getServicePlan(req.params.id);
+  if (!before || before.placa !== placa) { setToast(req, 'err', 'Plan no encontrado'); return res.redirect(mantenimientoUrl(placa)); }
+  if (req.body.eliminar === '1') {
+    await deleteServicePlan(placa, before.id);
+    await audit(req, { placa, action: 'service_plan.delete', entity: 'service_plan', entityId: before.id, before });
+    setToast(req, 'ok', 'Plan eliminado (los servicios registrados se conservan)');
+  } else {
+    await saveServicePlan(before.id, placa, { ...before, activo: req.body.activo === '1' });
+    await audit(req, { placa, action: 'service_plan.update', entity: 'service_plan', entityId: before.id, before, after: await getServicePlan(before.id) });
+    setToast(req, 'ok', req.body.activo === '1' ? 'Plan reactivado' : 'Plan pausado');
+  }
+  res.redirect(mantenimientoUrl(placa));
+});
+
+app.post('/admin/mantenimiento/servicio', requirePerm('fleet:write'), upload.array('facturas', 10), requirePlacaScope, async (req, res) => {
+  const placa = String(req.body.placa || '').trim().toUpperCase();
+  const back = mantenimientoUrl(placa);
+  const b = req.body;
+  const fecha = String(b.fecha || '').trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(fecha)) { setToast(req, 'err', 'Fecha inválida'); return res.redirect(back); }
+  const plan = b.plan_id ? await getServicePlan(b.plan_id) : null;
+  if (b.plan_id && (!plan || plan.placa !== placa)) { setToast(req, 'err', 'Plan no encontrado'); return res.redirect(back); }
+  const tipo = String(b.tipo || '').trim() || plan?.tipo;
+  if (!tipo) { setToast(req, 'err', 'Indicá el tipo de servicio'); return res.redirect(back); }
+  const odometro = String(b.odometro || '').trim() ? parseKm(b.odometro) : null;
+  if (String(b.odometro || '').trim() && odometro == null) { setToast(req, 'err', 'Odómetro inválido (solo números)'); return res.redirect(back); }
+  const costo = parseMonto(b.costo);
+  if (String(b.costo || '').trim() && costo == null) { setToast(req, 'err', 'Costo inválido'); return res.redirect(back); }
+  if (!(await getTruck(placa))) { setToast(req, 'err', 'Placa no encontrada'); return res.redirect('/admin/editar'); }
+  // como en /admin/odometro: el odómetro no baja (comparado con las lecturas de esa fecha)
+  if (odometro != null) {
+    const { antes, despues } = await odometroEntorno(placa, fecha);
+    if (antes != null && odometro < antes) {
+      setToast(req, 'err', `El odómetro es menor que la lectura a esa fecha (${antes} km). Si esa fue un error, eliminala en la bitácora.`);
+      return res.redirect(back);
+    }
+    if (despues != null && odometro > despues) {
+      setToast(req, 'err', `El odómetro es mayor que una lectura posterior a esa fecha (${despues} km).`);
+      return res.redirect(back);
+    }
+  }
+
+  const { ids, errores } = req.files?.length ? await saveDocFiles(placa, req.files, { interna: true }) : { ids: [], errores: [] };
+  const id = await addServiceRecord(placa, {
+    plan_id: plan?.id || null, fecha, odometro, tipo: tipo.slice(0, 64),
+    taller: String(b.taller || '').trim().slice(0, 128), costo, notas: String(b.notas || '').trim()
+  }, ids, req.user);
+  await audit(req, { placa, action: 'service.create', entity: 'service', entityId: id, after: { ...(await getServiceRecord(id)), facturas: ids } });
+  setToast(req, errores.length ? 'err' : 'ok', 'Servicio registrado' + (errores.length ? ` — no se subieron: ${errores.join('; ')}` : ''));
+  res.redirect(back);
+});
+
+app.post('/admin/mantenimiento/servicio/delete', requirePerm('fleet:write'), requirePlacaScope, async (req, res) => {
+  const placa = String(req.body.placa || '').trim().toUpperCase();
+  const before = await getServiceRecord(String(req.body.id || ''));
+  const ok = before && before.placa === placa ? await deleteServiceRecord(placa, before.id) : false;
+  if (ok) await audit(req, { placa, action: 'service.delete', entity: 'service', entityId: before.id, before });
+  setToast(req, ok ? 'ok' : 'err', ok ? 'Servicio eliminado' : 'No encontrado');
+  res.redirect(mantenimientoUrl(placa));
+});
+
+// ---------- Admin: conductores, checklist e inspecciones ----------
+app.get('/admin/conductores', requirePerm('fleet:read'), async (req, res) => {
+  let conductores = [];
+  try { conductores = await listDrivers(userCedis(req.user)); }
+  catch (e) { console.error('conductores:', e.message); setToast(req, 'err', 'Error cargando conductores'); }
+  res.render('admin/conductores', { conductores, toast: popToast(req) });
+});
+
+app.post('/admin/conductores', requirePerm('fleet:write'), async (req, res) => {
+  const nombre = String(req.body.nombre || '').trim();
+  const cedis = String(req.body.cedis || '').trim().toUpperCase();
+  const pin = String(req.body.pin || '').trim() || newPin();
+  if (!nombre) { setToast(req, 'err', 'El nombre es obligatorio'); return res.redirect('/admin/conductores'); }
+  if (!normCedula(req.body.cedula)) { setToast(req, 'err', 'La cédula es obligatoria: el conductor entra con cédula y PIN'); return res.redirect('/admin/conductores'); }
+  if (!validPin(pin)) { setToast(req, 'err', 'El PIN debe tener de 4 a 8 dígitos'); return res.redirect('/admin/conductores'); }
+  if (!inScope(req.user, cedis)) { setToast(req, 'err', 'Solo podés asignar CEDIS de tu alcance: ' + userCedis(req.user).join(', ')); return res.redirect('/admin/conductores'); }
+  try {
+    const otro = await cedulaEnUso(req.body.cedula);
+    if (otro) { setToast(req, 'err', `Esa cédula ya es de ${otro}`); return res.redirect('/admin/conductores'); }
+    const id = await createDriver({ ...req.body, nombre, cedis, pin });
+    await audit(req, { action: 'driver.create', entity: 'driver', entityId: id, after: await getDriverById(id) });
+    setToast(req, 'ok', `Conductor creado. PIN de ${nombre}: ${pin} (anotalo: no se vuelve a mostrar)`);
+  } catch (e) {
+    console.error('driver.create:', e.message);
+    setToast(req, 'err', 'No se pudo crear el conductor');
+  }
+  res.redirect('/admin/conductores');
+});
+
+const conductorUrl = id => '/admin/conductores/' + encodeURIComponent(id);
+
+app.get('/admin/conductores/:id', requirePerm('fleet:read'), async (req, res) => {
+  const driver = await getDriverById(req.params.id);
+  if (!driver || !inScope(req.user, driver.cedis)) { setToast(req, 'err', 'Conductor no encontrado'); return res.redirect('/admin/conductores'); }
+  let asignaciones = [], reportes = { items: [], total: 0 }, inspecciones = { items: [], total: 0 };
+  try {
+    asignaciones = await listAssignments({ driverId: driver.id });
+    reportes = await listReports(req.user, { conductor: driver.id }, { perPage: 20 });
+    inspecciones = await listInspections({ driverId: driver.id, cedisScope: userCedis(req.user), perPage: 10 });
+  } catch (e) { console.error('conductor:', e.message); setToast(req, 'err', 'Error cargando el historial'); }
+  res.render('admin/conductor', { driver, asignaciones, reportes, inspecciones, estados: REPORT_ESTADOS, toast: popToast(req) });
+});
+
+app.post('/admin/conductores/:id', requirePerm('fleet:write'), async (req, res) => {
+  const before = await getDriverById(req.params.id);
+  if (!before || !inScope(req.user, before.cedis)) { setToast(req, 'err', 'Conductor no encontrado'); return res.redirect('/admin/conductores'); }
+  if (req.body.accion === 'datos') {
+    const nombre = String(req.body.nombre || '').trim();
+    const cedis = String(req.body.cedis || '').trim().toUpperCase();
+    if (!nombre) { setToast(req, 'err', 'El nombre es obligatorio'); return res.redirect(conductorUrl(before.id)); }
+    if (!normCedula(req.body.cedula)) { setToast(req, 'err', 'La cédula es obligatoria: el conductor entra con cédula y PIN'); return res.redirect(conductorUrl(before.id)); }
+    if (!inScope(req.user, cedis)) {
+      setToast(req, 'err', 'Solo podés asignar CEDIS de tu alcance: ' + userCedis(req.user).join(', '));
+      return res.redirect(conductorUrl(before.id));
+    }
+    try {
+      const otro = before.activo && await cedulaEnUso(req.body.cedula, before.id);
+      if (otro) { setToast(req, 'err', `Esa cédula ya es de ${otro}`); return res.redirect(conductorUrl(before.id)); }
+      await updateDriver(before.id, { datos: { ...req.body, nombre, cedis } });
+      await audit(req, { action: 'driver.update', entity: 'driver', entityId: before.id, before, after: await getDriverById(before.id) });
+      setToast(req, 'ok', 'Datos del conductor guardados');
+    } catch (e) {
+      console.error('driver.update:', e.message);
+      setToast(req, 'err', 'No se pudieron guardar los datos');
+    }
+    return res.redirect(conductorUrl(before.id));
+  }
+  if (req.body.accion === 'pin') {
+    const pin = String(req.body.pin || '').trim() || newPin();
+    if (!validPin(pin)) { setToast(req, 'err', 'El PIN debe tener de 4 a 8 dígitos'); return res.redirect('/admin/conductores'); }
+    try { await updateDriver(before.id, { pin }); }
+    catch (e) {
+      console.error('driver.pin_reset:', e.message);
+      setToast(req, 'err', 'No se pudo cambiar el PIN'); return res.redirect('/admin/conductores');
+    }
+    await audit(req, { action: 'driver.pin_reset', entity: 'driver', entityId: before.id });
+    setToast(req, 'ok', `Nuevo PIN de ${before.nombre}: ${pin}`);
+  } else {
+    // al reactivar, su cédula no puede haber pasado a otro conductor activo
+    const otro = req.body.activo === '1' && before.cedula && await cedulaEnUso(before.cedula, before.id);
+    if (otro) { setToast(req, 'err', `No se puede reactivar: la cédula ya es de ${otro}`); return res.redirect('/admin/conductores'); }
+    await updateDriver(before.id, { activo: req.body.activo === '1' });
+    await audit(req, { action: 'driver.update', entity: 'driver', entityId: before.id, before, after: await getDriverById(before.id) });
+    // dado de baja deja de manejar: se cierra su asignación vigente
+    if (req.body.activo !== '1') {
+      for (const a of (await listAssignments({ driverId: before.id })).filter(a => a.vigente && !a.hasta)) await endAssignment(a, new Date());
+    }
+    setToast(req, 'ok', req.body.activo === '1' ? 'Conductor reactivado' : 'Conductor dado de baja');
+  }
+  res.redirect(req.body.volver === 'conductor' ? conductorUrl(before.id) : '/admin/conductores');
+});
+
+// ---- Asignaciones conductor ↔ camión ----
+// 'YYYY-MM-DDTHH:MM' (input datetime-local, hora local) → Date
+function parseFechaHora(v) {
+  if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/.test(String(v || ''))) return null;
+  const d = new Date(v);
+  return isNaN(d) ? null : d;
+}
+function asignacionVolver(req, placa, driverId) {
+  return req.body.volver === 'conductor' ? conductorUrl(driverId) : '/admin/editar?placa=' + encodeURIComponent(placa);
+}
+
+app.post('/admin/asignaciones', requirePerm('fleet:write'), requirePlacaScope, async (req, res) => {
+  const placa = String(req.body.placa || '').trim().toUpperCase();
+  const driverId = String(req.body.driver_id || '');
+  const back = asignacionVolver(req, placa, driverId);
+  const truck = placa ? await getTruck(placa) : null;
+  const driver = await getDriverById(driverId);
+  if (!truck) { setToast(req, 'err', 'Placa no encontrada'); return res.redirect(back); }
+  if (!driver || !driver.activo || !inScope(req.user, driver.cedis)) { setToast(req, 'err', 'Conductor no encontrado o dado de baja'); return res.redirect(back); }
+  if (!driverPuede(driver, truck)) { setToast(req, 'err', `${driver.nombre} es del CEDIS ${driver.cedis}`); return res.redirect(back); }
+  const desde = req.body.desde ? parseFechaHora(req.body.desde) : new Date();
+  const hasta = req.body.hasta ? parseFechaHora(req.body.hasta) : null;
+  if (!desde || (req.body.hasta && !hasta)) { setToast(req, 'err', 'Fecha inválida'); return res.redirect(back); }
+
+  const r = await addAssignment({ driverId: driver.id, placa, desde, hasta, username: req.user.username });
+  if (r.error) { setToast(req, 'err', r.error); return res.redirect(back); }
+  await audit(req, {
+    placa, action: 'driver.assign', entity: 'assignment', entityId: r.id,
+    before: r.cerradas.length ? r.cerradas : null, after: await getAssignment(r.id)
+  });
+  let msg = `${driver.nombre} asignado a ${placa}`;
+  if (r.cerradas.length) msg += ` (se cerró ${r.cerradas.length} asignación anterior)`;
+  if (driver.licencia.estado === 'vencido') msg += '. Ojo: la licencia está vencida';
+  setToast(req, driver.licencia.estado === 'vencido' ? 'err' : 'ok', msg);
+  res.redirect(back);
+});
+
+// accion=fin cierra la asignación (hasta = ahora o la fecha indicada); eliminar la borra y desliga sus reportes
+app.post('/admin/asignaciones/:id', requirePerm('fleet:write'), requirePlacaScope, async (req, res) => {
   const placa = String(req.body.placa || '').trim().toUpperCase();
-  const categoria = (req.body.categoria || '').trim() || 'DOC';
-  const titulo = (req.body.titulo || '').trim() || 'Documento';
-  const fecha_vencimiento = (req.body.fecha_vencimiento || '').trim();
-  if (!placa) { setToast(req, 'err', 'Falta placa'); return res.redirect('/admin/editar'); }
-  if (!req.file) { setToast(req, 'err', 'Sube una imagen'); return res.redirect('/admin/editar?placa=' + encodeURIComponent(placa)); }
-  if (!fecha_vencimiento) { setToast(req, 'err', 'Ingresá la fecha de vencimiento'); return res.redirect('/admin/editar?placa=' + encodeURIComponent(placa)); }
+  const before = await getAssignment(req.params.id);
+  if (!before || before.placa !== placa) { setToast(req, 'err', 'Asignación no encontrada'); return res.redirect('/admin/editar?placa=' + encodeURIComponent(placa)); }
+  const back = asignacionVolver(req, placa, before.driver_id);
+  if (req.body.eliminar) {
+    await deleteAssignment(before);
+    await audit(req, { placa, action: 'assignment.delete', entity: 'assignment', entityId: before.id, before });
+    setToast(req, 'ok', 'Asignación eliminada');
+    return res.redirect(back);
+  }
+  const hasta = req.body.hasta ? parseFechaHora(req.body.hasta) : new Date();
+  if (!hasta || hasta <= new Date(before.desde)) { setToast(req, 'err', 'La fecha de fin debe ser posterior al inicio'); return res.redirect(back); }
+  if (before.hasta && hasta > new Date(before.hasta)) { setToast(req, 'err', 'Solo se puede adelantar el fin de una asignación cerrada'); return res.redirect(back); }
+  await endAssignment(before, hasta);
+  await audit(req, { placa, action: 'driver.unassign', entity: 'assignment', entityId: before.id, before, after: await getAssignment(before.id) });
+  setToast(req, 'ok', 'Asignación cerrada');
+  res.redirect(back);
+});
 
-  const ext = (path.extname(req.file.originalname) || '.jpg').toLowerCase();
-  if (!ALLOWED_EXTS.has(ext)) { setToast(req,'err','Extensión no permitida'); return res.redirect('/admin/editar?placa='+encodeURIComponent(placa)); }
+app.get('/admin/checklist', requirePerm('checklist:manage'), async (req, res) => {
+  let items = [];
+  try { items = await listChecklistItems(); }
+  catch (e) { console.error('checklist:', e.message); setToast(req, 'err', 'Error cargando el checklist'); }
+  res.render('admin/checklist', { items, toast: popToast(req) });
+});
 
-  const saved = await savePhotoDb(placa, req.file); // /file/:id
-  const doc = { id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6), categoria, titulo, fecha_vencimiento, url: saved.url, alert22Sent: false };
-  await upsertDoc(placa, doc);
-  setToast(req, 'ok', 'Documento creado con imagen');
-  return res.redirect('/admin/editar?placa=' + encodeURIComponent(placa));
+app.post('/admin/checklist', requirePerm('checklist:manage'), async (req, res) => {
+  if (!String(req.body.texto || '').trim()) { setToast(req, 'err', 'Escribí el ítem'); return res.redirect('/admin/checklist'); }
+  const id = await saveChecklistItem(null, { ...req.body, activo: true });
+  await audit(req, { action: 'checklist_item.create', entity: 'checklist_item', entityId: id, after: { texto: req.body.texto, orden: req.body.orden } });
+  setToast(req, 'ok', 'Ítem agregado');
+  res.redirect('/admin/checklist');
 });
 
-app.post('/admin/doc/delete', requireAdmin, async (req, res) => {
-  const placa = String(req.body.placa || '').trim().toUpperCase();
-  const id = (req.body.id || '').trim();
-  if (!placa || !id) { setToast(req, 'err', 'Falta placa o id'); return res.redirect('/admin/editar'); }
-  const ok = await deleteDoc(placa, id);
-  setToast(req, ok ? 'ok' : 'err', ok ? 'Documento eliminado' : 'No encontrado');
-  res.redirect('/admin/editar?placa=' + encodeURIComponent(placa));
+app.post('/admin/checklist/:id', requirePerm('checklist:manage'), async (req, res) => {
+  const before = (await listChecklistItems()).find(i => i.id === req.params.id);
+  if (!before) { setToast(req, 'err', 'Ítem no encontrado'); return res.redirect('/admin/checklist'); }
+  if (req.body.eliminar === '1') {
+    // las inspecciones guardan copia del texto, así que el historial no se pierde
+    await deleteChecklistItem(before.id);
+    await audit(req, { action: 'checklist_item.delete', entity: 'checklist_item', entityId: before.id, before });
+    setToast(req, 'ok', 'Ítem eliminado');
+  } else {
+    const texto = String(req.body.texto || '').trim() || before.texto;
+    await saveChecklistItem(before.id, { texto, orden: req.body.orden ?? before.orden, activo: req.body.activo === '1' });
+    await audit(req, { action: 'checklist_item.update', entity: 'checklist_item', entityId: before.id, before, after: { texto, orden: req.body.orden, activo: req.body.activo === '1' } });
+    setToast(req, 'ok', 'Ítem actualizado');
+  }
+  res.redirect('/admin/checklist');
+});
+
+app.get('/admin/inspecciones', requirePerm('fleet:read'), async (req, res) => {
+  const f = {
+    placa: String(req.query.placa || '').trim().toUpperCase(),
+    conductor: String(req.query.conductor || '').trim(),
+    fallas: req.query.fallas === '1'
+  };
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  let result = { items: [], total: 0, page: 1, pages: 1 }, conductores = [];
+  try {
+    conductores = await listDrivers(userCedis(req.user));
+    result = await listInspections({ placa: f.placa || null, driverId: f.conductor || null, soloFallas: f.fallas, cedisScope: userCedis(req.user), page });
+  } catch (e) { console.error('inspecciones:', e.message); setToast(req, 'err', 'Error cargando inspecciones'); }
+  res.render('admin/inspecciones', { f, ...result, conductores, toast: popToast(req) });
+});
+
+app.get('/admin/inspecciones/:id', requirePerm('fleet:read'), async (req, res) => {
+  const insp = await getInspection(req.params.id);
+  if (!insp || !inScope(req.user, insp.cedis)) { setToast(req, 'err', 'Inspección no encontrada'); return res.redirect('/admin/inspecciones'); }
+  res.render('admin/inspeccion', { insp, toast: popToast(req) });
 });
 
 // ---------- Reporte público ----------
-app.post('/c/:placa/report', async (req, res) => {
+// Anti-abuso: reto firmado con prueba de trabajo, límite por IP y por placa, y puntaje de spam
+// (los sospechosos quedan en cuarentena en /admin/reportes, sin aviso). Ver antispam.js.
+// Sin SESSION_SECRET la clave de los retos es al azar por proceso (nunca una conocida): los retos de la ficha
+// dejan de valer al reiniciar y entre instancias. Los límites y los retos usados viven en la memoria del
+// proceso: un reinicio los pone en cero y con varias instancias cada una cuenta por su lado.
+const REPORT_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+const REPORT_POW_BITS = Math.min(24, Math.max(0, parseInt(process.env.REPORT_POW_BITS ?? '14', 10) || 0)); // 0 = sin prueba de trabajo
+const reportesPorIp = createRateLimiter({ max: 5, ventanaMs: 60 * 60 * 1000 });     // 5 por hora por IP
+const reportesPorPlaca = createRateLimiter({ max: 10, ventanaMs: 60 * 60 * 1000 }); // 10 por hora por camión
+const retosUsados = new Map(); // reto → vence (ms): cada reto sirve para un solo envío
+const REPORT_MAX_FOTOS = 3;
+const reportUpload = multer({ storage: multer.memoryStorage(), limits: { files: REPORT_MAX_FOTOS, fileSize: 10 * 1024 * 1024 } });
+// un error de subida (más de 3 fotos, muy pesadas) vuelve a la ficha con el mensaje
+const reportFotos = (req, res, next) => reportUpload.array('fotos', REPORT_MAX_FOTOS)(req, res, err => {
+  req.uploadError = err ? err.message : null;
+  next();
+});
+
+app.post('/t/:token/report', reportFotos, async (req, res, next) => {
+  try {
+    const truck = await getTruckByToken(req.params.token);
+    if (!truck) return res.status(404).send('No encontrado');
+    await handleReport(req, res, truck.placa, `/t/${encodeURIComponent(truck.public_token)}`);
+  } catch (e) { next(e); }
+});
+app.post('/c/:placa/report', reportFotos, async (req, res, next) => {
+  if (!PLATE_URLS_COMPAT) return res.status(404).send('No encontrado');
   const placa = String(req.params.placa || '').toUpperCase();
+  try {
+    const truck = await getTruck(placa);
+    if (!truck) return res.status(404).send('No encontrado');
+    await handleReport(req, res, truck.placa, `/c/${encodeURIComponent(truck.placa)}`);
+  } catch (e) { next(e); }
+});
 
+async function handleReport(req, res, placa, back) {
   const tipo = (req.body.tipo || 'Otro').trim();
   const nombre = (req.body.nombre || '').trim();
   const telefono = (req.body.telefono || '').trim();
@@ -583,101 +3165,1063 @@ app.post('/c/:placa/report', async (req, res) => {
   const mensaje = (req.body.mensaje || '').trim();
 
   const empresa = (req.body.empresa || '').trim(); // honeypot
-  if (empresa) return res.redirect(`/c/${encodeURIComponent(placa)}`);
+  if (empresa) return res.redirect(back);
 
   if (!mensaje || mensaje.length < 3) {
-    return res.redirect(`/c/${encodeURIComponent(placa)}?error=1`);
+    return res.redirect(`${back}?error=1`);
+  }
+  if (req.uploadError) return res.redirect(`${back}?error=fotos`);
+
+  const reto = String(req.body.reto || '');
+  const fallo = validarReto(REPORT_SECRET, placa, { reto, nonce: req.body.pow, bits: REPORT_POW_BITS });
+  // sin prueba de trabajo (navegador viejo o sin JS) no se rechaza: suma puntos de spam más abajo
+  if ((fallo && fallo !== 'trabajo') || retosUsados.has(reto)) return res.redirect(`${back}?error=verificacion`);
+  if (!reportesPorIp.intentar(req.ip) || !reportesPorPlaca.intentar(placa)) return res.redirect(`${back}?error=limite`);
+  for (const [r, vence] of retosUsados) if (vence < Date.now()) retosUsados.delete(r);
+  retosUsados.set(reto, Date.now() + 2 * 60 * 60 * 1000);
+
+  const { puntos, motivos } = spamScore({ mensaje, nombre, email, telefono }, { recientes: await recentReportTexts(), sinTrabajo: fallo === 'trabajo' });
+  const createdAt = new Date();
+  // hora del hecho: no en el futuro ni de hace más de 30 días (si no, se ignora)
+  let ocurridoAt = parseFechaHora(req.body.ocurrido);
+  if (ocurridoAt && (ocurridoAt > new Date(+createdAt + 10 * 60 * 1000) || createdAt - ocurridoAt > 30 * 24 * 60 * 60 * 1000)) ocurridoAt = null;
+  const ubicacion = parseUbicacion(req.body);
+
+  // fotos: solo imágenes; una idéntica a otra foto interna del camión no se vuelve a guardar: se enlaza la existente
+  const fotos = [];
+  for (const f of req.files || []) {
+    if (!ALLOWED_EXTS.has((path.extname(f.originalname) || '').toLowerCase())) continue;
+    try {
+      const saved = await savePhotoDb(placa, f, { interna: true, soloImagen: true });
+      if (!fotos.includes(saved.id)) fotos.push(saved.id);
+    } catch (e) { console.error('foto de reporte:', e.message); }
   }
 
   const rep = {
     id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
     placa, tipo, nombre, telefono, email, mensaje,
-    createdAt: new Date().toISOString()
+    createdAt: createdAt.toISOString(),
+    driver_id: await driverAt(placa, ocurridoAt || createdAt), // quién manejaba el camión en ese momento
+    cuarentena: puntos >= SPAM_UMBRAL,
+    spam_puntos: puntos,
+    spam_motivos: motivos.join(', ').slice(0, 255) || null,
+    ocurridoAt, ...ubicacion, fotos
   };
   await addReport(rep);
+  // al que envía siempre se le agradece: no le avisamos que quedó en cuarentena
+  // y lo que quedó en cuarentena solo se ve en el panel (sin avisos ni registro en consola)
+  if (!rep.cuarentena) await notifyNewReport(req, rep);
+
+  return res.redirect(`${back}?enviado=1`);
+}
+
+// lat/lng del navegador (navigator.geolocation); fuera de rango o incompletos = sin ubicación
+function parseUbicacion(body) {
+  const lat = parseFloat(body.lat), lng = parseFloat(body.lng);
+  if (!isFinite(lat) || !isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) return { lat: null, lng: null, precision_m: null };
+  const precision = parseFloat(body.precision);
+  return {
+    lat: Math.round(lat * 1e6) / 1e6,
+    lng: Math.round(lng * 1e6) / 1e6,
+    precision_m: isFinite(precision) && precision >= 0 ? Math.min(Math.round(precision), 1000000) : null
+  };
+}
+
+// Aviso report.new a los destinos del CEDIS del camión (reportes públicos e inspecciones con fallas)
+async function notifyNewReport(req, rep) {
+  try {
+    const cedis = (await getTruck(rep.placa))?.cedis || '';
+    const destinos = await notificationTargetsFor('report.new', cedis);
+    if (!destinos.length) return;
+    const base = mailBase() || absoluteBase(req);
+    const driver = rep.driver_id ? await getDriverById(rep.driver_id) : null;
+    const conductor = driver ? [driver.nombre, driver.telefono].filter(Boolean).join(' · ') : null;
+    const fotos = (await listReportPhotos(rep.id)).map(u => base + u);
+    const mapa = rep.lat != null ? `https://www.openstreetmap.org/?mlat=${rep.lat}&mlon=${rep.lng}#map=17/${rep.lat}/${rep.lng}` : null;
+    await notifier.send('report.new', { ...rep, cedis, conductor, fotos, mapa, link: `${base}/admin/reportes/${rep.id}` }, destinos);
+  } catch (e) { console.error('Notificación reporte:', e.message); }
+}
+
+// ---------- Modo conductor (inspección pre-viaje) ----------
+// Misma ficha del QR (/t/:token o /c/:placa) + /conductor. El conductor entra con su cédula y PIN
+// y queda en la sesión por 12 horas.
+const CONDUCTOR_RUTAS = ['/t/:token/conductor', '/c/:placa/conductor'];
+const DRIVER_SESSION_MS = 12 * 60 * 60 * 1000;
+const PIN_MAX_FALLOS = 5, PIN_BLOQUEO_MS = 15 * 60 * 1000;
+// ip o cédula → { n, desde }: 5 intentos malos en 15 minutos bloquean esa IP (y esa cédula, aunque cambie la IP)
+const pinFallos = new Map();
+// fotos de la inspección: hasta 2 por ítem y 5 generales, 10 en total; el cuerpo se lee recién con el conductor validado
+const INSPECCION_MAX_FOTOS = 10;
+const inspectionUpload = multer({ storage: multer.memoryStorage(), limits: { files: INSPECCION_MAX_FOTOS, fileSize: 8 * 1024 * 1024 } });
+const inspeccionesPorConductor = createRateLimiter({ max: 10, ventanaMs: 60 * 60 * 1000 }); // 10 por hora por conductor
+
+async function conductorTruck(req) {
+  if (req.params.token) return getTruckByToken(req.params.token);
+  if (!PLATE_URLS_COMPAT && !req.user) return null;
+  return getTruck(String(req.params.placa || ''));
+}
+function conductorBase(req, truck) {
+  return req.params.token ? `/t/${encodeURIComponent(truck.public_token)}/conductor` : `/c/${encodeURIComponent(truck.placa)}/conductor`;
+}
+async function currentDriver(req) {
+  const s = req.session?.driver;
+  if (!s || Date.now() - s.at > DRIVER_SESSION_MS) return null;
+  const d = await getDriverById(s.id);
+  return d && d.activo ? d : null;
+}
+function driverPuede(driver, truck) {
+  return !driver.cedis || driver.cedis === String(truck.cedis || '').trim().toUpperCase();
+}
+
+app.get(CONDUCTOR_RUTAS, async (req, res, next) => {
+  try {
+    const truck = await conductorTruck(req);
+    if (!truck) return res.status(404).render('conductor', { truck: null, base: null, driver: null, items: [], enviado: null, fueraDeCedis: false, toast: null });
+    const driver = await currentDriver(req);
+    const items = driver ? await listChecklistItems({ soloActivos: true }) : [];
+    let enviado = null;
+    if (driver && req.query.enviado) {
+      enviado = await getInspection(String(req.query.enviado));
+      if (enviado && (enviado.placa !== truck.placa || enviado.driver_id !== driver.id)) enviado = null;
+    }
+    res.render('conductor', {
+      truck, base: conductorBase(req, truck), driver, items, enviado,
+      fueraDeCedis: driver ? !driverPuede(driver, truck) : false, toast: popToast(req)
+    });
+  } catch (e) { next(e); }
+});
+
+app.post(CONDUCTOR_RUTAS.map(r => r + '/pin'), async (req, res, next) => {
+  try {
+    const truck = await conductorTruck(req);
+    if (!truck) return res.status(404).send('No encontrado');
+    const back = conductorBase(req, truck);
+    const cedula = normCedula(req.body.cedula);
+    const claves = cedula ? [req.ip, 'cedula:' + cedula] : [req.ip];
+    const fallos = claves.map(k => {
+      const f = pinFallos.get(k);
+      return !f || Date.now() - f.desde > PIN_BLOQUEO_MS ? { n: 0, desde: Date.now() } : f;
+    });
+    if (fallos.some(f => f.n >= PIN_MAX_FALLOS)) { setToast(req, 'err', 'Demasiados intentos. Probá de nuevo en unos minutos.'); return res.redirect(back); }
+    const pin = String(req.body.pin || '').trim();
+    const driver = cedula && validPin(pin) ? await getDriverByLogin(cedula, pin) : null;
+    if (!driver) {
+      if (pinFallos.size > 1000) for (const [k, x] of pinFallos) if (Date.now() - x.desde > PIN_BLOQUEO_MS) pinFallos.delete(k);
+      claves.forEach((k, i) => pinFallos.set(k, { ...fallos[i], n: fallos[i].n + 1 }));
+      setToast(req, 'err', 'Cédula o PIN incorrectos');
+      return res.redirect(back);
+    }
+    claves.forEach(k => pinFallos.delete(k));
+    req.session.driver = { id: driver.id, at: Date.now() };
+    res.redirect(back);
+  } catch (e) { next(e); }
+});
+
+app.post(CONDUCTOR_RUTAS.map(r => r + '/salir'), async (req, res, next) => {
+  try {
+    const truck = await conductorTruck(req);
+    if (req.session) req.session.driver = null;
+    res.redirect(truck ? conductorBase(req, truck).replace(/\/conductor$/, '') : '/');
+  } catch (e) { next(e); }
+});
 
+app.post(CONDUCTOR_RUTAS.map(r => r + '/inspeccion'), async (req, res, next) => {
+  // sesión y CEDIS antes de leer el multipart: sin conductor no se acepta ni un byte de fotos
   try {
-    if (process.env.ALERT_EMAIL_TO && transporter) {
-      await transporter.sendMail({
-        from: process.env.SMTP_FROM || process.env.SMTP_USER,
-        to: process.env.ALERT_EMAIL_TO,
-        subject: `Nuevo reporte (${rep.tipo}) — ${placa}`,
-        html: `
-          <p><b>Placa:</b> ${placa}</p>
-          <p><b>Tipo:</b> ${rep.tipo}</p>
-          <p><b>Nombre:</b> ${rep.nombre || '-'}</p>
-          <p><b>Teléfono:</b> ${rep.telefono || '-'}</p>
-          <p><b>Email:</b> ${rep.email || '-'}</p>
-          <p><b>Mensaje:</b><br>${rep.mensaje.replace(/</g,'&lt;').replace(/>/g,'&gt;')}</p>
-          <p style="color:#888">Enviado: ${new Date().toLocaleString()}</p>
-        `
-      });
+    const truck = await conductorTruck(req);
+    if (!truck) return res.status(404).send('No encontrado');
+    const back = conductorBase(req, truck);
+    const driver = await currentDriver(req);
+    if (!driver) { setToast(req, 'err', 'Tu sesión venció: ingresá tu cédula y PIN de nuevo'); return res.redirect(back); }
+    if (!driverPuede(driver, truck)) { setToast(req, 'err', 'Este camión no es de tu CEDIS'); return res.redirect(back); }
+    if (!inspeccionesPorConductor.intentar(driver.id)) { setToast(req, 'err', 'Demasiadas inspecciones seguidas. Probá de nuevo más tarde.'); return res.redirect(back); }
+    const items = await listChecklistItems({ soloActivos: true });
+    req.inspeccion = { truck, back, driver, items };
+    const campos = [{ name: 'fotos', maxCount: 5 }, ...items.map(i => ({ name: 'foto_' + i.id, maxCount: 2 }))];
+    // un error de subida (muchas fotos, muy pesadas) vuelve al formulario con el mensaje
+    inspectionUpload.fields(campos)(req, res, err => { req.uploadError = err ? err.message : null; next(); });
+  } catch (e) { next(e); }
+}, async (req, res, next) => {
+  try {
+    const { truck, back, driver, items } = req.inspeccion;
+    if (req.uploadError) { setToast(req, 'err', 'No se pudieron subir las fotos: ' + req.uploadError); return res.redirect(back); }
+    if (!items.length) { setToast(req, 'err', 'El checklist no tiene ítems activos: avisá al administrador'); return res.redirect(back); }
+    const resultados = [];
+    for (const item of items) {
+      const v = req.body['item_' + item.id];
+      if (v !== 'ok' && v !== 'falla') { setToast(req, 'err', `Falta marcar: ${item.texto}`); return res.redirect(back); }
+      resultados.push({ item, ok: v === 'ok', comentario: String(req.body['comentario_' + item.id] || '').trim().slice(0, 255) });
+    }
+    const odometro = String(req.body.odometro || '').trim() ? parseKm(req.body.odometro) : null;
+    if (String(req.body.odometro || '').trim() && odometro == null) { setToast(req, 'err', 'Odómetro inválido (solo números)'); return res.redirect(back); }
+
+    // fotos: foto_<item> (de un ítem) o fotos (generales); solo imágenes que sharp decodifica (no SVG ni HTML)
+    const fotos = [], errores = [];
+    for (const f of Object.values(req.files || {}).flat()) {
+      const itemId = f.fieldname.startsWith('foto_') ? f.fieldname.slice(5) : null;
+      if (!ALLOWED_EXTS.has((path.extname(f.originalname) || '').toLowerCase())) { errores.push(`${f.originalname}: no es una imagen`); continue; }
+      try { fotos.push({ photoId: (await savePhotoDb(truck.placa, f, { interna: true, soloImagen: true })).id, itemId }); }
+      catch (e) { errores.push(`${f.originalname}: ${e.message}`); }
+    }
+
+    const id = await createInspection({ placa: truck.placa, driver, odometro, notas: String(req.body.notas || '').trim(), resultados, fotos });
+    if (odometro != null) {
+      const actual = await getOdometro(truck.placa);
+      if (!actual || odometro >= actual.km) await addOdometer(truck.placa, odometro, { fuente: 'inspeccion', username: driver.nombre.slice(0, 64) });
     }
-  } catch (e) { console.error('Email reporte:', e.message); }
 
-  return res.redirect(`/c/${encodeURIComponent(placa)}?enviado=1`);
+    // las fallas abren un reporte en el mismo flujo que los reportes públicos
+    const fallas = resultados.filter(r => !r.ok);
+    if (fallas.length) {
+      const rep = {
+        id: newId(), placa: truck.placa, tipo: 'Inspección', nombre: driver.nombre, telefono: '', email: '',
+        mensaje: `Inspección pre-viaje con ${fallas.length} falla(s):\n` +
+          fallas.map(r => `• ${r.item.texto}${r.comentario ? ' — ' + r.comentario : ''}`).join('\n') +
+          (odometro != null ? `\nOdómetro: ${odometro} km` : ''),
+        createdAt: new Date().toISOString(),
+        driver_id: driver.id,
+        fotos: [...new Set(fotos.filter(f => fallas.some(r => r.item.id === f.itemId)).map(f => f.photoId))]
+      };
+      await addReport(rep);
+      await pool.query('UPDATE inspections SET report_id = ? WHERE id = ?', [rep.id, id]);
+      await notifyNewReport(req, rep);
+    }
+    if (errores.length) setToast(req, 'err', 'Algunas fotos no se guardaron: ' + errores.join('; '));
+    res.redirect(`${back}?enviado=${encodeURIComponent(id)}`);
+  } catch (e) { next(e); }
 });
 
 // ---------- API/panel de reportes ----------
-app.get('/api/reportes', requireAdmin, async (req, res) => {
+function reportFiltersFromQuery(q) {
+  const fecha = v => /^\d{4}-\d{2}-\d{2}$/.test(v || '') ? v : '';
+  return {
+    placa: String(q.placa || '').trim().toUpperCase(),
+    estado: REPORT_ESTADOS[q.estado] ? q.estado : '',
+    tipo: String(q.tipo || '').trim(),
+    asignado: String(q.asignado || '').trim(),
+    conductor: String(q.conductor || '').trim(),
+    desde: fecha(q.desde),
+    hasta: fecha(q.hasta),
+    cuarentena: q.cuarentena === '1' ? '1' : ''
+  };
+}
+
+app.get('/api/reportes', requirePerm('reports:read'), async (req, res) => {
   try {
-    const placa = (req.query.placa || '').trim().toUpperCase();
-    let sql = 'SELECT * FROM reports';
-    const params = [];
-    if (placa) { sql += ' WHERE placa = ?'; params.push(placa); }
-    sql += ' ORDER BY createdAt DESC LIMIT 500';
-    const [rows] = await pool.query(sql, params);
-    res.json(rows);
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const perPage = Math.min(500, Math.max(1, parseInt(req.query.perPage, 10) || 500));
+    const { items } = await listReports(req.user, reportFiltersFromQuery(req.query), { page, perPage });
+    res.json(items);
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-app.get('/admin/reportes', requireAdmin, async (req, res) => {
+app.get('/admin/reportes', requirePerm('reports:read'), async (req, res) => {
+  const f = reportFiltersFromQuery(req.query);
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  let result = { items: [], total: 0, page: 1, pages: 1 }, tipos = [], usuarios = [], conductores = [], enCuarentena = 0;
   try {
-    const placa = (req.query.placa || '').trim().toUpperCase();
-    let sql = 'SELECT * FROM reports';
-    const params = [];
-    if (placa) { sql += ' WHERE placa = ?'; params.push(placa); }
-    sql += ' ORDER BY createdAt DESC LIMIT 500';
-    const [rows] = await pool.query(sql, params);
-    res.render('admin/reportes', { placa, reportes: rows, toast: popToast(req) });
+    result = await listReports(req.user, f, { page, perPage: 50 });
+    enCuarentena = f.cuarentena ? result.total : await countQuarantinedReports(req.user);
+    tipos = await listReportTipos();
+    usuarios = (await listUsers()).filter(u => u.activo && can(u, 'reports:write'));
+    conductores = await listDrivers(userCedis(req.user));
   } catch (e) {
     console.error('admin/reportes:', e.message);
     setToast(req, 'err', 'Error cargando reportes');
-    res.render('admin/reportes', { placa: '', reportes: [], toast: popToast(req) });
+  }
+  res.render('admin/reportes', {
+    f, placa: f.placa, reportes: result.items, total: result.total, page: result.page, pages: result.pages,
+    tipos, usuarios, conductores, enCuarentena, estados: REPORT_ESTADOS, toast: popToast(req)
+  });
+});
+
+// carga el reporte y verifica alcance por CEDIS
+async function loadReportForUser(req, res) {
+  const rep = await getReport(req.params.id);
+  if (!rep || !inScope(req.user, rep.cedis)) {
+    setToast(req, 'err', 'Reporte no encontrado');
+    res.redirect('/admin/reportes');
+    return null;
+  }
+  return rep;
+}
+
+app.get('/admin/reportes/:id', requirePerm('reports:read'), async (req, res) => {
+  try {
+    const rep = await loadReportForUser(req, res);
+    if (!rep) return;
+    const comentarios = await listReportComments(rep.id);
+    const usuarios = (await listUsers()).filter(u => u.activo && can(u, 'reports:write'));
+    const inspeccionId = await getInspectionIdByReport(rep.id);
+    const fotos = await listReportPhotos(rep.id);
+    res.render('admin/reporte', { rep, fotos, comentarios, usuarios, inspeccionId, estados: REPORT_ESTADOS, toast: popToast(req) });
+  } catch (e) {
+    console.error('admin/reportes/:id:', e.message);
+    setToast(req, 'err', 'Error cargando el reporte');
+    res.redirect('/admin/reportes');
+  }
+});
+
+app.post('/admin/reportes/:id/estado', requirePerm('reports:write'), async (req, res) => {
+  const rep = await loadReportForUser(req, res);
+  if (!rep) return;
+  const estado = String(req.body.estado || '').trim();
+  const resolucion = String(req.body.resolucion || '').trim();
+  const back = '/admin/reportes/' + encodeURIComponent(rep.id);
+  if (!REPORT_ESTADOS[estado]) { setToast(req, 'err', 'Estado inválido'); return res.redirect(back); }
+  if (estado === 'resuelto' && !resolucion) { setToast(req, 'err', 'Escribí la nota de resolución'); return res.redirect(back); }
+
+  await setReportEstado(rep.id, estado, resolucion, req.user);
+  const after = await getReport(rep.id);
+  await audit(req, { placa: rep.placa, action: 'report.estado', entity: 'report', entityId: rep.id, before: reportAuditRow(rep), after: reportAuditRow(after) });
+  if (estado === 'resuelto' && rep.estado !== 'resuelto') await notifyReporterResolved(after);
+  setToast(req, 'ok', 'Estado actualizado: ' + REPORT_ESTADOS[estado]);
+  res.redirect(back);
+});
+
+app.post('/admin/reportes/:id/asignar', requirePerm('reports:write'), async (req, res) => {
+  const rep = await loadReportForUser(req, res);
+  if (!rep) return;
+  const back = '/admin/reportes/' + encodeURIComponent(rep.id);
+  const userId = String(req.body.assigned_to || '').trim() || null;
+  if (userId) {
+    const u = await getUserById(userId);
+    if (!u || !u.activo) { setToast(req, 'err', 'Usuario inválido'); return res.redirect(back); }
+  }
+  await assignReport(rep.id, userId);
+  await audit(req, { placa: rep.placa, action: 'report.asignar', entity: 'report', entityId: rep.id, before: reportAuditRow(rep), after: reportAuditRow(await getReport(rep.id)) });
+  setToast(req, 'ok', userId ? 'Reporte asignado' : 'Asignación quitada');
+  res.redirect(back);
+});
+
+// cuarentena: liberar (pasa a la bandeja y se avisa como reporte nuevo) o eliminar
+app.post('/admin/reportes/:id/cuarentena', requirePerm('reports:write'), async (req, res) => {
+  const rep = await loadReportForUser(req, res);
+  if (!rep) return;
+  const back = '/admin/reportes/' + encodeURIComponent(rep.id);
+  if (!rep.cuarentena) { setToast(req, 'err', 'El reporte no está en cuarentena'); return res.redirect(back); }
+  if (req.body.accion === 'eliminar') {
+    await deleteReport(rep.id);
+    await audit(req, { placa: rep.placa, action: 'report.delete', entity: 'report', entityId: rep.id, before: reportAuditRow(rep) });
+    setToast(req, 'ok', 'Reporte eliminado');
+    return res.redirect('/admin/reportes?cuarentena=1');
+  }
+  await releaseReport(rep.id);
+  const after = await getReport(rep.id);
+  await audit(req, { placa: rep.placa, action: 'report.liberar', entity: 'report', entityId: rep.id, before: reportAuditRow(rep), after: reportAuditRow(after) });
+  await notifyNewReport(req, after);
+  setToast(req, 'ok', 'Reporte liberado: ya está en la bandeja');
+  res.redirect(back);
+});
+
+app.post('/admin/reportes/:id/comentario', requirePerm('reports:write'), async (req, res) => {
+  const rep = await loadReportForUser(req, res);
+  if (!rep) return;
+  const back = '/admin/reportes/' + encodeURIComponent(rep.id);
+  const texto = String(req.body.texto || '').trim();
+  if (!texto) { setToast(req, 'err', 'El comentario está vacío'); return res.redirect(back); }
+  const id = await addReportComment(rep.id, req.user, texto);
+  await audit(req, { placa: rep.placa, action: 'report.comentario', entity: 'report', entityId: rep.id, after: { comentario: id, texto } });
+  setToast(req, 'ok', 'Comentario agregado');
+  res.redirect(back);
+});
+
+// ---------- API v1 (JSON con API keys) ----------
+// Solo acepta API key (Authorization: Bearer … o X-API-Key), nunca la cookie del panel.
+// La clave actúa como un usuario con sus scopes y su alcance de CEDIS: can(), inScope() y audit() no cambian.
+const api = express.Router();
+api.use(express.json({ limit: '1mb' }));
+
+function apiError(res, status, code, message, details = null) {
+  return res.status(status).json({ error: { code, message, ...(details ? { details } : {}) } });
+}
+// Express 4 no atrapa promesas rechazadas: el error pasa al manejador JSON del router
+const apiRoute = fn => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+function apiScope(scope) {
+  return (req, res, next) => (can(req.user, scope) ? next() : apiError(res, 403, 'forbidden', `La API key no tiene el permiso ${scope}`));
+}
+function apiPage(q) {
+  return {
+    page: Math.max(1, parseInt(q.page, 10) || 1),
+    perPage: Math.min(200, Math.max(1, parseInt(q.perPage, 10) || 50))
+  };
+}
+function apiList(res, { items, total, page, perPage }) {
+  res.json({ data: items, meta: { page, perPage, total, pages: Math.max(1, Math.ceil(total / perPage)) } });
+}
+function apiUrl(req, u) {
+  if (!u) return null;
+  return u.startsWith('/') ? (mailBase() || absoluteBase(req)) + u : u;
+}
+// Mismas reglas que la importación masiva (bulk.js); devuelve { data, errors } de la única fila
+function apiValidate(req, { camiones = [], documentos = [] }, existing = new Map()) {
+  const v = validateImport({ camiones, documentos }, { inScope: c => inScope(req.user, c), existing });
+  return [...v.camiones, ...v.documentos][0];
+}
+function apiInvalid(res, errors) {
+  return apiError(res, 422, 'validation_error', 'Datos inválidos', errors.map(message => ({ message })));
+}
+function apiBody(req, res) {
+  if (req.body && typeof req.body === 'object' && !Array.isArray(req.body)) return req.body;
+  apiError(res, 400, 'invalid_json', 'Se espera un objeto JSON (Content-Type: application/json)');
+  return null;
+}
+
+function truckOut(req, t) {
+  return {
+    placa: t.placa, unidad: t.unidad, cedis: t.cedis, marca: t.marca, modelo: t.modelo, anio: t.anio, vin: t.vin,
+    telefono_quejas: t.telefono_quejas, foto: apiUrl(req, t.foto), notas: t.notas, ficha_url: qrTargetUrl(req, t),
+    ocultar_vin: !!t.ocultar_vin, ocultar_notas: !!t.ocultar_notas
+  };
+}
+function docOut(req, d) {
+  return {
+    id: d.id, placa: d.placa, categoria: d.categoria, titulo: d.titulo, ...docEstado(d.fecha_vencimiento),
+    url: apiUrl(req, d.url), visibilidad: d.visibilidad, reemplazado_por: d.reemplazado_por || null, reemplazadoAt: d.reemplazadoAt || null,
+    adjuntos: d.adjuntos.map(a => ({ id: a.id, url: apiUrl(req, a.url), filename: a.filename, mime: a.mime, pages: a.pages, etiqueta: a.etiqueta }))
+  };
+}
+function fileOut(req, m) {
+  const preview = m.mime.startsWith('image/') || m.mime === 'application/pdf';
+  return {
+    id: m.id, placa: m.placa, filename: m.filename, mime: m.mime, width: m.width, height: m.height,
+    bytes: m.bytes, pages: m.pages, createdAt: m.createdAt, visibilidad: m.visibilidad,
+    url: apiUrl(req, `/file/${m.id}`), thumb_url: preview ? apiUrl(req, `/file/${m.id}?size=thumb`) : null
+  };
+}
+
+// Fuera del alcance de la clave responde 404, igual que si no existiera
+async function scopedTruck(req, placa) {
+  const truck = await getTruck(String(placa || '').trim().toUpperCase());
+  return truck && inScope(req.user, truck.cedis) ? truck : null;
+}
+async function apiTruck(req, res) {
+  const truck = await scopedTruck(req, req.params.placa);
+  if (!truck) apiError(res, 404, 'not_found', 'Camión no encontrado');
+  return truck;
+}
+async function apiDoc(req, res) {
+  const doc = await getDocById(req.params.id);
+  if (doc && (await scopedTruck(req, doc.placa))) return doc;
+  apiError(res, 404, 'not_found', 'Documento no encontrado');
+  return null;
+}
+async function apiReport(req, res) {
+  const rep = await getReport(req.params.id);
+  if (rep && inScope(req.user, rep.cedis)) return rep;
+  apiError(res, 404, 'not_found', 'Reporte no encontrado');
+  return null;
+}
+
+api.get('/openapi.json', (req, res) => res.json(openapi));
+
+api.use(apiRoute(async (req, res, next) => {
+  const key = String(req.get('authorization') || '').match(/^Bearer\s+(\S+)$/i)?.[1] || req.get('x-api-key');
+  if (!key) return apiError(res, 401, 'unauthorized', 'Falta la API key (Authorization: Bearer …)');
+  const k = await getApiKeyBySecret(key);
+  if (!k) return apiError(res, 401, 'unauthorized', 'API key inválida o revocada');
+  req.apiKey = k;
+  req.user = { id: null, username: ('api:' + k.nombre).slice(0, 64), role: null, scopes: k.scopes, cedis: k.cedis, activo: true };
+  // lastUsedAt con resolución de un minuto para no escribir en cada request
+  if (!k.lastUsedAt || Date.now() - new Date(k.lastUsedAt) > 60000) {
+    pool.query('UPDATE api_keys SET lastUsedAt = ? WHERE id = ?', [new Date(), k.id]).catch(e => console.error('api_keys:', e.message));
+  }
+  next();
+}));
+
+// ---- Camiones ----
+api.get('/trucks', apiScope('fleet:read'), apiRoute(async (req, res) => {
+  const { page, perPage } = apiPage(req.query);
+  const f = {
+    q: String(req.query.q || '').trim(),
+    cedis: String(req.query.cedis || '').trim().toUpperCase(),
+    docs: String(req.query.docs || ''),
+    sort: String(req.query.sort || ''),
+    dir: req.query.dir === 'desc' ? 'desc' : 'asc'
+  };
+  const r = await listFleet(req.user, f, { page, perPage });
+  apiList(res, { ...r, perPage, items: r.items.map(t => ({ ...t, foto: apiUrl(req, t.foto) })) });
+}));
+
+api.post('/trucks', apiScope('fleet:write'), apiRoute(async (req, res) => {
+  const b = apiBody(req, res);
+  if (!b) return;
+  const row = { ...b, notas: Array.isArray(b.notas) ? b.notas.join(';') : b.notas };
+  const { data, errors } = apiValidate(req, { camiones: [row] });
+  if (errors.length) return apiInvalid(res, errors);
+  if (await getTruck(data.placa)) return apiError(res, 409, 'conflict', `La placa ${data.placa} ya existe`);
+  await upsertTruck(data);
+  const after = await getTruck(data.placa);
+  await audit(req, { placa: data.placa, action: 'truck.create', entity: 'truck', entityId: data.placa, after });
+  res.status(201).json({ data: truckOut(req, after) });
+}));
+
+api.get('/trucks/:placa', apiScope('fleet:read'), apiRoute(async (req, res) => {
+  const truck = await apiTruck(req, res);
+  if (truck) res.json({ data: truckOut(req, truck) });
+}));
+
+api.patch('/trucks/:placa', apiScope('fleet:write'), apiRoute(async (req, res) => {
+  const b = apiBody(req, res);
+  if (!b) return;
+  const before = await apiTruck(req, res);
+  if (!before) return;
+  if (b.placa !== undefined && String(b.placa).trim().toUpperCase() !== before.placa) {
+    return apiInvalid(res, ['La placa no se puede cambiar']);
+  }
+  const row = {};
+  for (const c of TRUCK_COLUMNS) row[c] = b[c] !== undefined ? b[c] : before[c];
+  row.placa = before.placa;
+  row.notas = Array.isArray(row.notas) ? row.notas.join(';') : row.notas;
+  const { data, errors } = apiValidate(req, { camiones: [row] }, new Map([[before.placa, before.cedis]]));
+  // true/false de JSON: el texto "false" ocultaría el dato
+  for (const c of ['ocultar_vin', 'ocultar_notas']) if (b[c] !== undefined && typeof b[c] !== 'boolean') errors.push(`${c} debe ser true o false`);
+  if (errors.length) return apiInvalid(res, errors);
+  await upsertTruck(data);
+  if (b.ocultar_vin !== undefined || b.ocultar_notas !== undefined) {
+    await setTruckPrivacidad(before.placa, {
+      ocultar_vin: b.ocultar_vin ?? before.ocultar_vin,
+      ocultar_notas: b.ocultar_notas ?? before.ocultar_notas
+    });
+  }
+  const after = await getTruck(before.placa);
+  await audit(req, { placa: before.placa, action: 'truck.update', entity: 'truck', entityId: before.placa, before, after });
+  res.json({ data: truckOut(req, after) });
+}));
+
+api.delete('/trucks/:placa', apiScope('fleet:write'), apiRoute(async (req, res) => {
+  const before = await apiTruck(req, res);
+  if (!before) return;
+  await deleteTruck(before.placa);
+  await audit(req, { placa: before.placa, action: 'truck.delete', entity: 'truck', entityId: before.placa, before });
+  res.status(204).end();
+}));
+
+// ---- Documentos ----
+api.get('/trucks/:placa/documents', apiScope('fleet:read'), apiRoute(async (req, res) => {
+  const truck = await apiTruck(req, res);
+  if (!truck) return;
+  // ?historial=1 incluye las versiones reemplazadas
+  const rows = req.query.historial === '1'
+    ? (await pool.query('SELECT * FROM documents WHERE placa = ? ORDER BY categoria, fecha_vencimiento DESC', [truck.placa]))[0]
+    : await getDocsByPlaca(truck.placa);
+  const docs = await withAdjuntos(rows);
+  res.json({ data: docs.map(d => docOut(req, d)) });
+}));
+
+api.post('/trucks/:placa/documents', apiScope('fleet:write'), apiRoute(async (req, res) => {
+  const b = apiBody(req, res);
+  if (!b) return;
+  const truck = await apiTruck(req, res);
+  if (!truck) return;
+  const { data, errors } = apiValidate(req,
+    { documentos: [{ categoria: b.categoria, titulo: b.titulo, fecha_vencimiento: b.fecha_vencimiento, url: b.url, placa: truck.placa }] },
+    new Map([[truck.placa, truck.cedis]]));
+  if (b.visibilidad !== undefined && !VISIBILIDADES[b.visibilidad]) errors.push(`visibilidad debe ser ${Object.keys(VISIBILIDADES).join(', ')}`);
+  if (errors.length) return apiInvalid(res, errors);
+  const doc = { ...data, id: newId(), url: data.url || null, alert22Sent: false, visibilidad: b.visibilidad };
+  await upsertDoc(truck.placa, doc);
+  const fileId = getIdFromUrlOrName(doc.url);
+  if (fileId && (await getPhotoMeta(fileId))?.placa === truck.placa) await addDocFiles(doc.id, [fileId]);
+  const vigente = await supersedeOlderVersions(truck.placa, doc.categoria, doc.titulo);
+  const after = await getDocById(doc.id);
+  await audit(req, { placa: truck.placa, action: 'doc.add', entity: 'document', entityId: doc.id, after });
+  const out = { data: docOut(req, (await withAdjuntos([after]))[0]) };
+  if (vigente !== doc.id) out.warnings = ['El documento ' + AVISO_HISTORIAL];
+  res.status(201).json(out);
+}));
+
+api.get('/documents/:id', apiScope('fleet:read'), apiRoute(async (req, res) => {
+  const doc = await apiDoc(req, res);
+  if (doc) res.json({ data: docOut(req, (await withAdjuntos([doc]))[0]) });
+}));
+
+api.patch('/documents/:id', apiScope('fleet:write'), apiRoute(async (req, res) => {
+  const b = apiBody(req, res);
+  if (!b) return;
+  const before = await apiDoc(req, res);
+  if (!before) return;
+  const row = { id: before.id, placa: before.placa };
+  for (const c of ['categoria', 'titulo', 'fecha_vencimiento', 'url']) {
+    row[c] = b[c] !== undefined ? b[c] : (c === 'fecha_vencimiento' ? docEstado(before[c]).fecha_vencimiento : before[c]);
+  }
+  const truck = await getTruck(before.placa);
+  const { data, errors } = apiValidate(req, { documentos: [row] }, new Map([[truck.placa, truck.cedis]]));
+  if (b.visibilidad !== undefined && !VISIBILIDADES[b.visibilidad]) errors.push(`visibilidad debe ser ${Object.keys(VISIBILIDADES).join(', ')}`);
+  if (errors.length) return apiInvalid(res, errors);
+  await upsertDoc(before.placa, { ...data, url: data.url || null, alert22Sent: !!before.alert22Sent });
+  if (b.visibilidad !== undefined) await setDocVisibilidad({ placa: before.placa, categoria: data.categoria }, b.visibilidad);
+  const vigente = before.reemplazado_por ? null : await supersedeOlderVersions(before.placa, data.categoria, data.titulo);
+  const after = await getDocById(before.id);
+  await audit(req, { placa: before.placa, action: 'doc.update', entity: 'document', entityId: before.id, before, after });
+  const out = { data: docOut(req, (await withAdjuntos([after]))[0]) };
+  if (vigente && vigente !== before.id) out.warnings = ['El documento ' + AVISO_HISTORIAL];
+  res.json(out);
+}));
+
+api.delete('/documents/:id', apiScope('fleet:write'), apiRoute(async (req, res) => {
+  const before = await apiDoc(req, res);
+  if (!before) return;
+  await deleteDoc(before.placa, before.id);
+  await audit(req, { placa: before.placa, action: 'doc.delete', entity: 'document', entityId: before.id, before });
+  res.status(204).end();
+}));
+
+api.post('/documents/:id/files', apiScope('fleet:write'), upload.array('archivos', 10), apiRoute(async (req, res) => {
+  const doc = await apiDoc(req, res);
+  if (!doc) return;
+  if (!req.files?.length) return apiInvalid(res, ['Adjuntá al menos un archivo en el campo "archivos"']);
+  const { ids, errores } = await saveDocFiles(doc.placa, req.files);
+  if (!ids.length) return apiInvalid(res, errores);
+  await addDocFiles(doc.id, ids, String(req.body.etiqueta || '').trim().slice(0, 64));
+  const after = await getDocById(doc.id);
+  await audit(req, { placa: doc.placa, action: 'doc.attach', entity: 'document', entityId: doc.id, before: doc, after: { ...after, adjuntos: ids } });
+  res.status(201).json({ data: docOut(req, (await withAdjuntos([after]))[0]), errores });
+}));
+
+api.delete('/documents/:id/files/:fileId', apiScope('fleet:write'), apiRoute(async (req, res) => {
+  const doc = await apiDoc(req, res);
+  if (!doc) return;
+  const ok = await removeDocFile(doc.placa, doc.id, req.params.fileId);
+  if (!ok) return apiError(res, 404, 'not_found', 'Adjunto no encontrado');
+  await audit(req, { placa: doc.placa, action: 'doc.detach', entity: 'document', entityId: doc.id, before: { ...doc, adjunto: req.params.fileId }, after: await getDocById(doc.id) });
+  res.status(204).end();
+}));
+
+// ---- Fotos ----
+api.get('/trucks/:placa/photos', apiScope('fleet:read'), apiRoute(async (req, res) => {
+  const truck = await apiTruck(req, res);
+  if (!truck) return;
+  const r = await listPhotoMeta(truck.placa, apiPage(req.query));
+  apiList(res, { ...r, items: r.items.map(m => fileOut(req, m)) });
+}));
+
+api.post('/trucks/:placa/photos', apiScope('fleet:write'), upload.array('archivos', 50), apiRoute(async (req, res) => {
+  const truck = await apiTruck(req, res);
+  if (!truck) return;
+  if (!req.files?.length) return apiInvalid(res, ['Adjuntá al menos una imagen en el campo "archivos"']);
+  const data = [], errores = [];
+  for (const f of req.files) {
+    const ext = (path.extname(f.originalname) || '.jpg').toLowerCase();
+    if (!ALLOWED_EXTS.has(ext)) { errores.push(`${f.originalname}: extensión no permitida`); continue; }
+    try {
+      const saved = await savePhotoDb(truck.placa, f, { soloImagen: true });
+      const meta = await getPhotoMeta(saved.id);
+      if (!saved.duplicate) await audit(req, { placa: truck.placa, action: 'photo.upload', entity: 'photo', entityId: saved.id, after: meta });
+      data.push({ ...fileOut(req, meta), duplicate: saved.duplicate });
+    } catch (e) { errores.push(`${f.originalname}: ${e.message}`); }
+  }
+  if (!data.length) return apiInvalid(res, errores);
+  res.status(201).json({ data, errores });
+}));
+
+// Cualquier archivo del camión (también los PDF de documentos); el binario se baja de url
+async function apiPhoto(req, res) {
+  const meta = await getPhotoMeta(req.params.id);
+  if (meta && (await scopedTruck(req, meta.placa))) return meta;
+  apiError(res, 404, 'not_found', 'Archivo no encontrado');
+  return null;
+}
+
+api.get('/photos/:id', apiScope('fleet:read'), apiRoute(async (req, res) => {
+  const meta = await apiPhoto(req, res);
+  if (meta) res.json({ data: fileOut(req, meta) });
+}));
+
+api.delete('/photos/:id', apiScope('fleet:write'), apiRoute(async (req, res) => {
+  const meta = await apiPhoto(req, res);
+  if (!meta) return;
+  if (await photoRefCount(meta.id)) return apiError(res, 409, 'conflict', 'El archivo es la portada o un adjunto de documento');
+  await deletePhotoDbById(meta.id, meta.placa);
+  await audit(req, { placa: meta.placa, action: 'photo.delete', entity: 'photo', entityId: meta.id, before: meta });
+  res.status(204).end();
+}));
+
+// ---- Reportes ----
+api.get('/reports', apiScope('reports:read'), apiRoute(async (req, res) => {
+  const { page, perPage } = apiPage(req.query);
+  const r = await listReports(req.user, reportFiltersFromQuery(req.query), { page, perPage });
+  apiList(res, { ...r, perPage });
+}));
+
+api.get('/reports/:id', apiScope('reports:read'), apiRoute(async (req, res) => {
+  const rep = await apiReport(req, res);
+  if (!rep) return;
+  const comentarios = (await listReportComments(rep.id)).map(c => ({ id: c.id, username: c.username, texto: c.texto, createdAt: c.createdAt }));
+  res.json({ data: { ...rep, fotos: await listReportPhotos(rep.id), comentarios } });
+}));
+
+api.patch('/reports/:id', apiScope('reports:write'), apiRoute(async (req, res) => {
+  const b = apiBody(req, res);
+  if (!b) return;
+  const rep = await apiReport(req, res);
+  if (!rep) return;
+  const errors = [];
+  const estado = b.estado !== undefined ? String(b.estado).trim() : null;
+  const resolucion = String(b.resolucion || '').trim();
+  if (estado !== null && !REPORT_ESTADOS[estado]) errors.push(`estado debe ser uno de: ${Object.keys(REPORT_ESTADOS).join(', ')}`);
+  if (estado === 'resuelto' && !resolucion) errors.push('resolucion es obligatoria al resolver');
+  let asignar;
+  if (b.assigned_to !== undefined) {
+    asignar = b.assigned_to ? String(b.assigned_to).trim() : null;
+    const u = asignar ? await getUserById(asignar) : null;
+    if (asignar && (!u || !u.activo)) errors.push('assigned_to no es un usuario activo');
+  }
+  if (estado === null && asignar === undefined) errors.push('Nada que cambiar (estado, resolucion o assigned_to)');
+  if (errors.length) return apiInvalid(res, errors);
+
+  if (estado !== null) {
+    await setReportEstado(rep.id, estado, resolucion, req.user);
+    const after = await getReport(rep.id);
+    await audit(req, { placa: rep.placa, action: 'report.estado', entity: 'report', entityId: rep.id, before: reportAuditRow(rep), after: reportAuditRow(after) });
+    if (estado === 'resuelto' && rep.estado !== 'resuelto') await notifyReporterResolved(after);
+  }
+  if (asignar !== undefined) {
+    const before = await getReport(rep.id);
+    await assignReport(rep.id, asignar);
+    await audit(req, { placa: rep.placa, action: 'report.asignar', entity: 'report', entityId: rep.id, before: reportAuditRow(before), after: reportAuditRow(await getReport(rep.id)) });
+  }
+  res.json({ data: await getReport(rep.id) });
+}));
+
+api.post('/reports/:id/comments', apiScope('reports:write'), apiRoute(async (req, res) => {
+  const b = apiBody(req, res);
+  if (!b) return;
+  const rep = await apiReport(req, res);
+  if (!rep) return;
+  const texto = String(b.texto || '').trim();
+  if (!texto) return apiInvalid(res, ['texto es obligatorio']);
+  const id = await addReportComment(rep.id, req.user, texto);
+  await audit(req, { placa: rep.placa, action: 'report.comentario', entity: 'report', entityId: rep.id, after: { comentario: id, texto } });
+  res.status(201).json({ data: { id, username: req.user.username, texto, createdAt: new Date() } });
+}));
+
+// ---- Vencimientos (lo mismo que listAlerts) ----
+api.get('/alerts', apiScope('alerts:read'), apiRoute(async (req, res) => {
+  const { page, perPage } = apiPage(req.query);
+  let items = await listAlerts(userCedis(req.user));
+  if (req.query.estado === 'vencido' || req.query.estado === 'por-vencer') items = items.filter(a => a.estado === req.query.estado);
+  apiList(res, {
+    items: items.slice((page - 1) * perPage, page * perPage).map(a => ({ ...a, url: apiUrl(req, a.url) })),
+    total: items.length, page, perPage
+  });
+}));
+
+api.use((req, res) => apiError(res, 404, 'not_found', `No existe ${req.method} ${req.baseUrl}${req.path}`));
+api.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') return apiError(res, 400, 'invalid_json', 'El cuerpo no es JSON válido');
+  if (err.type === 'entity.too.large') return apiError(res, 413, 'invalid_json', 'El cuerpo es demasiado grande');
+  if (err instanceof multer.MulterError) return apiError(res, 400, 'invalid_upload', err.message);
+  console.error('api/v1:', err);
+  apiError(res, 500, 'internal', 'Error interno del servidor');
+});
+app.use('/api/v1', api);
+
+// ---------- Admin: usuarios (solo superadmin) ----------
+app.get('/admin/usuarios', requirePerm('users:manage'), async (req, res) => {
+  let usuarios = [];
+  try { usuarios = await listUsers(); } catch (e) { console.error('listUsers:', e.message); }
+  res.render('admin/usuarios', { usuarios, roles: ROLES, toast: popToast(req) });
+});
+
+app.post('/admin/usuarios', requirePerm('users:manage'), async (req, res) => {
+  const b = req.body;
+  const username = String(b.username || '').trim().toLowerCase();
+  const role = String(b.role || '').trim();
+  const pass = String(b.pass || '');
+  if (!/^[a-z0-9._-]{3,64}$/.test(username)) { setToast(req, 'err', 'Usuario inválido (3-64: letras, números, . _ -)'); return res.redirect('/admin/usuarios'); }
+  if (!ROLES[role]) { setToast(req, 'err', 'Rol inválido'); return res.redirect('/admin/usuarios'); }
+  if (pass.length < 8) { setToast(req, 'err', 'La contraseña debe tener al menos 8 caracteres'); return res.redirect('/admin/usuarios'); }
+  try {
+    if (await getUserByUsername(username)) { setToast(req, 'err', 'Ese usuario ya existe'); return res.redirect('/admin/usuarios'); }
+    const newUserId = await createUser({ username, nombre: (b.nombre || '').trim(), pass, role, cedis: b.cedis });
+    await audit(req, { action: 'user.create', entity: 'user', entityId: newUserId, after: publicUser(await getUserById(newUserId)) });
+    setToast(req, 'ok', 'Usuario creado');
+  } catch (e) {
+    console.error('createUser:', e.message);
+    setToast(req, 'err', 'No se pudo crear el usuario');
+  }
+  res.redirect('/admin/usuarios');
+});
+
+app.post('/admin/usuarios/:id', requirePerm('users:manage'), async (req, res) => {
+  const b = req.body;
+  const id = req.params.id;
+  const role = String(b.role || '').trim();
+  const pass = String(b.pass || '');
+  const activo = b.activo === '1';
+  if (!ROLES[role]) { setToast(req, 'err', 'Rol inválido'); return res.redirect('/admin/usuarios'); }
+  if (pass && pass.length < 8) { setToast(req, 'err', 'La contraseña debe tener al menos 8 caracteres'); return res.redirect('/admin/usuarios'); }
+  if (id === req.user.id && (!activo || role !== 'superadmin')) {
+    setToast(req, 'err', 'No podés quitarte el rol de superadmin ni desactivarte'); return res.redirect('/admin/usuarios');
+  }
+  try {
+    const before = publicUser(await getUserById(id));
+    const ok = await updateUser(id, { nombre: (b.nombre || '').trim(), role, cedis: b.cedis, activo, pass });
+    if (ok) {
+      const after = publicUser(await getUserById(id));
+      if (pass) after.password = '(cambiada)';
+      await audit(req, { action: 'user.update', entity: 'user', entityId: id, before, after });
+    }
+    setToast(req, ok ? 'ok' : 'err', ok ? 'Usuario actualizado' : 'No encontrado');
+  } catch (e) {
+    console.error('updateUser:', e.message);
+    setToast(req, 'err', 'No se pudo actualizar el usuario');
+  }
+  res.redirect('/admin/usuarios');
+});
+
+// ---------- Admin: auditoría ----------
+app.get('/admin/auditoria', requirePerm('audit:read'), async (req, res) => {
+  const f = {
+    placa: String(req.query.placa || '').trim().toUpperCase(),
+    username: String(req.query.usuario || '').trim().toLowerCase(),
+    action: String(req.query.accion || '').trim(),
+    desde: /^\d{4}-\d{2}-\d{2}$/.test(req.query.desde || '') ? req.query.desde : '',
+    hasta: /^\d{4}-\d{2}-\d{2}$/.test(req.query.hasta || '') ? req.query.hasta : ''
+  };
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  let result = { items: [], total: 0, page: 1, pages: 1 };
+  try { result = await listAudit({ ...f, page }); }
+  catch (e) { console.error('listAudit:', e.message); setToast(req, 'err', 'Error cargando auditoría'); }
+  res.render('admin/auditoria', { f, ...result, toast: popToast(req) });
+});
+
+// ---------- Reglas de aviso ----------
+app.get('/admin/alertas', requirePerm('alerts:manage'), async (req, res) => {
+  let reglas = [], log = [];
+  try {
+    reglas = (await listAlertRules()).map(r => ({ ...r, destinatariosTexto: formatDestinatarios(r.destinatarios) }));
+    log = await listAlertLog({ limit: 100 });
+  } catch (e) { console.error('alertas:', e.message); setToast(req, 'err', 'Error cargando reglas'); }
+  res.render('admin/alertas', { reglas, log, canales: notifier.canalesActivos, toast: popToast(req) });
+});
+
+app.post('/admin/alertas', requirePerm('alerts:manage'), async (req, res) => {
+  const b = req.body;
+  if (!parseUmbrales(b.umbrales).length && !(parseInt(b.vencidos_cada, 10) > 0)) {
+    setToast(req, 'err', 'Indicá al menos un umbral o recordatorio de vencidos');
+    return res.redirect('/admin/alertas');
+  }
+  const id = await saveAlertRule(null, { ...b, activo: true });
+  await audit(req, { action: 'alert_rule.create', entity: 'alert_rule', entityId: id, after: await getAlertRule(id) });
+  setToast(req, 'ok', 'Regla creada');
+  res.redirect('/admin/alertas');
+});
+
+app.post('/admin/alertas/:id', requirePerm('alerts:manage'), async (req, res) => {
+  const before = await getAlertRule(req.params.id);
+  if (!before) { setToast(req, 'err', 'Regla no encontrada'); return res.redirect('/admin/alertas'); }
+  if (req.body.eliminar === '1') {
+    await deleteAlertRule(before.id);
+    await audit(req, { action: 'alert_rule.delete', entity: 'alert_rule', entityId: before.id, before });
+    setToast(req, 'ok', 'Regla eliminada');
+    return res.redirect('/admin/alertas');
+  }
+  await saveAlertRule(before.id, { ...req.body, activo: req.body.activo === '1' });
+  await audit(req, { action: 'alert_rule.update', entity: 'alert_rule', entityId: before.id, before, after: await getAlertRule(before.id) });
+  setToast(req, 'ok', 'Regla actualizada');
+  res.redirect('/admin/alertas');
+});
+
+// Corre el mismo proceso que el cron (manda solo lo pendiente)
+app.post('/admin/alertas-ejecutar', requirePerm('alerts:manage'), async (req, res) => {
+  try {
+    const r = await runExpiryAlerts();
+    const m = await runServiceAlerts();
+    setToast(req, r.errores || m.errores ? 'err' : 'ok',
+      `${r.avisos} aviso(s) pendiente(s), ${r.correos} correo(s) enviado(s)` +
+      (r.sinDestinatarios ? `, ${r.sinDestinatarios} sin destinatarios` : '') + (r.errores ? `, ${r.errores} error(es)` : '') +
+      ` · Mantenimiento: ${m.avisos} aviso(s), ${m.mensajes} enviado(s)` + (m.errores ? `, ${m.errores} error(es)` : ''));
+  } catch (e) {
+    console.error('alertas-ejecutar:', e.message);
+    setToast(req, 'err', 'Error al ejecutar: ' + e.message);
+  }
+  res.redirect('/admin/alertas');
+});
+
+// ---------- Notificaciones ----------
+app.get('/admin/notificaciones', requirePerm('notifications:manage'), async (req, res) => {
+  const estado = ['pendiente', 'fallido', 'enviado', 'descartado'].includes(req.query.estado) ? req.query.estado : '';
+  let destinos = [], cola = [];
+  try {
+    // canal de cada destino: los de un canal sin configurar (ej. webhook sin WEBHOOK_SECRET) se omiten al enviar
+    destinos = (await listNotificationTargets()).map(d => ({ ...d, canal: parseDestino(d.destino)?.canal || null }));
+    cola = await notifier.listQueue({ estado: estado || null });
+  } catch (e) { console.error('notificaciones:', e.message); setToast(req, 'err', 'Error cargando notificaciones'); }
+  res.render('admin/notificaciones', { destinos, cola, estado, eventos: EVENTOS, canales: notifier.canalesActivos, toast: popToast(req) });
+});
+
+app.post('/admin/notificaciones', requirePerm('notifications:manage'), async (req, res) => {
+  const id = await saveNotificationTarget({ evento: req.body.evento, destino: req.body.destino, cedis: req.body.cedis });
+  if (!id) { setToast(req, 'err', 'Evento o destino inválido (correo, https://..., whatsapp:+506..., sms:+506...)'); return res.redirect('/admin/notificaciones'); }
+  await audit(req, { action: 'notification_target.create', entity: 'notification_target', entityId: id, after: { evento: req.body.evento, destino: req.body.destino, cedis: req.body.cedis } });
+  const canal = parseDestino(req.body.destino)?.canal;
+  if (!notifier.canalesActivos[canal]) {
+    setToast(req, 'err', `Destino agregado, pero no recibirá nada: ${canal} no está configurado${canal === 'webhook' ? ' (falta WEBHOOK_SECRET)' : ''}`);
+  } else setToast(req, 'ok', 'Destino agregado');
+  res.redirect('/admin/notificaciones');
+});
+
+app.post('/admin/notificaciones/:id', requirePerm('notifications:manage'), async (req, res) => {
+  const [[before]] = await pool.query('SELECT * FROM notification_targets WHERE id = ?', [req.params.id]);
+  if (!before) { setToast(req, 'err', 'Destino no encontrado'); return res.redirect('/admin/notificaciones'); }
+  if (req.body.eliminar === '1') {
+    await deleteNotificationTarget(before.id);
+    await audit(req, { action: 'notification_target.delete', entity: 'notification_target', entityId: before.id, before });
+    setToast(req, 'ok', 'Destino eliminado');
+  } else {
+    await saveNotificationTarget({ ...before, activo: req.body.activo === '1' });
+    await audit(req, { action: 'notification_target.update', entity: 'notification_target', entityId: before.id, before, after: { ...before, activo: req.body.activo === '1' } });
+    setToast(req, 'ok', 'Destino actualizado');
+  }
+  res.redirect('/admin/notificaciones');
+});
+
+// Mensaje de prueba a un destino (falla = queda en la cola como cualquier otro)
+app.post('/admin/notificaciones-probar', requirePerm('notifications:manage'), async (req, res) => {
+  const destino = String(req.body.destino || '').trim();
+  try {
+    const r = await notifier.send('test', {}, [destino]);
+    if (r.enviados.length) setToast(req, 'ok', 'Prueba enviada a ' + destino);
+    else if (r.encolados.length) setToast(req, 'err', 'Falló el envío; quedó en la cola de reintentos');
+    else setToast(req, 'err', 'No se envió: ' + (r.omitidos[0]?.motivo || 'destino inválido'));
+  } catch (e) { setToast(req, 'err', e.message); }
+  res.redirect('/admin/notificaciones');
+});
+
+app.post('/admin/notificaciones-cola/:id', requirePerm('notifications:manage'), async (req, res) => {
+  const ok = req.body.accion === 'descartar' ? await notifier.discard(req.params.id) : await notifier.retry(req.params.id);
+  if (ok && req.body.accion !== 'descartar') await notifier.processQueue();
+  setToast(req, ok ? 'ok' : 'err', ok ? (req.body.accion === 'descartar' ? 'Descartado' : 'Reintento ejecutado') : 'No encontrado');
+  res.redirect('/admin/notificaciones');
+});
+
+// ---------- Admin: API keys ----------
+app.get('/admin/api-keys', requirePerm('apikeys:manage'), async (req, res) => {
+  let claves = [];
+  try { claves = await listApiKeys(); } catch (e) { console.error('listApiKeys:', e.message); }
+  const nueva = req.session.apiKeyNueva || null; // se muestra una sola vez
+  req.session.apiKeyNueva = null;
+  res.render('admin/api-keys', { claves, scopes: API_SCOPES, nueva, toast: popToast(req) });
+});
+
+app.post('/admin/api-keys', requirePerm('apikeys:manage'), async (req, res) => {
+  const nombre = String(req.body.nombre || '').trim().slice(0, 60); // 'api:' + nombre va como usuario en auditoría
+  const scopes = [].concat(req.body.scopes || []).filter(s => API_SCOPES[s]);
+  if (!nombre) { setToast(req, 'err', 'Poné un nombre (ej. el sistema que la usa)'); return res.redirect('/admin/api-keys'); }
+  if (!scopes.length) { setToast(req, 'err', 'Elegí al menos un permiso'); return res.redirect('/admin/api-keys'); }
+  const { id, key } = await createApiKey({ nombre, scopes, cedis: req.body.cedis }, req.user);
+  await audit(req, { action: 'api_key.create', entity: 'api_key', entityId: id, after: await getApiKeyById(id) });
+  req.session.apiKeyNueva = { id, nombre, key };
+  res.redirect('/admin/api-keys');
+});
+
+app.post('/admin/api-keys/:id', requirePerm('apikeys:manage'), async (req, res) => {
+  const before = await getApiKeyById(req.params.id);
+  if (!before) { setToast(req, 'err', 'Clave no encontrada'); return res.redirect('/admin/api-keys'); }
+  const activo = req.body.activo === '1';
+  await setApiKeyActivo(before.id, activo);
+  await audit(req, { action: activo ? 'api_key.activate' : 'api_key.revoke', entity: 'api_key', entityId: before.id, before, after: await getApiKeyById(before.id) });
+  setToast(req, 'ok', activo ? 'Clave reactivada' : 'Clave revocada');
+  res.redirect('/admin/api-keys');
+});
+
+// ---------- Calendario de vencimientos (.ics) ----------
+// URL privada por usuario (opcionalmente de un solo CEDIS) para suscribirse desde Google/Outlook
+const calendarUrl = (req, token) => `${mailBase() || absoluteBase(req)}/cal/${token}.ics`;
+
+app.get('/cal/:token.ics', async (req, res) => {
+  try {
+    const feed = await getCalendarFeedByToken(req.params.token);
+    const owner = feed && await getUserById(feed.user_id);
+    // el feed ve lo que hoy ve su dueño: si lo desactivan o le cambian el CEDIS, el calendario lo sigue
+    if (!feed || !owner?.activo) return res.status(404).type('text/plain').send('Calendario no encontrado');
+    const docs = feed.cedis && !inScope(owner, feed.cedis) ? [] : await listCalendarDocs(owner, feed.cedis);
+    const rules = await listAlertRules({ soloActivas: true });
+    const base = mailBase() || absoluteBase(req);
+    const host = new URL(base).hostname;
+    const eventos = docs.map(d => ({
+      uid: `doc-${d.id}@${host}`,
+      fecha: d.fecha_vencimiento,
+      titulo: `Vence ${d.categoria} — ${d.placa}`,
+      descripcion: [d.titulo, d.unidad && `Unidad: ${d.unidad}`, d.cedis && `CEDIS: ${d.cedis}`].filter(Boolean).join('\n'),
+      url: `${base}/admin/editar?placa=${encodeURIComponent(d.placa)}`,
+      umbrales: rules.filter(r => ruleMatches(r, d.categoria)).flatMap(r => r.umbrales)
+    }));
+    if (!feed.lastUsedAt || Date.now() - new Date(feed.lastUsedAt) > 60000) {
+      pool.query('UPDATE calendar_feeds SET lastUsedAt = ? WHERE id = ?', [new Date(), feed.id]).catch(e => console.error('calendar_feeds:', e.message));
+    }
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="vencimientos.ics"');
+    res.set('Cache-Control', 'private, max-age=300');
+    res.send(buildCalendar({ nombre: `Vencimientos — ${feed.nombre}`, eventos }));
+  } catch (e) {
+    console.error('cal error:', e);
+    res.status(500).type('text/plain').send('Error generando el calendario');
   }
 });
 
-// ---------- CRON 22 días (opcional) ----------
-if (String(process.env.DISABLE_CRON || 'false') !== 'true') {
+app.get('/admin/calendario', requirePerm('fleet:read'), async (req, res) => {
+  let feeds = [], cedisList = [];
+  try {
+    // quien administra usuarios ve (y puede revocar) los calendarios de todos
+    feeds = await listCalendarFeeds(can(req.user, 'users:manage') ? null : req.user.id);
+    cedisList = await listCedis(req.user);
+  } catch (e) { console.error('listCalendarFeeds:', e.message); }
+  const nuevo = req.session.calendarioNuevo || null; // la URL se muestra una sola vez
+  req.session.calendarioNuevo = null;
+  res.render('admin/calendario', { feeds, cedisList, nuevo, propio: req.user.id, toast: popToast(req) });
+});
+
+app.post('/admin/calendario', requirePerm('fleet:read'), async (req, res) => {
+  const nombre = String(req.body.nombre || '').trim().slice(0, 64);
+  const cedis = String(req.body.cedis || '').trim().toUpperCase().slice(0, 64);
+  if (!nombre) { setToast(req, 'err', 'Poné un nombre (ej. Google de coordinación)'); return res.redirect('/admin/calendario'); }
+  if (cedis && !inScope(req.user, cedis)) { setToast(req, 'err', 'Ese CEDIS no está en tu alcance'); return res.redirect('/admin/calendario'); }
+  const { id, token } = await createCalendarFeed({ nombre, cedis }, req.user);
+  await audit(req, { action: 'calendar.create', entity: 'calendar_feed', entityId: id, after: await getCalendarFeed(id) });
+  const url = calendarUrl(req, token);
+  req.session.calendarioNuevo = { id, nombre, url, webcal: url.replace(/^https?:/, 'webcal:') };
+  res.redirect('/admin/calendario');
+});
+
+app.post('/admin/calendario/:id', requirePerm('fleet:read'), async (req, res) => {
+  const before = await getCalendarFeed(req.params.id);
+  if (!before || (before.user_id !== req.user.id && !can(req.user, 'users:manage'))) {
+    setToast(req, 'err', 'Calendario no encontrado');
+    return res.redirect('/admin/calendario');
+  }
+  const activo = req.body.activo === '1';
+  await setCalendarFeedActivo(before.id, activo);
+  await audit(req, { action: activo ? 'calendar.activate' : 'calendar.revoke', entity: 'calendar_feed', entityId: before.id, before, after: await getCalendarFeed(before.id) });
+  setToast(req, 'ok', activo ? 'Calendario reactivado' : 'Calendario revocado');
+  res.redirect('/admin/calendario');
+});
+
+// ---------- CRON avisos de vencimiento y mantenimiento (opcional) ----------
+const CRON_ENABLED = String(process.env.DISABLE_CRON || 'false') !== 'true';
+if (CRON_ENABLED) {
   cron.schedule('0 9 * * *', async () => {
     try {
-      const [rows] = await pool.query(
-        `SELECT d.*, t.placa
-         FROM documents d
-         JOIN trucks t ON t.placa = d.placa
-         WHERE d.fecha_vencimiento IS NOT NULL
-           AND DATEDIFF(d.fecha_vencimiento, CURDATE()) = 22
-           AND d.alert22Sent = 0`
-      );
-      if (rows.length && transporter && process.env.ALERT_EMAIL_TO) {
-        const listHtml = rows.map(a =>
-          `<li><b>${a.placa}</b> — ${a.categoria}: ${a.titulo}<br/>Vence: <b>${new Date(a.fecha_vencimiento).toISOString().slice(0,10)}</b></li>`
-        ).join('');
-        await transporter.sendMail({
-          from: process.env.SMTP_FROM || process.env.SMTP_USER,
-          to: process.env.ALERT_EMAIL_TO,
-          subject: `Avisos de vencimiento (22 días) — ${new Date().toLocaleDateString()}`,
-          html: `<p>Documentos por vencer en 22 días:</p><ul>${listHtml}</ul>`
-        });
-        const ids = rows.map(r => r.id);
-        if (ids.length) {
-          await pool.query(`UPDATE documents SET alert22Sent = 1 WHERE id IN (${ids.map(()=>'?').join(',')})`, ids);
-        }
-      }
+      const r = await runExpiryAlerts();
+      if (r.avisos) console.log('Avisos de vencimiento:', r);
     } catch (e) { console.error('Cron error:', e.message); }
+    try {
+      const r = await runServiceAlerts();
+      if (r.avisos) console.log('Avisos de mantenimiento:', r);
+    } catch (e) { console.error('Cron mantenimiento:', e.message); }
   }, { timezone: process.env.TZ || 'America/Costa_Rica' });
+
+  // reintentos de notificaciones fallidas
+  cron.schedule('*/5 * * * *', async () => {
+    try {
+      const r = await notifier.processQueue();
+      if (r.enviados || r.fallidos || r.reintentar) console.log('Cola de notificaciones:', r);
+    } catch (e) { console.error('Cola de notificaciones:', e.message); }
+  }, { noOverlap: true }); // además processQueue reclama cada fila (varias instancias)
 }
 
 // ---------- Arranque ----------
@@ -694,13 +4238,26 @@ async function waitForDb(maxRetries = 20, delayMs = 5000) {
   console.warn('DB no disponible, arrancando igual.');
 }
 
-let serverStarted = false;
+// Con MIGRATE_ON_START=false las migraciones se corren a mano (npm run migrate) antes de desplegar
+async function ensureSchema() {
+  if (MIGRATE_ON_START) {
+    const hechas = await migrateUp(pool);
+    console.log(hechas.length ? `Migraciones aplicadas: ${hechas.join(', ')}` : 'Schema OK');
+    return;
+  }
+  const pendientes = (await migrationStatus(pool)).filter(m => !m.aplicada);
+  if (pendientes.length) console.warn(`Hay ${pendientes.length} migración(es) pendiente(s): npm run migrate`);
+  else console.log('Schema OK');
+}
+
+// Resuelve al servidor HTTP ya escuchando (PORT=0 = puerto libre, para las pruebas)
+let serverStarted = null;
 function startServer() {
-  if (serverStarted) return;
-  serverStarted = true;
+  if (serverStarted) return serverStarted;
   const PORT = process.env.PORT || 3000;
   console.log(`Servidor en ${process.env.BASE_URL || 'http://localhost:'+PORT}`);
-  app.listen(PORT, () => {});
+  serverStarted = new Promise(resolve => { const server = app.listen(PORT, () => resolve(server)); });
+  return serverStarted;
 }
 
 // Middleware de errores para evitar 502 silenciosos
@@ -712,12 +4269,18 @@ app.use((err, req, res, next) => {
 process.on('unhandledRejection', reason => console.error('unhandledRejection:', reason));
 process.on('uncaughtException', err => console.error('uncaughtException:', err));
 
-(async () => {
+// las pruebas importan este módulo y esperan `ready` (null si no pudo arrancar)
+export const ready = (async () => {
   try {
     await waitForDb();
-    await ensureSchema(); // no daña si ya existen
-    startServer();
+    await ensureSchema();
+    await ensureAdminUser();
+    const server = await startServer();
+    // al arrancar se ponen al día los avisos que el cron no pudo mandar (servidor caído a las 9:00)
+    if (CRON_ENABLED) runExpiryAlerts().catch(e => console.error('Avisos al arrancar:', e.message));
+    return server;
   } catch (e) {
     console.error('Fallo al iniciar:', e);
+    return null;
   }
 })();
@@ -0,0 +1,97 @@
+// storage-migrate.js — Mueve binarios de photos / photo_variants entre drivers
+// Uso:
+//   node storage-migrate.js --to disk            (todo lo que no esté en disk)
+//   node storage-migrate.js --from db --to s3    (solo lo que está en la DB)
+//   node storage-migrate.js --to s3 --dry-run    (solo cuenta)
+// Las URLs /file/:id no cambian: cada fila conserva su id y solo cambia `storage`.
+// Cada archivo se copia, se verifica leyéndolo del destino, se marca la fila y
+// recién ahí se borra del origen; si se corta a mitad se puede volver a correr.
+
+import 'dotenv/config'; // antes de db.js, que lee las variables al importarse
+import { pool } from './db.js';
+import { STORAGE_DRIVERS, createStorage, storageConfigFromEnv, photoKey, variantKey } from './storage.js';
+
+const BATCH = 100;
+
+function parseArgs(argv) {
+  const args = { from: null, to: null, dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--to') args.to = argv[++i];
+    else if (a === '--from') args.from = argv[++i];
+    else if (a === '--dry-run') args.dryRun = true;
+    else throw new Error('Argumento desconocido: ' + a);
+  }
+  if (!STORAGE_DRIVERS.includes(args.to)) throw new Error(`--to debe ser uno de: ${STORAGE_DRIVERS.join(', ')}`);
+  if (args.from && !STORAGE_DRIVERS.includes(args.from)) throw new Error(`--from debe ser uno de: ${STORAGE_DRIVERS.join(', ')}`);
+  if (args.from === args.to) throw new Error('--from y --to son iguales');
+  return args;
+}
+
+// Recorre una tabla por lotes (orden por clave) y migra fila por fila
+async function migrateTable({ label, table, keyCols, keyOf, storage, from, to, dryRun }) {
+  const where = from ? 'storage = ?' : 'storage <> ?';
+  const [[{ n }]] = await pool.query(`SELECT COUNT(*) AS n FROM ${table} WHERE ${where}`, [from || to]);
+  console.log(`[${label}] pendientes: ${n}`);
+  if (dryRun || !n) return { ok: 0, missing: 0, failed: 0 };
+
+  const stats = { ok: 0, missing: 0, failed: 0 };
+  const order = keyCols.join(', ');
+  let last = null;
+  for (;;) {
+    const after = last ? `AND (${order}) > (${keyCols.map(() => '?').join(', ')})` : '';
+    const [rows] = await pool.query(
+      `SELECT ${order}, mime, storage FROM ${table} WHERE ${where} ${after} ORDER BY ${order} LIMIT ${BATCH}`,
+      [from || to, ...(last || [])]
+    );
+    if (!rows.length) break;
+    for (const row of rows) {
+      const key = keyOf(row);
+      try {
+        const data = await storage.get(row.storage, key);
+        if (!data) { stats.missing++; console.warn(`  sin binario: ${key} (${row.storage})`); continue; }
+        await storage.put(to, key, data, row.mime);
+        const check = await storage.get(to, key);
+        if (!check || !check.equals(data)) throw new Error('la copia no coincide');
+        await pool.query(
+          `UPDATE ${table} SET storage = ? WHERE ${keyCols.map(c => `${c} = ?`).join(' AND ')}`,
+          [to, ...keyCols.map(c => row[c])]
+        );
+        await storage.del(row.storage, key);
+        stats.ok++;
+      } catch (e) {
+        stats.failed++;
+        console.error(`  error ${key}:`, e.message);
+      }
+    }
+    last = keyCols.map(c => rows[rows.length - 1][c]);
+    console.log(`[${label}] ${stats.ok}/${n} migrados`);
+  }
+  return stats;
+}
+
+async function main() {
+  const { from, to, dryRun } = parseArgs(process.argv.slice(2));
+  const storage = createStorage(pool, { ...storageConfigFromEnv(), driver: to });
+  console.log(`Migrando ${from || '(todos)'} → ${to}${dryRun ? ' (dry-run)' : ''}`);
+
+  const common = { storage, from, to, dryRun };
+  const photos = await migrateTable({ ...common, label: 'photos', table: 'photos', keyCols: ['id'], keyOf: r => photoKey(r.id) });
+  const variants = await migrateTable({
+    ...common, label: 'photo_variants', table: 'photo_variants',
+    keyCols: ['photo_id', 'variant'], keyOf: r => variantKey(r.photo_id, r.variant)
+  });
+
+  if (!dryRun) {
+    console.log('Listo:', { photos, variants });
+    if (from === 'db' || (!from && to !== 'db')) {
+      console.log('Para recuperar el espacio en MySQL: OPTIMIZE TABLE photos, photo_variants;');
+    }
+  }
+  return photos.failed + variants.failed;
+}
+
+main()
+  .then(failed => { process.exitCode = failed ? 1 : 0; })
+  .catch(e => { console.error(e.message); process.exitCode = 1; })
+  .finally(() => pool.end());
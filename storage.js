@@ -0,0 +1,144 @@
+// storage.js — Dónde se guardan los binarios de photos / photo_variants
+// - db:   columna `data` de la misma fila (comportamiento original)
+// - disk: archivos bajo STORAGE_DIR
+// - s3:   bucket S3-compatible (AWS, MinIO, R2...) vía S3_ENDPOINT
+// Cada fila recuerda su driver (`storage`); la clave no se guarda, se deriva del id
+// (photoKey / variantKey), así conviven filas en distintos drivers mientras corre una migración.
+
+import fs from 'fs';
+import path from 'path';
+import { S3Client, GetObjectCommand, PutObjectCommand, DeleteObjectCommand } from '@aws-sdk/client-s3';
+
+export const STORAGE_DRIVERS = ['db', 'disk', 's3'];
+
+// Claves: photo/<id> y variant/<id>/<variant>
+export function photoKey(id) { return `photo/${id}`; }
+export function variantKey(id, variant) { return `variant/${id}/${variant}`; }
+
+function parseKey(key) {
+  const [kind, id, variant] = String(key).split('/');
+  if (kind === 'photo' && id) return { table: 'photos', where: 'id = ?', params: [id] };
+  if (kind === 'variant' && id && variant) return { table: 'photo_variants', where: 'photo_id = ? AND variant = ?', params: [id, variant] };
+  throw new Error('Clave de storage inválida: ' + key);
+}
+
+// ---------- db ----------
+function dbDriver(pool) {
+  return {
+    name: 'db',
+    async put(key, buffer) {
+      const k = parseKey(key);
+      await pool.query(`UPDATE ${k.table} SET data = ? WHERE ${k.where}`, [buffer, ...k.params]);
+    },
+    async get(key) {
+      const k = parseKey(key);
+      const [rows] = await pool.query(`SELECT data FROM ${k.table} WHERE ${k.where}`, k.params);
+      return rows.length ? rows[0].data : null;
+    },
+    async del(key) {
+      const k = parseKey(key);
+      await pool.query(`UPDATE ${k.table} SET data = NULL WHERE ${k.where}`, k.params);
+    }
+  };
+}
+
+// ---------- disk ----------
+function diskDriver(dir) {
+  const root = path.resolve(dir);
+  const fileOf = key => {
+    const abs = path.resolve(root, key);
+    if (!abs.startsWith(root + path.sep)) throw new Error('Clave de storage inválida: ' + key);
+    return abs;
+  };
+  return {
+    name: 'disk',
+    async put(key, buffer) {
+      const abs = fileOf(key);
+      await fs.promises.mkdir(path.dirname(abs), { recursive: true });
+      // escribir aparte y renombrar: nunca queda un archivo a medias
+      const tmp = `${abs}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, buffer);
+      await fs.promises.rename(tmp, abs);
+    },
+    async get(key) {
+      try { return await fs.promises.readFile(fileOf(key)); }
+      catch (e) { if (e.code === 'ENOENT') return null; throw e; }
+    },
+    async del(key) {
+      await fs.promises.rm(fileOf(key), { force: true });
+    }
+  };
+}
+
+// ---------- s3 ----------
+function s3Driver(cfg) {
+  if (!cfg.bucket) throw new Error('Falta la variable S3_BUCKET');
+  const client = new S3Client({
+    region: cfg.region || 'us-east-1',
+    endpoint: cfg.endpoint || undefined,
+    forcePathStyle: cfg.forcePathStyle, // MinIO lo necesita
+    credentials: cfg.accessKeyId ? { accessKeyId: cfg.accessKeyId, secretAccessKey: cfg.secretAccessKey } : undefined
+  });
+  const Key = key => (cfg.prefix ? cfg.prefix.replace(/\/+$/, '') + '/' : '') + key;
+  return {
+    name: 's3',
+    async put(key, buffer, mime) {
+      await client.send(new PutObjectCommand({ Bucket: cfg.bucket, Key: Key(key), Body: buffer, ContentType: mime || 'application/octet-stream' }));
+    },
+    async get(key) {
+      try {
+        const r = await client.send(new GetObjectCommand({ Bucket: cfg.bucket, Key: Key(key) }));
+        return Buffer.from(await r.Body.transformToByteArray());
+      } catch (e) {
+        if (e.name === 'NoSuchKey' || e.$metadata?.httpStatusCode === 404) return null;
+        throw e;
+      }
+    },
+    async del(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: cfg.bucket, Key: Key(key) }));
+    }
+  };
+}
+
+/** Configuración desde variables de entorno. */
+export function storageConfigFromEnv(env = process.env) {
+  return {
+    driver: String(env.STORAGE_DRIVER || 'db').toLowerCase(),
+    dir: env.STORAGE_DIR || path.join(process.cwd(), 'storage'),
+    s3: {
+      endpoint: env.S3_ENDPOINT || '',
+      region: env.S3_REGION || 'us-east-1',
+      bucket: env.S3_BUCKET || '',
+      prefix: env.S3_PREFIX || '',
+      accessKeyId: env.S3_ACCESS_KEY || '',
+      secretAccessKey: env.S3_SECRET_KEY || '',
+      forcePathStyle: String(env.S3_FORCE_PATH_STYLE || (env.S3_ENDPOINT ? 'true' : 'false')) === 'true'
+    }
+  };
+}
+
+/**
+ * Registro de drivers. Los drivers se crean al primer uso, así una instalación
+ * sin S3 configurado no falla mientras ninguna fila apunte a 's3'.
+ * Devuelve { active, driver(name), put, get, del }.
+ */
+export function createStorage(pool, cfg = storageConfigFromEnv()) {
+  if (!STORAGE_DRIVERS.includes(cfg.driver)) throw new Error('STORAGE_DRIVER desconocido: ' + cfg.driver);
+  const cache = {};
+  const driver = name => {
+    if (!STORAGE_DRIVERS.includes(name)) throw new Error('Driver de storage desconocido: ' + name);
+    if (!cache[name]) {
+      cache[name] = name === 'db' ? dbDriver(pool)
+        : name === 'disk' ? diskDriver(cfg.dir)
+        : s3Driver(cfg.s3);
+    }
+    return cache[name];
+  };
+  return {
+    active: cfg.driver,
+    driver,
+    put: (name, key, buffer, mime) => driver(name).put(key, buffer, mime),
+    get: (name, key) => driver(name).get(key),
+    del: (name, key) => driver(name).del(key)
+  };
+}
@@ -0,0 +1,69 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseUmbrales, umbralVigente, umbralLabel, ruleMatches, parseDestinatarios, formatDestinatarios, recipientsFor } from '../alerts.js';
+
+describe('avisos de vencimiento: umbrales', () => {
+  test('parseUmbrales ordena, quita repetidos y descarta lo inválido', () => {
+    assert.deepEqual(parseUmbrales('60, 30,15 ,0; 30 x -5 9999'), [60, 30, 15, 0]);
+    assert.deepEqual(parseUmbrales([7, '14']), [14, 7]);
+    assert.deepEqual(parseUmbrales(''), []);
+  });
+
+  test('umbralVigente toma el umbral más cercano ya alcanzado', () => {
+    const rule = { umbrales: [30, 15, 7, 0], vencidos_cada: null };
+    assert.equal(umbralVigente(40, rule), null);
+    assert.equal(umbralVigente(30, rule), 30);
+    assert.equal(umbralVigente(20, rule), 30);
+    assert.equal(umbralVigente(3, rule), 7);  // el servidor estuvo caído: se manda el de 7, no los anteriores
+    assert.equal(umbralVigente(0, rule), 0);
+    assert.equal(umbralVigente(-20, rule), 0); // sin recordatorios de vencido queda el del día
+    assert.equal(umbralVigente(null, rule), null);
+  });
+
+  test('con vencidos_cada, recordatorios cada N días después de vencido', () => {
+    const rule = { umbrales: [15, 0], vencidos_cada: 7 };
+    assert.equal(umbralVigente(-3, rule), 0);
+    assert.equal(umbralVigente(-7, rule), -7);
+    assert.equal(umbralVigente(-15, rule), -14);
+    assert.equal(umbralVigente(-3, { umbrales: [15], vencidos_cada: 7 }), null);
+  });
+
+  test('umbralLabel', () => {
+    assert.equal(umbralLabel(30), '30 días antes');
+    assert.equal(umbralLabel(0), 'día del vencimiento');
+    assert.equal(umbralLabel(-14), 'vencido hace 14 días');
+  });
+
+  test('ruleMatches no distingue mayúsculas ni tildes; sin categoría aplica a todas', () => {
+    assert.equal(ruleMatches({ categoria: 'Póliza' }, 'POLIZA'), true);
+    assert.equal(ruleMatches({ categoria: 'RTV' }, 'SOAT'), false);
+    assert.equal(ruleMatches({ categoria: '' }, 'SOAT'), true);
+  });
+});
+
+describe('avisos de vencimiento: destinatarios', () => {
+  const texto = 'jefe@empresa.com, whatsapp:+506 8888-7777\nNORTE: ana@x.com; sms:+50677776666\nhttps://hooks.example.com/x';
+
+  test('parseDestinatarios separa generales y por CEDIS', () => {
+    assert.deepEqual(parseDestinatarios(texto), [
+      { cedis: '', destino: 'jefe@empresa.com' },
+      { cedis: '', destino: 'whatsapp:+50688887777' },
+      { cedis: 'NORTE', destino: 'ana@x.com' },
+      { cedis: 'NORTE', destino: 'sms:+50677776666' },
+      { cedis: '', destino: 'https://hooks.example.com/x' }
+    ]);
+  });
+
+  test('formatDestinatarios es el inverso', () => {
+    const rows = parseDestinatarios(texto);
+    assert.deepEqual(parseDestinatarios(formatDestinatarios(rows)), [...rows.filter(r => !r.cedis), ...rows.filter(r => r.cedis)]);
+  });
+
+  test('recipientsFor: los generales más los del CEDIS del camión, sin repetir', () => {
+    const rule = { destinatarios: [...parseDestinatarios(texto), { cedis: 'NORTE', destino: 'jefe@empresa.com' }] };
+    assert.deepEqual(recipientsFor(rule, 'norte'), [
+      'jefe@empresa.com', 'whatsapp:+50688887777', 'ana@x.com', 'sms:+50677776666', 'https://hooks.example.com/x'
+    ]);
+    assert.deepEqual(recipientsFor(rule, 'SUR'), ['jefe@empresa.com', 'whatsapp:+50688887777', 'https://hooks.example.com/x']);
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import {
+  createRateLimiter, crearReto, bitsEnCero, powValido, validarReto, normalizarTexto, spamScore, SPAM_UMBRAL
+} from '../antispam.js';
+
+describe('antispam: límite por ventana', () => {
+  test('corta al llegar al máximo y se libera cuando pasa la ventana', () => {
+    const lim = createRateLimiter({ max: 2, ventanaMs: 1000 });
+    assert.equal(lim.intentar('ip', 0), true);
+    assert.equal(lim.intentar('ip', 100), true);
+    assert.equal(lim.intentar('ip', 200), false);
+    assert.equal(lim.intentar('otra-ip', 200), true); // cada clave cuenta aparte
+    assert.equal(lim.intentar('ip', 1050), true);     // el de t=0 ya salió de la ventana
+  });
+});
+
+describe('antispam: reto y prueba de trabajo', () => {
+  const SECRET = 'secreto';
+  const ahora = Date.now();
+
+  test('bits en cero al inicio', () => {
+    assert.equal(bitsEnCero(Buffer.from([0, 0x0f, 0xff])), 12);
+    assert.equal(bitsEnCero(Buffer.from([0x80])), 0);
+    assert.equal(bitsEnCero(Buffer.from([0, 0])), 16);
+  });
+
+  test('un reto recién pedido con espera razonable es válido', () => {
+    const reto = crearReto(SECRET, 'ABC123', ahora - 10000);
+    assert.equal(validarReto(SECRET, 'ABC123', { reto, bits: 0, ahora }), null);
+  });
+
+  test('firma de otra placa, reto manipulado, enviado muy rápido o vencido', () => {
+    const reto = crearReto(SECRET, 'ABC123', ahora - 10000);
+    assert.equal(validarReto(SECRET, 'OTRA01', { reto, bits: 0, ahora }), 'invalido');
+    assert.equal(validarReto('otro-secreto', 'ABC123', { reto, bits: 0, ahora }), 'invalido');
+    assert.equal(validarReto(SECRET, 'ABC123', { reto: reto + '.x', bits: 0, ahora }), 'invalido');
+    assert.equal(validarReto(SECRET, 'ABC123', { reto: '', bits: 0, ahora }), 'invalido');
+    assert.equal(validarReto(SECRET, 'ABC123', { reto: crearReto(SECRET, 'ABC123', ahora - 500), bits: 0, ahora }), 'rapido');
+    assert.equal(validarReto(SECRET, 'ABC123', { reto: crearReto(SECRET, 'ABC123', ahora - 3 * 60 * 60 * 1000), bits: 0, ahora }), 'vencido');
+  });
+
+  test('sin prueba de trabajo el motivo es "trabajo" (no se rechaza: suma puntos)', () => {
+    const reto = crearReto(SECRET, 'ABC123', ahora - 10000);
+    assert.equal(validarReto(SECRET, 'ABC123', { reto, nonce: '', bits: 8, ahora }), 'trabajo');
+    let nonce = 0;
+    while (bitsEnCero(crypto.createHash('sha256').update(`${reto}:${nonce}`).digest()) < 8) nonce++;
+    assert.equal(powValido(reto, String(nonce), 8), true);
+    assert.equal(validarReto(SECRET, 'ABC123', { reto, nonce: String(nonce), bits: 8, ahora }), null);
+    assert.equal(powValido(reto, 'abc', 8), false);
+  });
+});
+
+describe('antispam: puntaje de spam', () => {
+  test('un reporte normal no suma puntos', () => {
+    assert.deepEqual(spamScore({ mensaje: 'Pasó un semáforo en rojo en la rotonda', telefono: '8888-0000', email: 'ana@correo.com' }),
+      { puntos: 0, motivos: [] });
+  });
+
+  test('enlaces y palabras típicas lo mandan a cuarentena', () => {
+    const { puntos, motivos } = spamScore({ mensaje: 'Gana dinero con bitcoin en www.casino-ganador.xyz y www.apuestas.top' });
+    assert.ok(puntos >= SPAM_UMBRAL);
+    assert.ok(motivos.includes('2 enlace(s)'));
+    assert.ok(motivos.includes('palabras típicas de spam'));
+  });
+
+  test('el mismo texto repetido no alcanza solo el umbral, pero suma con otro motivo', () => {
+    const mensaje = 'El camión iba muy rápido por la autopista';
+    const recientes = [normalizarTexto('el camion iba MUY rápido, por la autopista')];
+    const solo = spamScore({ mensaje }, { recientes });
+    assert.deepEqual(solo.motivos, ['mensaje repetido']);
+    assert.ok(solo.puntos < SPAM_UMBRAL);
+    assert.ok(spamScore({ mensaje: mensaje + ' ver ejemplo.com' }, { recientes: [normalizarTexto(mensaje + ' ver ejemplo.com')] }).puntos >= SPAM_UMBRAL);
+  });
+
+  test('sin prueba de trabajo suma puntos pero no llega solo a la cuarentena', () => {
+    const { puntos, motivos } = spamScore({ mensaje: 'Se le cayó carga en la calle principal' }, { sinTrabajo: true });
+    assert.deepEqual(motivos, ['sin prueba de trabajo']);
+    assert.ok(puntos > 0 && puntos < SPAM_UMBRAL);
+  });
+
+  test('sin texto o todo en mayúsculas', () => {
+    assert.ok(spamScore({ mensaje: '!!' }).motivos.includes('sin texto'));
+    assert.ok(spamScore({ mensaje: 'ESTE CHOFER MANEJA MUY MAL SIEMPRE' }).motivos.includes('todo en mayúsculas'));
+  });
+});
@@ -0,0 +1,147 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { SKIP, iniciarApp, crearCamion } from './helpers.js';
+
+// Las claves se crean y revocan desde el panel, como lo haría un superadmin
+describe('API /api/v1', { skip: SKIP }, () => {
+  let app, admin, lectura, norte, revocada;
+
+  // crea la clave en /admin/api-keys y la lee de la página (se muestra una sola vez)
+  async function nuevaClave(nombre, scopes, cedis = '') {
+    await admin.post('/admin/api-keys', [['nombre', nombre], ['cedis', cedis], ...scopes.map(s => ['scopes', s])]);
+    const html = await (await admin.get('/admin/api-keys')).text();
+    const [, key] = html.match(/<pre[^>]*>(cqr_[\w-]+)<\/pre>/) || [];
+    assert.ok(key, `no se mostró la clave ${nombre}`);
+    const [[row]] = await app.pool.query('SELECT id FROM api_keys WHERE nombre = ?', [nombre]);
+    return { key, id: row.id };
+  }
+  async function pedir(ruta, { key, method = 'GET', json, headers = {} } = {}) {
+    const res = await fetch(app.url + '/api/v1' + ruta, {
+      method,
+      headers: { ...headers, ...(key ? { authorization: `Bearer ${key}` } : {}), ...(json !== undefined ? { 'content-type': 'application/json' } : {}) },
+      body: json !== undefined ? JSON.stringify(json) : undefined
+    });
+    return { status: res.status, body: res.status === 204 ? null : await res.json() };
+  }
+
+  before(async () => {
+    app = await iniciarApp();
+    admin = app.cliente();
+    await admin.login();
+    for (const placa of ['API001', 'API002', 'API003']) await crearCamion(admin, app.pool, { placa, unidad: placa, cedis: 'NORTE' });
+    await crearCamion(admin, app.pool, { placa: 'API900', unidad: 'Sur', cedis: 'SUR' });
+    lectura = (await nuevaClave('integracion-lectura', ['fleet:read'])).key;
+    norte = (await nuevaClave('integracion-norte', ['fleet:read', 'fleet:write'], 'NORTE')).key;
+    revocada = await nuevaClave('integracion-vieja', ['fleet:read']);
+    await admin.post(`/admin/api-keys/${revocada.id}`, { activo: '0' });
+  });
+  after(async () => { await app?.cerrar(); });
+
+  test('sin clave, con una inventada o con una revocada responde 401', async () => {
+    for (const key of [undefined, 'cqr_inventada', revocada.key]) {
+      const r = await pedir('/trucks', { key });
+      assert.equal(r.status, 401, String(key));
+      assert.equal(r.body.error.code, 'unauthorized');
+    }
+    const [[row]] = await app.pool.query('SELECT activo FROM api_keys WHERE id = ?', [revocada.id]);
+    assert.equal(row.activo, 0);
+  });
+
+  test('X-API-Key también sirve', async () => {
+    const r = await pedir('/trucks', { headers: { 'x-api-key': lectura } });
+    assert.equal(r.status, 200);
+  });
+
+  test('la cookie de sesión del panel nunca se acepta', async () => {
+    assert.equal((await admin.get('/admin/flota')).status, 200); // la sesión sí vale en el panel
+    const res = await admin.get('/api/v1/trucks');
+    assert.equal(res.status, 401);
+    assert.equal((await res.json()).error.code, 'unauthorized');
+    const escribir = await admin.post('/api/v1/trucks', { placa: 'COOKIE1', cedis: 'NORTE' });
+    assert.equal(escribir.status, 401);
+    const [rows] = await app.pool.query('SELECT placa FROM trucks WHERE placa = ?', ['COOKIE1']);
+    assert.equal(rows.length, 0);
+  });
+
+  test('sin el permiso responde 403', async () => {
+    const r = await pedir('/trucks', { key: lectura, method: 'POST', json: { placa: 'API010', cedis: 'NORTE' } });
+    assert.equal(r.status, 403);
+    assert.equal(r.body.error.code, 'forbidden');
+    assert.match(r.body.error.message, /fleet:write/);
+    assert.equal((await pedir('/reports', { key: lectura })).status, 403);
+  });
+
+  test('un camión de otro CEDIS responde 404, como si no existiera', async () => {
+    assert.equal((await pedir('/trucks/API900', { key: lectura })).status, 200); // la clave sin CEDIS ve todos
+    for (const [method, json] of [['GET'], ['PATCH', { unidad: 'x' }], ['DELETE']]) {
+      const r = await pedir('/trucks/API900', { key: norte, method, json });
+      assert.equal(r.status, 404, method);
+      assert.equal(r.body.error.code, 'not_found');
+    }
+    const [[t]] = await app.pool.query('SELECT unidad FROM trucks WHERE placa = ?', ['API900']);
+    assert.equal(t.unidad, 'Sur');
+  });
+
+  test('los datos inválidos responden 422 con el detalle', async () => {
+    const sinPlaca = await pedir('/trucks', { key: norte, method: 'POST', json: { unidad: 'U-1', cedis: 'NORTE' } });
+    assert.equal(sinPlaca.status, 422);
+    assert.equal(sinPlaca.body.error.code, 'validation_error');
+    assert.deepEqual(sinPlaca.body.error.details, [{ message: 'Falta placa' }]);
+
+    const otroCedis = await pedir('/trucks', { key: norte, method: 'POST', json: { placa: 'API011', cedis: 'SUR' } });
+    assert.equal(otroCedis.status, 422);
+    assert.match(otroCedis.body.error.details[0].message, /fuera de tu alcance/);
+
+    const cambiaPlaca = await pedir('/trucks/API001', { key: norte, method: 'PATCH', json: { placa: 'OTRA01' } });
+    assert.equal(cambiaPlaca.status, 422);
+    const [rows] = await app.pool.query('SELECT placa FROM trucks WHERE placa IN (?, ?)', ['API011', 'OTRA01']);
+    assert.equal(rows.length, 0);
+  });
+
+  test('ocultar_vin y ocultar_notas solo aceptan booleanos', async () => {
+    for (const valor of ['false', 0, 1, null]) {
+      const r = await pedir('/trucks/API003', { key: norte, method: 'PATCH', json: { ocultar_vin: valor } });
+      assert.equal(r.status, 422, JSON.stringify(valor));
+      assert.deepEqual(r.body.error.details, [{ message: 'ocultar_vin debe ser true o false' }]);
+    }
+    assert.equal((await pedir('/trucks/API003', { key: norte, method: 'PATCH', json: { ocultar_notas: 'true' } })).status, 422);
+    const [[antes]] = await app.pool.query('SELECT ocultar_vin, ocultar_notas FROM trucks WHERE placa = ?', ['API003']);
+    assert.deepEqual([antes.ocultar_vin, antes.ocultar_notas], [0, 0]);
+
+    const r = await pedir('/trucks/API003', { key: norte, method: 'PATCH', json: { ocultar_vin: true } });
+    assert.equal(r.status, 200);
+    assert.equal(r.body.data.ocultar_vin, true);
+    assert.equal(r.body.data.ocultar_notas, false);
+  });
+
+  test('la lista pagina con meta y respeta el CEDIS de la clave', async () => {
+    const p1 = await pedir('/trucks?perPage=2&sort=placa', { key: norte });
+    assert.equal(p1.status, 200);
+    assert.deepEqual(p1.body.meta, { page: 1, perPage: 2, total: 3, pages: 2 });
+    assert.deepEqual(p1.body.data.map(t => t.placa), ['API001', 'API002']);
+
+    const p2 = await pedir('/trucks?perPage=2&page=2&sort=placa', { key: norte });
+    assert.deepEqual(p2.body.meta, { page: 2, perPage: 2, total: 3, pages: 2 });
+    assert.deepEqual(p2.body.data.map(t => t.placa), ['API003']);
+
+    const todos = await pedir('/trucks?perPage=500', { key: lectura });
+    assert.equal(todos.body.meta.perPage, 200); // tope por página
+    assert.equal(todos.body.meta.total, 4);
+  });
+
+  test('la búsqueda toma % y _ como texto, no como comodines', async () => {
+    const buscar = async q => (await pedir('/trucks?q=' + encodeURIComponent(q), { key: lectura })).body.data.map(t => t.placa);
+    assert.deepEqual(await buscar('_'), []);
+    assert.deepEqual(await buscar('%'), []);
+    assert.deepEqual(await buscar('API_0'), []);
+    assert.deepEqual(await buscar('i90'), ['API900']);
+  });
+
+  test('una escritura válida queda auditada a nombre de la clave', async () => {
+    const r = await pedir('/trucks/API002', { key: norte, method: 'PATCH', json: { unidad: 'U-22' } });
+    assert.equal(r.status, 200);
+    assert.equal(r.body.data.unidad, 'U-22');
+    const [[a]] = await app.pool.query("SELECT username FROM audit_log WHERE action = 'truck.update' AND entity_id = 'API002'");
+    assert.equal(a.username, 'api:integracion-norte');
+  });
+});
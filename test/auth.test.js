@@ -0,0 +1,91 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { SKIP, iniciarApp, destino } from './helpers.js';
+
+describe('admin: sesión y permisos', { skip: SKIP }, () => {
+  let app, admin;
+
+  before(async () => {
+    app = await iniciarApp();
+    admin = app.cliente();
+  });
+  after(async () => { await app?.cerrar(); });
+
+  test('sin sesión el panel manda al login', async () => {
+    const anon = app.cliente();
+    for (const ruta of ['/admin/flota', '/admin/editar', '/admin/reportes', '/admin/usuarios']) {
+      assert.equal(destino(await anon.get(ruta)), '/admin/login', ruta);
+    }
+    assert.equal(destino(await anon.post('/admin/editar', { placa: 'HACK01' })), '/admin/login');
+    const [trucks] = await app.pool.query('SELECT placa FROM trucks');
+    assert.equal(trucks.length, 0);
+  });
+
+  test('el primer arranque crea el superadmin con ADMIN_PASS', async () => {
+    const [users] = await app.pool.query('SELECT username, role, pass_hash FROM users');
+    assert.deepEqual(users.map(u => [u.username, u.role]), [['admin', 'superadmin']]);
+    assert.match(users[0].pass_hash, /^scrypt\$/); // nunca en texto plano
+  });
+
+  test('contraseña incorrecta no abre sesión', async () => {
+    const c = app.cliente();
+    assert.equal(destino(await c.login('admin', 'otra-cosa')), '/admin/login');
+    assert.equal(destino(await c.login('nadie', 'admin-de-pruebas')), '/admin/login');
+    assert.equal(destino(await c.get('/admin/flota')), '/admin/login');
+    assert.match(await (await c.get('/admin/login')).text(), /Usuario o contraseña incorrectos/);
+  });
+
+  test('login, panel y logout', async () => {
+    assert.equal(destino(await admin.login()), '/admin/flota');
+    const res = await admin.get('/admin/flota');
+    assert.equal(res.status, 200);
+    assert.equal((await admin.get('/admin/usuarios')).status, 200);
+
+    const otro = app.cliente();
+    await otro.login();
+    await otro.get('/admin/logout');
+    assert.equal(destino(await otro.get('/admin/flota')), '/admin/login');
+    assert.equal((await admin.get('/admin/flota')).status, 200); // cerrar una sesión no cierra las demás
+  });
+
+  test('el login da una sesión nueva (sin fijación de sesión)', async () => {
+    const sid = res => res.headers.getSetCookie().find(c => c.startsWith('connect.sid='))?.split(';')[0];
+    const c = app.cliente();
+    const antes = sid(await c.login('admin', 'clave-mala')); // el aviso de error ya abre una sesión
+    const despues = sid(await c.login());
+    assert.ok(antes && despues);
+    assert.notEqual(despues, antes);
+  });
+
+  test('un usuario de solo lectura ve la flota pero no puede editar', async () => {
+    await admin.post('/admin/usuarios', { username: 'lector', nombre: 'Lector', role: 'lectura', pass: 'lector-1234', cedis: '' });
+    const lector = app.cliente();
+    assert.equal(destino(await lector.login('lector', 'lector-1234')), '/admin/flota');
+    assert.equal((await lector.get('/admin/flota')).status, 200);
+
+    assert.equal(destino(await lector.post('/admin/editar', { placa: 'LEC001', unidad: 'U-1' })), '/admin/editar');
+    assert.equal(destino(await lector.get('/admin/usuarios')), '/admin/editar');
+    const [trucks] = await app.pool.query("SELECT placa FROM trucks WHERE placa = 'LEC001'");
+    assert.equal(trucks.length, 0);
+  });
+
+  test('alcance por CEDIS: un editor no toca camiones de otro CEDIS', async () => {
+    await admin.post('/admin/editar', { placa: 'SUR001', unidad: 'U-9', cedis: 'SUR' });
+    await admin.post('/admin/usuarios', { username: 'editor.norte', role: 'editor', pass: 'editor-1234', cedis: 'NORTE' });
+    const editor = app.cliente();
+    await editor.login('editor.norte', 'editor-1234');
+
+    assert.equal(destino(await editor.post('/admin/editar', { placa: 'SUR001', unidad: 'CAMBIADA', cedis: 'SUR' })), '/admin/editar');
+    assert.equal(destino(await editor.post('/admin/editar', { placa: 'NOR001', unidad: 'U-1', cedis: 'NORTE' })), '/admin/editar?placa=NOR001');
+    const [trucks] = await app.pool.query("SELECT placa, unidad FROM trucks WHERE placa IN ('SUR001', 'NOR001') ORDER BY placa");
+    assert.deepEqual(trucks.map(t => [t.placa, t.unidad]), [['NOR001', 'U-1'], ['SUR001', 'U-9']]);
+  });
+
+  test('dar de baja a un usuario corta su sesión en el siguiente request', async () => {
+    const lector = app.cliente();
+    await lector.login('lector', 'lector-1234');
+    const [[u]] = await app.pool.query("SELECT id FROM users WHERE username = 'lector'");
+    await app.pool.query('UPDATE users SET activo = 0 WHERE id = ?', [u.id]);
+    assert.equal(destino(await lector.get('/admin/flota')), '/admin/login');
+  });
+});
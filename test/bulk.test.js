@@ -0,0 +1,123 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv, toCsv, parseLegacyJson, normalizeDate, validateImport } from '../bulk.js';
+import { SKIP, iniciarApp, crearCamion, multipart } from './helpers.js';
+
+describe('importación: CSV y JSON heredado', () => {
+  test('parseCsv detecta punto y coma, respeta comillas y saltos dentro de un campo', () => {
+    const csv = '\uFEFFplaca;unidad;notas\r\nABC123;U-1;"Ruta; centro"\r\nXYZ9;"U ""2""";"línea 1\nlínea 2"\r\n;;\r\n';
+    assert.deepEqual(parseCsv(csv), [
+      ['placa', 'unidad', 'notas'],
+      ['ABC123', 'U-1', 'Ruta; centro'],
+      ['XYZ9', 'U "2"', 'línea 1\nlínea 2']
+    ]);
+    assert.deepEqual(parseCsv('a,b\n1,2'), [['a', 'b'], ['1', '2']]);
+  });
+
+  test('toCsv produce lo que parseCsv vuelve a leer', () => {
+    const filas = [{ placa: 'ABC123', notas: 'uno; "dos"' }, { placa: 'XYZ9', notas: null }];
+    const csv = toCsv(filas, ['placa', 'notas']);
+    assert.ok(csv.startsWith('\uFEFF'));
+    assert.deepEqual(parseCsv(csv), [['placa', 'notas'], ['ABC123', 'uno; "dos"'], ['XYZ9', '']]);
+  });
+
+  test('parseLegacyJson separa camiones y documentos anidados', () => {
+    const { camiones, documentos } = parseLegacyJson(JSON.stringify({
+      trucks: [{ placa: 'ABC123', notas: ['a', 'b'], documentos: [{ categoria: 'RTV', fecha_vencimiento: '2030-01-31' }] }]
+    }));
+    assert.equal(camiones[0].notas, 'a;b');
+    assert.deepEqual([documentos[0]._fila, documentos[0].placa, documentos[0].categoria], ['1.1', 'ABC123', 'RTV']);
+  });
+
+  test('normalizeDate acepta los formatos de planilla y rechaza fechas imposibles', () => {
+    assert.equal(normalizeDate('2030-1-5'), '2030-01-05');
+    assert.equal(normalizeDate('31/12/2030'), '2030-12-31');
+    assert.equal(normalizeDate('05-06-2030'), '2030-06-05');
+    assert.equal(normalizeDate('45658'), '2025-01-01'); // serial de Excel
+    assert.equal(normalizeDate(new Date(Date.UTC(2030, 1, 3))), '2030-02-03');
+    assert.equal(normalizeDate('31/02/2030'), null);
+    assert.equal(normalizeDate('mañana'), null);
+    assert.equal(normalizeDate(''), null);
+  });
+});
+
+describe('importación: validación por fila', () => {
+  const soloNorte = { inScope: c => String(c || '').trim().toUpperCase() === 'NORTE', existing: new Map([['NOR001', 'NORTE'], ['SUR001', 'SUR']]) };
+  const todos = { inScope: () => true, existing: new Map() };
+  const errores = (archivo, ctx) => {
+    const v = validateImport({ camiones: [], documentos: [], ...archivo }, ctx);
+    return [...v.camiones, ...v.documentos].map(r => r.errors);
+  };
+
+  test('placa obligatoria, válida y sin repetir', () => {
+    assert.deepEqual(errores({ camiones: [{ placa: '' }, { placa: 'ab 12' }, { placa: 'abc1' }, { placa: 'ABC1' }] }, todos), [
+      ['Falta placa'], ['Placa inválida (solo letras, números y guion)'], [], ['Placa repetida en el archivo']
+    ]);
+  });
+
+  test('un usuario con CEDIS no crea unidades sin CEDIS ni de otro CEDIS', () => {
+    assert.deepEqual(errores({ camiones: [{ placa: 'NUEVA1' }, { placa: 'NUEVA2', cedis: '' }, { placa: 'NUEVA3', cedis: 'SUR' }, { placa: 'NUEVA4', cedis: 'norte' }] }, soloNorte), [
+      ['Falta CEDIS: solo podés crear unidades de tu alcance'],
+      ['Falta CEDIS: solo podés crear unidades de tu alcance'],
+      ['CEDIS "SUR" fuera de tu alcance'],
+      []
+    ]);
+  });
+
+  test('actualizar: una unidad propia sin columna cedis sí; una de otro CEDIS no', () => {
+    const v = validateImport({ camiones: [{ placa: 'NOR001', unidad: 'U-2' }, { placa: 'SUR001', unidad: 'U-3' }], documentos: [] }, soloNorte);
+    assert.deepEqual(v.camiones.map(r => [r.errors, r.warnings]), [
+      [[], ['Actualiza una unidad existente']],
+      [['La unidad existente es de otro CEDIS'], []]
+    ]);
+  });
+
+  test('documentos: placa válida, categoría y fecha; el duplicado sin archivo se omite', () => {
+    const docs = [
+      { _fila: 2, placa: 'nor001', categoria: 'RTV', fecha_vencimiento: '31/01/2030' },
+      { _fila: 3, placa: 'NOR001', categoria: 'RTV', fecha_vencimiento: '2030-01-31', url: '/file/abc' },
+      { _fila: 4, placa: 'SUR001', categoria: 'SOAT', fecha_vencimiento: '2030-01-31' },
+      { _fila: 5, placa: 'NOR001', categoria: '', fecha_vencimiento: '' }
+    ];
+    const v = validateImport({ camiones: [], documentos: docs }, soloNorte);
+    assert.equal(v.documentos[0].data.titulo, 'RTV');
+    assert.deepEqual(v.documentos.map(r => r.errors), [
+      ['Duplicado de la fila 3, se omite'],
+      [],
+      ['La placa no existe, es de otro CEDIS o tiene errores en el archivo'],
+      ['Falta categoría', 'Falta fecha de vencimiento']
+    ]);
+  });
+});
+
+describe('importación: aplicar al panel', { skip: SKIP }, () => {
+  let app, admin;
+  const importar = async csv => {
+    await admin.post('/admin/importar', multipart({}, 'archivo', [{ buf: Buffer.from(csv), nombre: 'docs.csv', tipo: 'text/csv' }]));
+    await admin.post('/admin/importar/confirmar', {});
+  };
+  const docs = async () => (await app.pool.query('SELECT * FROM documents WHERE placa = ? ORDER BY id', ['IMP001']))[0];
+
+  before(async () => {
+    app = await iniciarApp();
+    admin = app.cliente();
+    await admin.login();
+    await crearCamion(admin, app.pool, { placa: 'IMP001', unidad: 'U-9', cedis: 'NORTE' });
+  });
+  after(async () => { await app?.cerrar(); });
+
+  test('reimportar un documento sin id actualiza la versión vigente en vez de duplicarla', async () => {
+    const csv = 'placa;categoria;titulo;fecha_vencimiento\nIMP001;RTV;RTV;2030-01-31\n';
+    await importar(csv);
+    const [primero] = await docs();
+    assert.ok(primero);
+    await app.pool.query('UPDATE documents SET alert22Sent = 1 WHERE id = ?', [primero.id]);
+
+    await importar(csv);
+    const lista = await docs();
+    assert.equal(lista.length, 1);
+    assert.equal(lista[0].id, primero.id);
+    assert.equal(lista[0].alert22Sent, 1); // misma fecha: el aviso ya enviado no se repite
+    assert.equal(lista[0].reemplazado_por, null);
+  });
+});
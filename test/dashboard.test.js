@@ -0,0 +1,71 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRango, rangosRapidos, semanaDe, semanas, reportesPorSemana, vencimientosPorSemana, porcentajes, formatDuracion } from '../dashboard.js';
+
+describe('tablero: rangos y semanas', () => {
+  const hoy = new Date('2030-06-12T12:00:00Z');
+
+  test('parseRango: por defecto los últimos 90 días; al revés se da vuelta', () => {
+    assert.deepEqual(parseRango({}, hoy), { desde: '2030-03-15', hasta: '2030-06-12' });
+    assert.deepEqual(parseRango({ desde: '2030-05-31', hasta: '2030-05-01' }, hoy), { desde: '2030-05-01', hasta: '2030-05-31' });
+    assert.deepEqual(parseRango({ desde: 'ayer', hasta: '2030-13-45' }, hoy), { desde: '2030-03-15', hasta: '2030-06-12' });
+  });
+
+  test('rangosRapidos: mes pasado termina el último día del mes', () => {
+    const [esteMes, mesPasado, , esteAnio] = rangosRapidos(hoy);
+    assert.deepEqual([esteMes.desde, esteMes.hasta], ['2030-06-01', '2030-06-12']);
+    assert.deepEqual([mesPasado.desde, mesPasado.hasta], ['2030-05-01', '2030-05-31']);
+    assert.equal(esteAnio.desde, '2030-01-01');
+  });
+
+  test('semanaDe devuelve el lunes; semanas lista cada lunes del rango', () => {
+    assert.equal(semanaDe('2030-06-12'), '2030-06-10'); // miércoles
+    assert.equal(semanaDe('2030-06-16'), '2030-06-10'); // domingo
+    assert.equal(semanaDe('2030-06-10'), '2030-06-10');
+    assert.deepEqual(semanas('2030-06-05', '2030-06-20'), ['2030-06-03', '2030-06-10', '2030-06-17']);
+  });
+});
+
+describe('tablero: agrupación', () => {
+  test('reportesPorSemana suma por semana y por tipo, y ordena los tipos por frecuencia', () => {
+    const r = reportesPorSemana([
+      { dia: '2030-06-04', tipo: 'Manejo', n: 2 },
+      { dia: '2030-06-05', tipo: 'Carga', n: 1 },
+      { dia: '2030-06-11', tipo: 'Manejo', n: '3' },
+      { dia: '2029-01-01', tipo: 'Otro', n: 9 } // fuera del rango
+    ], '2030-06-03', '2030-06-16');
+    assert.deepEqual(r.tipos, ['Manejo', 'Carga']);
+    assert.deepEqual(r.series.map(s => [s.semana, s.total]), [['2030-06-03', 3], ['2030-06-10', 3]]);
+    assert.deepEqual(r.series[0].porTipo, { Manejo: 2, Carga: 1 });
+    assert.equal(r.max, 3);
+  });
+
+  test('vencimientosPorSemana agrupa lo que vence en los próximos días', () => {
+    const r = vencimientosPorSemana([
+      { fecha_vencimiento: '2030-06-13' }, { fecha_vencimiento: '2030-06-14' }, { fecha_vencimiento: '2030-06-20' },
+      { fecha_vencimiento: '2031-01-01' }
+    ], new Date('2030-06-12T12:00:00Z'), 14);
+    assert.equal(r.hasta, '2030-06-26');
+    assert.deepEqual(r.series.map(s => s.total), [2, 1, 0]);
+    assert.equal(r.max, 2);
+  });
+});
+
+describe('tablero: formatos', () => {
+  test('porcentajes suman exactamente 100 (redondeo de mayor resto)', () => {
+    assert.deepEqual(porcentajes({ vigente: 1, por_vencer: 1, vencido: 1 }), { total: 3, vigente: 34, por_vencer: 33, vencido: 33 });
+    const p = porcentajes({ vigente: 7, por_vencer: 2, vencido: 1 });
+    assert.deepEqual(p, { total: 10, vigente: 70, por_vencer: 20, vencido: 10 });
+    const q = porcentajes({ vigente: 2, por_vencer: 2, vencido: 3 });
+    assert.equal(q.vigente + q.por_vencer + q.vencido, 100);
+    assert.deepEqual(porcentajes({}), { total: 0, vigente: 0, por_vencer: 0, vencido: 0 });
+  });
+
+  test('formatDuracion', () => {
+    assert.equal(formatDuracion(12), '12 min');
+    assert.equal(formatDuracion(310), '5 h 10 min');
+    assert.equal(formatDuracion(120), '2 h');
+    assert.equal(formatDuracion(4560), '3 d 4 h');
+    assert.equal(formatDuracion(null), '-');
+  });
+});
@@ -0,0 +1,132 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { SKIP, iniciarApp, crearCamion, destino, multipart, png } from './helpers.js';
+
+describe('documentos y fotos', { skip: SKIP }, () => {
+  let app, admin, ficha;
+  const PLACA = 'DOC001';
+  const fichaHtml = async () => (await app.cliente().get(ficha)).text();
+  const fotos = async () => (await app.pool.query('SELECT id, visibilidad FROM photos WHERE placa = ? ORDER BY createdAt, id', [PLACA]))[0];
+  const vigente = async categoria => (await app.pool.query(
+    'SELECT * FROM documents WHERE placa = ? AND categoria = ? AND reemplazado_por IS NULL', [PLACA, categoria]
+  ))[0][0];
+
+  before(async () => {
+    app = await iniciarApp();
+    admin = app.cliente();
+    await admin.login();
+    const truck = await crearCamion(admin, app.pool, { placa: PLACA, unidad: 'U-3', cedis: 'CENTRO' });
+    ficha = `/t/${truck.public_token}`;
+  });
+  after(async () => { await app?.cerrar(); });
+
+  test('subir fotos a la galería: se guardan, se sirven y salen en la ficha', async () => {
+    const form = multipart({ placa: PLACA }, 'archivos', [
+      { buf: await png('#228b22'), nombre: 'lateral.png' },
+      { buf: await png('#8b008b'), nombre: 'frente.png' }
+    ]);
+    await admin.post('/admin/upload', form);
+    const lista = await fotos();
+    assert.equal(lista.length, 2);
+
+    const res = await app.cliente().get(`/file/${lista[0].id}`);
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^image\//);
+    assert.ok((await res.arrayBuffer()).byteLength > 0);
+    const thumb = await app.cliente().get(`/file/${lista[0].id}?size=thumb`);
+    assert.equal(thumb.status, 200);
+
+    const html = await fichaHtml();
+    for (const f of lista) assert.match(html, new RegExp(`/file/${f.id}`));
+  });
+
+  test('la misma imagen dos veces no se duplica', async () => {
+    await admin.post('/admin/upload', multipart({ placa: PLACA }, 'archivos', [{ buf: await png('#228b22'), nombre: 'otra-vez.png' }]));
+    assert.equal((await fotos()).length, 2);
+  });
+
+  test('una foto interna desaparece de la ficha y solo se sirve con sesión', async () => {
+    const [f] = await fotos();
+    await admin.post('/admin/photo/visibilidad', { placa: PLACA, name: `/file/${f.id}`, visibilidad: 'interno' });
+    assert.equal((await fotos())[0].visibilidad, 'interno');
+    assert.doesNotMatch(await fichaHtml(), new RegExp(`/file/${f.id}`));
+    assert.equal((await app.cliente().get(`/file/${f.id}`)).status, 404);
+    assert.equal((await admin.get(`/file/${f.id}`)).status, 200);
+  });
+
+  test('borrar una foto', async () => {
+    const [, f] = await fotos();
+    await admin.post('/admin/photo/delete', { placa: PLACA, name: `/file/${f.id}` });
+    assert.equal((await fotos()).length, 1);
+    assert.equal((await app.cliente().get(`/file/${f.id}`)).status, 404);
+  });
+
+  test('documento con adjunto: aparece en la ficha con su archivo', async () => {
+    const form = multipart({ placa: PLACA, categoria: 'SOAT', titulo: 'Marchamo 2025', fecha_vencimiento: '2030-12-31' }, 'archivos', [
+      { buf: await png('#daa520', 96), nombre: 'marchamo.png' }
+    ]);
+    await admin.post('/admin/doc/upload', form);
+    const doc = await vigente('SOAT');
+    assert.equal(doc.titulo, 'Marchamo 2025');
+    assert.equal(doc.visibilidad, 'publico');
+    const [adjuntos] = await app.pool.query('SELECT photo_id FROM document_files WHERE document_id = ?', [doc.id]);
+    assert.equal(adjuntos.length, 1);
+    assert.equal(doc.url, `/file/${adjuntos[0].photo_id}`);
+
+    const html = await fichaHtml();
+    assert.match(html, /Marchamo 2025/);
+    assert.match(html, new RegExp(`/file/${adjuntos[0].photo_id}`));
+  });
+
+  test('documento sin archivo desde el formulario', async () => {
+    await admin.post('/admin/doc/add', { placa: PLACA, categoria: 'RTV', titulo: 'Revisión técnica', fecha_vencimiento: '2030-06-30' });
+    const doc = await vigente('RTV');
+    assert.equal(doc.titulo, 'Revisión técnica');
+    assert.equal(doc.url, null);
+    // incompleto: no se crea
+    await admin.post('/admin/doc/add', { placa: PLACA, categoria: 'POLIZA', titulo: '', fecha_vencimiento: '' });
+    assert.equal(await vigente('POLIZA'), undefined);
+  });
+
+  test('renovar deja la versión anterior como historial', async () => {
+    const prev = await vigente('RTV');
+    await admin.post('/admin/doc/renovar', multipart({ placa: PLACA, id: prev.id, fecha_vencimiento: '2031-06-30' }, 'archivos', []));
+    const nuevo = await vigente('RTV');
+    assert.notEqual(nuevo.id, prev.id);
+    assert.equal(new Date(nuevo.fecha_vencimiento).getFullYear(), 2031);
+    const [[viejo]] = await app.pool.query('SELECT reemplazado_por FROM documents WHERE id = ?', [prev.id]);
+    assert.equal(viejo.reemplazado_por, nuevo.id);
+  });
+
+  test('agregar una versión con vencimiento anterior no reemplaza la vigente y avisa', async () => {
+    const prev = await vigente('RTV');
+    const r = await admin.post('/admin/doc/add', { placa: PLACA, categoria: 'RTV', titulo: prev.titulo, fecha_vencimiento: '2029-01-31' });
+    assert.equal((await vigente('RTV')).id, prev.id);
+    assert.match(await (await admin.get(destino(r))).text(), /quedó como historial/);
+    const [[viejo]] = await app.pool.query('SELECT reemplazado_por FROM documents WHERE placa = ? AND fecha_vencimiento = ?', [PLACA, '2029-01-31']);
+    assert.equal(viejo.reemplazado_por, prev.id);
+  });
+
+  test('visibilidad del documento: estado oculta el archivo, interno oculta todo', async () => {
+    const doc = await vigente('SOAT');
+    const fileUrl = doc.url;
+    await admin.post('/admin/doc/visibilidad', { placa: PLACA, id: doc.id, visibilidad: 'estado' });
+    let html = await fichaHtml();
+    assert.match(html, /Marchamo 2025/);
+    assert.doesNotMatch(html, new RegExp(fileUrl));
+    assert.equal((await app.cliente().get(fileUrl)).status, 404);
+
+    await admin.post('/admin/doc/visibilidad', { placa: PLACA, id: doc.id, visibilidad: 'interno' });
+    html = await fichaHtml();
+    assert.doesNotMatch(html, /Marchamo 2025/);
+    assert.match(html, /Revisión técnica/);
+  });
+
+  test('cada cambio queda en la auditoría', async () => {
+    const [rows] = await app.pool.query('SELECT DISTINCT action FROM audit_log WHERE placa = ? ORDER BY action', [PLACA]);
+    const acciones = rows.map(r => r.action);
+    for (const a of ['truck.create', 'photo.upload', 'photo.visibilidad', 'photo.delete', 'doc.upload', 'doc.add', 'doc.renew', 'doc.visibilidad']) {
+      assert.ok(acciones.includes(a), `falta ${a} en ${acciones.join(', ')}`);
+    }
+  });
+});
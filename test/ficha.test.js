@@ -0,0 +1,85 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { SKIP, iniciarApp, crearCamion, esperarFilas } from './helpers.js';
+
+describe('ficha pública', { skip: SKIP }, () => {
+  let app, admin, truck;
+  const ANDROID = 'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 Mobile Safari/537.36';
+  const IPHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 Mobile/15E148';
+
+  before(async () => {
+    app = await iniciarApp();
+    admin = app.cliente();
+    await admin.login();
+    truck = await crearCamion(admin, app.pool, {
+      placa: 'FIC001', unidad: 'U-77', cedis: 'NORTE', vin: '1HGBH41JXMN109186', telefono_quejas: '2222-3333', notas: 'Ruta centro'
+    });
+  });
+  after(async () => { await app?.cerrar(); });
+
+  test('el QR abre la ficha por token con los datos del camión', async () => {
+    const res = await app.cliente().get(`/t/${truck.public_token}`);
+    assert.equal(res.status, 200);
+    const html = await res.text();
+    assert.match(html, /FIC001/);
+    assert.match(html, /U-77/);
+    assert.match(html, /1HGBH41JXMN109186/);
+    assert.match(html, /2222-3333/);
+    assert.match(html, /name="reto"/); // formulario de reporte con su reto
+  });
+
+  test('token inexistente: 404', async () => {
+    assert.equal((await app.cliente().get('/t/no-existe-este-token')).status, 404);
+  });
+
+  test('la placa en la URL sigue funcionando (etiquetas viejas)', async () => {
+    const res = await app.cliente().get('/c/fic001');
+    assert.equal(res.status, 200);
+    assert.match(await res.text(), /U-77/);
+  });
+
+  test('rotar el token invalida la URL anterior', async () => {
+    await admin.post('/admin/token/rotar', { placa: 'FIC001' });
+    const [[nuevo]] = await app.pool.query('SELECT public_token FROM trucks WHERE placa = ?', ['FIC001']);
+    assert.notEqual(nuevo.public_token, truck.public_token);
+    assert.equal((await app.cliente().get(`/t/${truck.public_token}`)).status, 404);
+    assert.equal((await app.cliente().get(`/t/${nuevo.public_token}`)).status, 200);
+    truck.public_token = nuevo.public_token;
+  });
+
+  test('VIN y notas ocultables', async () => {
+    await admin.post('/admin/editar', { placa: 'FIC001', unidad: 'U-77', cedis: 'NORTE', vin: '1HGBH41JXMN109186', notas: 'Ruta centro', ocultar_vin: '1', ocultar_notas: '1' });
+    const html = await (await app.cliente().get(`/t/${truck.public_token}`)).text();
+    assert.doesNotMatch(html, /1HGBH41JXMN109186/);
+    assert.doesNotMatch(html, /Ruta centro/);
+    // el admin lo sigue viendo en la vista previa con el aviso
+    const previa = await (await admin.get('/admin/editar/vista-publica?placa=FIC001')).text();
+    assert.doesNotMatch(previa, /1HGBH41JXMN109186/);
+  });
+
+  test('cada visita anónima cuenta como escaneo; las del admin y los bots no', async () => {
+    await app.pool.query('DELETE FROM scan_events');
+    await app.cliente().get(`/t/${truck.public_token}`, { headers: { 'user-agent': ANDROID } });
+    const filas = await esperarFilas(app.pool, "SELECT origen, referer FROM scan_events WHERE agente = 'android'", []);
+    assert.deepEqual(filas.map(f => ({ ...f })), [{ origen: 'qr', referer: null }]);
+
+    await admin.get(`/t/${truck.public_token}`, { headers: { 'user-agent': IPHONE } });
+    await app.cliente().get(`/t/${truck.public_token}`, { headers: { 'user-agent': 'Googlebot/2.1 (+http://www.google.com/bot.html)' } });
+    await app.cliente().get('/c/FIC001?via=buscar', { headers: { 'user-agent': ANDROID } });
+    await esperarFilas(app.pool, "SELECT 1 FROM scan_events WHERE origen = 'buscar'", []);
+    const [porAgente] = await app.pool.query("SELECT agente, COUNT(*) AS n FROM scan_events WHERE agente <> 'otro' GROUP BY agente ORDER BY agente");
+    assert.deepEqual(porAgente.map(r => [r.agente, r.n]), [['android', 2]]);
+  });
+
+  test('el QR público se limita a 1024 px; el de 4096 para vinil es del panel', async () => {
+    const ancho = async res => (await sharp(Buffer.from(await res.arrayBuffer())).metadata()).width;
+    const publico = await app.cliente().get(`/qrimg/t/${truck.public_token}.png?size=4096`);
+    assert.equal(publico.status, 200);
+    assert.equal(await ancho(publico), 1024);
+    assert.equal(await ancho(await app.cliente().get('/qrimg/FIC001.png?size=4096')), 1024);
+
+    assert.equal((await app.cliente().get('/admin/etiquetas/FIC001.png')).status, 302); // sin sesión, al login
+    assert.equal(await ancho(await admin.get('/admin/etiquetas/FIC001.png')), 4096);
+  });
+});
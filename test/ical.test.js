@@ -0,0 +1,47 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { escapeText, foldLine, alarmTrigger, buildCalendar } from '../ical.js';
+
+describe('feed iCalendar', () => {
+  test('escapeText escapa barra, punto y coma, coma y saltos de línea', () => {
+    assert.equal(escapeText('a,b;c\\d\ne'), 'a\\,b\\;c\\\\d\\ne');
+    assert.equal(escapeText(null), '');
+  });
+
+  test('foldLine pliega a 75 octetos y al desplegar queda igual', () => {
+    const linea = 'SUMMARY:' + 'a'.repeat(200);
+    const partes = foldLine(linea).split('\r\n');
+    assert.ok(partes.length > 2);
+    assert.ok(partes.every(p => Buffer.byteLength(p) <= 75));
+    assert.ok(partes.slice(1).every(p => p.startsWith(' ')));
+    assert.equal(foldLine(linea).replace(/\r\n /g, ''), linea);
+    assert.equal(foldLine('corta'), 'corta');
+  });
+
+  test('foldLine no corta caracteres multibyte', () => {
+    const linea = 'DESCRIPTION:' + 'ñandú'.repeat(40);
+    const partes = foldLine(linea).split('\r\n');
+    assert.ok(partes.every(p => Buffer.byteLength(p) <= 75 && !p.includes('�')));
+    assert.equal(partes.map((p, i) => (i ? p.slice(1) : p)).join(''), linea);
+  });
+
+  test('alarmTrigger: a las 9:00 del día del umbral', () => {
+    assert.equal(alarmTrigger(0), 'PT9H');
+    assert.equal(alarmTrigger(1), '-PT15H');
+    assert.equal(alarmTrigger(30), '-P29DT15H');
+  });
+
+  test('buildCalendar: evento de día completo con una alarma por umbral', () => {
+    const ics = buildCalendar({
+      nombre: 'Flota, norte',
+      ahora: new Date(Date.UTC(2030, 0, 1, 12, 0, 0)),
+      eventos: [{ uid: 'doc-1@camiones', fecha: '2030-01-31', titulo: 'RTV ABC123', url: 'https://x/t/1', umbrales: [30, 0, 30, -7] }]
+    });
+    assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+    assert.ok(!/[^\r]\n/.test(ics)); // todo CRLF
+    assert.match(ics, /X-WR-CALNAME:Flota\\, norte\r\n/);
+    assert.match(ics, /DTSTAMP:20300101T120000Z\r\n/);
+    assert.match(ics, /DTSTART;VALUE=DATE:20300131\r\nDTEND;VALUE=DATE:20300201\r\n/);
+    assert.deepEqual([...ics.matchAll(/TRIGGER:(\S+)\r\n/g)].map(m => m[1]), ['-P29DT15H', 'PT9H']);
+  });
+});
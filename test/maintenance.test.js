@@ -0,0 +1,98 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseKm, parseMonto, parseIntervalo, planEstado, intervaloLabel } from '../maintenance.js';
+
+describe('mantenimiento: entradas del formulario', () => {
+  test('parseKm acepta separadores de miles y "km"', () => {
+    assert.equal(parseKm('120.500 km'), 120500);
+    assert.equal(parseKm('120,500'), 120500);
+    assert.equal(parseKm(98000), 98000);
+    assert.equal(parseKm('-5'), null);
+    assert.equal(parseKm(''), null);
+    assert.equal(parseKm('mucho'), null);
+  });
+
+  test('parseKm redondea una lectura con décimas en vez de multiplicarla', () => {
+    assert.equal(parseKm('120500.7'), 120501);
+    assert.equal(parseKm('120500,4'), 120500);
+    assert.equal(parseKm('120.500,7 km'), 120501);
+    assert.equal(parseKm('120,500.25'), 120500);
+    assert.equal(parseKm('1.2.3'), null);
+  });
+
+  test('parseMonto toma el último separador con 1-2 decimales como decimal', () => {
+    assert.equal(parseMonto('₡45.000,50'), 45000.5);
+    assert.equal(parseMonto('45000.5'), 45000.5);
+    assert.equal(parseMonto('1.250.000'), 1250000);
+    assert.equal(parseMonto(''), null);
+  });
+
+  test('parseIntervalo: entero positivo o null', () => {
+    assert.equal(parseIntervalo('10.000'), 10000);
+    assert.equal(parseIntervalo('0'), null);
+    assert.equal(parseIntervalo('1.5'), null);
+    assert.equal(parseIntervalo('180,5'), null);
+  });
+
+  test('intervaloLabel', () => {
+    assert.equal(intervaloLabel({ cada_km: 10000, cada_dias: 180 }), 'cada 10000 km o 180 días');
+    assert.equal(intervaloLabel({ cada_dias: 365 }), 'cada 365 días');
+    assert.equal(intervaloLabel({}), '-');
+  });
+});
+
+describe('mantenimiento: estado del plan', () => {
+  const hoy = new Date(2030, 5, 15);
+  const plan = { cada_km: 10000, cada_dias: 180, aviso_km: 500, aviso_dias: 15 };
+
+  test('sin servicio ni punto de partida no hay datos', () => {
+    const e = planEstado(plan, { hoy });
+    assert.equal(e.estado, 'sin-datos');
+    assert.equal(e.proxima_fecha, null);
+  });
+
+  test('al día: falta tiempo y kilometraje', () => {
+    const e = planEstado(plan, { ultimo: { fecha: new Date(2030, 4, 1), odometro: 100000 }, odometro: 102000, hoy });
+    assert.equal(e.estado, 'al-dia');
+    assert.equal(e.proximo_km, 110000);
+    assert.equal(e.km_restantes, 8000);
+    assert.equal(e.dias, 135);
+  });
+
+  test('próximo por kilometraje (lo que llegue primero)', () => {
+    const e = planEstado(plan, { ultimo: { fecha: new Date(2030, 4, 1), odometro: 100000 }, odometro: 109700, hoy });
+    assert.equal(e.estado, 'proximo');
+    assert.equal(e.motivo, 'faltan 300 km');
+  });
+
+  test('vencido por fecha aunque no se sepa el odómetro', () => {
+    const e = planEstado(plan, { ultimo: { fecha: new Date(2029, 11, 1), odometro: 100000 }, hoy });
+    assert.equal(e.estado, 'vencido');
+    assert.equal(e.km_restantes, null);
+    assert.equal(e.motivo, 'vencido hace 16 días');
+  });
+
+  test('vencido por kilometraje manda sobre la fecha', () => {
+    const e = planEstado(plan, { ultimo: { fecha: new Date(2030, 5, 1), odometro: 100000 }, odometro: 110250, hoy });
+    assert.equal(e.estado, 'vencido');
+    assert.equal(e.motivo, 'pasado por 250 km');
+  });
+
+  test('servicio sin odómetro: cuenta desde la lectura más cercana a su fecha', () => {
+    const e = planEstado(plan, { ultimo: { fecha: new Date(2030, 4, 1), odometro: null, odometro_cercano: 101000 }, odometro: 110800, hoy });
+    assert.equal(e.base_km, 101000);
+    assert.equal(e.estado, 'proximo');
+    assert.equal(e.motivo, 'faltan 200 km');
+    // el odómetro del servicio manda sobre la lectura cercana
+    assert.equal(planEstado(plan, { ultimo: { fecha: new Date(2030, 4, 1), odometro: 100000, odometro_cercano: 101000 }, hoy }).base_km, 100000);
+    // sin ninguna de las dos solo cuenta la fecha
+    assert.equal(planEstado(plan, { ultimo: { fecha: new Date(2030, 4, 1), odometro: null }, odometro: 110800, hoy }).km_restantes, null);
+  });
+
+  test('sin servicios arranca en desde_fecha / desde_km', () => {
+    const e = planEstado({ ...plan, desde_fecha: new Date(2030, 0, 1), desde_km: 50000 }, { odometro: 55000, hoy });
+    assert.equal(e.base_km, 50000);
+    assert.equal(e.dias, 15); // 1 ene + 180 días = 30 jun
+    assert.equal(e.estado, 'proximo');
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { SKIP, crearBase } from './helpers.js';
+import { loadMigrations, migrationStatus, migrateUp, migrateDown, columnExists, tableExists } from '../migrations.js';
+
+describe('migraciones', { skip: SKIP }, () => {
+  let base, pool;
+  const silencio = () => {};
+  const versiones = loadMigrations().map(m => m.version);
+
+  before(async () => {
+    base = await crearBase();
+    ({ pool } = await import('../db.js'));
+  });
+  after(async () => {
+    await pool?.end();
+    await base?.borrar();
+  });
+
+  test('los archivos están numerados en orden y sin huecos', () => {
+    assert.deepEqual(versiones, versiones.map((_, i) => String(i + 1).padStart(4, '0')));
+  });
+
+  test('sobre una base vacía aplica todas, en orden, una sola vez', async () => {
+    assert.deepEqual(await migrateUp(pool, { log: silencio }), versiones);
+    assert.deepEqual(await migrateUp(pool, { log: silencio }), []);
+    const estado = await migrationStatus(pool);
+    assert.ok(estado.every(m => m.aplicada && !m.huerfana));
+    assert.ok(await tableExists(pool, 'scan_events'));
+    assert.ok(await columnExists(pool, 'documents', 'visibilidad'));
+    // datos iniciales del esquema
+    const [[{ items }]] = await pool.query('SELECT COUNT(*) AS items FROM checklist_items');
+    const [[{ reglas }]] = await pool.query('SELECT COUNT(*) AS reglas FROM alert_rules');
+    assert.equal(items, 7);
+    assert.equal(reglas, 1);
+  });
+
+  test('down revierte la última y up la vuelve a aplicar', async () => {
+    assert.deepEqual(await migrateDown(pool, { log: silencio }), ['0003']);
+    assert.equal(await tableExists(pool, 'scan_events'), false);
+    assert.deepEqual((await migrationStatus(pool)).filter(m => !m.aplicada).map(m => m.version), ['0003']);
+
+    assert.deepEqual(await migrateDown(pool, { hasta: '0001', log: silencio }), ['0002']);
+    assert.equal(await columnExists(pool, 'documents', 'visibilidad'), false);
+    assert.equal(await columnExists(pool, 'trucks', 'ocultar_vin'), false);
+
+    assert.deepEqual(await migrateUp(pool, { hasta: '0002', log: silencio }), ['0002']);
+    assert.ok(await columnExists(pool, 'trucks', 'ocultar_vin'));
+    assert.deepEqual(await migrateUp(pool, { log: silencio }), ['0003']);
+  });
+
+  test('la migración base es irreversible: revertir todo falla sin tocar nada', async () => {
+    await assert.rejects(migrateDown(pool, { hasta: '0000', log: silencio }), /0001_esquema_inicial es irreversible/);
+    assert.ok((await migrationStatus(pool)).every(m => m.aplicada));
+    assert.ok(await tableExists(pool, 'scan_events'));
+  });
+
+  test('una base anterior a las migraciones recibe las columnas y los pasos de datos que le faltan', async () => {
+    // la base de prueba se vacía a mano, ya que la 0001 no se revierte
+    const conn = await pool.getConnection();
+    try {
+      const [tablas] = await conn.query('SELECT TABLE_NAME AS t FROM information_schema.TABLES WHERE TABLE_SCHEMA = DATABASE()');
+      await conn.query('SET FOREIGN_KEY_CHECKS = 0');
+      for (const { t } of tablas) await conn.query(`DROP TABLE \`${t}\``);
+      await conn.query('SET FOREIGN_KEY_CHECKS = 1');
+    } finally {
+      conn.release();
+    }
+    // como la dejaba ensureSchema hace varias versiones: sin token público ni versiones de documentos
+    await pool.query(`CREATE TABLE trucks (placa VARCHAR(32) PRIMARY KEY, unidad VARCHAR(64) NULL, cedis VARCHAR(64) NULL,
+      marca VARCHAR(64) NULL, modelo VARCHAR(64) NULL, anio VARCHAR(16) NULL, vin VARCHAR(64) NULL,
+      telefono_quejas VARCHAR(64) NULL, foto VARCHAR(512) NULL, notas TEXT NULL) ENGINE=InnoDB`);
+    await pool.query(`CREATE TABLE documents (id VARCHAR(32) PRIMARY KEY, placa VARCHAR(32) NOT NULL, categoria VARCHAR(64) NOT NULL,
+      titulo VARCHAR(128) NOT NULL, fecha_vencimiento DATE NULL, url VARCHAR(512) NULL,
+      alert22Sent TINYINT(1) NOT NULL DEFAULT 0) ENGINE=InnoDB`);
+    await pool.query("INSERT INTO trucks (placa, unidad) VALUES ('ABC123', 'U-1')");
+    await pool.query(`INSERT INTO documents (id, placa, categoria, titulo, fecha_vencimiento) VALUES
+      ('d1', 'ABC123', 'RTV', 'Revisión técnica', '2024-05-01'),
+      ('d2', 'ABC123', 'RTV', 'Revisión técnica', '2025-05-01')`);
+
+    assert.deepEqual(await migrateUp(pool, { log: silencio }), versiones);
+    const [[truck]] = await pool.query("SELECT public_token, ocultar_vin FROM trucks WHERE placa = 'ABC123'");
+    assert.match(truck.public_token, /^[A-Za-z0-9_-]{22}$/);
+    assert.equal(truck.ocultar_vin, 0);
+    const [docs] = await pool.query('SELECT id, reemplazado_por, visibilidad FROM documents ORDER BY id');
+    assert.deepEqual(docs.map(d => [d.id, d.reemplazado_por, d.visibilidad]), [['d1', 'd2', 'publico'], ['d2', null, 'publico']]);
+  });
+});
@@ -0,0 +1,186 @@
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import http from 'http';
+import { parseDestino, signWebhook, createNotifier, mockProvider, resultadoEnvio, destinosFaltantes } from '../notify.js';
+
+// pool de mentira: guarda cada consulta y a los SELECT les devuelve `filas`
+function fakePool(filas = []) {
+  const consultas = [];
+  return {
+    consultas,
+    async query(sql, params = []) {
+      consultas.push({ sql, params });
+      return /^\s*SELECT/i.test(sql) ? [filas] : [{ affectedRows: 1 }];
+    }
+  };
+}
+const ENV = { MESSAGING_PROVIDER: 'mock', WEBHOOK_SECRET: 'secreto-hook' };
+const MIN = 60000;
+
+describe('notificaciones: destinos', () => {
+  test('parseDestino reconoce el canal de cada destino', () => {
+    assert.deepEqual(parseDestino('Flota@Empresa.com'), { canal: 'email', to: 'flota@empresa.com' });
+    assert.deepEqual(parseDestino('https://hooks.example.com/camiones'), { canal: 'webhook', to: 'https://hooks.example.com/camiones' });
+    assert.deepEqual(parseDestino('whatsapp:+506 8888-7777'), { canal: 'whatsapp', to: '+50688887777' });
+    assert.deepEqual(parseDestino('SMS: (506) 8888 7777'), { canal: 'sms', to: '50688887777' });
+  });
+
+  test('lo que no es un destino devuelve null', () => {
+    assert.equal(parseDestino(''), null);
+    assert.equal(parseDestino('whatsapp:123'), null);
+    assert.equal(parseDestino('ftp://x.com'), null);
+    assert.equal(parseDestino('no es correo'), null);
+  });
+});
+
+describe('notificaciones: firma de webhooks', () => {
+  test('signWebhook es HMAC-SHA256 hex de `timestamp.cuerpo`', () => {
+    const esperado = crypto.createHmac('sha256', 's').update('1700000000.{"a":1}').digest('hex');
+    assert.equal(signWebhook('s', '1700000000', '{"a":1}'), esperado);
+    assert.notEqual(signWebhook('otro', '1700000000', '{"a":1}'), esperado);
+  });
+
+  test('el POST lleva la firma que el receptor puede recalcular', async () => {
+    let recibido;
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', c => { body += c; });
+      req.on('end', () => { recibido = { headers: req.headers, body }; res.end('ok'); });
+    });
+    await new Promise(r => server.listen(0, '127.0.0.1', r));
+    try {
+      const notifier = createNotifier({ pool: fakePool(), env: ENV });
+      const url = `http://127.0.0.1:${server.address().port}/hook`;
+      const r = await notifier.send('test', {}, [url]);
+      assert.deepEqual(r.enviados, [url]);
+      const ts = recibido.headers['x-camiones-timestamp'];
+      assert.equal(recibido.headers['x-camiones-event'], 'test');
+      assert.equal(recibido.headers['x-camiones-signature'], 'sha256=' + signWebhook('secreto-hook', ts, recibido.body));
+      assert.equal(JSON.parse(recibido.body).event, 'test');
+    } finally {
+      await new Promise(r => server.close(r));
+    }
+  });
+
+  test('sin WEBHOOK_SECRET el canal queda inactivo y el destino se omite', async () => {
+    const notifier = createNotifier({ pool: fakePool(), env: { MESSAGING_PROVIDER: 'mock' } });
+    assert.equal(notifier.canalesActivos.webhook, false);
+    const r = await notifier.send('test', {}, ['https://hooks.example.com/x']);
+    assert.deepEqual(r.omitidos, [{ destino: 'https://hooks.example.com/x', motivo: 'webhook no configurado' }]);
+  });
+});
+
+describe('notificaciones: envío y cola', () => {
+  beforeEach(() => { mockProvider.outbox.length = 0; mockProvider.failNext = 0; });
+
+  test('WhatsApp/SMS salen por el proveedor mock con el texto de la plantilla', async () => {
+    const pool = fakePool();
+    const notifier = createNotifier({ pool, env: ENV });
+    const r = await notifier.send('report.new', { placa: 'ABC123', tipo: 'Manejo', mensaje: 'Exceso de velocidad', createdAt: new Date() },
+      ['whatsapp:+50688887777', 'sms:+50677776666', 'whatsapp:+50688887777']);
+    assert.deepEqual(r.enviados, ['whatsapp:+50688887777', 'sms:+50677776666']); // repetidos una sola vez
+    assert.deepEqual(mockProvider.outbox.map(m => [m.canal, m.to]), [['whatsapp', '+50688887777'], ['sms', '+50677776666']]);
+    assert.match(mockProvider.outbox[0].text, /ABC123[\s\S]*Exceso de velocidad/);
+    assert.equal(pool.consultas.length, 0);
+  });
+
+  test('si el proveedor falla, el mensaje queda en la cola', async () => {
+    const pool = fakePool();
+    const notifier = createNotifier({ pool, env: ENV });
+    mockProvider.failNext = 1;
+    const antes = Date.now();
+    const r = await notifier.send('test', {}, ['sms:+50677776666']);
+    assert.deepEqual(r, { enviados: [], encolados: ['sms:+50677776666'], omitidos: [] });
+    const [insert] = pool.consultas;
+    assert.match(insert.sql, /INSERT INTO notification_queue/);
+    const [evento, canal, destino, mensaje, error, proximo] = insert.params;
+    assert.deepEqual([evento, canal, destino], ['test', 'sms', '+50677776666']);
+    assert.match(JSON.parse(mensaje).text, /Prueba de notificación/);
+    assert.match(error, /fallo simulado/);
+    assert.ok(proximo - antes >= MIN && proximo - Date.now() <= MIN); // primer reintento en 1 minuto
+  });
+
+  test('processQueue espera cada vez más entre reintentos y deja fallido después del último', async () => {
+    const fila = intentos => ({ id: intentos, evento: 'test', canal: 'sms', destino: '+50677776666', mensaje: '{"text":"hola"}', intentos, next_attempt_at: new Date(0) });
+    const esperas = [5, 30, 120, 720, 1440]; // minutos después del 2.º al 6.º intento
+    const pool = fakePool([...esperas.map((_, i) => fila(i + 1)), fila(6)]);
+    const notifier = createNotifier({ pool, env: ENV });
+    mockProvider.failNext = 6;
+    const antes = Date.now();
+    const r = await notifier.processQueue();
+    assert.deepEqual(r, { enviados: 0, fallidos: 1, reintentar: 5 });
+
+    // cada fila se reclama antes de enviarla; aquí solo interesan las que registran el fallo
+    const updates = pool.consultas.filter(q => /^\s*UPDATE/.test(q.sql) && !/'enviando'/.test(q.sql)).map(q => q.params);
+    esperas.forEach((min, i) => {
+      const [intentos, , estado, proximo] = updates[i];
+      assert.equal(intentos, i + 2);
+      assert.equal(estado, 'pendiente');
+      assert.ok(proximo - antes >= min * MIN && proximo - Date.now() <= min * MIN, `espera de ${min} min`);
+    });
+    const [intentos, error, estado, proximo] = updates[5];
+    assert.deepEqual([intentos, estado, proximo], [7, 'fallido', new Date(0)]);
+    assert.match(error, /fallo simulado/);
+  });
+
+  test('processQueue marca enviado lo que ahora sale bien', async () => {
+    const pool = fakePool([{ id: 9, evento: 'test', canal: 'whatsapp', destino: '+50688887777', mensaje: '{"text":"hola"}', intentos: 2 }]);
+    const r = await createNotifier({ pool, env: ENV }).processQueue();
+    assert.deepEqual(r, { enviados: 1, fallidos: 0, reintentar: 0 });
+    assert.match(pool.consultas.at(-1).sql, /estado = 'enviado'/);
+    assert.deepEqual(mockProvider.outbox.map(m => m.text), ['hola']);
+  });
+
+  test('processQueue reclama cada fila y no envía la que ya tomó otra corrida', async () => {
+    const fila = id => ({ id, evento: 'test', canal: 'sms', destino: '+5067777666' + id, mensaje: `{"text":"hola ${id}"}`, intentos: 1, estado: 'pendiente', next_attempt_at: new Date(0) });
+    const pool = fakePool([fila(1), fila(2)]);
+    const query = pool.query;
+    // la fila 1 ya la reclamó otra corrida entre el SELECT y el UPDATE
+    pool.query = async (sql, params) => {
+      if (!/SET estado = 'enviando'/.test(sql) || params[1] !== 1) return query(sql, params);
+      pool.consultas.push({ sql, params });
+      return [{ affectedRows: 0 }];
+    };
+    const antes = Date.now();
+    const r = await createNotifier({ pool, env: ENV }).processQueue();
+    assert.deepEqual(r, { enviados: 1, fallidos: 0, reintentar: 0 });
+    assert.deepEqual(mockProvider.outbox.map(m => m.text), ['hola 2']);
+
+    const reclamos = pool.consultas.filter(q => /SET estado = 'enviando'/.test(q.sql));
+    assert.deepEqual(reclamos.map(q => q.params.slice(1)), [[1, 'pendiente', new Date(0)], [2, 'pendiente', new Date(0)]]);
+    assert.ok(reclamos[0].params[0] - antes >= 10 * MIN); // si el proceso muere, se vuelve a tomar a los 10 minutos
+    assert.equal(pool.consultas.filter(q => /estado = 'enviado'/.test(q.sql)).length, 1);
+  });
+});
+
+describe('notificaciones: registro de avisos', () => {
+  beforeEach(() => { mockProvider.outbox.length = 0; mockProvider.failNext = 0; });
+
+  test('un destino entregado y otro omitido quedan como parcial', async () => {
+    // sin WEBHOOK_SECRET el webhook se omite, el WhatsApp sale
+    const notifier = createNotifier({ pool: fakePool(), env: { MESSAGING_PROVIDER: 'mock' } });
+    const para = ['whatsapp:+50688887777', 'https://hooks.example.com/x'];
+    const r = resultadoEnvio(await notifier.send('test', {}, para));
+    assert.deepEqual(r, { estado: 'parcial', entregados: ['whatsapp:+50688887777'], pendientes: ['https://hooks.example.com/x'] });
+
+    // la próxima corrida solo manda al que faltó; cuando sale, ya no queda nada
+    const log = { estado: r.estado, destinatarios: r.entregados.join(', ') };
+    assert.deepEqual(destinosFaltantes(para, log), ['https://hooks.example.com/x']);
+    assert.deepEqual(destinosFaltantes(para, { estado: 'parcial', destinatarios: para.join(', ') }), []);
+  });
+
+  test('enviado, encolado o nada', () => {
+    assert.equal(resultadoEnvio({ enviados: ['a@x.com'], encolados: [], omitidos: [] }).estado, 'enviado');
+    assert.equal(resultadoEnvio({ enviados: [], encolados: ['a@x.com'], omitidos: [] }).estado, 'encolado');
+    assert.equal(resultadoEnvio({ enviados: [], encolados: [], omitidos: [{ destino: 'a@x.com', motivo: 'email no configurado' }] }).estado, null);
+  });
+
+  test('sin registro van todos; enviado o sin destinatarios no se repite', () => {
+    const para = ['a@x.com', 'sms:+50677776666'];
+    assert.deepEqual(destinosFaltantes(para, null), para);
+    assert.deepEqual(destinosFaltantes(para, { estado: 'enviado', destinatarios: 'a@x.com' }), []);
+    assert.deepEqual(destinosFaltantes(para, { estado: 'encolado', destinatarios: 'a@x.com, sms:+50677776666' }), []);
+    assert.deepEqual(destinosFaltantes(para, { estado: 'sin-destinatarios', destinatarios: null }), []);
+  });
+});
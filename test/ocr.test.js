@@ -0,0 +1,73 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractSuggestions } from '../ocr.js';
+
+const hoy = new Date('2026-06-01T12:00:00Z');
+const sugerir = (texto, opts = {}) => extractSuggestions(texto, { hoy, ...opts });
+
+describe('ocr: categoría', () => {
+  test('reconoce cada categoría por sus palabras típicas', () => {
+    assert.equal(sugerir('DEKRA Costa Rica — Revisión Técnica Vehicular').categoria, 'Dekra');
+    assert.equal(sugerir('Inspeccion vehicular aprobada').categoria, 'Dekra');
+    assert.equal(sugerir('Derecho de circulación 2027 — SOA').categoria, 'Marchamo');
+    assert.equal(sugerir('PÓLIZA de automóviles, asegurado: Transportes S.A.').categoria, 'Póliza');
+    assert.equal(sugerir('Permiso de carga pesada MOPT').categoria, 'Permiso');
+  });
+
+  test('gana la primera de la lista y sin pistas no sugiere nada', () => {
+    assert.equal(sugerir('Marchamo: seguro obligatorio, póliza INS').categoria, 'Marchamo');
+    assert.equal(sugerir('Factura de llantas').categoria, null);
+    assert.equal(sugerir('').categoria, null);
+  });
+});
+
+describe('ocr: fechas', () => {
+  test('formatos numéricos dd/mm/aaaa, dd-mm-aa y aaaa-mm-dd', () => {
+    assert.equal(sugerir('Vence: 15/03/2027').fecha, '2027-03-15');
+    assert.equal(sugerir('Vence 15-03-27').fecha, '2027-03-15');
+    assert.equal(sugerir('Vigencia 2027.03.15').fecha, '2027-03-15');
+  });
+
+  test('meses en palabras, abreviados y con tilde', () => {
+    assert.equal(sugerir('válido hasta el 5 de setiembre de 2027').fecha, '2027-09-05');
+    assert.equal(sugerir('Vence 15 MAR 2027').fecha, '2027-03-15');
+    assert.equal(sugerir('Expira 1 de Diciembre del 2026').fecha, '2026-12-01');
+  });
+
+  test('corrige la O leída en lugar de 0 y descarta fechas imposibles', () => {
+    assert.equal(sugerir('Vence: 1O/O3/2O27').fecha, '2027-03-10');
+    assert.equal(sugerir('Vence 31/02/2027').fecha, null);
+    assert.equal(sugerir('Vence 15/13/2027').fecha, null);
+  });
+
+  test('prefiere la fecha junto a "vence" y, si no hay, la más lejana en el futuro', () => {
+    const r = sugerir('Emitido 10/01/2026. Fecha de vencimiento: 10/01/2027. Próxima revisión 10/06/2027');
+    assert.equal(r.fecha, '2027-01-10');
+    assert.deepEqual(r.fechas, ['2027-01-10', '2027-06-10', '2026-01-10']);
+    assert.equal(sugerir('Emitido 10/01/2026 — 20/08/2027 — 01/01/2025').fecha, '2027-08-20');
+  });
+});
+
+describe('ocr: placa', () => {
+  test('encuentra placas de carga, carga liviana y particulares', () => {
+    assert.deepEqual(sugerir('Vehículo C-123456 tipo carga').placas, ['C123456']);
+    assert.deepEqual(sugerir('CL 98765').placas, ['CL98765']);
+    assert.deepEqual(sugerir('Matrícula BCD-456').placas, ['BCD456']);
+    assert.deepEqual(sugerir('Placa N° 654321').placas, ['654321']);
+  });
+
+  test('compara con la placa del camión y avisa si no coincide', () => {
+    const ok = sugerir('Placa: C-123456', { placa: 'c123456' });
+    assert.equal(ok.placaCoincide, true);
+    assert.equal(ok.aviso, null);
+
+    const otra = sugerir('Placa: C-111111', { placa: 'C123456' });
+    assert.equal(otra.placaCoincide, false);
+    assert.equal(otra.aviso, 'La placa del documento (C111111) no coincide con C123456');
+  });
+
+  test('sin placa en el texto o sin camión no se opina', () => {
+    assert.equal(sugerir('Sin datos del vehículo', { placa: 'C123456' }).placaCoincide, null);
+    assert.equal(sugerir('Placa C-123456').placaCoincide, null);
+  });
+});
@@ -0,0 +1,118 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { SKIP, iniciarApp, crearCamion, destino, multipart, png, retoValido } from './helpers.js';
+
+// El límite es de 5 reportes por hora por IP (todas las pruebas llegan desde 127.0.0.1): la última lo agota
+describe('reportes públicos', { skip: SKIP }, () => {
+  let app, admin, base;
+  const reportes = async () => (await app.pool.query('SELECT * FROM reports ORDER BY createdAt, id'))[0];
+
+  before(async () => {
+    app = await iniciarApp();
+    admin = app.cliente();
+    await admin.login();
+    const truck = await crearCamion(admin, app.pool, { placa: 'REP001', unidad: 'U-5', cedis: 'SUR' });
+    base = `/t/${truck.public_token}`;
+  });
+  after(async () => { await app?.cerrar(); });
+
+  test('un reporte válido se guarda y vuelve a la ficha con el agradecimiento', async () => {
+    const res = await app.cliente().post(`${base}/report`, {
+      tipo: 'Manejo', nombre: 'Ana', telefono: '8888-0000', mensaje: 'Pasó un semáforo en rojo en la rotonda',
+      reto: retoValido('REP001'), pow: '', ocurrido: '', empresa: ''
+    });
+    assert.equal(res.status, 302);
+    assert.equal(destino(res), `${base}?enviado=1`);
+    const [r] = await reportes();
+    assert.equal(r.placa, 'REP001');
+    assert.equal(r.tipo, 'Manejo');
+    assert.equal(r.estado, 'nuevo');
+    assert.equal(r.cuarentena, 0);
+  });
+
+  test('sin reto válido, con reto reusado o sin mensaje no se guarda', async () => {
+    const anon = app.cliente();
+    assert.equal(destino(await anon.post(`${base}/report`, { mensaje: 'Sin reto de la ficha' })), `${base}?error=verificacion`);
+    assert.equal(destino(await anon.post(`${base}/report`, { mensaje: 'Reto de otra placa', reto: retoValido('OTRA') })), `${base}?error=verificacion`);
+    assert.equal(destino(await anon.post(`${base}/report`, { mensaje: '', reto: retoValido('REP001') })), `${base}?error=1`);
+
+    const reto = retoValido('REP001');
+    assert.equal(destino(await anon.post(`${base}/report`, { mensaje: 'Primer envío con este reto', reto })), `${base}?enviado=1`);
+    assert.equal(destino(await anon.post(`${base}/report`, { mensaje: 'Segundo envío con el mismo reto', reto })), `${base}?error=verificacion`);
+    assert.equal((await reportes()).length, 2);
+  });
+
+  test('el campo trampa (honeypot) descarta el envío en silencio', async () => {
+    const res = await app.cliente().post(`${base}/report`, { mensaje: 'Soy un bot', empresa: 'ACME', reto: retoValido('REP001') });
+    assert.equal(destino(res), base);
+    assert.equal((await reportes()).length, 2);
+  });
+
+  test('el spam queda en cuarentena', async () => {
+    const res = await app.cliente().post(`${base}/report`, {
+      mensaje: 'Gana dinero con bitcoin en www.casino-ganador.xyz y www.apuestas.top', reto: retoValido('REP001')
+    });
+    assert.equal(destino(res), `${base}?enviado=1`); // a quien envía no se le avisa
+    const spam = (await reportes()).at(-1);
+    assert.equal(spam.cuarentena, 1);
+    assert.ok(spam.spam_puntos >= 3);
+  });
+
+  test('fotos, ubicación y hora del hecho', async () => {
+    const hace1h = new Date(Date.now() - 60 * 60 * 1000);
+    const local = new Date(hace1h - hace1h.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+    const form = multipart(
+      { mensaje: 'Choque leve en el parqueo del súper', reto: retoValido('REP001'), lat: '9.934567', lng: '-84.087654', precision: '12', ocurrido: local },
+      'fotos',
+      [{ buf: await png('#1e90ff'), nombre: 'golpe.png' }, { buf: await png('#ff8c00'), nombre: 'placa.png' }]
+    );
+    assert.equal(destino(await app.cliente().post(`${base}/report`, form)), `${base}?enviado=1`);
+    const r = (await reportes()).at(-1);
+    assert.equal(Number(r.lat), 9.934567);
+    assert.equal(Number(r.lng), -84.087654);
+    assert.equal(r.precision_m, 12);
+    assert.ok(r.ocurridoAt);
+    const [fotos] = await app.pool.query('SELECT photo_id FROM report_photos WHERE report_id = ? ORDER BY pos', [r.id]);
+    assert.equal(fotos.length, 2);
+    // las fotos del reporte solo se ven con sesión
+    assert.equal((await app.cliente().get(`/file/${fotos[0].photo_id}`)).status, 404);
+    const foto = await admin.get(`/file/${fotos[0].photo_id}`);
+    assert.equal(foto.status, 200);
+    assert.equal(foto.headers.get('x-content-type-options'), 'nosniff');
+    // y solo del propio CEDIS
+    await admin.post('/admin/usuarios', { username: 'lector.norte', role: 'lectura', pass: 'lector-1234', cedis: 'NORTE' });
+    const norte = app.cliente();
+    await norte.login('lector.norte', 'lector-1234');
+    assert.equal((await norte.get(`/file/${fotos[0].photo_id}`)).status, 404);
+  });
+
+  test('un SVG disfrazado de .png no se guarda como foto', async () => {
+    const svg = Buffer.from('<svg xmlns="http://www.w3.org/2000/svg" width="10" height="10"><script>alert(document.cookie)</script></svg>');
+    const form = multipart({ mensaje: 'Reporte con una foto que no es foto', reto: retoValido('REP001') }, 'fotos', [
+      { buf: svg, nombre: 'x.png', tipo: 'image/svg+xml' },
+      { buf: svg, nombre: 'y.png', tipo: 'image/png' }
+    ]);
+    // desde otra IP (trust proxy) para no gastar el límite que agota la última prueba
+    const res = await app.cliente().post(`${base}/report`, form, { headers: { 'x-forwarded-for': '203.0.113.7' } });
+    assert.equal(destino(res), `${base}?enviado=1`);
+    const r = (await reportes()).at(-1);
+    assert.equal(r.mensaje, 'Reporte con una foto que no es foto');
+    const [fotos] = await app.pool.query('SELECT photo_id FROM report_photos WHERE report_id = ?', [r.id]);
+    assert.equal(fotos.length, 0);
+    const [svgs] = await app.pool.query("SELECT id FROM photos WHERE mime NOT IN ('image/png', 'image/jpeg', 'image/webp', 'image/gif')");
+    assert.equal(svgs.length, 0);
+  });
+
+  test('el revisor ve el reporte en el panel', async () => {
+    const [r] = await reportes();
+    const res = await admin.get(`/admin/reportes/${r.id}`);
+    assert.equal(res.status, 200);
+    assert.match(await res.text(), /Pasó un semáforo en rojo/);
+  });
+
+  test('el sexto envío de la misma IP en la hora se rechaza', async () => {
+    const enviar = mensaje => app.cliente().post(`${base}/report`, { mensaje, reto: retoValido('REP001') });
+    assert.equal(destino(await enviar('Quinto reporte desde esta IP')), `${base}?enviado=1`);
+    assert.equal(destino(await enviar('Sexto reporte desde esta IP')), `${base}?error=limite`);
+  });
+});
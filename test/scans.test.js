@@ -0,0 +1,40 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { claseAgente, refererDominio, tasaConversion, sinEscaneos } from '../scans.js';
+
+describe('escaneos', () => {
+  test('claseAgente: solo la clase gruesa del navegador; los bots aparte', () => {
+    assert.equal(claseAgente('Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 Mobile Safari/537.36'), 'android');
+    assert.equal(claseAgente('Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 Mobile/15E148'), 'ios');
+    assert.equal(claseAgente('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 Chrome/126.0'), 'escritorio');
+    assert.equal(claseAgente('Googlebot/2.1 (+http://www.google.com/bot.html)'), 'bot');
+    assert.equal(claseAgente('WhatsApp/2.23.20.0'), 'bot'); // vista previa del enlace
+    assert.equal(claseAgente(''), 'bot');
+    assert.equal(claseAgente('Algo/1.0'), 'otro');
+  });
+
+  test('refererDominio: sin ruta ni parámetros; el propio sitio como "propio"', () => {
+    assert.equal(refererDominio('https://www.google.com/search?q=ABC123', 'flota.example.com'), 'google.com');
+    assert.equal(refererDominio('https://flota.example.com/', 'flota.example.com:443'), 'propio');
+    assert.equal(refererDominio('', 'flota.example.com'), null);
+    assert.equal(refererDominio('no es una url', 'flota.example.com'), null);
+  });
+
+  test('tasaConversion en % con un decimal; null sin escaneos', () => {
+    assert.equal(tasaConversion(1, 3), 33.3);
+    assert.equal(tasaConversion(0, 10), 0);
+    assert.equal(tasaConversion(2, 0), null);
+  });
+
+  test('sinEscaneos: nunca escaneados primero, después los más abandonados', () => {
+    const hoy = new Date('2030-06-30T12:00:00Z');
+    const r = sinEscaneos([
+      { placa: 'B', ultimo: null },
+      { placa: 'A', ultimo: null },
+      { placa: 'RECIENTE', ultimo: '2030-06-29T12:00:00Z' },
+      { placa: 'VIEJO', ultimo: '2030-04-01T12:00:00Z' },
+      { placa: 'MEDIO', ultimo: '2030-05-20T12:00:00Z' }
+    ], 30, hoy);
+    assert.deepEqual(r.map(x => [x.placa, x.diasSinEscaneo]), [['A', null], ['B', null], ['VIEJO', 90], ['MEDIO', 41]]);
+  });
+});